@@ -0,0 +1,25 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = { id: '1f3b5d7f-9a1c-4e3b-8d5f-7a9c1e3b5d7f', role: 'admin' };
+    req.userId = req.user.id;
+    next();
+  }
+}));
+
+const adminRoutes = require('../routes/admin');
+
+const app = express();
+app.use('/api/admin', adminRoutes);
+
+describe('GET /api/admin/usage', () => {
+  it('rejects an unknown usage type', async () => {
+    const res = await request(app).get('/api/admin/usage').query({ type: 'bandwidth' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([expect.objectContaining({ path: 'type' })]);
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock('../services/auditservice', () => ({ recordAudit: jest.fn() }));
+jest.mock('../services/realtimeservice', () => ({ realtime: { emitBillingUpdate: jest.fn() } }));
+
+const { models } = require('../config/database');
+const { CreditService } = require('../services/creditservice');
+const { memoryModel, memoryTransactions } = require('./helpers/memorymodels');
+
+const USER_ID = '2d4f6a8c-0e1b-4d3f-9a5c-7e9b1d3f5a7c';
+const user = { id: USER_ID };
+
+const session = {
+  id: 'cs_test_pack',
+  mode: 'payment',
+  payment_status: 'paid',
+  payment_intent: 'pi_test_pack',
+  amount_total: 2500,
+  currency: 'usd',
+  metadata: { userId: USER_ID, creditPack: 'videos_10' }
+};
+
+const charge = (amountRefunded) => ({
+  id: 'ch_test_pack',
+  payment_intent: 'pi_test_pack',
+  amount: 2500,
+  amount_refunded: amountRefunded,
+  currency: 'usd'
+});
+
+describe('CreditService', () => {
+  let stripe;
+  let credits;
+  let service;
+
+  const balance = () => models.CreditTransaction.getBalance(USER_ID, 'video_generation');
+
+  beforeEach(() => {
+    stripe = { checkout: { sessions: { list: jest.fn().mockResolvedValue({ data: [session] }) } } };
+    service = new CreditService(stripe);
+    credits = memoryModel(models.CreditTransaction);
+    memoryTransactions();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('credits a paid pack once per checkout session', async () => {
+    await expect(service.grantPurchase(session, user)).resolves.toMatchObject({ amount: 10, reason: 'purchase' });
+    await expect(service.grantPurchase(session, user)).resolves.toBeNull();
+
+    expect(await balance()).toBe(10);
+  });
+
+  it('waits for the payment of an unpaid session', async () => {
+    await expect(service.grantPurchase({ ...session, payment_status: 'unpaid' }, user)).resolves.toBeNull();
+    expect(credits.table.size).toBe(0);
+  });
+
+  describe('refunds', () => {
+    beforeEach(async () => {
+      await service.grantPurchase(session, user);
+    });
+
+    it('takes back the credits of a refunded pack', async () => {
+      const credit = await service.revokeRefundedPurchase(charge(2500), 2500, user);
+
+      expect(credit).toMatchObject({ amount: -10, reason: 'refund', reference: 'ch_test_pack:2500' });
+      expect(stripe.checkout.sessions.list).toHaveBeenCalledWith({ payment_intent: 'pi_test_pack', limit: 1 });
+      expect(await balance()).toBe(0);
+    });
+
+    it('takes back the refunded share of each partial refund', async () => {
+      await service.revokeRefundedPurchase(charge(1250), 1250, user);
+      expect(await balance()).toBe(5);
+
+      await service.revokeRefundedPurchase(charge(2500), 1250, user);
+      expect(await balance()).toBe(0);
+    });
+
+    it('takes a redelivered refund back once', async () => {
+      await service.revokeRefundedPurchase(charge(2500), 2500, user);
+      await expect(service.revokeRefundedPurchase(charge(2500), 2500, user)).resolves.toBeNull();
+
+      expect(credits.rows({ reason: 'refund' })).toHaveLength(1);
+    });
+
+    it('only takes back credits that are left', async () => {
+      await models.CreditTransaction.create({ userId: USER_ID, type: 'video_generation', amount: -8, reason: 'usage' });
+
+      const credit = await service.revokeRefundedPurchase(charge(2500), 2500, user);
+
+      expect(credit.amount).toBe(-2);
+      expect(await balance()).toBe(0);
+    });
+
+    it('leaves credits alone for charges that are not a pack purchase', async () => {
+      stripe.checkout.sessions.list.mockResolvedValue({ data: [] });
+
+      await expect(service.revokeRefundedPurchase(charge(2500), 2500, user)).resolves.toBeNull();
+      expect(await balance()).toBe(10);
+    });
+  });
+
+  describe('staff adjustments', () => {
+    const actor = { id: '0a2c4e6f-8b1d-4f3a-9c5e-7b9d1f3a5c7e' };
+
+    it('grants credits and takes back no more than the balance', async () => {
+      await service.adjust(USER_ID, { type: 'video_generation', amount: 3, note: 'Goodwill' }, actor);
+
+      await expect(service.adjust(USER_ID, { type: 'video_generation', amount: -4 }, actor))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(service.adjust(USER_ID, { type: 'video_generation', amount: -3 }, actor))
+        .resolves.toMatchObject({ balance: 0 });
+      expect(credits.rows({ userId: USER_ID }).map(credit => credit.reason)).toEqual(['grant', 'revoke']);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+jest.mock('../services/auditservice', () => ({ recordAudit: jest.fn() }));
+jest.mock('../services/realtimeservice', () => ({ realtime: { emitBillingUpdate: jest.fn() } }));
+jest.mock('../utils/email', () => ({
+  sendPaymentFailedEmail: jest.fn(),
+  sendDunningReminderEmail: jest.fn(),
+  sendDunningDowngradedEmail: jest.fn(),
+  sendPaymentRecoveredEmail: jest.fn()
+}));
+
+const { models } = require('../config/database');
+const { DunningService } = require('../services/dunningservice');
+const { getEntitlements } = require('../services/entitlementservice');
+const { memoryModel } = require('./helpers/memorymodels');
+
+const USER_ID = '3b1d5c7e-9f2a-4c6e-8a0b-2c4e6f8a0b1c';
+
+describe('dunning downgrade', () => {
+  let dunning;
+  let queue;
+  let users;
+
+  beforeEach(() => {
+    queue = { registerHandler: jest.fn(), enqueue: jest.fn() };
+    dunning = new DunningService(queue);
+
+    users = memoryModel(models.User, [{
+      id: USER_ID,
+      email: 'creator@example.com',
+      password: 'hashed',
+      firstName: 'Casey',
+      lastName: 'Creator',
+      plan: 'pro'
+    }]);
+    memoryModel(models.Subscription, [{ userId: USER_ID, plan: 'pro', status: 'active', stripeSubscriptionId: 'sub_test' }]);
+    memoryModel(models.EntitlementGrant);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const openCase = async () => {
+    const subscription = await models.Subscription.findOne({ where: { userId: USER_ID } });
+    await dunning.start(subscription, { id: 'in_test', amount_due: 2900, currency: 'usd' });
+    return subscription;
+  };
+
+  it('drops entitlements to free while keeping the paid plan on the subscription', async () => {
+    const subscription = await openCase();
+
+    await expect(dunning.downgrade(subscription)).resolves.toEqual({ downgraded: true });
+
+    expect(subscription.plan).toBe('pro');
+    expect(subscription.getEffectivePlan()).toBe('free');
+    expect(users.get(USER_ID).plan).toBe('free');
+    expect((await getEntitlements(USER_ID)).plan).toBe('free');
+  });
+
+  it('restores the paid plan once the invoice is paid', async () => {
+    const subscription = await openCase();
+    await dunning.downgrade(subscription);
+
+    await expect(dunning.resolve(subscription, { id: 'in_test' })).resolves.toBe(true);
+
+    expect(subscription.dunningDowngradedAt).toBeNull();
+    expect(users.get(USER_ID).plan).toBe('pro');
+    expect((await getEntitlements(USER_ID)).plan).toBe('pro');
+  });
+});
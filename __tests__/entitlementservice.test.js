@@ -0,0 +1,169 @@
+process.env.STRIPE_PRO_OVERAGE_PRICE_ID = 'price_pro_overage';
+
+jest.mock('../services/auditservice', () => ({ recordAudit: jest.fn() }));
+jest.mock('../services/overageservice', () => ({ scheduleOverageReport: jest.fn() }));
+
+const { models } = require('../config/database');
+const {
+  getEntitlements,
+  grantPlan,
+  grantEntitlement,
+  reserveQuota,
+  releaseQuota
+} = require('../services/entitlementservice');
+const { scheduleOverageReport } = require('../services/overageservice');
+const { PLANS } = require('../config/plans');
+const { memoryModel, memoryTransactions } = require('./helpers/memorymodels');
+
+const USER_ID = '5e7a9c1b-3d2f-4e6a-8b0c-1d2e3f4a5b6c';
+const ADMIN = { id: '9f8e7d6c-5b4a-4392-8170-6f5e4d3c2b1a' };
+
+describe('plan grants', () => {
+  let grants;
+
+  beforeEach(() => {
+    memoryModel(models.User, [{
+      id: USER_ID,
+      email: 'creator@example.com',
+      password: 'hashed',
+      firstName: 'Casey',
+      lastName: 'Creator',
+      plan: 'starter'
+    }]);
+    memoryModel(models.Subscription, [{ userId: USER_ID, plan: 'starter', status: 'active', stripeSubscriptionId: 'sub_test' }]);
+    grants = memoryModel(models.EntitlementGrant);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gives the granted plan\'s features and leaves billing alone', async () => {
+    await grantPlan(USER_ID, 'pro', { reason: 'Partner account' }, ADMIN);
+
+    const entitlements = await getEntitlements(USER_ID);
+
+    expect(entitlements.plan).toBe('pro');
+    expect(entitlements.features).toEqual(PLANS.pro.features);
+    expect(entitlements.features.plan).toBeUndefined();
+    expect((await models.User.findByPk(USER_ID)).plan).toBe('starter');
+    expect((await models.Subscription.findOne({ where: { userId: USER_ID } })).plan).toBe('starter');
+  });
+
+  it('replaces an earlier plan grant', async () => {
+    const first = await grantPlan(USER_ID, 'enterprise', {}, ADMIN);
+    await grantPlan(USER_ID, 'pro', {}, ADMIN);
+
+    expect(grants.get(first.id).revokedAt).toBeInstanceOf(Date);
+    expect((await getEntitlements(USER_ID)).plan).toBe('pro');
+  });
+
+  it('returns to the billed plan once the grant expires', async () => {
+    const grant = await grantPlan(USER_ID, 'pro', { expiresAt: new Date(Date.now() + 60000) }, ADMIN);
+    grants.get(grant.id).expiresAt = new Date(Date.now() - 1000);
+
+    expect((await getEntitlements(USER_ID)).plan).toBe('starter');
+  });
+
+  it('applies feature grants on top of the granted plan', async () => {
+    await grantPlan(USER_ID, 'pro', {}, ADMIN);
+    await grantEntitlement(USER_ID, { feature: 'videosPerMonth', kind: 'addon', value: 5 }, ADMIN);
+
+    expect((await getEntitlements(USER_ID)).features.videosPerMonth).toBe(PLANS.pro.features.videosPerMonth + 5);
+  });
+
+  it('only accepts catalog plans as overrides', async () => {
+    await expect(grantEntitlement(USER_ID, { feature: 'plan', kind: 'override', value: 'platinum' }, ADMIN))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(grantEntitlement(USER_ID, { feature: 'plan', kind: 'addon', value: 1 }, ADMIN))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('quota past the limit', () => {
+  const limit = PLANS.pro.features.videosPerMonth;
+  let subscriptions;
+  let usages;
+  let credits;
+
+  beforeEach(async () => {
+    memoryModel(models.User, [{
+      id: USER_ID,
+      email: 'creator@example.com',
+      password: 'hashed',
+      firstName: 'Casey',
+      lastName: 'Creator',
+      plan: 'pro'
+    }]);
+    subscriptions = memoryModel(models.Subscription, [{
+      userId: USER_ID,
+      plan: 'pro',
+      status: 'active',
+      stripeSubscriptionId: 'sub_test',
+      currentPeriodEnd: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+    }]);
+    memoryModel(models.EntitlementGrant);
+    usages = memoryModel(models.Usage);
+    credits = memoryModel(models.CreditTransaction);
+    memoryTransactions();
+
+    await models.Usage.recordUsage(USER_ID, 'video_generation', limit);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const balance = () => models.CreditTransaction.getBalance(USER_ID, 'video_generation');
+  const enableOverage = () => {
+    const [row] = subscriptions.rows({ userId: USER_ID });
+    Object.assign(row, { overageEnabled: true, stripeOverageItemId: 'si_overage' });
+  };
+
+  it('refuses usage past the quota without credits or overage', async () => {
+    await expect(reserveQuota(USER_ID, 'video_generation')).rejects.toMatchObject({ statusCode: 403 });
+    expect(usages.rows({ userId: USER_ID })[0].amount).toBe(limit);
+  });
+
+  it('spends a credit past the quota and gives it back on release', async () => {
+    await models.CreditTransaction.create({ userId: USER_ID, type: 'video_generation', amount: 2, reason: 'purchase', reference: 'cs_test' });
+
+    const reservation = await reserveQuota(USER_ID, 'video_generation');
+
+    expect(reservation).toMatchObject({ credits: 1, overage: 0 });
+    expect(await balance()).toBe(1);
+
+    await releaseQuota(reservation);
+
+    expect(await balance()).toBe(2);
+    expect(credits.rows({ reason: 'refund' })).toEqual([expect.objectContaining({ amount: 1 })]);
+    expect(usages.rows({ userId: USER_ID })[0].amount).toBe(limit);
+  });
+
+  it('bills the rest as overage once the credits run out, and schedules its report', async () => {
+    enableOverage();
+    await models.CreditTransaction.create({ userId: USER_ID, type: 'video_generation', amount: 1, reason: 'purchase', reference: 'cs_test' });
+
+    const reservation = await reserveQuota(USER_ID, 'video_generation', { amount: 3 });
+
+    expect(reservation).toMatchObject({ credits: 1, overage: 2 });
+    expect(usages.rows({ userId: USER_ID })[0]).toMatchObject({ amount: limit + 3, overage: 2 });
+    expect(scheduleOverageReport).toHaveBeenCalledWith({ id: reservation.usageId, userId: USER_ID });
+  });
+
+  it('drops unreported overage on release, and returns overage already billed as credits', async () => {
+    enableOverage();
+    const unreported = await reserveQuota(USER_ID, 'video_generation');
+    const billed = await reserveQuota(USER_ID, 'video_generation');
+    await models.Usage.update({ overageReported: 2 }, { where: { id: billed.usageId } });
+
+    await releaseQuota(unreported);
+    expect(usages.get(billed.usageId)).toMatchObject({ overage: 1, overageReported: 1 });
+    expect(await balance()).toBe(1);
+
+    await releaseQuota(billed);
+    expect(usages.get(billed.usageId)).toMatchObject({ amount: limit, overage: 0, overageReported: 0 });
+    expect(await balance()).toBe(2);
+  });
+});
@@ -0,0 +1,146 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize, models } = require('../../config/database');
+
+// Backs Sequelize models with in-memory tables for the specs. The models are
+// the real ones (defaults, instance and class methods), only the queries are
+// replaced; `where` supports equality, arrays and the operators the services
+// use. Restore with jest.restoreAllMocks().
+
+const matchValue = (value, condition) => {
+  if (Array.isArray(condition)) return condition.includes(value);
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    return Reflect.ownKeys(condition).every((op) => {
+      const operand = condition[op];
+      switch (op) {
+        case Op.eq: return value === operand;
+        case Op.ne: return value !== operand;
+        case Op.in: return operand.includes(value);
+        case Op.notIn: return !operand.includes(value);
+        case Op.lt: return value < operand;
+        case Op.lte: return value <= operand;
+        case Op.gt: return value > operand;
+        case Op.gte: return value >= operand;
+        case Op.is: return value === operand || (operand === null && value === undefined);
+        default: throw new Error(`memorymodels: unsupported operator ${String(op)}`);
+      }
+    });
+  }
+  if (value instanceof Date && condition instanceof Date) return value.getTime() === condition.getTime();
+  return (value ?? null) === condition;
+};
+
+const matches = (row, where = {}) => {
+  return Reflect.ownKeys(where).every((key) => {
+    if (key === Op.or) return where[key].some(clause => matches(row, clause));
+    if (key === Op.and) return where[key].every(clause => matches(row, clause));
+    return matchValue(row[key], where[key]);
+  });
+};
+
+// sequelize.literal('attempts + 1') and sequelize.fn('GREATEST', col, n)
+const resolveValue = (row, value) => {
+  if (value?.constructor?.name === 'Literal') {
+    const [, column, amount] = /^"?(\w+)"?\s*\+\s*(\d+)$/.exec(value.val) || [];
+    if (!column) throw new Error(`memorymodels: unsupported literal ${value.val}`);
+    return (row[column] || 0) + Number(amount);
+  }
+  if (value?.constructor?.name === 'Fn' && value.fn === 'GREATEST') {
+    return Math.max(...value.args.map(arg => (arg?.col ? row[arg.col] : arg)));
+  }
+  return value;
+};
+
+const memoryModel = (Model, rows = []) => {
+  const table = new Map();
+  const pk = Model.primaryKeyAttribute;
+
+  const instance = (row) => Model.build({ ...row }, { isNewRecord: false, raw: true });
+  const find = (where) => [...table.values()].filter(row => matches(row, where));
+
+  // Unique columns and unique indexes, enforced when all their values are set
+  const uniqueKeys = [
+    ...Object.values(Model.rawAttributes).filter(attribute => attribute.unique === true).map(attribute => [attribute.field]),
+    ...(Model.options.indexes || []).filter(index => index.unique).map(index => index.fields)
+  ];
+
+  const insert = (values) => {
+    const record = Model.build(values);
+    const row = record.get({ plain: true });
+    const duplicate = uniqueKeys.some(fields => fields.every(field => row[field] != null) &&
+      find(Object.fromEntries(fields.map(field => [field, row[field]]))).length > 0);
+    if (duplicate) {
+      throw new UniqueConstraintError({ message: `memorymodels: duplicate ${Model.name}` });
+    }
+    table.set(record.get(pk), { ...record.get({ plain: true }) });
+    return instance(table.get(record.get(pk)));
+  };
+
+  rows.forEach(insert);
+
+  jest.spyOn(Model, 'findOne').mockImplementation(async ({ where } = {}) => {
+    const [row] = find(where);
+    return row ? instance(row) : null;
+  });
+  jest.spyOn(Model, 'findByPk').mockImplementation(async (id) => {
+    return table.has(id) ? instance(table.get(id)) : null;
+  });
+  jest.spyOn(Model, 'findAll').mockImplementation(async ({ where } = {}) => find(where).map(instance));
+  jest.spyOn(Model, 'count').mockImplementation(async ({ where } = {}) => find(where).length);
+  jest.spyOn(Model, 'sum').mockImplementation(async (column, { where } = {}) => {
+    const matched = find(where);
+    return matched.length > 0 ? matched.reduce((total, row) => total + row[column], 0) : null;
+  });
+  jest.spyOn(Model, 'create').mockImplementation(async (values) => insert(values));
+  jest.spyOn(Model, 'bulkCreate').mockImplementation(async (list) => list.map(insert));
+  jest.spyOn(Model, 'findOrCreate').mockImplementation(async ({ where, defaults }) => {
+    const [row] = find(where);
+    return row ? [instance(row), false] : [insert({ ...where, ...defaults }), true];
+  });
+  jest.spyOn(Model, 'update').mockImplementation(async (values, { where }) => {
+    const matched = find(where);
+    for (const row of matched) {
+      for (const [key, value] of Object.entries(values)) {
+        row[key] = resolveValue(row, value);
+      }
+      row.updatedAt = new Date();
+    }
+    return [matched.length];
+  });
+  jest.spyOn(Model, 'destroy').mockImplementation(async ({ where }) => {
+    const matched = find(where);
+    matched.forEach(row => table.delete(row[pk]));
+    return matched.length;
+  });
+
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+    this.isNewRecord = false;
+    table.set(this.get(pk), { ...table.get(this.get(pk)), ...this.get({ plain: true }), updatedAt: new Date() });
+    return this;
+  });
+  jest.spyOn(Model.prototype, 'reload').mockImplementation(async function() {
+    const row = table.get(this.get(pk));
+    if (row) this.set({ ...row }, { raw: true });
+    return this;
+  });
+  jest.spyOn(Model.prototype, 'destroy').mockImplementation(async function() {
+    table.delete(this.get(pk));
+  });
+
+  return {
+    table,
+    rows: (where) => find(where),
+    get: (id) => table.get(id)
+  };
+};
+
+// Runs sequelize.transaction callbacks straight away (the memory tables
+// have no isolation to give) and makes the quota lock a no-op
+const memoryTransactions = () => {
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async (...args) => args[args.length - 1]({}));
+  jest.spyOn(models.Usage, 'lockQuota').mockResolvedValue();
+};
+
+module.exports = {
+  memoryModel,
+  memoryTransactions
+};
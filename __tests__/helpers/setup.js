@@ -0,0 +1,3 @@
+// Runs before every spec: keeps the winston logger (and its log files) out of
+// the test run
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
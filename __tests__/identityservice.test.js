@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+const { IdentityService } = require('../services/identityservice');
+
+const ISSUER = 'https://issuer.example.com';
+const AUDIENCE = 'influencore-web';
+
+const signingKey = (kid) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' } };
+};
+
+const idToken = (key, claims = {}, options = {}) => jwt.sign({
+  sub: 'oidc-user-1',
+  email: 'Creator@Example.com',
+  email_verified: true,
+  name: 'Casey Creator',
+  ...claims
+}, key.privateKey, { algorithm: 'RS256', keyid: key.kid, issuer: ISSUER, audience: AUDIENCE, expiresIn: '5m', ...options });
+
+describe('IdentityService.verifyIdToken', () => {
+  const first = signingKey('key-1');
+  const second = signingKey('key-2');
+
+  // A local JWKS endpoint serving whichever keys the test publishes
+  let published;
+  let server;
+  let jwksUri;
+  let fetches;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      fetches++;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ keys: published.map(key => key.jwk) }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    jwksUri = `http://127.0.0.1:${server.address().port}/.well-known/jwks.json`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  let service;
+
+  beforeEach(() => {
+    published = [first];
+    fetches = 0;
+    service = new IdentityService();
+    service.registerProvider('test', { issuer: ISSUER, audience: AUDIENCE, jwksUri });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a token signed with a published key', async () => {
+    const identity = await service.verifyIdToken('test', idToken(first));
+
+    expect(identity).toMatchObject({
+      provider: 'test',
+      providerUserId: 'oidc-user-1',
+      email: 'creator@example.com',
+      emailVerified: true,
+      name: 'Casey Creator'
+    });
+    expect(fetches).toBe(1);
+  });
+
+  it('caches the keys between tokens', async () => {
+    await service.verifyIdToken('test', idToken(first));
+    await service.verifyIdToken('test', idToken(first, { sub: 'oidc-user-2' }));
+
+    expect(fetches).toBe(1);
+  });
+
+  it.each([
+    ['audience', { audience: 'someone-else' }, /jwt audience invalid/],
+    ['issuer', { issuer: 'https://evil.example.com' }, /jwt issuer invalid/]
+  ])('rejects a token for another %s', async (_, options, message) => {
+    await expect(service.verifyIdToken('test', idToken(first, {}, options))).rejects.toMatchObject({
+      statusCode: 401,
+      message: expect.stringMatching(message)
+    });
+  });
+
+  it('rejects an expired token', async () => {
+    const expired = idToken(first, { iat: Math.floor(Date.now() / 1000) - 600 }, { expiresIn: '5m' });
+
+    await expect(service.verifyIdToken('test', expired)).rejects.toMatchObject({
+      statusCode: 401,
+      message: expect.stringMatching(/jwt expired/)
+    });
+  });
+
+  it('rejects a token signed by a key that is not published', async () => {
+    const stranger = signingKey('key-1');
+
+    await expect(service.verifyIdToken('test', idToken(stranger))).rejects.toMatchObject({
+      statusCode: 401,
+      message: expect.stringMatching(/invalid signature/)
+    });
+  });
+
+  it('refetches the keys when a token names a new kid', async () => {
+    await service.verifyIdToken('test', idToken(first));
+
+    published = [first, second];
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 60 * 1000);
+
+    const identity = await service.verifyIdToken('test', idToken(second));
+
+    expect(identity.providerUserId).toBe('oidc-user-1');
+    expect(fetches).toBe(2);
+  });
+
+  it('does not refetch for unknown kids more than once in a short while', async () => {
+    await service.verifyIdToken('test', idToken(first));
+    published = [first, second];
+
+    await expect(service.verifyIdToken('test', idToken(second))).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'ID token was signed with an unknown key'
+    });
+    expect(fetches).toBe(1);
+  });
+
+  it('rejects a token for an unknown provider', async () => {
+    await expect(service.verifyIdToken('nope', idToken(first))).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('IdentityService providers', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('registers the OIDC provider only with a client id to check the audience against', () => {
+    Object.assign(process.env, { OIDC_ISSUER: ISSUER, OIDC_JWKS_URL: `${ISSUER}/jwks.json` });
+    delete process.env.OIDC_CLIENT_ID;
+    expect(new IdentityService().getProviderNames()).not.toContain('oidc');
+
+    process.env.OIDC_CLIENT_ID = AUDIENCE;
+    expect(new IdentityService().getProviderNames()).toContain('oidc');
+  });
+
+  it('refuses a provider without an audience', () => {
+    expect(() => new IdentityService().registerProvider('test', { issuer: ISSUER, jwksUri: `${ISSUER}/jwks.json` }))
+      .toThrow('needs an audience');
+  });
+});
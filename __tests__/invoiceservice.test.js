@@ -0,0 +1,116 @@
+const { models } = require('../config/database');
+const { InvoiceService } = require('../services/invoiceservice');
+const { loadFixture } = require('../scripts/replay-stripe-events');
+const { memoryModel } = require('./helpers/memorymodels');
+
+const USER_ID = '4e6a8c0d-2f4b-4e6a-8c0d-2f4b6e8a0c2d';
+const OTHER_USER_ID = '5f7b9d1e-3a5c-4f7b-9d1e-3a5c7f9b1d3e';
+const VALUES = { customerId: 'cus_test', subscriptionId: 'sub_test' };
+
+const stripeObject = (name, values = VALUES) => loadFixture(name, values).data.object;
+
+describe('InvoiceService', () => {
+  let service;
+  let invoices;
+
+  beforeEach(() => {
+    service = new InvoiceService();
+    memoryModel(models.User, [{
+      id: USER_ID,
+      email: 'creator@example.com',
+      password: 'hashed',
+      firstName: 'Casey',
+      lastName: 'Creator',
+      stripeCustomerId: 'cus_test'
+    }]);
+    memoryModel(models.Subscription, [{ userId: USER_ID, plan: 'starter', status: 'active', stripeSubscriptionId: 'sub_test' }]);
+    invoices = memoryModel(models.Invoice);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('sync', () => {
+    it('keeps a copy of the customer\'s invoice', async () => {
+      const invoice = await service.record(stripeObject('invoice.paid'));
+
+      expect(invoice).toMatchObject({
+        userId: USER_ID,
+        stripeInvoiceId: 'in_fixture_paid',
+        stripeSubscriptionId: 'sub_test',
+        number: 'FIXTURE-0001',
+        status: 'paid',
+        total: 2900,
+        amountPaid: 2900,
+        tax: 0,
+        paidAt: new Date(1767225600 * 1000)
+      });
+      expect(invoice.lines).toEqual([expect.objectContaining({
+        quantity: 1,
+        amount: 2900,
+        periodStart: new Date(1767225600 * 1000),
+        proration: false
+      })]);
+    });
+
+    it('finds the user through the subscription when the customer is unknown', async () => {
+      const invoice = await service.record(stripeObject('invoice.paid', { ...VALUES, customerId: 'cus_other' }));
+
+      expect(invoice.userId).toBe(USER_ID);
+    });
+
+    it('skips invoices of unknown customers', async () => {
+      await expect(service.record(stripeObject('invoice.paid', { customerId: 'cus_other', subscriptionId: 'sub_other' })))
+        .resolves.toBeNull();
+      expect(invoices.table.size).toBe(0);
+    });
+
+    it('does not move a paid invoice back to open when events arrive out of order', async () => {
+      await service.record(stripeObject('invoice.finalized'));
+      await service.record(stripeObject('invoice.paid'));
+      const invoice = await service.record(stripeObject('invoice.finalized'));
+
+      expect(invoice).toMatchObject({ status: 'paid', amountPaid: 2900 });
+      expect(invoices.table.size).toBe(1);
+    });
+
+    it('keeps the largest refunded total', async () => {
+      await service.record(stripeObject('invoice.paid'));
+      const charge = stripeObject('charge.refunded');
+
+      await service.recordRefund({ ...charge, amount_refunded: 2900 });
+      await service.recordRefund(charge);
+
+      expect(invoices.rows({ stripeInvoiceId: 'in_fixture_paid' })[0].amountRefunded).toBe(2900);
+    });
+  });
+
+  describe('receipts', () => {
+    it('renders a branded PDF of a paid invoice', async () => {
+      const invoice = await service.record(stripeObject('invoice.paid'));
+      await service.recordRefund(stripeObject('charge.refunded'));
+
+      const { filename, pdf } = await service.receipt(USER_ID, invoice.id);
+      const text = pdf.toString('latin1');
+
+      expect(filename).toBe('receipt-FIXTURE-0001.pdf');
+      expect(text.startsWith('%PDF-1.4')).toBe(true);
+      expect(text).toContain('(Fixture Customer) Tj');
+      expect(text).toContain('($29.00) Tj');
+      expect(text).toContain('(-$10.00) Tj');
+    });
+
+    it('has no receipt for an unpaid invoice', async () => {
+      const invoice = await service.record(stripeObject('invoice.finalized'));
+
+      await expect(service.receipt(USER_ID, invoice.id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('does not show one user\'s invoice to another', async () => {
+      const invoice = await service.record(stripeObject('invoice.paid'));
+
+      await expect(service.receipt(OTHER_USER_ID, invoice.id)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
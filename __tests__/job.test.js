@@ -0,0 +1,59 @@
+const { sequelize, models } = require('../config/database');
+const { memoryModel } = require('./helpers/memorymodels');
+
+describe('Job', () => {
+  let jobs;
+
+  const leased = (fields = {}) => models.Job.create({
+    type: 'render',
+    status: 'running',
+    attempts: 1,
+    maxAttempts: 3,
+    leasedBy: 'worker-a',
+    leaseExpiresAt: new Date(Date.now() + 60000),
+    ...fields
+  });
+
+  beforeEach(() => {
+    jobs = memoryModel(models.Job);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('completes a job it still holds the lease on', async () => {
+    const job = await leased();
+
+    await expect(job.complete({ ok: true })).resolves.toBe(true);
+    expect(jobs.get(job.id)).toMatchObject({ status: 'completed', result: { ok: true }, leasedBy: null });
+  });
+
+  it('leaves a job alone once another worker has taken it over', async () => {
+    const job = await leased();
+    await models.Job.update({ leasedBy: 'worker-b', attempts: 2 }, { where: { id: job.id } });
+
+    await expect(job.complete()).resolves.toBe(false);
+    await expect(job.fail(new Error('boom'))).resolves.toBeNull();
+    expect(jobs.get(job.id)).toMatchObject({ status: 'running', leasedBy: 'worker-b', attempts: 2 });
+    expect(jobs.get(job.id).lastError).toBeFalsy();
+  });
+
+  it('re-queues a failed job, or dead-letters it on its last attempt', async () => {
+    const retried = await leased();
+    const last = await leased({ attempts: 3 });
+
+    await expect(retried.fail(new Error('boom'))).resolves.toBe('queued');
+    await expect(last.fail(new Error('boom'))).resolves.toBe('dead');
+    expect(jobs.get(retried.id)).toMatchObject({ status: 'queued', lastError: 'boom', leasedBy: null });
+    expect(jobs.get(retried.id).runAt.getTime()).toBeGreaterThan(Date.now());
+    expect(jobs.get(last.id).status).toBe('dead');
+  });
+
+  it('leases nothing for an empty list of types', async () => {
+    const query = jest.spyOn(sequelize, 'query');
+
+    await expect(models.Job.lease('worker-a', 5, 60000, [])).resolves.toEqual([]);
+    expect(query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+const { models } = require('../config/database');
+const { OverageService } = require('../services/overageservice');
+const { memoryModel, memoryTransactions } = require('./helpers/memorymodels');
+
+const USER_ID = '4e6a8c0e-2b4d-4f6a-8c0e-2b4d6f8a0c2e';
+
+describe('OverageService.report', () => {
+  let stripe;
+  let service;
+  let usages;
+
+  beforeEach(() => {
+    stripe = { subscriptionItems: { createUsageRecord: jest.fn().mockResolvedValue({}) } };
+    service = new OverageService(stripe, { registerHandler: jest.fn(), enqueue: jest.fn() });
+
+    usages = memoryModel(models.Usage);
+    memoryModel(models.Subscription, [{
+      userId: USER_ID,
+      plan: 'pro',
+      status: 'active',
+      stripeSubscriptionId: 'sub_test',
+      overageEnabled: true,
+      stripeOverageItemId: 'si_overage'
+    }]);
+    memoryTransactions();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const usageWithOverage = (overage, overageReported = 0) => models.Usage.create({
+    userId: USER_ID,
+    type: 'video_generation',
+    amount: 12,
+    period: '2026-10',
+    overage,
+    overageReported
+  });
+
+  it('reports the unreported overage to the metered item once', async () => {
+    const usage = await usageWithOverage(3);
+
+    await expect(service.report({ usageId: usage.id })).resolves.toEqual({ reported: 3 });
+    await expect(service.report({ usageId: usage.id })).resolves.toEqual({ skipped: true });
+
+    expect(stripe.subscriptionItems.createUsageRecord).toHaveBeenCalledTimes(1);
+    expect(stripe.subscriptionItems.createUsageRecord).toHaveBeenCalledWith(
+      'si_overage',
+      expect.objectContaining({ quantity: 3, action: 'increment' }),
+      { idempotencyKey: `overage-${usage.id}-0-3` }
+    );
+    expect(usages.get(usage.id).overageReported).toBe(3);
+  });
+
+  it('reports only what was added since the last report', async () => {
+    const usage = await usageWithOverage(5, 3);
+
+    await expect(service.report({ usageId: usage.id })).resolves.toEqual({ reported: 2 });
+    expect(stripe.subscriptionItems.createUsageRecord).toHaveBeenCalledWith(
+      'si_overage',
+      expect.objectContaining({ quantity: 2 }),
+      { idempotencyKey: `overage-${usage.id}-3-5` }
+    );
+  });
+
+  it('reports nothing for overage given back before the report ran', async () => {
+    const usage = await usageWithOverage(2);
+    await models.Usage.update({ overage: 0 }, { where: { id: usage.id } });
+
+    await expect(service.report({ usageId: usage.id })).resolves.toEqual({ skipped: true });
+    expect(stripe.subscriptionItems.createUsageRecord).not.toHaveBeenCalled();
+  });
+
+  it('keeps the overage unreported without a metered item', async () => {
+    const usage = await usageWithOverage(2);
+    await models.Subscription.update({ stripeOverageItemId: null }, { where: { userId: USER_ID } });
+
+    await expect(service.report({ usageId: usage.id })).resolves.toEqual({ skipped: true });
+    expect(usages.get(usage.id).overageReported).toBe(0);
+  });
+
+  it('leaves the overage unreported when Stripe fails, so the retry reports it', async () => {
+    const usage = await usageWithOverage(2);
+    stripe.subscriptionItems.createUsageRecord.mockRejectedValueOnce(new Error('Stripe is down'));
+
+    await expect(service.report({ usageId: usage.id })).rejects.toThrow('Stripe is down');
+    expect(usages.get(usage.id).overageReported).toBe(0);
+
+    await expect(service.report({ usageId: usage.id })).resolves.toEqual({ reported: 2 });
+  });
+});
@@ -0,0 +1,45 @@
+const { PdfDocument, textWidth, wrapText } = require('../utils/pdf');
+
+// Offsets of the objects as listed in the file's cross-reference table
+const xref = (text) => {
+  const table = text.slice(text.lastIndexOf('\nxref\n'));
+  return [...table.matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+};
+
+describe('pdf', () => {
+  it('measures text with the Helvetica metrics', () => {
+    expect(textWidth('Hi', 10)).toBeCloseTo(9.44);
+    expect(textWidth('Hi', 10, 'bold')).toBeCloseTo(10);
+  });
+
+  it('wraps text to the width it is given', () => {
+    const lines = wrapText('Pro plan, billed monthly, with unlimited video generation', 120, 10);
+
+    expect(lines.length).toBeGreaterThan(1);
+    expect(lines.join(' ')).toBe('Pro plan, billed monthly, with unlimited video generation');
+    lines.forEach(line => expect(textWidth(line, 10)).toBeLessThanOrEqual(120));
+    expect(wrapText('', 120, 10)).toEqual(['']);
+  });
+
+  it('writes a file whose cross-reference table points at each object', () => {
+    const doc = new PdfDocument({ title: 'Receipt' });
+    doc.text('First page', 50, 50).addPage().text('Second page', 50, 50);
+    const text = doc.toBuffer().toString('latin1');
+
+    const offsets = xref(text);
+    expect(offsets).toHaveLength(9);
+    offsets.forEach((offset, index) => {
+      expect(text.startsWith(`${index + 1} 0 obj`, offset)).toBe(true);
+    });
+    expect(text).toContain('/Count 2');
+    expect(text).toContain(`startxref\n${text.lastIndexOf('\nxref\n') + 1}\n`);
+  });
+
+  it('escapes text and prints characters outside WinAnsi as ?', () => {
+    const doc = new PdfDocument();
+    doc.text('Refund (partial) \\ €5 ✓', 50, 50);
+    const text = doc.toBuffer().toString('latin1');
+
+    expect(text).toContain('(Refund \\(partial\\) \\\\ \x805 ?) Tj');
+  });
+});
@@ -0,0 +1,55 @@
+const { PromotionService } = require('../services/promotionservice');
+
+const promotionCode = (coupon, fields = {}) => ({ id: 'promo_test', code: 'LAUNCH20', coupon: { valid: true, duration: 'once', ...coupon }, ...fields });
+
+describe('PromotionService', () => {
+  let stripe;
+  let service;
+
+  beforeEach(() => {
+    stripe = { promotionCodes: { list: jest.fn() } };
+    service = new PromotionService(stripe);
+  });
+
+  it('resolves an active code, looked up as typed without surrounding spaces', async () => {
+    stripe.promotionCodes.list.mockResolvedValue({ data: [promotionCode({ percent_off: 20, name: 'Launch' })] });
+
+    await expect(service.resolve(' LAUNCH20 ')).resolves.toEqual({
+      id: 'promo_test',
+      code: 'LAUNCH20',
+      name: 'Launch',
+      percentOff: 20,
+      amountOff: null,
+      currency: null,
+      duration: 'once',
+      durationInMonths: null
+    });
+    expect(stripe.promotionCodes.list).toHaveBeenCalledWith({ code: 'LAUNCH20', active: true, limit: 1 });
+  });
+
+  it('rejects an unknown code, or one whose coupon is no longer valid', async () => {
+    stripe.promotionCodes.list.mockResolvedValueOnce({ data: [] });
+    await expect(service.resolve('NOPE')).rejects.toMatchObject({ statusCode: 400 });
+
+    stripe.promotionCodes.list.mockResolvedValueOnce({ data: [promotionCode({ valid: false, percent_off: 20 })] });
+    await expect(service.resolve('LAUNCH20')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('answers 502 when Stripe cannot be asked', async () => {
+    stripe.promotionCodes.list.mockRejectedValue(new Error('Stripe is down'));
+
+    await expect(service.resolve('LAUNCH20')).rejects.toMatchObject({ statusCode: 502 });
+  });
+
+  it('discounts prices by percentage or amount, never below zero', () => {
+    expect(service.applyTo(29, { percentOff: 20 })).toBe(23.2);
+    expect(service.applyTo(29, { amountOff: 500 })).toBe(24);
+    expect(service.applyTo(29, { amountOff: 5000 })).toBe(0);
+    expect(service.applyTo(0, { percentOff: 20 })).toBe(0);
+  });
+
+  it('applies a given code at checkout, or lets the customer enter one', () => {
+    expect(service.checkoutParams({ id: 'promo_test' })).toEqual({ discounts: [{ promotion_code: 'promo_test' }] });
+    expect(service.checkoutParams(null)).toEqual({ allow_promotion_codes: true });
+  });
+});
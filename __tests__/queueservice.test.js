@@ -0,0 +1,53 @@
+const { JobQueueService } = require('../services/queueservice');
+
+describe('JobQueueService.run', () => {
+  const leasedJob = (held) => ({
+    id: 'job-1',
+    type: 'render',
+    attempts: 1,
+    maxAttempts: 3,
+    heartbeat: jest.fn().mockResolvedValue(held),
+    complete: jest.fn().mockResolvedValue(true),
+    fail: jest.fn().mockResolvedValue('queued')
+  });
+
+  // A handler that runs until its signal aborts
+  const untilAborted = jest.fn((job, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason));
+  }));
+
+  let queue;
+
+  beforeEach(() => {
+    queue = new JobQueueService({ workerId: 'worker-a', leaseMs: 30 });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('stops the handler once a heartbeat finds the lease lost, and records nothing', async () => {
+    const job = leasedJob(false);
+    queue.registerHandler('render', untilAborted);
+
+    await queue.run(job);
+
+    const [, { signal }] = untilAborted.mock.calls[0];
+    expect(signal.aborted).toBe(true);
+    expect(job.complete).not.toHaveBeenCalled();
+    expect(job.fail).not.toHaveBeenCalled();
+  });
+
+  it('lets the handler finish while the lease is held', async () => {
+    const job = leasedJob(true);
+    queue.registerHandler('render', async (leased, { signal }) => {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      return { aborted: signal.aborted };
+    });
+
+    await queue.run(job);
+
+    expect(job.heartbeat).toHaveBeenCalled();
+    expect(job.complete).toHaveBeenCalledWith({ aborted: false });
+  });
+});
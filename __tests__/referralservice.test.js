@@ -0,0 +1,83 @@
+const { UniqueConstraintError } = require('sequelize');
+
+jest.mock('../services/auditservice', () => ({ recordAudit: jest.fn() }));
+jest.mock('../services/realtimeservice', () => ({ realtime: { emitBillingUpdate: jest.fn() } }));
+
+const { models } = require('../config/database');
+const { ReferralService } = require('../services/referralservice');
+const { memoryModel, memoryTransactions } = require('./helpers/memorymodels');
+
+const REFERRER_ID = '1a3c5e7a-9c1e-4a3c-8e5a-7c9e1a3c5e7a';
+const REFERRED_ID = '2b4d6f8b-0d2f-4b4d-9f6b-8d0f2b4d6f8b';
+
+const account = (id, fields = {}) => ({
+  id,
+  email: `${id.slice(0, 8)}@example.com`,
+  password: 'hashed',
+  firstName: 'Casey',
+  lastName: 'Creator',
+  ...fields
+});
+
+describe('ReferralService', () => {
+  let service;
+  let referrals;
+  let credits;
+
+  beforeEach(() => {
+    service = new ReferralService();
+    memoryModel(models.User, [account(REFERRER_ID, { referralCode: 'ABCD2345' }), account(REFERRED_ID)]);
+    referrals = memoryModel(models.Referral);
+    credits = memoryModel(models.CreditTransaction);
+    memoryTransactions();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const balance = (userId) => models.CreditTransaction.getBalance(userId, 'video_generation');
+
+  it('finds the referrer by a code typed in any case', async () => {
+    await expect(service.findReferrer(' abcd2345 ')).resolves.toMatchObject({ id: REFERRER_ID });
+  });
+
+  it('makes a user\'s code once, trying again on a clash', async () => {
+    const user = await models.User.findByPk(REFERRED_ID);
+    jest.spyOn(user, 'save').mockRejectedValueOnce(new UniqueConstraintError({}));
+
+    const code = await service.getCode(user);
+
+    expect(code).toMatch(/^[A-HJ-NP-Z2-9]{8}$/);
+    await expect(service.getCode(user)).resolves.toBe(code);
+  });
+
+  describe('rewards', () => {
+    beforeEach(async () => {
+      const referrer = await models.User.findByPk(REFERRER_ID);
+      const user = await models.User.findByPk(REFERRED_ID);
+      await service.record(referrer, user, 'abcd2345');
+    });
+
+    it('credits both sides on the referred user\'s first payment', async () => {
+      const referral = await service.reward(REFERRED_ID, 'in_first');
+
+      expect(referral).toMatchObject({ status: 'rewarded', rewardReference: 'in_first', code: 'ABCD2345' });
+      expect(await balance(REFERRER_ID)).toBe(5);
+      expect(await balance(REFERRED_ID)).toBe(5);
+    });
+
+    it('rewards once for payments that arrive together or later', async () => {
+      await Promise.all([service.reward(REFERRED_ID, 'in_first'), service.reward(REFERRED_ID, 'cs_pack')]);
+      await expect(service.reward(REFERRED_ID, 'in_second')).resolves.toBeNull();
+
+      expect(credits.rows({ reason: 'referral' })).toHaveLength(2);
+      expect(await balance(REFERRER_ID)).toBe(5);
+    });
+
+    it('rewards nothing for users who were not referred', async () => {
+      await expect(service.reward(REFERRER_ID, 'in_first')).resolves.toBeNull();
+      expect(referrals.rows({ status: 'rewarded' })).toHaveLength(0);
+    });
+  });
+});
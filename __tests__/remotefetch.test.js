@@ -0,0 +1,30 @@
+const { isPrivateAddress, assertPublicUrl, fetchImage } = require('../utils/remotefetch');
+
+describe('remotefetch', () => {
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'not-an-ip'
+  ])('treats %s as private', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111'])('treats %s as public', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+
+  it('only accepts https URLs', () => {
+    expect(() => assertPublicUrl('http://example.com/a.png')).toThrow('Only https URLs');
+    expect(() => assertPublicUrl('file:///etc/passwd')).toThrow('Only https URLs');
+    expect(() => assertPublicUrl('nonsense')).toThrow('Invalid URL');
+    expect(assertPublicUrl('https://example.com/a.png').hostname).toBe('example.com');
+  });
+
+  it('rejects private IP literals up front', () => {
+    expect(() => assertPublicUrl('https://169.254.169.254/latest/meta-data')).toThrow('private address');
+    expect(() => assertPublicUrl('https://[::1]/a.png')).toThrow('private address');
+  });
+
+  it('refuses to connect to a host name that resolves to a private address', async () => {
+    await expect(fetchImage('https://localhost/a.png')).rejects.toThrow('resolves to a private address');
+  });
+});
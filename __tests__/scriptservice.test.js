@@ -0,0 +1,242 @@
+const { models } = require('../config/database');
+const { ScriptGenerationService } = require('../services/scriptservice');
+
+const completion = (content, usage = { prompt_tokens: 120, completion_tokens: 80, total_tokens: 200 }) => ({
+  model: 'gpt-test',
+  choices: [{ message: { content: typeof content === 'string' ? content : JSON.stringify(content) } }],
+  usage
+});
+
+const apiError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+// A chat.completions client that answers from a queue of results (a value
+// to resolve with, or an Error to throw)
+const fakeClient = (...results) => {
+  const create = jest.fn(async () => {
+    const result = results.shift();
+    if (result instanceof Error) throw result;
+    return result;
+  });
+  return { chat: { completions: { create } } };
+};
+
+// A streamed completion, one chunk per piece of text
+const streamOf = (pieces) => ({
+  async *[Symbol.asyncIterator]() {
+    for (const text of pieces) {
+      yield { model: 'gpt-test', choices: [{ delta: { content: text } }] };
+    }
+    yield { model: 'gpt-test', choices: [], usage: { prompt_tokens: 50, completion_tokens: 40, total_tokens: 90 } };
+  }
+});
+
+describe('ScriptGenerationService', () => {
+  let recordAiUsage;
+
+  beforeEach(() => {
+    recordAiUsage = jest.spyOn(models.Usage, 'recordAiUsage').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('JSON sections', () => {
+    it('assembles the sections in template order with the title and token usage', async () => {
+      const client = fakeClient(completion({
+        title: 'Launch Day',
+        sections: {
+          cta: 'Sign up today.',
+          hook: 'Tired of slow edits?',
+          problem: 'Editing eats your week.',
+          solution: 'Our app cuts it to minutes.',
+          benefits: 'More posts, less stress.'
+        }
+      }));
+      const service = new ScriptGenerationService({ client });
+
+      const script = await service.generateScript('Video editing app launch', { category: 'marketing', userId: 'user-1' });
+
+      expect(script.title).toBe('Launch Day');
+      expect(script.content).toBe([
+        'Tired of slow edits?',
+        'Editing eats your week.',
+        'Our app cuts it to minutes.',
+        'More posts, less stress.',
+        'Sign up today.'
+      ].join('\n\n'));
+      expect(script.metadata).toMatchObject({
+        model: 'gpt-test',
+        attempts: 1,
+        usage: { promptTokens: 120, completionTokens: 80, totalTokens: 200 }
+      });
+      expect(client.chat.completions.create).toHaveBeenCalledWith(
+        expect.objectContaining({ response_format: { type: 'json_object' } }),
+        expect.anything()
+      );
+    });
+
+    it('rejects a completion without any of the sections', () => {
+      const service = new ScriptGenerationService({ client: fakeClient() });
+
+      expect(() => service.parseCompletion(completion({ title: 'x', sections: { other: 'text' } }), ['hook']))
+        .toThrow('missing script sections');
+      expect(() => service.parseCompletion(completion('not json'), ['hook'])).toThrow('invalid JSON');
+    });
+
+    it('falls back to the template script when OpenAI keeps failing', async () => {
+      const service = new ScriptGenerationService({ client: fakeClient(apiError(400)) });
+
+      const script = await service.generateScript('Morning routines', { userId: 'user-1' });
+
+      expect(script.metadata.model).toBe('fallback');
+      expect(script.content).toContain('Morning routines');
+    });
+  });
+
+  describe('withRetries', () => {
+    const valid = completion({ title: 'T', sections: { introduction: 'Hi.', body: 'Body.', conclusion: 'Bye.' } });
+
+    it.each([429, 500, 503])('retries after a %i', async (status) => {
+      jest.useFakeTimers();
+      const client = fakeClient(apiError(status), valid);
+      const service = new ScriptGenerationService({ client });
+
+      const pending = service.generateWithOpenAI('Topic', { category: 'general' });
+      await jest.advanceTimersByTimeAsync(1000);
+      const script = await pending;
+
+      expect(client.chat.completions.create).toHaveBeenCalledTimes(2);
+      expect(script.metadata.attempts).toBe(2);
+    });
+
+    it('retries invalid JSON as well', async () => {
+      jest.useFakeTimers();
+      const client = fakeClient(completion('{"title": "cut off'), valid);
+      const service = new ScriptGenerationService({ client });
+
+      const pending = service.generateWithOpenAI('Topic', { category: 'general' });
+      await jest.advanceTimersByTimeAsync(1000);
+
+      await expect(pending).resolves.toMatchObject({ content: 'Hi.\n\nBody.\n\nBye.' });
+    });
+
+    it('does not retry a client error', async () => {
+      const client = fakeClient(apiError(400), valid);
+      const service = new ScriptGenerationService({ client });
+
+      await expect(service.generateWithOpenAI('Topic', { category: 'general' })).rejects.toThrow('HTTP 400');
+      expect(client.chat.completions.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('gives up after maxRetries', async () => {
+      jest.useFakeTimers();
+      const client = fakeClient(apiError(500), apiError(502), apiError(503), valid);
+      const service = new ScriptGenerationService({ client });
+      service.maxRetries = 2;
+
+      const pending = service.generateWithOpenAI('Topic', { category: 'general' });
+      const assertion = expect(pending).rejects.toThrow('HTTP 503');
+      await jest.advanceTimersByTimeAsync(5000);
+      await assertion;
+
+      expect(client.chat.completions.create).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('fitToWordLimit', () => {
+    const service = new ScriptGenerationService({ client: fakeClient() });
+
+    it('keeps sections that fit', () => {
+      expect(service.fitToWordLimit({ a: 'one two', b: 'three' }, ['a', 'b'], 5)).toEqual({ a: 'one two', b: 'three' });
+    });
+
+    it('trims in section order and marks the cut', () => {
+      expect(service.fitToWordLimit({ a: 'one two three', b: 'four five', c: 'six' }, ['a', 'b', 'c'], 4))
+        .toEqual({ a: 'one two three', b: 'four...', c: '' });
+    });
+
+    it('ignores sections outside the template and normalizes whitespace', () => {
+      expect(service.fitToWordLimit({ a: '  one\n two ', extra: 'dropped' }, ['a'], 10)).toEqual({ a: 'one two' });
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('records the tokens against the billed user', async () => {
+      const service = new ScriptGenerationService({ client: fakeClient() });
+
+      await service.recordUsage(
+        { userId: 'member-1', billedUserId: 'owner-1', workspaceId: 'ws-1' },
+        { model: 'gpt-test', usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } }
+      );
+
+      expect(recordAiUsage).toHaveBeenCalledWith(
+        'owner-1',
+        'script_generation',
+        { promptTokens: 10, completionTokens: 5, totalTokens: 15 },
+        'gpt-test',
+        { workspaceId: 'ws-1' }
+      );
+    });
+
+    it('records the tokens of a generated script', async () => {
+      const client = fakeClient(completion({ title: 'T', sections: { introduction: 'Hi.' } }));
+      const service = new ScriptGenerationService({ client });
+
+      await service.generateScript('Topic', { category: 'general', userId: 'user-1' });
+
+      expect(recordAiUsage).toHaveBeenCalledWith(
+        'user-1',
+        'script_generation',
+        { promptTokens: 120, completionTokens: 80, totalTokens: 200 },
+        'gpt-test',
+        { workspaceId: undefined }
+      );
+    });
+
+    it('skips anonymous scripts and never fails the script', async () => {
+      const service = new ScriptGenerationService({ client: fakeClient() });
+      recordAiUsage.mockRejectedValue(new Error('database down'));
+
+      await expect(service.recordUsage({}, { model: 'x' })).resolves.toBeUndefined();
+      await expect(service.recordUsage({ userId: 'user-1' }, { model: 'x' })).resolves.toBeUndefined();
+      expect(recordAiUsage).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('streamScript', () => {
+    it('streams sections and resolves with the same script', async () => {
+      const client = fakeClient(streamOf(['# Quick ', 'Tips\n## introduction\nHello ', 'there.\n## bo', 'dy\nMain point.\n## conclusion\nBye.']));
+      const service = new ScriptGenerationService({ client });
+      const events = [];
+
+      const script = await service.streamScript('Topic', { category: 'general' }, {
+        onEvent: (type, data) => events.push([type, data])
+      });
+
+      expect(script.title).toBe('Quick Tips');
+      expect(script.structure).toEqual({ introduction: 'Hello there.', body: 'Main point.', conclusion: 'Bye.' });
+      expect(events.filter(([type]) => type === 'section').map(([, data]) => data.section))
+        .toEqual(['introduction', 'body', 'conclusion']);
+      expect(script.metadata.usage).toEqual({ promptTokens: 50, completionTokens: 40, totalTokens: 90 });
+    });
+
+    it('never streams words past the limit that the saved script drops', async () => {
+      const client = fakeClient(streamOf(['## introduction\none two th', 'ree four\n## body\nfive six seven eight']));
+      const service = new ScriptGenerationService({ client });
+      const deltas = {};
+
+      const script = await service.streamScript('Topic', { category: 'general', maxWords: 5 }, {
+        onEvent: (type, data) => {
+          if (type === 'delta') deltas[data.section] = (deltas[data.section] || '') + data.text;
+        }
+      });
+
+      expect(script.structure).toEqual({ introduction: 'one two three four', body: 'five', conclusion: '' });
+      expect(deltas.introduction.trim().split(/\s+/)).toEqual(['one', 'two', 'three', 'four']);
+      expect(deltas.body.trim()).toBe('five');
+      expect(script.wordCount).toBe(5);
+    });
+  });
+});
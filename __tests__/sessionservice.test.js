@@ -0,0 +1,62 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../services/realtimeservice', () => ({ realtime: { endSessions: jest.fn() } }));
+
+const { models } = require('../config/database');
+const { realtime } = require('../services/realtimeservice');
+const { createSession, refreshSession } = require('../services/sessionservice');
+const { memoryModel } = require('./helpers/memorymodels');
+
+const USER_ID = 'a3c5d2f4-1b6e-4f7a-8c9d-0e1f2a3b4c5d';
+
+const req = { ip: '127.0.0.1', get: () => 'jest' };
+
+describe('refreshSession', () => {
+  let sessions;
+
+  beforeEach(() => {
+    sessions = memoryModel(models.Session);
+    memoryModel(models.User, [{
+      id: USER_ID,
+      email: 'creator@example.com',
+      password: 'hashed',
+      firstName: 'Casey',
+      lastName: 'Creator'
+    }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('rotates the refresh token', async () => {
+    const first = await createSession({ id: USER_ID }, req);
+
+    const second = await refreshSession(first.refreshToken, req);
+
+    expect(second.sessionId).toBe(first.sessionId);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    await expect(refreshSession(second.refreshToken, req)).resolves.toMatchObject({ sessionId: first.sessionId });
+  });
+
+  it('revokes the session when a rotated-out token comes back', async () => {
+    const first = await createSession({ id: USER_ID }, req);
+    const second = await refreshSession(first.refreshToken, req);
+
+    await expect(refreshSession(first.refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(sessions.get(first.sessionId)).toMatchObject({ revokedReason: 'refresh_token_reuse' });
+    expect(realtime.endSessions).toHaveBeenCalledWith([first.sessionId], 'refresh_token_reuse');
+    await expect(refreshSession(second.refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('lets only one of two concurrent refreshes with the same token win', async () => {
+    const { refreshToken, sessionId } = await createSession({ id: USER_ID }, req);
+
+    const results = await Promise.allSettled([refreshSession(refreshToken, req), refreshSession(refreshToken, req)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(sessions.get(sessionId)).toMatchObject({ revokedReason: 'refresh_token_reuse' });
+  });
+});
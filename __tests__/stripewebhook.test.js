@@ -0,0 +1,264 @@
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+process.env.STRIPE_PRO_PRICE_ID = 'price_pro';
+
+const express = require('express');
+const request = require('supertest');
+const Stripe = require('stripe');
+
+jest.mock('../config/stripe', () => {
+  const ActualStripe = jest.requireActual('stripe');
+  const client = new ActualStripe('sk_test_webhooks');
+  client.subscriptions.retrieve = jest.fn();
+  client.checkout.sessions.list = jest.fn();
+  return client;
+});
+jest.mock('../services/auditservice', () => ({ recordAudit: jest.fn() }));
+jest.mock('../services/dunningservice', () => ({
+  ...jest.requireActual('../services/dunningservice'),
+  startDunning: jest.fn(),
+  resolveDunning: jest.fn()
+}));
+jest.mock('../services/trialservice', () => ({
+  ...jest.requireActual('../services/trialservice'),
+  hasPaymentMethod: jest.fn(),
+  scheduleTrialExpiryCheck: jest.fn(),
+  expireTrial: jest.fn()
+}));
+jest.mock('../utils/email', () => ({
+  ...jest.requireActual('../utils/email'),
+  sendChargeRefundedEmail: jest.fn(),
+  sendTrialEndingEmail: jest.fn()
+}));
+
+const stripe = require('../config/stripe');
+const { models } = require('../config/database');
+const { startDunning, resolveDunning } = require('../services/dunningservice');
+const { sendChargeRefundedEmail } = require('../utils/email');
+const paymentRoutes = require('../routes/payments');
+const { loadFixture } = require('../scripts/replay-stripe-events');
+const { memoryModel } = require('./helpers/memorymodels');
+
+const USER_ID = '7baa163d-4d4f-4668-a20e-8a307b69cafc';
+const VALUES = { userId: USER_ID, customerId: 'cus_test', subscriptionId: 'sub_test' };
+
+const signer = new Stripe('sk_test_signer');
+
+const app = express();
+app.use('/api/payments', paymentRoutes);
+
+// Posts a fixture the way Stripe would, signed with a locally computed header
+const deliver = (event, { secret = process.env.STRIPE_WEBHOOK_SECRET } = {}) => {
+  const payload = JSON.stringify(event);
+  return request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', signer.webhooks.generateTestHeaderString({ payload, secret }))
+    .send(payload);
+};
+
+const stripeSubscription = {
+  id: 'sub_test',
+  object: 'subscription',
+  status: 'active',
+  customer: 'cus_test',
+  current_period_start: 1767225600,
+  current_period_end: 1769904000,
+  cancel_at_period_end: false,
+  metadata: { userId: USER_ID },
+  items: {
+    data: [{ id: 'si_test', price: { id: 'price_pro', unit_amount: 7900, recurring: { interval: 'month', usage_type: 'licensed' } } }]
+  }
+};
+
+describe('POST /api/payments/webhook', () => {
+  let events;
+  let users;
+  let subscriptions;
+  let invoices;
+
+  beforeEach(() => {
+    events = memoryModel(models.StripeEvent);
+    users = memoryModel(models.User, [{
+      id: USER_ID,
+      email: 'creator@example.com',
+      password: 'hashed',
+      firstName: 'Casey',
+      lastName: 'Creator',
+      plan: 'free'
+    }]);
+    subscriptions = memoryModel(models.Subscription);
+    invoices = memoryModel(models.Invoice);
+    memoryModel(models.Referral);
+
+    stripe.subscriptions.retrieve.mockResolvedValue(stripeSubscription);
+    stripe.checkout.sessions.list.mockResolvedValue({ data: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('rejects an event with a bad signature', async () => {
+    const event = loadFixture('checkout.session.completed', VALUES);
+
+    const res = await deliver(event, { secret: 'whsec_wrong' });
+
+    expect(res.status).toBe(400);
+    expect(events.table.size).toBe(0);
+    expect(stripe.subscriptions.retrieve).not.toHaveBeenCalled();
+  });
+
+  it('handles a redelivered event once', async () => {
+    const event = loadFixture('checkout.session.completed', VALUES);
+
+    const first = await deliver(event);
+    const second = await deliver(event);
+
+    expect(first.status).toBe(200);
+    expect(first.body).toEqual({ received: true, duplicate: false });
+    expect(second.status).toBe(200);
+    expect(second.body).toEqual({ received: true, duplicate: true });
+    expect(stripe.subscriptions.retrieve).toHaveBeenCalledTimes(1);
+    expect(events.get(event.id).status).toBe('processed');
+  });
+
+  it('answers 409 to a redelivery while the event is still being handled', async () => {
+    const event = loadFixture('checkout.session.completed', VALUES);
+    await models.StripeEvent.create({ id: event.id, type: event.type, payload: event, status: 'processing' });
+
+    const res = await deliver(event);
+
+    expect(res.status).toBe(409);
+    expect(stripe.subscriptions.retrieve).not.toHaveBeenCalled();
+  });
+
+  it('takes over a delivery that has been processing for too long', async () => {
+    const event = loadFixture('checkout.session.completed', VALUES);
+    await models.StripeEvent.create({ id: event.id, type: event.type, payload: event, status: 'processing' });
+    events.get(event.id).updatedAt = new Date(Date.now() - 60 * 60 * 1000);
+
+    const res = await deliver(event);
+
+    expect(res.status).toBe(200);
+    expect(res.body.duplicate).toBe(false);
+    expect(events.get(event.id)).toMatchObject({ status: 'processed', attempts: 2 });
+  });
+
+  it('marks a failed event so the next delivery runs it again', async () => {
+    const event = loadFixture('checkout.session.completed', VALUES);
+    stripe.subscriptions.retrieve.mockRejectedValueOnce(new Error('Stripe is down'));
+
+    const failed = await deliver(event);
+    const retried = await deliver(event);
+
+    expect(failed.status).toBe(500);
+    expect(retried.status).toBe(200);
+    expect(events.get(event.id)).toMatchObject({ status: 'processed', attempts: 2, lastError: null });
+  });
+
+  it('checkout.session.completed syncs the subscription and the user\'s plan', async () => {
+    const res = await deliver(loadFixture('checkout.session.completed', VALUES));
+
+    expect(res.status).toBe(200);
+    expect(subscriptions.rows({ userId: USER_ID })).toEqual([
+      expect.objectContaining({ stripeSubscriptionId: 'sub_test', plan: 'pro', status: 'active' })
+    ]);
+    expect(users.get(USER_ID)).toMatchObject({ plan: 'pro', stripeCustomerId: 'cus_test' });
+  });
+
+  it('invoice.paid records the invoice and resolves dunning', async () => {
+    await models.Subscription.create({ userId: USER_ID, stripeSubscriptionId: 'sub_test', plan: 'pro', status: 'past_due' });
+    await models.User.update({ stripeCustomerId: 'cus_test' }, { where: { id: USER_ID } });
+
+    const res = await deliver(loadFixture('invoice.paid', VALUES));
+
+    expect(res.status).toBe(200);
+    expect(invoices.rows({ stripeInvoiceId: 'in_fixture_paid' })).toEqual([
+      expect.objectContaining({ userId: USER_ID, status: 'paid', amountPaid: 2900, number: 'FIXTURE-0001' })
+    ]);
+    expect(subscriptions.rows({ userId: USER_ID })[0].status).toBe('active');
+    expect(resolveDunning).toHaveBeenCalledWith(
+      expect.objectContaining({ stripeSubscriptionId: 'sub_test' }),
+      expect.objectContaining({ id: 'in_fixture_paid' })
+    );
+  });
+
+  it('invoice.payment_failed records the open invoice and starts dunning', async () => {
+    await models.Subscription.create({ userId: USER_ID, stripeSubscriptionId: 'sub_test', plan: 'pro', status: 'active' });
+    await models.User.update({ stripeCustomerId: 'cus_test' }, { where: { id: USER_ID } });
+
+    const res = await deliver(loadFixture('invoice.payment_failed', VALUES));
+
+    expect(res.status).toBe(200);
+    expect(invoices.rows({ stripeInvoiceId: 'in_fixture_failed' })).toEqual([
+      expect.objectContaining({ status: 'open', amountDue: 2900 })
+    ]);
+    expect(startDunning).toHaveBeenCalledWith(
+      expect.objectContaining({ stripeSubscriptionId: 'sub_test' }),
+      expect.objectContaining({ id: 'in_fixture_failed', attempt_count: 1 })
+    );
+  });
+
+  it('charge.refunded adds the refund to the invoice and tells the user', async () => {
+    await models.User.update({ stripeCustomerId: 'cus_test' }, { where: { id: USER_ID } });
+    await deliver(loadFixture('invoice.paid', VALUES));
+
+    const res = await deliver(loadFixture('charge.refunded', VALUES));
+
+    expect(res.status).toBe(200);
+    expect(invoices.rows({ stripeInvoiceId: 'in_fixture_paid' })[0].amountRefunded).toBe(1000);
+    expect(sendChargeRefundedEmail).toHaveBeenCalledWith('creator@example.com', 'Casey', 1000, 'usd');
+  });
+
+  it('customer.subscription.deleted after a dunning downgrade keeps the user on free', async () => {
+    const pastDueSince = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+    await models.Subscription.create({
+      userId: USER_ID,
+      stripeSubscriptionId: 'sub_test',
+      plan: 'pro',
+      status: 'past_due',
+      currentPeriodEnd: new Date(Date.now() + 20 * 24 * 60 * 60 * 1000),
+      pastDueSince,
+      dunningDowngradedAt: new Date()
+    });
+    await models.User.update({ plan: 'free' }, { where: { id: USER_ID } });
+
+    const res = await deliver(loadFixture('customer.subscription.deleted', { ...VALUES, priceId: 'price_pro' }));
+
+    expect(res.status).toBe(200);
+    const subscription = await models.Subscription.findOne({ where: { userId: USER_ID } });
+    expect(subscription).toMatchObject({ status: 'canceled', pastDueSince: null, dunningDowngradedAt: null });
+    expect(subscription.getEffectivePlan()).toBe('free');
+    expect(users.get(USER_ID).plan).toBe('free');
+  });
+
+  it('customer.subscription.deleted ends an immediate cancellation now rather than at the period end', async () => {
+    const periodEnd = new Date(Date.now() + 20 * 24 * 60 * 60 * 1000);
+    await models.Subscription.create({
+      userId: USER_ID,
+      stripeSubscriptionId: 'sub_test',
+      plan: 'pro',
+      status: 'active',
+      currentPeriodEnd: periodEnd
+    });
+    await models.User.update({ plan: 'pro' }, { where: { id: USER_ID } });
+
+    const event = loadFixture('customer.subscription.deleted', { ...VALUES, priceId: 'price_pro' });
+    const endedAt = Math.floor(Date.now() / 1000) - 60;
+    Object.assign(event.data.object, {
+      current_period_end: Math.floor(periodEnd.getTime() / 1000),
+      canceled_at: endedAt,
+      ended_at: endedAt
+    });
+
+    const res = await deliver(event);
+
+    expect(res.status).toBe(200);
+    const subscription = await models.Subscription.findOne({ where: { userId: USER_ID } });
+    expect(subscription).toMatchObject({ status: 'canceled', cancelAtPeriodEnd: false });
+    expect(subscription.currentPeriodEnd).toEqual(new Date(endedAt * 1000));
+    expect(subscription.getEffectivePlan()).toBe('free');
+    expect(users.get(USER_ID).plan).toBe('free');
+  });
+});
@@ -0,0 +1,269 @@
+process.env.STRIPE_STARTER_PRICE_ID = 'price_starter';
+process.env.STRIPE_PRO_PRICE_ID = 'price_pro';
+process.env.STRIPE_PRO_YEARLY_PRICE_ID = 'price_pro_yearly';
+
+jest.mock('../services/auditservice', () => ({ recordAudit: jest.fn() }));
+jest.mock('../services/realtimeservice', () => ({ realtime: { emitBillingUpdate: jest.fn() } }));
+
+const { models } = require('../config/database');
+const { recordAudit } = require('../services/auditservice');
+const { SubscriptionService } = require('../services/subscriptionservice');
+const { memoryModel } = require('./helpers/memorymodels');
+
+const USER_ID = '4c1f6e0a-8d55-4a4e-9a43-0f2b7c7d1e21';
+const PERIOD_START = 1767225600; // 2026-01-01
+const PERIOD_END = 1769904000; // 2026-02-01
+
+// A Stripe subscription on `priceId`, as the API returns it
+const stripeSubscription = (priceId, overrides = {}) => ({
+  id: 'sub_test',
+  object: 'subscription',
+  status: 'active',
+  customer: 'cus_test',
+  current_period_start: PERIOD_START,
+  current_period_end: PERIOD_END,
+  cancel_at_period_end: false,
+  schedule: null,
+  items: {
+    data: [{
+      id: 'si_plan',
+      price: { id: priceId, unit_amount: priceId === 'price_pro' ? 9900 : 2900, recurring: { interval: 'month', usage_type: 'licensed' } }
+    }]
+  },
+  ...overrides
+});
+
+const stripeError = (type, message) => Object.assign(new Error(message), { type });
+
+// The parts of the Stripe client the service calls
+const fakeStripe = () => ({
+  subscriptions: { retrieve: jest.fn(), update: jest.fn() },
+  invoices: { retrieveUpcoming: jest.fn() },
+  subscriptionSchedules: { create: jest.fn(), update: jest.fn(), release: jest.fn() },
+  subscriptionItems: { create: jest.fn() }
+});
+
+describe('SubscriptionService', () => {
+  let stripe;
+  let service;
+  let subscriptions;
+  let users;
+  const user = { id: USER_ID };
+
+  const subscribe = (plan, fields = {}) => models.Subscription.create({
+    userId: USER_ID,
+    plan,
+    status: 'active',
+    interval: 'month',
+    currency: 'usd',
+    stripeSubscriptionId: 'sub_test',
+    stripePriceId: `price_${plan}`,
+    currentPeriodStart: new Date(PERIOD_START * 1000),
+    currentPeriodEnd: new Date(PERIOD_END * 1000),
+    ...fields
+  });
+
+  const subscription = () => subscriptions.rows({ userId: USER_ID })[0];
+
+  beforeEach(() => {
+    subscriptions = memoryModel(models.Subscription);
+    users = memoryModel(models.User, [{
+      id: USER_ID,
+      email: 'creator@example.com',
+      password: 'hashed',
+      firstName: 'Casey',
+      lastName: 'Creator',
+      plan: 'starter'
+    }]);
+
+    stripe = fakeStripe();
+    service = new SubscriptionService(stripe);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('preview', () => {
+    it('prices an upgrade with the prorations of the upcoming invoice', async () => {
+      await subscribe('starter');
+      stripe.subscriptions.retrieve.mockResolvedValue(stripeSubscription('price_starter'));
+      stripe.invoices.retrieveUpcoming.mockResolvedValue({
+        currency: 'usd',
+        lines: {
+          data: [
+            { description: 'Unused time on Starter', amount: -1450, proration: true, period: { start: PERIOD_START, end: PERIOD_END } },
+            { description: 'Remaining time on Pro', amount: 4950, proration: true, period: { start: PERIOD_START, end: PERIOD_END } },
+            { description: 'Pro (next period)', amount: 9900, proration: false, period: { start: PERIOD_END, end: PERIOD_END + 2419200 } }
+          ]
+        }
+      });
+
+      const preview = await service.preview(USER_ID, { plan: 'pro' });
+
+      expect(preview).toMatchObject({
+        plan: 'pro',
+        interval: 'month',
+        type: 'upgrade',
+        immediate: true,
+        amountDue: 3500,
+        recurringAmount: 9900
+      });
+      expect(preview.lines).toHaveLength(2);
+      expect(stripe.invoices.retrieveUpcoming).toHaveBeenCalledWith(expect.objectContaining({
+        customer: 'cus_test',
+        subscription: 'sub_test',
+        subscription_items: [{ id: 'si_plan', price: 'price_pro' }],
+        subscription_proration_date: preview.prorationDate,
+        subscription_proration_behavior: 'always_invoice'
+      }));
+    });
+
+    it('charges nothing now for a downgrade', async () => {
+      await subscribe('pro');
+
+      const preview = await service.preview(USER_ID, { plan: 'starter' });
+
+      expect(preview).toMatchObject({ type: 'downgrade', immediate: false, amountDue: 0, lines: [] });
+      expect(preview.effectiveAt).toEqual(new Date(PERIOD_END * 1000));
+      expect(stripe.invoices.retrieveUpcoming).not.toHaveBeenCalled();
+    });
+
+    it('refuses a move to the plan and interval already held', async () => {
+      await subscribe('pro');
+
+      await expect(service.preview(USER_ID, { plan: 'pro', interval: 'month' })).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('changePlan', () => {
+    it('applies an upgrade now at the previewed proration date', async () => {
+      await subscribe('starter');
+      stripe.subscriptions.retrieve.mockResolvedValue(stripeSubscription('price_starter'));
+      stripe.subscriptions.update.mockResolvedValue(stripeSubscription('price_pro'));
+
+      const { change } = await service.changePlan(user, { plan: 'pro' }, { prorationDate: 1767800000 });
+
+      expect(stripe.subscriptions.update).toHaveBeenCalledWith('sub_test', {
+        items: [{ id: 'si_plan', price: 'price_pro' }],
+        proration_behavior: 'always_invoice',
+        payment_behavior: 'pending_if_incomplete',
+        proration_date: 1767800000
+      });
+      expect(change).toMatchObject({ type: 'upgrade', immediate: true, pending: false });
+      expect(subscription()).toMatchObject({ plan: 'pro', stripePriceId: 'price_pro' });
+      expect(users.get(USER_ID).plan).toBe('pro');
+    });
+
+    it('schedules a downgrade for the end of the period', async () => {
+      await subscribe('pro');
+      stripe.subscriptions.retrieve.mockResolvedValue(stripeSubscription('price_pro'));
+      stripe.subscriptionSchedules.create.mockResolvedValue({
+        id: 'sub_sched_1',
+        current_phase: { start_date: PERIOD_START, end_date: PERIOD_END },
+        phases: []
+      });
+      stripe.subscriptionSchedules.update.mockResolvedValue({ id: 'sub_sched_1' });
+
+      const { change } = await service.changePlan(user, { plan: 'starter' });
+
+      expect(stripe.subscriptionSchedules.create).toHaveBeenCalledWith({ from_subscription: 'sub_test' });
+      expect(stripe.subscriptionSchedules.update).toHaveBeenCalledWith('sub_sched_1', {
+        end_behavior: 'release',
+        phases: [
+          { items: [{ price: 'price_pro', quantity: 1 }], start_date: PERIOD_START, end_date: PERIOD_END },
+          { items: [{ price: 'price_starter', quantity: 1 }], proration_behavior: 'none', iterations: 1 }
+        ]
+      });
+      expect(stripe.subscriptions.update).not.toHaveBeenCalled();
+      expect(change.scheduledChangeAt).toEqual(new Date(PERIOD_END * 1000));
+      expect(subscription()).toMatchObject({
+        plan: 'pro',
+        stripeScheduleId: 'sub_sched_1',
+        scheduledPlan: 'starter',
+        scheduledInterval: 'month'
+      });
+      expect(recordAudit).toHaveBeenCalledWith('billing.plan_change_scheduled', expect.anything());
+    });
+
+    it('releases an earlier schedule before making a new change', async () => {
+      await subscribe('pro', { stripeScheduleId: 'sub_sched_old', scheduledPlan: 'starter', scheduledInterval: 'month' });
+      stripe.subscriptions.retrieve.mockResolvedValue(stripeSubscription('price_pro'));
+      stripe.subscriptions.update.mockResolvedValue({
+        ...stripeSubscription('price_pro_yearly'),
+        items: { data: [{ id: 'si_plan', price: { id: 'price_pro_yearly', unit_amount: 99000, recurring: { interval: 'year' } } }] }
+      });
+
+      await service.changePlan(user, { plan: 'pro', interval: 'year' });
+
+      expect(stripe.subscriptionSchedules.release).toHaveBeenCalledWith('sub_sched_old');
+      expect(subscription()).toMatchObject({ interval: 'year', stripeScheduleId: null, scheduledPlan: null });
+    });
+
+    it('turns a card decline into a validation error', async () => {
+      await subscribe('starter');
+      stripe.subscriptions.retrieve.mockResolvedValue(stripeSubscription('price_starter'));
+      stripe.subscriptions.update.mockRejectedValue(stripeError('StripeCardError', 'Your card was declined.'));
+
+      await expect(service.changePlan(user, { plan: 'pro' })).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Your card was declined.'
+      });
+      expect(subscription().plan).toBe('starter');
+    });
+
+    it('refuses changes while the subscription is set to cancel', async () => {
+      await subscribe('starter', { cancelAtPeriodEnd: true });
+
+      await expect(service.changePlan(user, { plan: 'pro' })).rejects.toMatchObject({ statusCode: 409 });
+      expect(stripe.subscriptions.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancel and resume', () => {
+    it('cancels at period end, dropping a scheduled change', async () => {
+      await subscribe('pro', { stripeScheduleId: 'sub_sched_1', scheduledPlan: 'starter', scheduledInterval: 'month' });
+      stripe.subscriptions.update.mockResolvedValue(stripeSubscription('price_pro', { cancel_at_period_end: true }));
+
+      await service.cancel(user, { reason: 'Too expensive' });
+
+      expect(stripe.subscriptionSchedules.release).toHaveBeenCalledWith('sub_sched_1');
+      expect(stripe.subscriptions.update).toHaveBeenCalledWith('sub_test', {
+        cancel_at_period_end: true,
+        cancellation_details: { comment: 'Too expensive' }
+      });
+      expect(subscription()).toMatchObject({ plan: 'pro', cancelAtPeriodEnd: true, scheduledPlan: null });
+    });
+
+    it('refuses to cancel twice', async () => {
+      await subscribe('pro', { cancelAtPeriodEnd: true });
+
+      await expect(service.cancel(user)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('resumes a pending cancellation', async () => {
+      await subscribe('pro', { cancelAtPeriodEnd: true });
+      stripe.subscriptions.update.mockResolvedValue(stripeSubscription('price_pro'));
+
+      await service.resume(user);
+
+      expect(stripe.subscriptions.update).toHaveBeenCalledWith('sub_test', { cancel_at_period_end: false });
+      expect(subscription().cancelAtPeriodEnd).toBe(false);
+    });
+
+    it('refuses to resume a subscription that is not set to cancel', async () => {
+      await subscribe('pro');
+
+      await expect(service.resume(user)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('reports a Stripe outage as an external service error', async () => {
+      await subscribe('pro', { cancelAtPeriodEnd: true });
+      stripe.subscriptions.update.mockRejectedValue(stripeError('StripeAPIError', 'Internal error'));
+
+      await expect(service.resume(user)).rejects.toMatchObject({ statusCode: 502 });
+      expect(subscription().cancelAtPeriodEnd).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../services/auditservice', () => ({ recordAudit: jest.fn() }));
+
+const { models } = require('../config/database');
+const { TwoFactorService } = require('../services/twofactorservice');
+const { memoryModel } = require('./helpers/memorymodels');
+
+const USER_ID = '8a0c2e4f-6b8d-4f1a-9c3e-5b7d9f1a3c5e';
+const RIGHT = '123456';
+
+describe('TwoFactorService.completeChallenge', () => {
+  let service;
+  let user;
+  let verify;
+
+  beforeEach(async () => {
+    service = new TwoFactorService();
+    memoryModel(models.UserToken);
+    memoryModel(models.User, [{
+      id: USER_ID,
+      email: 'creator@example.com',
+      password: 'hashed',
+      firstName: 'Casey',
+      lastName: 'Creator',
+      twoFactorEnabled: true
+    }]);
+    user = await models.User.findByPk(USER_ID);
+    verify = jest.spyOn(service, 'verifySecondFactor').mockImplementation(async (u, { code }) => {
+      return code === RIGHT ? 'totp' : null;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const guess = (challengeToken, code = '000000') => service.completeChallenge(challengeToken, { code });
+
+  it('logs in with the right code', async () => {
+    const { challengeToken } = await service.createChallenge(user);
+
+    await expect(guess(challengeToken, RIGHT)).resolves.toMatchObject({ method: 'totp' });
+  });
+
+  it('voids a challenge after five wrong codes', async () => {
+    const { challengeToken } = await service.createChallenge(user);
+
+    for (let i = 0; i < 4; i++) {
+      await expect(guess(challengeToken)).rejects.toThrow('Invalid two-factor code');
+    }
+    await expect(guess(challengeToken)).rejects.toThrow('please log in again');
+    await expect(guess(challengeToken, RIGHT)).rejects.toThrow('Two-factor challenge expired');
+    expect(verify).toHaveBeenCalledTimes(5);
+  });
+
+  it('checks no more than five of many parallel codes', async () => {
+    const { challengeToken } = await service.createChallenge(user);
+
+    const results = await Promise.allSettled(Array.from({ length: 20 }, () => guess(challengeToken)));
+
+    expect(results.every(result => result.status === 'rejected')).toBe(true);
+    expect(verify).toHaveBeenCalledTimes(5);
+  });
+
+  it('refuses codes for a while after ten wrong ones across new challenges', async () => {
+    for (let login = 0; login < 2; login++) {
+      const { challengeToken } = await service.createChallenge(user);
+      for (let i = 0; i < 5; i++) {
+        await guess(challengeToken).catch(() => {});
+      }
+    }
+
+    const { challengeToken } = await service.createChallenge(user);
+
+    await expect(guess(challengeToken, RIGHT)).rejects.toMatchObject({ statusCode: 429 });
+    expect(verify).toHaveBeenCalledTimes(10);
+  });
+});
@@ -0,0 +1,150 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../services/entitlementservice', () => ({
+  ...jest.requireActual('../services/entitlementservice'),
+  getEntitlements: jest.fn(),
+  checkQuota: jest.fn(),
+  reserveQuota: jest.fn(),
+  releaseQuota: jest.fn()
+}));
+jest.mock('../services/storageservice', () => ({
+  ...jest.requireActual('../services/storageservice'),
+  uploadFile: jest.fn(async (buffer, key) => `https://files.example.com/${key}`),
+  deleteFile: jest.fn(async () => true)
+}));
+jest.mock('../middleware/auth', () => {
+  const { models } = jest.requireActual('../config/database');
+  return {
+    ...jest.requireActual('../middleware/auth'),
+    authenticateToken: async (req, res, next) => {
+      req.user = await models.User.findByPk(req.get('x-test-user'));
+      req.userId = req.user.id;
+      next();
+    }
+  };
+});
+
+const { models } = require('../config/database');
+const { getEntitlements, checkQuota, reserveQuota, releaseQuota } = require('../services/entitlementservice');
+const { uploadFile, deleteFile } = require('../services/storageservice');
+const uploadRoutes = require('../routes/upload');
+const { memoryModel } = require('./helpers/memorymodels');
+
+const USER_ID = 'c0ffee00-1234-4abc-8def-0123456789ab';
+
+const app = express();
+app.use('/api/upload', uploadRoutes);
+
+const png = (kilobytes) => Buffer.alloc(kilobytes * 1024, 1);
+
+describe('upload routes', () => {
+  let files;
+  let users;
+  let storageUsed;
+
+  beforeEach(() => {
+    users = memoryModel(models.User, [{
+      id: USER_ID,
+      email: 'creator@example.com',
+      password: 'hashed',
+      firstName: 'Casey',
+      lastName: 'Creator'
+    }]);
+    files = memoryModel(models.UploadedFile);
+
+    // 1 MB of storage; reservations and releases move the usage
+    storageUsed = 0;
+    getEntitlements.mockResolvedValue({ plan: 'free', features: { storage: '1MB' } });
+    checkQuota.mockImplementation(async () => ({ usage: { current: storageUsed, limit: 1024 } }));
+    reserveQuota.mockImplementation(async (user, type, { amount }) => {
+      storageUsed += amount;
+      return { userId: user.id, type, amount, period: '2026-10' };
+    });
+    releaseQuota.mockImplementation(async ({ amount }) => {
+      storageUsed -= amount;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const post = (path, field, kilobytes, name = 'photo.png') => request(app)
+    .post(`/api/upload/${path}`)
+    .set('x-test-user', USER_ID)
+    .attach(field, png(kilobytes), { filename: name, contentType: 'image/png' });
+
+  it('refuses an upload whose Content-Length cannot fit before reading it', async () => {
+    storageUsed = 1000;
+
+    const res = await post('avatar', 'avatar', 100);
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ feature: 'storage', upgrade: true });
+    expect(uploadFile).not.toHaveBeenCalled();
+    expect(reserveQuota).not.toHaveBeenCalled();
+  });
+
+  it('gives back the storage of a replaced avatar', async () => {
+    const first = await post('avatar', 'avatar', 100);
+    const second = await post('avatar', 'avatar', 50);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(storageUsed).toBe(50);
+    expect(releaseQuota).toHaveBeenCalledWith({ userId: USER_ID, type: 'storage', amount: 100, period: '2026-10' });
+    expect(deleteFile).toHaveBeenCalledWith(first.body.data.key);
+    expect([...files.table.values()]).toEqual([expect.objectContaining({ kind: 'avatar', key: second.body.data.key })]);
+    expect(users.get(USER_ID).avatar).toBe(second.body.data.url);
+  });
+
+  it('gives back the storage of a deleted file once', async () => {
+    const upload = await post('media', 'files', 200);
+    const [{ id }] = upload.body.data.results;
+
+    const deleted = await request(app).delete(`/api/upload/${id}`).set('x-test-user', USER_ID);
+    const again = await request(app).delete(`/api/upload/${id}`).set('x-test-user', USER_ID);
+
+    expect(deleted.status).toBe(200);
+    expect(again.status).toBe(404);
+    expect(storageUsed).toBe(0);
+    expect(releaseQuota).toHaveBeenCalledTimes(1);
+    expect(files.table.size).toBe(0);
+  });
+
+  it('clears the avatar when its file is deleted', async () => {
+    await post('avatar', 'avatar', 10);
+    const [file] = files.table.values();
+
+    await request(app).delete(`/api/upload/${file.id}`).set('x-test-user', USER_ID);
+
+    expect(users.get(USER_ID).avatar).toBeNull();
+    expect(storageUsed).toBe(0);
+  });
+
+  it('deletes the uploaded avatar and gives its storage back when it cannot be saved', async () => {
+    jest.spyOn(models.User.prototype, 'update').mockRejectedValueOnce(new Error('database is down'));
+
+    const res = await post('avatar', 'avatar', 100);
+
+    expect(res.status).toBe(500);
+    const [, key] = uploadFile.mock.calls[0];
+    expect(deleteFile).toHaveBeenCalledWith(key);
+    expect(storageUsed).toBe(0);
+    expect(files.table.size).toBe(0);
+  });
+
+  it('deletes an uploaded media file that cannot be recorded', async () => {
+    jest.spyOn(models.UploadedFile, 'create').mockRejectedValueOnce(new Error('database is down'));
+
+    const res = await post('media', 'files', 200);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.results).toEqual([expect.objectContaining({ success: false })]);
+    const [, key] = uploadFile.mock.calls[0];
+    expect(deleteFile).toHaveBeenCalledWith(key);
+    expect(storageUsed).toBe(0);
+  });
+});
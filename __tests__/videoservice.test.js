@@ -0,0 +1,100 @@
+jest.mock('../services/realtimeservice', () => ({
+  realtime: { emitVideoStatus: jest.fn(), emitVideoProgress: jest.fn() }
+}));
+jest.mock('../services/entitlementservice', () => ({
+  reserveQuota: jest.fn(),
+  releaseQuota: jest.fn()
+}));
+
+const { models } = require('../config/database');
+const { VideoGenerationService } = require('../services/videoservice');
+const { reserveQuota, releaseQuota } = require('../services/entitlementservice');
+const { memoryModel } = require('./helpers/memorymodels');
+
+const USER_ID = '6c8e0a2b-4d6f-4a1c-9e3b-5d7f9a1c3e5b';
+
+describe('VideoGenerationService.retryVideo', () => {
+  let queue;
+  let service;
+  let videos;
+  let users;
+
+  beforeEach(() => {
+    queue = { registerHandler: jest.fn(), enqueue: jest.fn().mockRejectedValue(new Error('queue is down')) };
+    service = new VideoGenerationService(queue);
+
+    users = memoryModel(models.User, [{
+      id: USER_ID,
+      email: 'creator@example.com',
+      password: 'hashed',
+      firstName: 'Casey',
+      lastName: 'Creator',
+      videosGenerated: 1
+    }]);
+    videos = memoryModel(models.Video);
+    reserveQuota.mockResolvedValue({ period: '2026-10', credits: 0, overage: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const failedVideo = () => models.Video.create({
+    title: 'Launch teaser',
+    prompt: 'A teaser for the launch',
+    userId: USER_ID,
+    status: 'failed',
+    metadata: { quota: { charged: false, period: '2026-09' } }
+  });
+
+  it('gives the charge back and fails the video again when it cannot be queued', async () => {
+    const video = await failedVideo();
+    const refund = jest.spyOn(service, 'refundQuota').mockResolvedValue(true);
+
+    await expect(service.retryVideo(video, await models.User.findByPk(USER_ID))).rejects.toThrow('queue is down');
+
+    expect(reserveQuota).toHaveBeenCalledTimes(1);
+    expect(refund).toHaveBeenCalledWith(video);
+    expect(videos.get(video.id).status).toBe('failed');
+  });
+
+  it('releases the reservation directly when the video could not be saved', async () => {
+    const video = await failedVideo();
+    const refund = jest.spyOn(service, 'refundQuota');
+    jest.spyOn(video, 'save').mockRejectedValueOnce(new Error('database is down'));
+
+    await expect(service.retryVideo(video, await models.User.findByPk(USER_ID))).rejects.toThrow('database is down');
+
+    expect(refund).not.toHaveBeenCalled();
+    expect(releaseQuota).toHaveBeenCalledWith(expect.objectContaining({
+      userId: USER_ID,
+      type: 'video_generation',
+      period: '2026-10'
+    }));
+    expect(users.get(USER_ID).videosGenerated).toBe(1);
+    expect(queue.enqueue).not.toHaveBeenCalled();
+  });
+});
+
+describe('VideoGenerationService.waitForRender', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('cancels the render when the job is lost to another worker', async () => {
+    const service = new VideoGenerationService({ registerHandler: jest.fn() });
+    service.pollInterval = 10000;
+    const provider = { cancel: jest.fn().mockResolvedValue(), getStatus: jest.fn() };
+    const video = { id: 'video-1', processingProgress: 10, reload: jest.fn() };
+    const controller = new AbortController();
+
+    const waiting = service.waitForRender(provider, 'render-1', video, controller.signal);
+    controller.abort(new Error('Lease on job job-1 was lost'));
+
+    await expect(waiting).rejects.toThrow();
+    expect(provider.cancel).toHaveBeenCalledWith('render-1');
+    expect(provider.getStatus).not.toHaveBeenCalled();
+    expect(video.reload).not.toHaveBeenCalled();
+  });
+});
@@ -1,7 +1,7 @@
 const { Sequelize } = require('sequelize');
 
 // Database configuration
-const sequelize = new Sequelize(process.env.DATABASE_URL, {
+const sequelizeOptions = {
   dialect: 'postgres',
   logging: process.env.NODE_ENV === 'development' ? console.log : false,
   pool: {
@@ -16,7 +16,15 @@ const sequelize = new Sequelize(process.env.DATABASE_URL, {
       rejectUnauthorized: false
     } : false
   }
-});
+};
+
+// Without DATABASE_URL the server runs in demo mode: models are still defined
+// so route modules can load, but nothing ever connects or queries.
+const isDatabaseConfigured = () => Boolean(process.env.DATABASE_URL);
+
+const sequelize = isDatabaseConfigured()
+  ? new Sequelize(process.env.DATABASE_URL, sequelizeOptions)
+  : new Sequelize(sequelizeOptions);
 
 // Initialize models
 let models = null;
@@ -30,6 +38,21 @@ function initModels() {
     const Script = require('../models/script')(sequelize, Sequelize.DataTypes);
     const Subscription = require('../models/subscription')(sequelize, Sequelize.DataTypes);
     const Usage = require('../models/usage')(sequelize, Sequelize.DataTypes);
+    const Job = require('../models/job')(sequelize, Sequelize.DataTypes);
+    const Session = require('../models/session')(sequelize, Sequelize.DataTypes);
+    const UserToken = require('../models/usertoken')(sequelize, Sequelize.DataTypes);
+    const AuditLog = require('../models/auditlog')(sequelize, Sequelize.DataTypes);
+    const LinkedAccount = require('../models/linkedaccount')(sequelize, Sequelize.DataTypes);
+    const ApiKey = require('../models/apikey')(sequelize, Sequelize.DataTypes);
+    const Workspace = require('../models/workspace')(sequelize, Sequelize.DataTypes);
+    const WorkspaceMembership = require('../models/workspacemembership')(sequelize, Sequelize.DataTypes);
+    const WorkspaceInvitation = require('../models/workspaceinvitation')(sequelize, Sequelize.DataTypes);
+    const EntitlementGrant = require('../models/entitlementgrant')(sequelize, Sequelize.DataTypes);
+    const StripeEvent = require('../models/stripeevent')(sequelize, Sequelize.DataTypes);
+    const CreditTransaction = require('../models/credittransaction')(sequelize, Sequelize.DataTypes);
+    const Referral = require('../models/referral')(sequelize, Sequelize.DataTypes);
+    const Invoice = require('../models/invoice')(sequelize, Sequelize.DataTypes);
+    const UploadedFile = require('../models/uploadedfile')(sequelize, Sequelize.DataTypes);
 
     // Set up associations
     User.hasMany(Video, { foreignKey: 'userId', as: 'videos' });
@@ -47,7 +70,72 @@ function initModels() {
     User.hasMany(Usage, { foreignKey: 'userId', as: 'usage' });
     Usage.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
-    models = { User, Video, Script, Subscription, Usage };
+    Video.hasMany(Job, { foreignKey: 'videoId', as: 'jobs' });
+    Job.belongsTo(Video, { foreignKey: 'videoId', as: 'video' });
+
+    User.hasMany(Job, { foreignKey: 'userId', as: 'jobs' });
+    Job.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+    User.hasMany(Session, { foreignKey: 'userId', as: 'sessions' });
+    Session.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+    Session.belongsTo(User, { foreignKey: 'impersonatorId', as: 'impersonator' });
+
+    User.hasMany(UserToken, { foreignKey: 'userId', as: 'tokens' });
+    UserToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+    User.hasMany(AuditLog, { foreignKey: 'userId', as: 'auditLogs' });
+    AuditLog.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+    AuditLog.belongsTo(User, { foreignKey: 'actorId', as: 'actor' });
+
+    User.hasMany(LinkedAccount, { foreignKey: 'userId', as: 'linkedAccounts' });
+    LinkedAccount.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+    User.hasMany(ApiKey, { foreignKey: 'userId', as: 'apiKeys' });
+    ApiKey.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+    Workspace.belongsTo(User, { foreignKey: 'ownerId', as: 'owner' });
+    User.hasMany(Workspace, { foreignKey: 'ownerId', as: 'ownedWorkspaces' });
+
+    Workspace.hasMany(WorkspaceMembership, { foreignKey: 'workspaceId', as: 'memberships' });
+    WorkspaceMembership.belongsTo(Workspace, { foreignKey: 'workspaceId', as: 'workspace' });
+    User.hasMany(WorkspaceMembership, { foreignKey: 'userId', as: 'workspaceMemberships' });
+    WorkspaceMembership.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+    Workspace.hasMany(WorkspaceInvitation, { foreignKey: 'workspaceId', as: 'invitations' });
+    WorkspaceInvitation.belongsTo(Workspace, { foreignKey: 'workspaceId', as: 'workspace' });
+    WorkspaceInvitation.belongsTo(User, { foreignKey: 'invitedById', as: 'invitedBy' });
+
+    Workspace.hasMany(Video, { foreignKey: 'workspaceId', as: 'videos' });
+    Video.belongsTo(Workspace, { foreignKey: 'workspaceId', as: 'workspace' });
+
+    Workspace.hasMany(Script, { foreignKey: 'workspaceId', as: 'scripts' });
+    Script.belongsTo(Workspace, { foreignKey: 'workspaceId', as: 'workspace' });
+
+    Workspace.hasMany(Usage, { foreignKey: 'workspaceId', as: 'usage' });
+    Usage.belongsTo(Workspace, { foreignKey: 'workspaceId', as: 'workspace' });
+
+    User.hasMany(EntitlementGrant, { foreignKey: 'userId', as: 'entitlementGrants' });
+    EntitlementGrant.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+    EntitlementGrant.belongsTo(User, { foreignKey: 'grantedById', as: 'grantedBy' });
+
+    User.hasMany(CreditTransaction, { foreignKey: 'userId', as: 'creditTransactions' });
+    CreditTransaction.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+    User.hasMany(Referral, { foreignKey: 'referrerId', as: 'referrals' });
+    Referral.belongsTo(User, { foreignKey: 'referrerId', as: 'referrer' });
+    Referral.belongsTo(User, { foreignKey: 'referredUserId', as: 'referredUser' });
+
+    User.hasMany(Invoice, { foreignKey: 'userId', as: 'invoices' });
+    Invoice.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+    User.hasMany(UploadedFile, { foreignKey: 'userId', as: 'uploadedFiles' });
+    UploadedFile.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+    models = {
+      User, Video, Script, Subscription, Usage, Job, Session, UserToken, AuditLog, LinkedAccount, ApiKey,
+      Workspace, WorkspaceMembership, WorkspaceInvitation, EntitlementGrant, StripeEvent, CreditTransaction, Referral,
+      Invoice, UploadedFile
+    };
     return models;
   } catch (error) {
     console.error('Model initialization error:', error);
@@ -64,10 +152,18 @@ async function initDatabase() {
     // Initialize models
     initModels();
     
-    // Sync models in development
-    if (process.env.NODE_ENV === 'development') {
-      await sequelize.sync({ alter: true });
-      console.log('Database models synchronized');
+    // Schema is owned by versioned migrations (npm run migrate), never alter-sync
+    const { Migrator } = require('../utils/migrator');
+    const migrator = new Migrator({ sequelize });
+
+    if (process.env.RUN_MIGRATIONS_ON_START === 'true') {
+      const applied = await migrator.up();
+      console.log(`Database migrations applied: ${applied.length}`);
+    } else {
+      const pending = await migrator.pending();
+      if (pending.length > 0) {
+        console.warn(`⚠️ ${pending.length} pending migration(s): ${pending.join(', ')}. Run "npm run migrate".`);
+      }
     }
     
     return sequelize;
@@ -79,6 +175,8 @@ async function initDatabase() {
 
 // Test database connection
 async function testConnection() {
+  if (!isDatabaseConfigured()) return false;
+
   try {
     await sequelize.authenticate();
     return true;
@@ -94,5 +192,6 @@ module.exports = {
     return initModels();
   },
   initDatabase,
-  testConnection
+  testConnection,
+  isDatabaseConfigured
 };
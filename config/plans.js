@@ -0,0 +1,256 @@
+// Plan catalog: the single source of plan features and limits. Entitlements
+// (services/entitlementservice) start from these and apply per-user grants.
+// -1 means unlimited. `trial` sets the free trial length (0 for none) and
+// the features that differ while the trial runs. `overage` prices usage past
+// a quota per unit, for subscribers who turn metered overage on.
+const PLANS = {
+  free: {
+    name: 'Free',
+    price: 0,
+    interval: 'forever',
+    stripePriceId: null,
+    yearlyPrice: 0,
+    stripeYearlyPriceId: null,
+    popular: false,
+    features: {
+      videosPerMonth: 3,
+      maxDuration: 30, // seconds
+      aiScripts: false,
+      customBranding: false,
+      analytics: false,
+      priority: false,
+      storage: '100MB'
+    }
+  },
+  starter: {
+    name: 'Starter',
+    price: 29,
+    interval: 'month',
+    stripePriceId: process.env.STRIPE_STARTER_PRICE_ID,
+    yearlyPrice: 290,
+    stripeYearlyPriceId: process.env.STRIPE_STARTER_YEARLY_PRICE_ID,
+    trial: {
+      days: parseInt(process.env.STARTER_TRIAL_DAYS || 14),
+      features: { videosPerMonth: 10 }
+    },
+    overage: {
+      video_generation: { unitPrice: 3, stripePriceId: process.env.STRIPE_STARTER_OVERAGE_PRICE_ID }
+    },
+    popular: true,
+    features: {
+      videosPerMonth: 25,
+      maxDuration: 180, // 3 minutes
+      aiScripts: true,
+      customBranding: false,
+      analytics: true,
+      priority: false,
+      storage: '1GB'
+    }
+  },
+  pro: {
+    name: 'Pro',
+    price: 99,
+    interval: 'month',
+    stripePriceId: process.env.STRIPE_PRO_PRICE_ID,
+    yearlyPrice: 990,
+    stripeYearlyPriceId: process.env.STRIPE_PRO_YEARLY_PRICE_ID,
+    trial: {
+      days: parseInt(process.env.PRO_TRIAL_DAYS || 14),
+      features: { videosPerMonth: 20 }
+    },
+    overage: {
+      video_generation: { unitPrice: 2, stripePriceId: process.env.STRIPE_PRO_OVERAGE_PRICE_ID }
+    },
+    popular: false,
+    features: {
+      videosPerMonth: 100,
+      maxDuration: 600, // 10 minutes
+      aiScripts: true,
+      customBranding: true,
+      analytics: true,
+      priority: true,
+      storage: '10GB'
+    }
+  },
+  enterprise: {
+    name: 'Enterprise',
+    price: 299,
+    interval: 'month',
+    stripePriceId: process.env.STRIPE_ENTERPRISE_PRICE_ID,
+    yearlyPrice: 2990,
+    stripeYearlyPriceId: process.env.STRIPE_ENTERPRISE_YEARLY_PRICE_ID,
+    trial: {
+      days: parseInt(process.env.ENTERPRISE_TRIAL_DAYS || 0),
+      features: {}
+    },
+    popular: false,
+    features: {
+      videosPerMonth: -1,
+      maxDuration: -1,
+      aiScripts: true,
+      customBranding: true,
+      analytics: true,
+      priority: true,
+      storage: 'unlimited'
+    }
+  }
+};
+
+// Prepaid credits, bought once through checkout. Each credit pays for one
+// unit of `type` after the monthly quota is used up; credits don't expire.
+const CREDIT_PACKS = {
+  videos_10: {
+    name: '10 extra videos',
+    type: 'video_generation',
+    credits: 10,
+    price: 25,
+    stripePriceId: process.env.STRIPE_CREDITS_10_PRICE_ID
+  },
+  videos_50: {
+    name: '50 extra videos',
+    type: 'video_generation',
+    credits: 50,
+    price: 100,
+    stripePriceId: process.env.STRIPE_CREDITS_50_PRICE_ID
+  }
+};
+
+const STORAGE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+// '100MB' -> bytes; 'unlimited' (or -1) -> -1
+const parseStorage = (value) => {
+  if (value === 'unlimited' || value === -1) return -1;
+  if (typeof value === 'number') return value;
+
+  const match = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid storage size: ${value}`);
+  }
+  return Math.floor(parseFloat(match[1]) * STORAGE_UNITS[match[2].toUpperCase()]);
+};
+
+const formatStorage = (bytes) => {
+  if (bytes === -1) return 'unlimited';
+
+  const unit = ['TB', 'GB', 'MB', 'KB'].find(name => bytes >= STORAGE_UNITS[name]) || 'B';
+  return `${Math.round((bytes / STORAGE_UNITS[unit]) * 10) / 10}${unit}`;
+};
+
+// Usage types with a quota, and the feature that sets it. Monthly quotas
+// start over each period; storage is recorded in kilobytes and adds up over
+// all periods. Types not listed here are unlimited.
+const USAGE_LIMITS = {
+  video_generation: { feature: 'videosPerMonth', monthly: true },
+  storage: {
+    feature: 'storage',
+    monthly: false,
+    toLimit: (value) => {
+      const bytes = parseStorage(value);
+      return bytes === -1 ? -1 : Math.floor(bytes / 1024);
+    }
+  }
+};
+
+const getPlanFeatures = (plan, { trial = false } = {}) => {
+  const config = PLANS[plan] || PLANS.free;
+  return { ...config.features, ...(trial ? config.trial?.features : {}) };
+};
+
+const getTrialDays = (plan) => {
+  return PLANS[plan]?.trial?.days || 0;
+};
+
+// Whether a feature value allows a request. On/off features ignore
+// `requested`; limits (durations, storage in bytes) must cover it.
+const featureAllows = (feature, value, requested) => {
+  if (typeof value === 'boolean') return value;
+
+  const limit = feature === 'storage' ? parseStorage(value) : value;
+  return limit === -1 || requested === undefined || requested <= limit;
+};
+
+// The cheapest plan above `currentPlan` whose features allow the request,
+// or null if none does. Plans are listed from cheapest to most expensive.
+const findRequiredPlan = (feature, requested, currentPlan = null) => {
+  const ids = Object.keys(PLANS);
+  const id = ids
+    .slice(ids.indexOf(currentPlan) + 1)
+    .find(plan => featureAllows(feature, PLANS[plan].features[feature], requested));
+  return id || null;
+};
+
+const PLAN_INTERVALS = ['month', 'year'];
+
+const getStripePriceId = (plan, interval = 'month') => {
+  const config = PLANS[plan];
+  if (!config) return null;
+  return (interval === 'year' ? config.stripeYearlyPriceId : config.stripePriceId) || null;
+};
+
+// Which plan and billing interval a Stripe price id belongs to, or null
+const findPlanByPriceId = (priceId) => {
+  if (!priceId) return null;
+
+  for (const [plan, config] of Object.entries(PLANS)) {
+    if (config.stripePriceId === priceId) return { plan, interval: 'month' };
+    if (config.stripeYearlyPriceId === priceId) return { plan, interval: 'year' };
+  }
+  return null;
+};
+
+// Position in the catalog, cheapest first; compares plans for up/downgrades
+const planRank = (plan) => Object.keys(PLANS).indexOf(plan);
+
+// The plan's metered overage price for a usage type, or null if it has none
+const getOveragePrice = (plan, type) => {
+  const overage = PLANS[plan]?.overage?.[type];
+  return overage?.stripePriceId ? overage : null;
+};
+
+const listCreditPacks = () => {
+  return Object.entries(CREDIT_PACKS).map(([id, pack]) => ({
+    id,
+    name: pack.name,
+    type: pack.type,
+    credits: pack.credits,
+    price: pack.price,
+    available: !!pack.stripePriceId
+  }));
+};
+
+const listPlans = () => {
+  return Object.entries(PLANS).map(([id, plan]) => ({
+    id,
+    name: plan.name,
+    price: plan.price,
+    interval: plan.interval,
+    stripePriceId: plan.stripePriceId || null,
+    yearlyPrice: plan.yearlyPrice,
+    stripeYearlyPriceId: plan.stripeYearlyPriceId || null,
+    trialDays: plan.trial?.days || 0,
+    overage: Object.fromEntries(
+      Object.entries(plan.overage || {}).map(([type, overage]) => [type, { unitPrice: overage.unitPrice }])
+    ),
+    features: { ...plan.features },
+    popular: plan.popular
+  }));
+};
+
+module.exports = {
+  PLANS,
+  PLAN_INTERVALS,
+  CREDIT_PACKS,
+  USAGE_LIMITS,
+  getPlanFeatures,
+  getTrialDays,
+  getOveragePrice,
+  listPlans,
+  listCreditPacks,
+  getStripePriceId,
+  findPlanByPriceId,
+  planRank,
+  parseStorage,
+  formatStorage,
+  featureAllows,
+  findRequiredPlan
+};
@@ -0,0 +1,6 @@
+// Port the API listens on; scripts that talk to a local server use it too
+const PORT = process.env.PORT || 3000;
+
+module.exports = {
+  PORT
+};
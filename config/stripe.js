@@ -0,0 +1,15 @@
+// Shared Stripe client. STRIPE_API_HOST (with STRIPE_API_PORT and
+// STRIPE_API_PROTOCOL) sends its API calls elsewhere, e.g. to stripe-mock
+// when replaying webhook fixtures in development.
+const Stripe = require('stripe');
+
+const options = {};
+if (process.env.STRIPE_API_HOST) {
+  options.host = process.env.STRIPE_API_HOST;
+  options.port = process.env.STRIPE_API_PORT || 443;
+  options.protocol = process.env.STRIPE_API_PROTOCOL || 'https';
+}
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || '', options);
+
+module.exports = stripe;
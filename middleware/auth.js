@@ -1,10 +1,127 @@
 const jwt = require('jsonwebtoken');
 const { models } = require('../config/database');
 const logger = require('../utils/logger');
+const { apiLimiter } = require('./ratelimiter');
+const { checkQuota, getEntitlements, assertFeature, quotaExceededMessage } = require('../services/entitlementservice');
+const { FeatureNotAvailableError } = require('./errorHandler');
 
-// Middleware to verify JWT token
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Verifies an access token and loads its user. Access tokens name the
+// session they were issued for (sid); a revoked or expired session makes
+// the token unusable even before it expires. Returns { error } for tokens
+// that verify but can't be used, and lets jsonwebtoken errors propagate.
+const resolveAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sid) {
+    return { error: 'Session expired, please log in again' };
+  }
+
+  const session = await models.Session.findByPk(decoded.sid);
+  if (!session || session.userId !== decoded.userId || !session.isActive()) {
+    return { error: 'Session has been revoked' };
+  }
+
+  const user = await models.User.findByPk(decoded.userId, {
+    include: [{
+      model: models.Subscription,
+      as: 'subscription'
+    }]
+  });
+
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  if (!user.isActive) {
+    return { error: 'Account is disabled' };
+  }
+
+  return { user, session, decoded };
+};
+
+// Looks up an X-API-Key and checks it may be used for `scope`, the scope
+// set by allowApiKeys for the current route. Routes without one don't take
+// API keys at all. Returns { user, apiKey } or { error, status }.
+const resolveApiKey = async (key, scope, ipAddress = null) => {
+  const apiKey = await models.ApiKey.findByKey(key);
+  if (!apiKey || !apiKey.isActive()) {
+    return { error: 'Invalid or expired API key', status: 401 };
+  }
+
+  if (!scope) {
+    return { error: 'API keys cannot be used for this endpoint', status: 403 };
+  }
+
+  if (!apiKey.hasScope(scope)) {
+    return { error: `API key is missing the ${scope} scope`, status: 403 };
+  }
+
+  const user = await models.User.findByPk(apiKey.userId, {
+    include: [{
+      model: models.Subscription,
+      as: 'subscription'
+    }]
+  });
+
+  if (!user || !user.isActive) {
+    return { error: 'Account is disabled', status: 401 };
+  }
+
+  try {
+    await apiKey.touch(ipAddress);
+  } catch (touchError) {
+    logger.warn(`Failed to record use of API key ${apiKey.prefix}:`, touchError.message);
+  }
+
+  return { user, apiKey };
+};
+
+// Marks a router as open to API keys: requests with an X-API-Key need the
+// `<resource>:read` scope for safe methods and `<resource>:write` otherwise,
+// and count against apiLimiter. Mounted in front of the router in server.js.
+const allowApiKeys = (resource) => {
+  return (req, res, next) => {
+    req.apiKeyScope = `${resource}:${READ_METHODS.includes(req.method) ? 'read' : 'write'}`;
+
+    if (!req.headers['x-api-key']) {
+      return next();
+    }
+
+    apiLimiter(req, res, next);
+  };
+};
+
+// Closes a single route of an allowApiKeys router to API keys again (key
+// management, for one, needs a logged-in session)
+const denyApiKeys = (req, res, next) => {
+  req.apiKeyScope = null;
+  next();
+};
+
+// Middleware to verify JWT token, or an API key sent as X-API-Key
 const authenticateToken = async (req, res, next) => {
   try {
+    const apiKeyHeader = req.headers['x-api-key'];
+    if (apiKeyHeader) {
+      const { user, apiKey, error, status } = await resolveApiKey(apiKeyHeader, req.apiKeyScope, req.ip);
+
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          message: error
+        });
+      }
+
+      req.user = user;
+      req.userId = user.id;
+      req.sessionId = null;
+      req.apiKey = apiKey;
+
+      return next();
+    }
+
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -15,34 +132,27 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Find user
-    const user = await models.User.findByPk(decoded.userId, {
-      include: [{
-        model: models.Subscription,
-        as: 'subscription'
-      }]
-    });
+    const { user, session, error } = await resolveAccessToken(token);
 
-    if (!user) {
+    if (error) {
       return res.status(401).json({
         success: false,
-        message: 'User not found'
+        message: error
       });
     }
 
-    if (!user.isActive) {
-      return res.status(401).json({
+    if (session.isImpersonation() && !READ_METHODS.includes(req.method)) {
+      return res.status(403).json({
         success: false,
-        message: 'Account is disabled'
+        message: 'Impersonation sessions are read-only'
       });
     }
 
     // Attach user to request
     req.user = user;
     req.userId = user.id;
+    req.sessionId = session.id;
+    req.impersonatorId = session.impersonatorId;
     
     next();
   } catch (error) {
@@ -75,17 +185,12 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await models.User.findByPk(decoded.userId, {
-        include: [{
-          model: models.Subscription,
-          as: 'subscription'
-        }]
-      });
+      const { user, session } = await resolveAccessToken(token);
 
-      if (user && user.isActive) {
+      if (user) {
         req.user = user;
         req.userId = user.id;
+        req.sessionId = session.id;
       }
     }
 
@@ -96,6 +201,100 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Socket.IO handshake authentication. Accepts the same access token as
+// authenticateToken, sent as `auth: { token }` or an Authorization header.
+const authenticateSocket = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers.authorization;
+    const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+    if (!token) {
+      return next(socketAuthError('Access token required'));
+    }
+
+    const { user, session, decoded, error } = await resolveAccessToken(token);
+
+    if (error) {
+      return next(socketAuthError(error));
+    }
+
+    socket.user = user;
+    socket.userId = user.id;
+    socket.sessionId = session.id;
+    socket.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return next(socketAuthError('Invalid token'));
+    }
+
+    if (error.name === 'TokenExpiredError') {
+      return next(socketAuthError('Token expired'));
+    }
+
+    logger.error('Socket authentication error:', error);
+    next(socketAuthError('Authentication failed'));
+  }
+};
+
+// Errors passed to next() in io.use() reach the client as connect_error
+const socketAuthError = (message) => {
+  const error = new Error(message);
+  error.data = { success: false, message };
+  return error;
+};
+
+// Blocks users who haven't verified their email address. Opt-in: it only
+// enforces when REQUIRE_EMAIL_VERIFICATION=true, so existing deployments
+// keep working until they turn it on.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to continue',
+      verifyEmail: true
+    });
+  }
+
+  next();
+};
+
+// Staff-only routes. Roles don't nest, so list every role that may pass,
+// e.g. requireRole(['support', 'admin']).
+const requireRole = (roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const allowed = Array.isArray(roles) ? roles : [roles];
+
+    if (!allowed.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this resource'
+      });
+    }
+
+    next();
+  };
+};
+
 // Check if user has required plan
 const requirePlan = (requiredPlans) => {
   return (req, res, next) => {
@@ -121,7 +320,10 @@ const requirePlan = (requiredPlans) => {
   };
 };
 
-// Check usage limits
+// Check usage limits against the entitlement service. Inside a workspace the
+// owner's entitlements and pooled usage apply (req.billedUser, set by
+// workspaceContext). This only rejects early; the charge itself reserves
+// quota atomically. Sets req.entitlements and req.usage.
 const checkUsageLimit = (usageType) => {
   return async (req, res, next) => {
     try {
@@ -132,40 +334,18 @@ const checkUsageLimit = (usageType) => {
         });
       }
 
-      const subscription = req.user.subscription;
-      if (!subscription) {
-        return res.status(403).json({
-          success: false,
-          message: 'No active subscription found'
-        });
-      }
-
-      const features = subscription.getFeatures();
-      let limit;
+      const { entitlements, usage } = await checkQuota(req.billedUser || req.user, usageType);
 
-      switch (usageType) {
-        case 'video_generation':
-          limit = features.videosPerMonth;
-          break;
-        default:
-          limit = -1; // Unlimited
-      }
-
-      if (limit === -1) {
-        return next(); // Unlimited
-      }
-
-      const usage = await models.Usage.checkLimit(req.user.id, usageType, limit);
-      
       if (!usage.canUse) {
         return res.status(403).json({
           success: false,
-          message: `Usage limit exceeded. You have used ${usage.current}/${usage.limit} for this month.`,
+          message: quotaExceededMessage(usageType, usage, !!req.workspace),
           usage,
           upgrade: true
         });
       }
 
+      req.entitlements = entitlements;
       req.usage = usage;
       next();
     } catch (error) {
@@ -178,9 +358,73 @@ const checkUsageLimit = (usageType) => {
   };
 };
 
+// Plan feature gates. Like checkUsageLimit they use the billed user's
+// entitlements (reusing req.entitlements when already loaded), and reject
+// with a 403 naming the feature and the cheapest plan that includes it.
+const sendFeatureError = (res, error) => {
+  res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    ...error.details,
+    upgrade: true
+  });
+};
+
+const featureGate = (feature, getRequested) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      const requested = getRequested ? await getRequested(req) : undefined;
+      // Nothing (valid) asked for: leave it to the route's own validation
+      if (getRequested && !Number.isFinite(requested)) {
+        return next();
+      }
+
+      if (!req.entitlements) {
+        req.entitlements = await getEntitlements(req.billedUser || req.user);
+      }
+
+      assertFeature(req.entitlements, feature, requested);
+      next();
+    } catch (error) {
+      if (error instanceof FeatureNotAvailableError) {
+        return sendFeatureError(res, error);
+      }
+
+      logger.error('Feature check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check plan features'
+      });
+    }
+  };
+};
+
+// For on/off features, e.g. requireFeature('aiScripts')
+const requireFeature = (feature) => featureGate(feature);
+
+// For limits: getRequested(req) returns (or resolves to) the amount asked for, e.g.
+// requireFeatureLimit('maxDuration', req => Number(req.body.duration))
+const requireFeatureLimit = (feature, getRequested) => featureGate(feature, getRequested);
+
 module.exports = {
+  resolveAccessToken,
+  resolveApiKey,
+  allowApiKeys,
+  denyApiKeys,
   authenticateToken,
   optionalAuth,
+  authenticateSocket,
+  requireVerifiedEmail,
+  requireRole,
   requirePlan,
-  checkUsageLimit
+  checkUsageLimit,
+  requireFeature,
+  requireFeatureLimit
 };
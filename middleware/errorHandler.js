@@ -42,6 +42,27 @@ class ConflictError extends AppError {
   }
 }
 
+// A monthly quota is used up; `usage` is the { current, limit, remaining }
+// the client can show next to the upgrade prompt
+class QuotaExceededError extends AppError {
+  constructor(message = 'Usage limit exceeded', usage = null) {
+    super(message, 403);
+    this.usage = usage;
+    this.upgrade = true;
+  }
+}
+
+// The plan doesn't include a feature, or a request goes over one of its
+// limits. `details` names the feature, the current plan and the cheapest plan
+// that allows the request, for the client's upgrade prompt.
+class FeatureNotAvailableError extends AppError {
+  constructor(message = 'This feature is not available on your plan', details = {}) {
+    super(message, 403);
+    this.details = details;
+    this.upgrade = true;
+  }
+}
+
 class RateLimitError extends AppError {
   constructor(message = 'Rate limit exceeded') {
     super(message, 429);
@@ -205,6 +226,8 @@ module.exports = {
   AuthorizationError,
   NotFoundError,
   ConflictError,
+  QuotaExceededError,
+  FeatureNotAvailableError,
   RateLimitError,
   ExternalServiceError
 };
@@ -112,11 +112,29 @@ const passwordResetLimiter = rateLimit({
   }
 });
 
+// Verification email resends, per user
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // limit each user to 3 verification emails per hour
+  keyGenerator: (req) => {
+    return req.userId || req.ip;
+  },
+  handler: (req, res) => {
+    logger.warn(`Verification email rate limit exceeded for ${req.userId || req.ip}`);
+    res.status(429).json({
+      success: false,
+      message: 'Too many verification emails requested. Please try again later.',
+      retryAfter: 60 * 60
+    });
+  }
+});
+
 module.exports = {
   generalLimiter,
   authLimiter,
   videoGenerationLimiter,
   apiLimiter,
   demoLimiter,
-  passwordResetLimiter
+  passwordResetLimiter,
+  verificationEmailLimiter
 };
@@ -0,0 +1,93 @@
+const { models } = require('../config/database');
+const logger = require('../utils/logger');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Selects the library a request works in. Clients name a workspace with the
+// X-Workspace-Id header (or ?workspaceId=); without one the user's personal
+// library is used. Runs after authenticateToken and sets:
+//   req.workspace    the workspace, or null for the personal library
+//   req.membership   the user's membership in it
+//   req.billedUser   whose subscription and quota pay for the request (the
+//                    workspace owner, with subscription loaded, or req.user)
+const workspaceContext = async (req, res, next) => {
+  const workspaceId = req.get('X-Workspace-Id') || req.query.workspaceId;
+
+  req.workspace = null;
+  req.membership = null;
+  req.billedUser = req.user;
+
+  if (!workspaceId) {
+    return next();
+  }
+
+  if (!UUID_PATTERN.test(workspaceId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid workspace ID'
+    });
+  }
+
+  try {
+    const membership = await models.WorkspaceMembership.findOne({
+      where: { workspaceId, userId: req.user.id },
+      include: [{
+        model: models.Workspace,
+        as: 'workspace',
+        include: [{
+          model: models.User,
+          as: 'owner',
+          include: [{
+            model: models.Subscription,
+            as: 'subscription'
+          }]
+        }]
+      }]
+    });
+
+    // Non-members get the same answer as for a workspace that doesn't exist
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found'
+      });
+    }
+
+    if (!READ_METHODS.includes(req.method) && !membership.canEdit()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Viewers cannot make changes in this workspace'
+      });
+    }
+
+    req.workspace = membership.workspace;
+    req.membership = membership;
+    req.billedUser = membership.workspace.ownerId === req.user.id
+      ? req.user
+      : membership.workspace.owner;
+
+    next();
+  } catch (error) {
+    logger.error('Workspace context error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load workspace'
+    });
+  }
+};
+
+// Where clause for videos and scripts in the selected library. The personal
+// library only holds the user's own items that don't belong to a workspace.
+const libraryScope = (req) => {
+  if (req.workspace) {
+    return { workspaceId: req.workspace.id };
+  }
+
+  return { userId: req.user.id, workspaceId: null };
+};
+
+module.exports = {
+  workspaceContext,
+  libraryScope
+};
@@ -0,0 +1,75 @@
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.createTable('users', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      password: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      firstName: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      lastName: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      avatar: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      plan: {
+        type: Sequelize.ENUM('free', 'starter', 'pro', 'enterprise'),
+        defaultValue: 'free'
+      },
+      videosGenerated: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      videosLimit: {
+        type: Sequelize.INTEGER,
+        defaultValue: 3
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      lastLoginAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      emailVerified: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      stripeCustomerId: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.dropTable('users', { transaction });
+    await queryInterface.dropEnum('enum_users_plan', { transaction });
+  }
+};
@@ -0,0 +1,104 @@
+const { addIndexIfMissing } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.createTable('scripts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      title: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      prompt: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      tone: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      targetAudience: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      duration: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      wordCount: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      language: {
+        type: Sequelize.STRING,
+        defaultValue: 'en'
+      },
+      category: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      tags: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        defaultValue: []
+      },
+      isTemplate: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      isPublic: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      metadata: {
+        type: Sequelize.JSON,
+        defaultValue: {}
+      },
+      structure: {
+        type: Sequelize.JSON,
+        defaultValue: {}
+      },
+      usage: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      rating: {
+        type: Sequelize.DECIMAL(3, 2),
+        allowNull: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    for (const fields of [['userId'], ['category'], ['isTemplate'], ['isPublic'], ['createdAt']]) {
+      await addIndexIfMissing(queryInterface, 'scripts', fields, { transaction });
+    }
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.dropTable('scripts', { transaction });
+  }
+};
@@ -0,0 +1,122 @@
+const { addIndexIfMissing } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.createTable('videos', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      title: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      prompt: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      videoUrl: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      thumbnailUrl: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      duration: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      resolution: {
+        type: Sequelize.STRING,
+        defaultValue: '1920x1080'
+      },
+      fps: {
+        type: Sequelize.INTEGER,
+        defaultValue: 30
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processing', 'completed', 'failed'),
+        defaultValue: 'pending'
+      },
+      processingProgress: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      style: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      mood: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      category: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      tags: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        defaultValue: []
+      },
+      metadata: {
+        type: Sequelize.JSON,
+        defaultValue: {}
+      },
+      isPublic: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      views: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      likes: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      scriptId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'scripts',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    for (const fields of [['userId'], ['status'], ['category'], ['isPublic'], ['createdAt']]) {
+      await addIndexIfMissing(queryInterface, 'videos', fields, { transaction });
+    }
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.dropTable('videos', { transaction });
+    await queryInterface.dropEnum('enum_videos_status', { transaction });
+  }
+};
@@ -0,0 +1,93 @@
+const { addIndexIfMissing } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.createTable('subscriptions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      stripeSubscriptionId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        unique: true
+      },
+      stripePriceId: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      plan: {
+        type: Sequelize.ENUM('free', 'starter', 'pro', 'enterprise'),
+        allowNull: false,
+        defaultValue: 'free'
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'inactive', 'canceled', 'past_due', 'unpaid'),
+        defaultValue: 'active'
+      },
+      currentPeriodStart: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      currentPeriodEnd: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancelAtPeriodEnd: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      trialStart: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      trialEnd: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      currency: {
+        type: Sequelize.STRING,
+        defaultValue: 'usd'
+      },
+      interval: {
+        type: Sequelize.ENUM('month', 'year'),
+        allowNull: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    for (const fields of [['userId'], ['stripeSubscriptionId'], ['status'], ['plan']]) {
+      await addIndexIfMissing(queryInterface, 'subscriptions', fields, { transaction });
+    }
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.dropTable('subscriptions', { transaction });
+    await queryInterface.dropEnum('enum_subscriptions_plan', { transaction });
+    await queryInterface.dropEnum('enum_subscriptions_status', { transaction });
+    await queryInterface.dropEnum('enum_subscriptions_interval', { transaction });
+  }
+};
@@ -0,0 +1,52 @@
+const { addIndexIfMissing } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.createTable('usage', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      type: {
+        type: Sequelize.ENUM('video_generation', 'script_generation', 'storage', 'api_call'),
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.INTEGER,
+        defaultValue: 1
+      },
+      period: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      metadata: {
+        type: Sequelize.JSON,
+        defaultValue: {}
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    for (const fields of [['userId', 'period'], ['type'], ['period']]) {
+      await addIndexIfMissing(queryInterface, 'usage', fields, { transaction });
+    }
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.dropTable('usage', { transaction });
+    await queryInterface.dropEnum('enum_usage_type', { transaction });
+  }
+};
@@ -0,0 +1,103 @@
+const { addIndexIfMissing } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.createTable('jobs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      type: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSON,
+        defaultValue: {}
+      },
+      status: {
+        type: Sequelize.ENUM('queued', 'running', 'completed', 'dead'),
+        defaultValue: 'queued'
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      maxAttempts: {
+        type: Sequelize.INTEGER,
+        defaultValue: 3
+      },
+      runAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      leasedBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      leaseExpiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      heartbeatAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastError: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      result: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      completedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      videoId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'videos',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    for (const fields of [['status', 'runAt'], ['videoId'], ['userId']]) {
+      await addIndexIfMissing(queryInterface, 'jobs', fields, { transaction });
+    }
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.dropTable('jobs', { transaction });
+    await queryInterface.dropEnum('enum_jobs_status', { transaction });
+  }
+};
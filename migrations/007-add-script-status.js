@@ -0,0 +1,18 @@
+const { addIndexIfMissing } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.addColumn('scripts', 'status', {
+      type: Sequelize.ENUM('completed', 'aborted'),
+      allowNull: false,
+      defaultValue: 'completed'
+    }, { transaction });
+
+    await addIndexIfMissing(queryInterface, 'scripts', ['status'], { transaction });
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.removeColumn('scripts', 'status', { transaction });
+    await queryInterface.dropEnum('enum_scripts_status', { transaction });
+  }
+};
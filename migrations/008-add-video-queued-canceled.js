@@ -0,0 +1,33 @@
+const { replaceEnum } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, transaction }) {
+    await replaceEnum(queryInterface, 'videos', 'status',
+      ['pending', 'queued', 'processing', 'completed', 'failed', 'canceled'],
+      { transaction, defaultValue: 'pending' });
+
+    await replaceEnum(queryInterface, 'jobs', 'status',
+      ['queued', 'running', 'completed', 'dead', 'canceled'],
+      { transaction, defaultValue: 'queued' });
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.sequelize.query(
+      `UPDATE "videos" SET "status" = (CASE "status" WHEN 'queued' THEN 'pending' ELSE 'failed' END)::"enum_videos_status"
+       WHERE "status" IN ('queued', 'canceled')`,
+      { transaction }
+    );
+    await queryInterface.sequelize.query(
+      `UPDATE "jobs" SET "status" = 'dead' WHERE "status" = 'canceled'`,
+      { transaction }
+    );
+
+    await replaceEnum(queryInterface, 'videos', 'status',
+      ['pending', 'processing', 'completed', 'failed'],
+      { transaction, defaultValue: 'pending' });
+
+    await replaceEnum(queryInterface, 'jobs', 'status',
+      ['queued', 'running', 'completed', 'dead'],
+      { transaction, defaultValue: 'queued' });
+  }
+};
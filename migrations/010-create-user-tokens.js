@@ -0,0 +1,62 @@
+const { addIndexIfMissing } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.createTable('user_tokens', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      purpose: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      tokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+        unique: true
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      consumedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      invalidatedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      requestedIp: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    await addIndexIfMissing(queryInterface, 'user_tokens', ['userId', 'purpose'], { transaction });
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.dropTable('user_tokens', { transaction });
+  }
+};
@@ -0,0 +1,35 @@
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.addColumn('users', 'twoFactorEnabled', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }, { transaction });
+
+    await queryInterface.addColumn('users', 'twoFactorSecret', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    }, { transaction });
+
+    await queryInterface.addColumn('users', 'twoFactorRecoveryCodes', {
+      type: Sequelize.JSON,
+      defaultValue: []
+    }, { transaction });
+
+    await queryInterface.addColumn('users', 'twoFactorLastUsedStep', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    }, { transaction });
+
+    await queryInterface.addColumn('users', 'twoFactorEnabledAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    }, { transaction });
+  },
+
+  async down({ queryInterface, transaction }) {
+    for (const column of ['twoFactorEnabledAt', 'twoFactorLastUsedStep', 'twoFactorRecoveryCodes', 'twoFactorSecret', 'twoFactorEnabled']) {
+      await queryInterface.removeColumn('users', column, { transaction });
+    }
+  }
+};
@@ -0,0 +1,71 @@
+const { addIndexIfMissing } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.createTable('linked_accounts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      provider: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      providerUserId: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      signInMethod: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      emailVerified: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      displayName: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      avatarUrl: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      lastLoginAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    await addIndexIfMissing(queryInterface, 'linked_accounts', ['provider', 'providerUserId'], { unique: true, transaction });
+    await addIndexIfMissing(queryInterface, 'linked_accounts', ['userId'], { transaction });
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.dropTable('linked_accounts', { transaction });
+  }
+};
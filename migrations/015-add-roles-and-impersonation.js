@@ -0,0 +1,25 @@
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.addColumn('users', 'role', {
+      type: Sequelize.ENUM('user', 'support', 'admin'),
+      allowNull: false,
+      defaultValue: 'user'
+    }, { transaction });
+
+    await queryInterface.addColumn('sessions', 'impersonatorId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    }, { transaction });
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.removeColumn('sessions', 'impersonatorId', { transaction });
+    await queryInterface.removeColumn('users', 'role', { transaction });
+    await queryInterface.dropEnum('enum_users_role', { transaction });
+  }
+};
@@ -0,0 +1,176 @@
+const { addIndexIfMissing } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.createTable('workspaces', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      ownerId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    await queryInterface.createTable('workspace_memberships', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      role: {
+        type: Sequelize.ENUM('owner', 'editor', 'viewer'),
+        allowNull: false,
+        defaultValue: 'viewer'
+      },
+      workspaceId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'workspaces',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    await queryInterface.createTable('workspace_invitations', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      role: {
+        type: Sequelize.ENUM('editor', 'viewer'),
+        allowNull: false,
+        defaultValue: 'viewer'
+      },
+      tokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      acceptedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      workspaceId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'workspaces',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      invitedById: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      acceptedById: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    // Shared content falls back to its creator's personal library when the
+    // workspace is deleted; usage rows keep counting for billing history
+    for (const table of ['videos', 'scripts', 'usage']) {
+      await queryInterface.addColumn(table, 'workspaceId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'workspaces',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      }, { transaction });
+    }
+
+    await addIndexIfMissing(queryInterface, 'workspaces', ['ownerId'], { transaction });
+    await addIndexIfMissing(queryInterface, 'workspace_memberships', ['workspaceId', 'userId'], { unique: true, transaction });
+    await addIndexIfMissing(queryInterface, 'workspace_memberships', ['userId'], { transaction });
+    await addIndexIfMissing(queryInterface, 'workspace_invitations', ['workspaceId'], { transaction });
+    await addIndexIfMissing(queryInterface, 'videos', ['workspaceId'], { transaction });
+    await addIndexIfMissing(queryInterface, 'scripts', ['workspaceId'], { transaction });
+  },
+
+  async down({ queryInterface, transaction }) {
+    for (const table of ['usage', 'scripts', 'videos']) {
+      await queryInterface.removeColumn(table, 'workspaceId', { transaction });
+    }
+
+    await queryInterface.dropTable('workspace_invitations', { transaction });
+    await queryInterface.dropTable('workspace_memberships', { transaction });
+    await queryInterface.dropTable('workspaces', { transaction });
+    await queryInterface.dropEnum('enum_workspace_invitations_role', { transaction });
+    await queryInterface.dropEnum('enum_workspace_memberships_role', { transaction });
+  }
+};
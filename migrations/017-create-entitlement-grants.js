@@ -0,0 +1,80 @@
+const { addIndexIfMissing } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.createTable('entitlement_grants', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      feature: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      kind: {
+        type: Sequelize.ENUM('override', 'addon'),
+        allowNull: false
+      },
+      value: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      period: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      reason: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      grantedById: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    await addIndexIfMissing(queryInterface, 'entitlement_grants', ['userId'], { transaction });
+
+    // Quotas now come from the plan catalog and monthly usage rows; the
+    // per-user limit copy went stale whenever a plan changed
+    await queryInterface.removeColumn('users', 'videosLimit', { transaction });
+  },
+
+  async down({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.addColumn('users', 'videosLimit', {
+      type: Sequelize.INTEGER,
+      defaultValue: 3
+    }, { transaction });
+
+    await queryInterface.dropTable('entitlement_grants', { transaction });
+    await queryInterface.dropEnum('enum_entitlement_grants_kind', { transaction });
+  }
+};
@@ -0,0 +1,61 @@
+const { addIndexIfMissing } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.createTable('stripe_events', {
+      id: {
+        type: Sequelize.STRING,
+        primaryKey: true
+      },
+      type: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('processing', 'processed', 'failed'),
+        allowNull: false,
+        defaultValue: 'processing'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      lastError: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      livemode: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      processedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    await addIndexIfMissing(queryInterface, 'stripe_events', ['type'], { transaction });
+    await addIndexIfMissing(queryInterface, 'stripe_events', ['status'], { transaction });
+  },
+
+  async down({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.dropTable('stripe_events', { transaction });
+    await queryInterface.dropEnum('enum_stripe_events_status', { transaction });
+  }
+};
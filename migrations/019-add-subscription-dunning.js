@@ -0,0 +1,41 @@
+const { addIndexIfMissing } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.addColumn('subscriptions', 'pastDueSince', {
+      type: Sequelize.DATE,
+      allowNull: true
+    }, { transaction });
+
+    await queryInterface.addColumn('subscriptions', 'graceEndsAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    }, { transaction });
+
+    await queryInterface.addColumn('subscriptions', 'dunningStage', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }, { transaction });
+
+    await queryInterface.addColumn('subscriptions', 'dunningDowngradedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    }, { transaction });
+
+    await queryInterface.addColumn('subscriptions', 'dunningInvoiceUrl', {
+      type: Sequelize.STRING(1000),
+      allowNull: true
+    }, { transaction });
+
+    await addIndexIfMissing(queryInterface, 'subscriptions', ['pastDueSince'], { transaction });
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.removeColumn('subscriptions', 'dunningInvoiceUrl', { transaction });
+    await queryInterface.removeColumn('subscriptions', 'dunningDowngradedAt', { transaction });
+    await queryInterface.removeColumn('subscriptions', 'dunningStage', { transaction });
+    await queryInterface.removeColumn('subscriptions', 'graceEndsAt', { transaction });
+    await queryInterface.removeColumn('subscriptions', 'pastDueSince', { transaction });
+  }
+};
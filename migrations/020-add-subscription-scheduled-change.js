@@ -0,0 +1,32 @@
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.addColumn('subscriptions', 'scheduledPlan', {
+      type: Sequelize.ENUM('free', 'starter', 'pro', 'enterprise'),
+      allowNull: true
+    }, { transaction });
+
+    await queryInterface.addColumn('subscriptions', 'scheduledInterval', {
+      type: Sequelize.ENUM('month', 'year'),
+      allowNull: true
+    }, { transaction });
+
+    await queryInterface.addColumn('subscriptions', 'scheduledChangeAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    }, { transaction });
+
+    await queryInterface.addColumn('subscriptions', 'stripeScheduleId', {
+      type: Sequelize.STRING,
+      allowNull: true
+    }, { transaction });
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.removeColumn('subscriptions', 'stripeScheduleId', { transaction });
+    await queryInterface.removeColumn('subscriptions', 'scheduledChangeAt', { transaction });
+    await queryInterface.removeColumn('subscriptions', 'scheduledInterval', { transaction });
+    await queryInterface.removeColumn('subscriptions', 'scheduledPlan', { transaction });
+    await queryInterface.dropEnum('enum_subscriptions_scheduledPlan', { transaction });
+    await queryInterface.dropEnum('enum_subscriptions_scheduledInterval', { transaction });
+  }
+};
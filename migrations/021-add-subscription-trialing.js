@@ -0,0 +1,20 @@
+const { replaceEnum } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, transaction }) {
+    await replaceEnum(queryInterface, 'subscriptions', 'status',
+      ['active', 'trialing', 'inactive', 'canceled', 'past_due', 'unpaid'],
+      { transaction, defaultValue: 'active' });
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.sequelize.query(
+      `UPDATE "subscriptions" SET "status" = 'active' WHERE "status" = 'trialing'`,
+      { transaction }
+    );
+
+    await replaceEnum(queryInterface, 'subscriptions', 'status',
+      ['active', 'inactive', 'canceled', 'past_due', 'unpaid'],
+      { transaction, defaultValue: 'active' });
+  }
+};
@@ -0,0 +1,85 @@
+const { addIndexIfMissing } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.createTable('credit_transactions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      type: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.ENUM('purchase', 'usage', 'refund', 'grant', 'revoke'),
+        allowNull: false
+      },
+      reference: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    await addIndexIfMissing(queryInterface, 'credit_transactions', ['userId', 'type'], { transaction });
+    // A checkout session (or other reference) credits at most once
+    await addIndexIfMissing(queryInterface, 'credit_transactions', ['reason', 'reference'], { transaction, unique: true });
+
+    await queryInterface.addColumn('usage', 'overage', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }, { transaction });
+
+    await queryInterface.addColumn('usage', 'overageReported', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }, { transaction });
+
+    await queryInterface.addColumn('subscriptions', 'overageEnabled', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }, { transaction });
+
+    await queryInterface.addColumn('subscriptions', 'stripeOverageItemId', {
+      type: Sequelize.STRING,
+      allowNull: true
+    }, { transaction });
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.removeColumn('subscriptions', 'stripeOverageItemId', { transaction });
+    await queryInterface.removeColumn('subscriptions', 'overageEnabled', { transaction });
+    await queryInterface.removeColumn('usage', 'overageReported', { transaction });
+    await queryInterface.removeColumn('usage', 'overage', { transaction });
+
+    await queryInterface.dropTable('credit_transactions', { transaction });
+    await queryInterface.dropEnum('enum_credit_transactions_reason', { transaction });
+  }
+};
@@ -0,0 +1,90 @@
+const { addIndexIfMissing, replaceEnum } = require('../utils/migrator');
+
+const CREDIT_REASONS = ['purchase', 'usage', 'refund', 'grant', 'revoke'];
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    // Existing users get a code the first time they ask for it
+    await queryInterface.addColumn('users', 'referralCode', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      unique: true
+    }, { transaction });
+
+    await queryInterface.createTable('referrals', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      referrerId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      referredUserId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      code: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'rewarded'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      rewardCredits: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      rewardReference: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      rewardedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    await addIndexIfMissing(queryInterface, 'referrals', ['referrerId'], { transaction });
+
+    await replaceEnum(queryInterface, 'credit_transactions', 'reason',
+      [...CREDIT_REASONS, 'referral'],
+      { transaction });
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.sequelize.query(
+      `UPDATE "credit_transactions" SET "reason" = 'grant' WHERE "reason" = 'referral'`,
+      { transaction }
+    );
+    await replaceEnum(queryInterface, 'credit_transactions', 'reason', CREDIT_REASONS, { transaction });
+
+    await queryInterface.dropTable('referrals', { transaction });
+    await queryInterface.dropEnum('enum_referrals_status', { transaction });
+    await queryInterface.removeColumn('users', 'referralCode', { transaction });
+  }
+};
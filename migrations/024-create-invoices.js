@@ -0,0 +1,132 @@
+const { addIndexIfMissing } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.createTable('invoices', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      stripeInvoiceId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      stripeSubscriptionId: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      number: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('draft', 'open', 'paid', 'void', 'uncollectible'),
+        allowNull: false
+      },
+      billingReason: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      subtotal: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      discount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      tax: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      total: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      amountDue: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      amountPaid: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      amountRefunded: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lines: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      customerName: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      customerEmail: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      hostedInvoiceUrl: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      periodStart: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      periodEnd: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      issuedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      paidAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    await addIndexIfMissing(queryInterface, 'invoices', ['userId', 'issuedAt'], { transaction });
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.dropTable('invoices', { transaction });
+    await queryInterface.dropEnum('enum_invoices_status', { transaction });
+  }
+};
@@ -0,0 +1,72 @@
+const { addIndexIfMissing } = require('../utils/migrator');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await queryInterface.createTable('uploaded_files', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      kind: {
+        type: Sequelize.ENUM('avatar', 'media'),
+        allowNull: false
+      },
+      key: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      url: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      originalName: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      contentType: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      size: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      storageKilobytes: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      period: {
+        type: Sequelize.STRING(7),
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    }, { transaction });
+
+    await addIndexIfMissing(queryInterface, 'uploaded_files', ['userId', 'kind'], { transaction });
+  },
+
+  async down({ queryInterface, transaction }) {
+    await queryInterface.dropTable('uploaded_files', { transaction });
+    await queryInterface.dropEnum('enum_uploaded_files_kind', { transaction });
+  }
+};
@@ -44,13 +44,14 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.ENUM('free', 'starter', 'pro', 'enterprise'),
       defaultValue: 'free'
     },
-    videosGenerated: {
-      type: DataTypes.INTEGER,
-      defaultValue: 0
+    role: {
+      type: DataTypes.ENUM('user', 'support', 'admin'),
+      allowNull: false,
+      defaultValue: 'user'
     },
-    videosLimit: {
+    videosGenerated: {
       type: DataTypes.INTEGER,
-      defaultValue: 3 // Free plan limit
+      defaultValue: 0 // All-time count; monthly quotas come from the entitlement service
     },
     isActive: {
       type: DataTypes.BOOLEAN,
@@ -68,6 +69,31 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: true
     },
+    referralCode: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      unique: true
+    },
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    twoFactorSecret: {
+      type: DataTypes.TEXT,
+      allowNull: true // Encrypted; set during enrollment, before twoFactorEnabled
+    },
+    twoFactorRecoveryCodes: {
+      type: DataTypes.JSON,
+      defaultValue: [] // SHA-256 hashes of the unused recovery codes
+    },
+    twoFactorLastUsedStep: {
+      type: DataTypes.INTEGER,
+      allowNull: true // TOTP time step of the last accepted code, to stop replays
+    },
+    twoFactorEnabledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     createdAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -102,30 +128,22 @@ module.exports = (sequelize, DataTypes) => {
     return `${this.firstName} ${this.lastName}`;
   };
 
-  User.prototype.canGenerateVideo = function() {
-    return this.videosGenerated < this.videosLimit;
-  };
-
   User.prototype.incrementVideoCount = async function() {
     this.videosGenerated += 1;
     await this.save();
   };
 
-  User.prototype.updatePlanLimits = function(plan) {
-    const limits = {
-      free: 3,
-      starter: 25,
-      pro: 100,
-      enterprise: -1 // Unlimited
-    };
-    
-    this.plan = plan;
-    this.videosLimit = limits[plan];
+  User.prototype.decrementVideoCount = async function() {
+    this.videosGenerated = Math.max(0, this.videosGenerated - 1);
+    await this.save();
   };
 
   User.prototype.toJSON = function() {
     const user = { ...this.get() };
     delete user.password;
+    delete user.twoFactorSecret;
+    delete user.twoFactorRecoveryCodes;
+    delete user.twoFactorLastUsedStep;
     return user;
   };
 
@@ -138,5 +156,8 @@ module.exports = (sequelize, DataTypes) => {
     return this.findAll({ where: { isActive: true } });
   };
 
+  User.ROLES = ['user', 'support', 'admin'];
+  User.PLANS = ['free', 'starter', 'pro', 'enterprise'];
+
   return User;
 };
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+
+const KEY_PREFIX = 'ifk_';
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// User-scoped API keys for programmatic access. Only a SHA-256 hash of the
+// key is stored; `prefix` is the start of the key, kept so users can tell
+// their keys apart.
+module.exports = (sequelize, DataTypes) => {
+  const ApiKey = sequelize.define('ApiKey', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false
+    },
+    keyHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    scopes: {
+      type: DataTypes.JSON,
+      defaultValue: [] // e.g., ['videos:read', 'videos:write']
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true // Never expires
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastUsedIp: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'api_keys',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  // Instance methods
+  ApiKey.prototype.isActive = function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+  };
+
+  ApiKey.prototype.hasScope = function(scope) {
+    return (this.scopes || []).includes(scope);
+  };
+
+  // Records use, at most once a minute per key so busy keys don't turn every
+  // request into a write
+  ApiKey.prototype.touch = async function(ipAddress = null) {
+    if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) {
+      return;
+    }
+
+    this.lastUsedAt = new Date();
+    this.lastUsedIp = ipAddress;
+    await ApiKey.update({ lastUsedAt: this.lastUsedAt, lastUsedIp: ipAddress }, {
+      where: { id: this.id },
+      silent: true
+    });
+  };
+
+  ApiKey.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.keyHash;
+    return values;
+  };
+
+  // Class methods
+  ApiKey.generateKey = function() {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, prefix: key.slice(0, KEY_PREFIX.length + 8) };
+  };
+
+  ApiKey.hashKey = function(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  };
+
+  ApiKey.findByKey = function(key) {
+    return this.findOne({ where: { keyHash: this.hashKey(key) } });
+  };
+
+  ApiKey.findActiveByUser = function(userId) {
+    return this.findAll({
+      where: {
+        userId,
+        revokedAt: null,
+        [Op.or]: [
+          { expiresAt: null },
+          { expiresAt: { [Op.gt]: new Date() } }
+        ]
+      },
+      order: [['createdAt', 'DESC']]
+    });
+  };
+
+  ApiKey.SCOPES = [
+    'videos:read',
+    'videos:write',
+    'scripts:read',
+    'scripts:write',
+    'uploads:read',
+    'uploads:write',
+    'profile:read',
+    'billing:read'
+  ];
+
+  return ApiKey;
+};
@@ -0,0 +1,72 @@
+// Append-only record of security-relevant actions. `userId` is the account
+// acted on, `actorId` whoever did it (the same user, an admin, or nobody for
+// anonymous requests).
+module.exports = (sequelize, DataTypes) => {
+  const AuditLog = sequelize.define('AuditLog', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false // e.g., 'password_reset.requested'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    actorId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    userAgent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'audit_logs',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['userId', 'createdAt']
+      },
+      {
+        fields: ['action']
+      }
+    ]
+  });
+
+  // Class methods
+  AuditLog.findByUser = function(userId, options = {}) {
+    return this.findAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']],
+      ...options
+    });
+  };
+
+  return AuditLog;
+};
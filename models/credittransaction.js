@@ -0,0 +1,87 @@
+// Ledger of prepaid usage credits. Purchases, grants and referral rewards
+// add credits, usage past a quota spends them and given-back usage returns
+// them; the balance is the sum of a user's rows for a usage type.
+// `reference` ties a purchase to its checkout session (a referral reward to
+// its referral, a refunded purchase to the charge's refund), so each counts
+// at most once.
+module.exports = (sequelize, DataTypes) => {
+  const CreditTransaction = sequelize.define('CreditTransaction', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    type: {
+      type: DataTypes.STRING, // usage type the credits pay for
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.INTEGER, // positive adds credits, negative spends them
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.ENUM('purchase', 'usage', 'refund', 'grant', 'revoke', 'referral'),
+      allowNull: false
+    },
+    reference: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'credit_transactions',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['userId', 'type']
+      },
+      {
+        unique: true,
+        fields: ['reason', 'reference']
+      }
+    ]
+  });
+
+  // Class methods
+  CreditTransaction.getBalance = async function(userId, type, { transaction } = {}) {
+    const balance = await this.sum('amount', {
+      where: { userId, type },
+      transaction
+    });
+    return balance || 0;
+  };
+
+  // Balances per usage type, for types the user has ever had credits for
+  CreditTransaction.getBalances = async function(userId) {
+    const rows = await this.findAll({
+      where: { userId },
+      attributes: [
+        'type',
+        [sequelize.cast(sequelize.fn('SUM', sequelize.col('amount')), 'INTEGER'), 'balance']
+      ],
+      group: ['type'],
+      raw: true
+    });
+    return Object.fromEntries(rows.map(row => [row.type, row.balance]));
+  };
+
+  CreditTransaction.REASONS = ['purchase', 'usage', 'refund', 'grant', 'revoke', 'referral'];
+
+  return CreditTransaction;
+};
@@ -0,0 +1,104 @@
+const { Op } = require('sequelize');
+
+const currentPeriod = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}`;
+};
+
+// Per-user changes to plan features. An override replaces a feature's value
+// (e.g. videosPerMonth: 50, or aiScripts: true); an add-on adds to a numeric
+// limit. A grant can be limited to one billing period (YYYY-MM) or expire.
+module.exports = (sequelize, DataTypes) => {
+  const EntitlementGrant = sequelize.define('EntitlementGrant', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    feature: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    kind: {
+      type: DataTypes.ENUM('override', 'addon'),
+      allowNull: false
+    },
+    value: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    period: {
+      type: DataTypes.STRING, // Format: YYYY-MM; null applies to every period
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reason: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    grantedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'entitlement_grants',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  // Instance methods
+  EntitlementGrant.prototype.isActive = function(period = currentPeriod()) {
+    return !this.revokedAt &&
+      (!this.expiresAt || this.expiresAt > new Date()) &&
+      (!this.period || this.period === period);
+  };
+
+  // Class methods
+  EntitlementGrant.findActiveByUser = function(userId, { period = currentPeriod(), transaction } = {}) {
+    return this.findAll({
+      where: {
+        userId,
+        revokedAt: null,
+        [Op.and]: [
+          { [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] },
+          { [Op.or]: [{ period: null }, { period }] }
+        ]
+      },
+      order: [['createdAt', 'ASC']],
+      transaction
+    });
+  };
+
+  EntitlementGrant.KINDS = ['override', 'addon'];
+
+  return EntitlementGrant;
+};
@@ -0,0 +1,214 @@
+const { Op } = require('sequelize');
+
+// How far along an invoice is. Stripe doesn't promise to deliver events in
+// order, so an invoice.finalized arriving after invoice.paid mustn't move a
+// paid invoice back to open. An uncollectible invoice can still be paid.
+const STATUS_RANK = {
+  draft: 0,
+  open: 1,
+  uncollectible: 2,
+  paid: 3,
+  void: 3
+};
+
+const fromTimestamp = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+// Copy of a Stripe invoice, kept up to date from invoice webhooks so users
+// can page through their billing history (and download receipts) without
+// the Stripe portal. Amounts are in the currency's smallest unit, like
+// Stripe's.
+module.exports = (sequelize, DataTypes) => {
+  const Invoice = sequelize.define('Invoice', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    stripeInvoiceId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    stripeSubscriptionId: {
+      type: DataTypes.STRING, // null for one-off payments (credit packs)
+      allowNull: true
+    },
+    number: {
+      type: DataTypes.STRING, // assigned by Stripe when the invoice is finalized
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('draft', 'open', 'paid', 'void', 'uncollectible'),
+      allowNull: false
+    },
+    billingReason: {
+      type: DataTypes.STRING, // subscription_create, subscription_cycle, manual, ...
+      allowNull: true
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false
+    },
+    subtotal: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    discount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    tax: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    total: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    amountDue: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    amountPaid: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    amountRefunded: {
+      type: DataTypes.INTEGER, // running total, from charge.refunded
+      allowNull: false,
+      defaultValue: 0
+    },
+    lines: {
+      type: DataTypes.JSONB, // [{ description, quantity, amount, periodStart, periodEnd, proration }]
+      allowNull: false,
+      defaultValue: []
+    },
+    customerName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    customerEmail: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    hostedInvoiceUrl: {
+      type: DataTypes.TEXT, // Stripe's page for paying an open invoice
+      allowNull: true
+    },
+    periodStart: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    periodEnd: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    issuedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'invoices',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId', 'issuedAt']
+      }
+    ]
+  });
+
+  // Instance methods
+  Invoice.prototype.hasReceipt = function() {
+    return this.status === 'paid';
+  };
+
+  // Class methods
+
+  // Our columns for a Stripe invoice object
+  Invoice.attributesFromStripe = function(stripeInvoice) {
+    const discounts = stripeInvoice.total_discount_amounts || [];
+    const lines = stripeInvoice.lines?.data || [];
+
+    return {
+      stripeSubscriptionId: stripeInvoice.subscription || null,
+      number: stripeInvoice.number || null,
+      status: stripeInvoice.status,
+      billingReason: stripeInvoice.billing_reason || null,
+      currency: stripeInvoice.currency,
+      subtotal: stripeInvoice.subtotal || 0,
+      discount: discounts.reduce((sum, discount) => sum + discount.amount, 0),
+      tax: stripeInvoice.tax || 0,
+      total: stripeInvoice.total || 0,
+      amountDue: stripeInvoice.amount_due || 0,
+      amountPaid: stripeInvoice.amount_paid || 0,
+      lines: lines.map(line => ({
+        description: line.description,
+        quantity: line.quantity,
+        amount: line.amount,
+        periodStart: fromTimestamp(line.period?.start),
+        periodEnd: fromTimestamp(line.period?.end),
+        proration: !!line.proration
+      })),
+      customerName: stripeInvoice.customer_name || null,
+      customerEmail: stripeInvoice.customer_email || null,
+      hostedInvoiceUrl: stripeInvoice.hosted_invoice_url || null,
+      periodStart: fromTimestamp(stripeInvoice.period_start),
+      periodEnd: fromTimestamp(stripeInvoice.period_end),
+      issuedAt: fromTimestamp(stripeInvoice.created) || new Date(),
+      paidAt: fromTimestamp(stripeInvoice.status_transitions?.paid_at)
+    };
+  };
+
+  // Creates or updates the user's copy of a Stripe invoice. An event older
+  // than what's stored (by status) changes nothing.
+  Invoice.syncFromStripe = async function(userId, stripeInvoice) {
+    const attributes = this.attributesFromStripe(stripeInvoice);
+
+    const [invoice, created] = await this.findOrCreate({
+      where: { stripeInvoiceId: stripeInvoice.id },
+      defaults: { userId, ...attributes }
+    });
+    if (created) return invoice;
+
+    const rank = STATUS_RANK[attributes.status];
+    const [updated] = await this.update(attributes, {
+      where: {
+        id: invoice.id,
+        status: { [Op.in]: Object.keys(STATUS_RANK).filter(status => STATUS_RANK[status] <= rank) }
+      }
+    });
+
+    return updated ? await invoice.reload() : invoice;
+  };
+
+  Invoice.STATUSES = Object.keys(STATUS_RANK);
+
+  return Invoice;
+};
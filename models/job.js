@@ -0,0 +1,292 @@
+const { Op } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  const Job = sequelize.define('Job', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false // e.g., 'video_generation'
+    },
+    payload: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    },
+    status: {
+      type: DataTypes.ENUM('queued', 'running', 'completed', 'dead', 'canceled'),
+      defaultValue: 'queued'
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0 // Higher runs first
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 3
+    },
+    runAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW // Not leased before this time (used for backoff)
+    },
+    leasedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    leaseExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    heartbeatAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    result: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    videoId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'videos',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'jobs',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status', 'runAt']
+      },
+      {
+        fields: ['videoId']
+      },
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  // Instance methods
+  Job.prototype.isFinalAttempt = function() {
+    return this.attempts >= this.maxAttempts;
+  };
+
+  // Extends the lease; returns false if another worker has taken the job over
+  Job.prototype.heartbeat = async function(leaseMs) {
+    const [count] = await Job.update({
+      heartbeatAt: new Date(),
+      leaseExpiresAt: new Date(Date.now() + leaseMs)
+    }, {
+      where: { id: this.id, status: 'running', leasedBy: this.leasedBy }
+    });
+    return count === 1;
+  };
+
+  // Both only apply while this worker still holds the lease; once the lease
+  // has expired and the job was re-queued or taken over, they change nothing
+  // and return false / null.
+  Job.prototype.complete = async function(result = null) {
+    const fields = {
+      status: 'completed',
+      result,
+      completedAt: new Date(),
+      leasedBy: null,
+      leaseExpiresAt: null
+    };
+
+    const [count] = await Job.update(fields, {
+      where: { id: this.id, status: 'running', leasedBy: this.leasedBy }
+    });
+    if (count === 0) return false;
+
+    this.set(fields);
+    return true;
+  };
+
+  // Re-queues with exponential backoff, or dead-letters once attempts run out
+  Job.prototype.fail = async function(error, retryBaseMs = 30000) {
+    const fields = {
+      lastError: error?.message || String(error),
+      leasedBy: null,
+      leaseExpiresAt: null
+    };
+
+    if (this.isFinalAttempt()) {
+      fields.status = 'dead';
+    } else {
+      const delay = Math.min(retryBaseMs * Math.pow(2, this.attempts - 1), 60 * 60 * 1000);
+      fields.status = 'queued';
+      fields.runAt = new Date(Date.now() + delay);
+    }
+
+    const [count] = await Job.update(fields, {
+      where: { id: this.id, status: 'running', leasedBy: this.leasedBy }
+    });
+    if (count === 0) return null;
+
+    this.set(fields);
+    return this.status;
+  };
+
+  // Class methods
+  Job.enqueue = function(type, payload = {}, options = {}) {
+    return this.create({
+      type,
+      payload,
+      priority: options.priority || 0,
+      maxAttempts: options.maxAttempts || 3,
+      runAt: options.runAt || new Date(),
+      userId: options.userId || null,
+      videoId: options.videoId || null
+    });
+  };
+
+  // Atomically claims up to `limit` due jobs. SKIP LOCKED lets several
+  // workers poll the same table without handing out a job twice.
+  Job.lease = async function(workerId, limit, leaseMs, types = null) {
+    // No types means no handlers yet; IN () isn't valid SQL
+    if (limit <= 0 || (types && types.length === 0)) return [];
+
+    const jobs = await sequelize.query(`
+      UPDATE "jobs" SET
+        "status" = 'running',
+        "attempts" = "attempts" + 1,
+        "leasedBy" = :workerId,
+        "leaseExpiresAt" = NOW() + (:leaseMs * INTERVAL '1 millisecond'),
+        "heartbeatAt" = NOW(),
+        "updatedAt" = NOW()
+      WHERE "id" IN (
+        SELECT "id" FROM "jobs"
+        WHERE "status" = 'queued' AND "runAt" <= NOW()
+        ${types ? 'AND "type" IN (:types)' : ''}
+        ORDER BY "priority" DESC, "runAt" ASC
+        LIMIT :limit
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, {
+      replacements: { workerId, leaseMs, limit, types },
+      model: this,
+      mapToModel: true,
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    return jobs;
+  };
+
+  // Jobs whose worker died stop heartbeating. Re-queue them, or dead-letter
+  // them when that was already their last attempt.
+  Job.recoverStalled = async function() {
+    const now = new Date();
+
+    const [, dead] = await this.update({
+      status: 'dead',
+      lastError: 'Lease expired without heartbeat',
+      leasedBy: null,
+      leaseExpiresAt: null
+    }, {
+      where: {
+        status: 'running',
+        leaseExpiresAt: { [Op.lt]: now },
+        attempts: { [Op.gte]: sequelize.col('maxAttempts') }
+      },
+      returning: true
+    });
+
+    const [, requeued] = await this.update({
+      status: 'queued',
+      runAt: now,
+      leasedBy: null,
+      leaseExpiresAt: null
+    }, {
+      where: {
+        status: 'running',
+        leaseExpiresAt: { [Op.lt]: now }
+      },
+      returning: true
+    });
+
+    return { dead, requeued };
+  };
+
+  // Cancels jobs for a video that no worker has picked up yet. A running job
+  // is left alone; its handler notices the canceled video and stops.
+  Job.cancelQueuedForVideo = async function(videoId) {
+    const [count] = await this.update({
+      status: 'canceled',
+      completedAt: new Date()
+    }, {
+      where: { videoId, status: 'queued' }
+    });
+    return count;
+  };
+
+  Job.getQueueStats = async function(type = null) {
+    const where = type ? { type } : {};
+
+    const counts = await this.findAll({
+      where,
+      attributes: [
+        'status',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+      ],
+      group: ['status'],
+      raw: true
+    });
+
+    return counts.reduce((stats, row) => {
+      stats[row.status] = parseInt(row.count, 10);
+      return stats;
+    }, { queued: 0, running: 0, completed: 0, dead: 0, canceled: 0 });
+  };
+
+  Job.findActive = function(type = null, limit = 50) {
+    const where = {
+      status: { [Op.in]: ['queued', 'running'] }
+    };
+    if (type) where.type = type;
+
+    return this.findAll({
+      where,
+      order: [['status', 'DESC'], ['priority', 'DESC'], ['runAt', 'ASC']],
+      limit
+    });
+  };
+
+  return Job;
+};
@@ -0,0 +1,87 @@
+// External identities (Supabase, Google, ...) signed in to a User. A
+// provider identity is keyed by the token's issuer config and subject, so
+// it keeps pointing at the same User even if its email changes later.
+module.exports = (sequelize, DataTypes) => {
+  const LinkedAccount = sequelize.define('LinkedAccount', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: false // e.g., 'supabase', 'google'
+    },
+    providerUserId: {
+      type: DataTypes.STRING,
+      allowNull: false // The ID token's `sub`
+    },
+    signInMethod: {
+      type: DataTypes.STRING,
+      allowNull: true // Upstream provider behind a broker, e.g. 'github' via Supabase
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    emailVerified: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    displayName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    avatarUrl: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    lastLoginAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'linked_accounts',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['provider', 'providerUserId']
+      },
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  // Class methods
+  LinkedAccount.findByIdentity = function(provider, providerUserId) {
+    return this.findOne({ where: { provider, providerUserId } });
+  };
+
+  LinkedAccount.findByUser = function(userId) {
+    return this.findAll({
+      where: { userId },
+      order: [['createdAt', 'ASC']]
+    });
+  };
+
+  return LinkedAccount;
+};
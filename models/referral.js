@@ -0,0 +1,70 @@
+// A user who signed up with someone's referral code. Both sides are rewarded
+// with credits once, on the referred user's first payment (see
+// services/referralservice).
+module.exports = (sequelize, DataTypes) => {
+  const Referral = sequelize.define('Referral', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    referrerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    referredUserId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true, // a user is referred at most once
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    code: {
+      type: DataTypes.STRING(20), // the code used at signup
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'rewarded'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    rewardCredits: {
+      type: DataTypes.INTEGER, // credits each side received
+      allowNull: true
+    },
+    rewardReference: {
+      type: DataTypes.STRING, // the invoice or checkout session that qualified
+      allowNull: true
+    },
+    rewardedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'referrals',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['referrerId']
+      }
+    ]
+  });
+
+  return Referral;
+};
@@ -68,6 +68,10 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.INTEGER,
       defaultValue: 0 // How many times this script has been used
     },
+    status: {
+      type: DataTypes.ENUM('completed', 'aborted'),
+      defaultValue: 'completed' // 'aborted' when a streamed generation was cut off
+    },
     rating: {
       type: DataTypes.DECIMAL(3, 2),
       allowNull: true,
@@ -85,6 +89,15 @@ module.exports = (sequelize, DataTypes) => {
       },
       onDelete: 'CASCADE'
     },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
     createdAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -100,6 +113,9 @@ module.exports = (sequelize, DataTypes) => {
       {
         fields: ['userId']
       },
+      {
+        fields: ['workspaceId']
+      },
       {
         fields: ['category']
       },
@@ -109,6 +125,9 @@ module.exports = (sequelize, DataTypes) => {
       {
         fields: ['isPublic']
       },
+      {
+        fields: ['status']
+      },
       {
         fields: ['createdAt']
       }
@@ -0,0 +1,145 @@
+const { Op } = require('sequelize');
+
+// One row per signed-in device. The refresh token itself is never stored,
+// only its SHA-256 hash; rotation replaces the hash and keeps the previous
+// one so a replayed (stolen) refresh token can be detected.
+module.exports = (sequelize, DataTypes) => {
+  const Session = sequelize.define('Session', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    refreshTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    previousRefreshTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    deviceName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    userAgent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedReason: {
+      type: DataTypes.STRING,
+      allowNull: true // e.g., 'logout', 'password_change', 'refresh_token_reuse'
+    },
+    impersonatorId: {
+      type: DataTypes.UUID,
+      allowNull: true, // Staff member viewing the account; such sessions are read-only
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'sessions',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId']
+      },
+      {
+        fields: ['previousRefreshTokenHash']
+      },
+      {
+        fields: ['expiresAt']
+      }
+    ]
+  });
+
+  // Instance methods
+  Session.prototype.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+  };
+
+  Session.prototype.revoke = async function(reason = 'logout') {
+    if (this.revokedAt) return;
+
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    await this.save();
+  };
+
+  Session.prototype.isImpersonation = function() {
+    return Boolean(this.impersonatorId);
+  };
+
+  Session.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.refreshTokenHash;
+    delete values.previousRefreshTokenHash;
+    return values;
+  };
+
+  // Class methods
+  Session.findActiveByUser = function(userId) {
+    return this.findAll({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['lastUsedAt', 'DESC']]
+    });
+  };
+
+  // Revokes every active session of a user; returns the revoked session ids
+  Session.revokeAllForUser = async function(userId, reason, { exceptId = null } = {}) {
+    const where = { userId, revokedAt: null };
+    if (exceptId) where.id = { [Op.ne]: exceptId };
+
+    const [, sessions] = await this.update({
+      revokedAt: new Date(),
+      revokedReason: reason
+    }, {
+      where,
+      returning: true
+    });
+
+    return sessions.map(session => session.id);
+  };
+
+  return Session;
+};
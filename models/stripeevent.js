@@ -0,0 +1,125 @@
+const { Op } = require('sequelize');
+
+// A delivery still 'processing' after this long is assumed to have died with
+// its server and may be claimed again
+const STALE_AFTER_MS = parseInt(process.env.STRIPE_EVENT_STALE_MS || 10 * 60 * 1000);
+
+// Log of Stripe webhook events, keyed by the Stripe event id. Stripe delivers
+// at least once (and retries anything that didn't get a 2xx), so an event is
+// claimed before it's handled and only handled again if it failed.
+module.exports = (sequelize, DataTypes) => {
+  const StripeEvent = sequelize.define('StripeEvent', {
+    id: {
+      type: DataTypes.STRING, // Stripe event id (evt_...)
+      primaryKey: true
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('processing', 'processed', 'failed'),
+      allowNull: false,
+      defaultValue: 'processing'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    livemode: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    processedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'stripe_events',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['type']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  // Instance methods
+  StripeEvent.prototype.markProcessed = async function() {
+    this.status = 'processed';
+    this.processedAt = new Date();
+    this.lastError = null;
+    await this.save();
+  };
+
+  StripeEvent.prototype.markFailed = async function(error) {
+    this.status = 'failed';
+    this.lastError = error?.message || String(error);
+    await this.save();
+  };
+
+  // Class methods
+
+  // Records the event and says whether this delivery should handle it:
+  // { record } when it's claimed, { processed: true } when it was already
+  // handled, { inFlight: true } when another delivery is handling it right
+  // now. Failed (and stale) events are claimed again, counting the attempt.
+  StripeEvent.claim = async function(event) {
+    const [record, created] = await this.findOrCreate({
+      where: { id: event.id },
+      defaults: {
+        type: event.type,
+        livemode: !!event.livemode,
+        payload: event
+      }
+    });
+
+    if (created) return { record };
+    if (record.status === 'processed') return { processed: true };
+
+    const [claimed] = await this.update({
+      status: 'processing',
+      attempts: sequelize.literal('attempts + 1')
+    }, {
+      where: {
+        id: event.id,
+        [Op.or]: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { [Op.lt]: new Date(Date.now() - STALE_AFTER_MS) } }
+        ]
+      }
+    });
+
+    if (!claimed) {
+      // Handled meanwhile, or still being handled
+      await record.reload();
+      return record.status === 'processed' ? { processed: true } : { inFlight: true };
+    }
+    return { record: await record.reload() };
+  };
+
+  StripeEvent.STATUSES = ['processing', 'processed', 'failed'];
+
+  return StripeEvent;
+};
@@ -1,3 +1,13 @@
+const { Op } = require('sequelize');
+const { getPlanFeatures, findPlanByPriceId } = require('../config/plans');
+
+// Stripe statuses the status column has no value for
+const STRIPE_STATUS_MAP = {
+  incomplete: 'inactive',
+  incomplete_expired: 'canceled',
+  paused: 'inactive'
+};
+
 module.exports = (sequelize, DataTypes) => {
   const Subscription = sequelize.define('Subscription', {
     id: {
@@ -20,7 +30,7 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: 'free'
     },
     status: {
-      type: DataTypes.ENUM('active', 'inactive', 'canceled', 'past_due', 'unpaid'),
+      type: DataTypes.ENUM('active', 'trialing', 'inactive', 'canceled', 'past_due', 'unpaid'),
       defaultValue: 'active'
     },
     currentPeriodStart: {
@@ -55,6 +65,58 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.ENUM('month', 'year'),
       allowNull: true
     },
+    // Dunning (services/dunningservice): set from the first failed payment
+    // until the subscription is paid again
+    pastDueSince: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    graceEndsAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    dunningStage: {
+      type: DataTypes.INTEGER, // reminders sent so far
+      allowNull: false,
+      defaultValue: 0
+    },
+    dunningDowngradedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    dunningInvoiceUrl: {
+      type: DataTypes.STRING(1000),
+      allowNull: true
+    },
+    // A downgrade or switch to monthly billing waiting for the period end;
+    // Stripe applies it through a subscription schedule
+    scheduledPlan: {
+      type: DataTypes.ENUM('free', 'starter', 'pro', 'enterprise'),
+      allowNull: true
+    },
+    scheduledInterval: {
+      type: DataTypes.ENUM('month', 'year'),
+      allowNull: true
+    },
+    scheduledChangeAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    stripeScheduleId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Metered overage (services/overageservice): usage past the quota is
+    // billed per unit through a metered item on the Stripe subscription
+    overageEnabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    stripeOverageItemId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
     userId: {
       type: DataTypes.UUID,
       allowNull: false,
@@ -93,7 +155,7 @@ module.exports = (sequelize, DataTypes) => {
 
   // Instance methods
   Subscription.prototype.isActive = function() {
-    return this.status === 'active' && 
+    return ['active', 'trialing'].includes(this.status) && 
            (!this.currentPeriodEnd || new Date() < this.currentPeriodEnd);
   };
 
@@ -103,6 +165,56 @@ module.exports = (sequelize, DataTypes) => {
            now >= this.trialStart && now <= this.trialEnd;
   };
 
+  // In a free trial that Stripe still reports as running
+  Subscription.prototype.isTrialing = function() {
+    return this.status === 'trialing' && !!this.isInTrial();
+  };
+
+  Subscription.prototype.isInDunning = function() {
+    return !!this.pastDueSince;
+  };
+
+  // The plan the user is entitled to right now. A canceled subscription
+  // keeps its plan until the paid period is over; an unpaid one, or one
+  // dunning downgraded after the grace period, falls back to free until paid.
+  Subscription.prototype.getEffectivePlan = function() {
+    if (this.status === 'canceled' &&
+        (!this.currentPeriodEnd || this.currentPeriodEnd <= new Date())) {
+      return 'free';
+    }
+
+    if (this.status === 'unpaid' || this.dunningDowngradedAt) {
+      return 'free';
+    }
+
+    return this.plan;
+  };
+
+  // users.plan is a copy of the effective plan for listing and filtering
+  // users; entitlements are resolved from the subscription itself. Billing
+  // code changes the subscription and then calls this, never users.plan
+  // directly.
+  Subscription.prototype.syncUserPlan = function() {
+    return sequelize.models.User.update({ plan: this.getEffectivePlan() }, { where: { id: this.userId } });
+  };
+
+  Subscription.prototype.hasScheduledChange = function() {
+    return !!this.scheduledPlan;
+  };
+
+  Subscription.prototype.clearScheduledChange = function() {
+    this.scheduledPlan = null;
+    this.scheduledInterval = null;
+    this.scheduledChangeAt = null;
+  };
+
+  // Whether usage past the quota may be billed as overage right now. Not
+  // during trials, nor while a payment is outstanding.
+  Subscription.prototype.canBillOverage = function() {
+    return this.overageEnabled && !!this.stripeOverageItemId &&
+      this.status === 'active' && this.isActive();
+  };
+
   Subscription.prototype.daysUntilExpiry = function() {
     if (!this.currentPeriodEnd) return null;
     
@@ -111,47 +223,10 @@ module.exports = (sequelize, DataTypes) => {
     return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
   };
 
+  // The plan's own features. What a user may actually do (overrides and
+  // add-ons included) comes from the entitlement service.
   Subscription.prototype.getFeatures = function() {
-    const features = {
-      free: {
-        videosPerMonth: 3,
-        maxDuration: 30, // seconds
-        aiScripts: false,
-        customBranding: false,
-        analytics: false,
-        priority: false,
-        storage: '100MB'
-      },
-      starter: {
-        videosPerMonth: 25,
-        maxDuration: 180, // 3 minutes
-        aiScripts: true,
-        customBranding: false,
-        analytics: true,
-        priority: false,
-        storage: '1GB'
-      },
-      pro: {
-        videosPerMonth: 100,
-        maxDuration: 600, // 10 minutes
-        aiScripts: true,
-        customBranding: true,
-        analytics: true,
-        priority: true,
-        storage: '10GB'
-      },
-      enterprise: {
-        videosPerMonth: -1, // unlimited
-        maxDuration: -1, // unlimited
-        aiScripts: true,
-        customBranding: true,
-        analytics: true,
-        priority: true,
-        storage: 'unlimited'
-      }
-    };
-
-    return features[this.plan] || features.free;
+    return getPlanFeatures(this.plan, { trial: this.isTrialing() });
   };
 
   Subscription.prototype.canUpgrade = function() {
@@ -167,10 +242,18 @@ module.exports = (sequelize, DataTypes) => {
 
   Subscription.prototype.updateFromStripe = async function(stripeSubscription) {
     this.stripeSubscriptionId = stripeSubscription.id;
-    this.status = stripeSubscription.status;
+    this.status = STRIPE_STATUS_MAP[stripeSubscription.status] || stripeSubscription.status;
     this.currentPeriodStart = new Date(stripeSubscription.current_period_start * 1000);
     this.currentPeriodEnd = new Date(stripeSubscription.current_period_end * 1000);
     this.cancelAtPeriodEnd = stripeSubscription.cancel_at_period_end;
+
+    // Stripe leaves current_period_end at the end of the period an ended
+    // subscription was in. It can end before that: canceled immediately, or
+    // when Stripe gives up on a period that was never paid. The plan ends
+    // when the subscription does.
+    if (stripeSubscription.ended_at) {
+      this.currentPeriodEnd = new Date(stripeSubscription.ended_at * 1000);
+    }
     
     if (stripeSubscription.trial_start) {
       this.trialStart = new Date(stripeSubscription.trial_start * 1000);
@@ -180,24 +263,51 @@ module.exports = (sequelize, DataTypes) => {
     }
 
     // Update plan based on price ID
-    const planMap = {
-      [process.env.STRIPE_STARTER_PRICE_ID]: 'starter',
-      [process.env.STRIPE_PRO_PRICE_ID]: 'pro',
-      [process.env.STRIPE_ENTERPRISE_PRICE_ID]: 'enterprise'
-    };
+    const item = Subscription.findPlanItem(stripeSubscription);
+    if (item) {
+      const price = findPlanByPriceId(item.price.id);
+      this.plan = price?.plan || this.plan;
+      this.stripePriceId = item.price.id;
+      this.amount = item.price.unit_amount / 100;
+      this.interval = item.price.recurring.interval;
+    }
 
-    if (stripeSubscription.items?.data?.[0]?.price?.id) {
-      const priceId = stripeSubscription.items.data[0].price.id;
-      this.plan = planMap[priceId] || this.plan;
-      this.stripePriceId = priceId;
-      this.amount = stripeSubscription.items.data[0].price.unit_amount / 100;
-      this.interval = stripeSubscription.items.data[0].price.recurring.interval;
+    if (stripeSubscription.items?.data) {
+      this.stripeOverageItemId = Subscription.findOverageItem(stripeSubscription)?.id || null;
+    }
+
+    // Stripe sends schedule: null once a schedule is released or canceled
+    if (stripeSubscription.schedule !== undefined) {
+      const schedule = stripeSubscription.schedule;
+      this.stripeScheduleId = typeof schedule === 'string' ? schedule : schedule?.id || null;
+    }
+
+    // The scheduled change is over once Stripe has applied it, or when its
+    // schedule is gone
+    if (this.hasScheduledChange() &&
+        (!this.stripeScheduleId ||
+         (this.plan === this.scheduledPlan && this.interval === this.scheduledInterval))) {
+      this.clearScheduledChange();
     }
 
     await this.save();
   };
 
   // Class methods
+  // A subscription can carry a metered overage item next to the plan's;
+  // the plan item is the one with a catalog price (or the licensed one)
+  Subscription.findPlanItem = function(stripeSubscription) {
+    const items = stripeSubscription.items?.data || [];
+    return items.find(item => findPlanByPriceId(item.price?.id)) ||
+      items.find(item => item.price?.id && item.price.recurring?.usage_type !== 'metered') ||
+      null;
+  };
+
+  Subscription.findOverageItem = function(stripeSubscription) {
+    const items = stripeSubscription.items?.data || [];
+    return items.find(item => item.price?.recurring?.usage_type === 'metered') || null;
+  };
+
   Subscription.findByStripeId = function(stripeSubscriptionId) {
     return this.findOne({ 
       where: { stripeSubscriptionId },
@@ -211,7 +321,7 @@ module.exports = (sequelize, DataTypes) => {
   Subscription.findActiveSubscriptions = function() {
     return this.findAll({
       where: { 
-        status: 'active'
+        status: ['active', 'trialing']
       },
       include: [{
         model: sequelize.models.User,
@@ -228,7 +338,7 @@ module.exports = (sequelize, DataTypes) => {
       where: {
         status: 'active',
         currentPeriodEnd: {
-          [sequelize.Op.lte]: expiryDate
+          [Op.lte]: expiryDate
         },
         cancelAtPeriodEnd: true
       },
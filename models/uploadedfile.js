@@ -0,0 +1,82 @@
+// A file a user uploaded, with the storage it was charged. Storage quota
+// never resets, so the row is what lets a replaced or deleted file give its
+// storage back (to the usage of the period it was charged in).
+module.exports = (sequelize, DataTypes) => {
+  const UploadedFile = sequelize.define('UploadedFile', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    kind: {
+      type: DataTypes.ENUM('avatar', 'media'),
+      allowNull: false
+    },
+    key: {
+      type: DataTypes.STRING, // storage key
+      allowNull: false,
+      unique: true
+    },
+    url: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    originalName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    contentType: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    size: {
+      type: DataTypes.INTEGER, // bytes
+      allowNull: false
+    },
+    storageKilobytes: {
+      type: DataTypes.INTEGER, // what was charged against the storage quota
+      allowNull: false
+    },
+    period: {
+      type: DataTypes.STRING(7), // YYYY-MM the storage was charged in
+      allowNull: false
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'uploaded_files',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId', 'kind']
+      }
+    ]
+  });
+
+  // The storage reservation to hand to releaseQuota when the file goes
+  UploadedFile.prototype.toReservation = function() {
+    return {
+      userId: this.userId,
+      type: 'storage',
+      amount: this.storageKilobytes,
+      period: this.period
+    };
+  };
+
+  return UploadedFile;
+};
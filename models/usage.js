@@ -1,3 +1,10 @@
+const { Op } = require('sequelize');
+
+const currentPeriod = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}`;
+};
+
 module.exports = (sequelize, DataTypes) => {
   const Usage = sequelize.define('Usage', {
     id: {
@@ -17,6 +24,18 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING, // Format: YYYY-MM
       allowNull: false
     },
+    // Units of `amount` past the quota, billed as metered overage, and how
+    // many of those have been reported to Stripe so far
+    overage: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    overageReported: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
     metadata: {
       type: DataTypes.JSON,
       defaultValue: {}
@@ -30,6 +49,15 @@ module.exports = (sequelize, DataTypes) => {
       },
       onDelete: 'CASCADE'
     },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
     createdAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -59,31 +87,105 @@ module.exports = (sequelize, DataTypes) => {
   });
 
   // Class methods
-  Usage.recordUsage = async function(userId, type, amount = 1, metadata = {}) {
-    const now = new Date();
-    const period = `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}`;
+  // Rows are kept per (userId, type, period, workspaceId). userId is always the
+  // billed user, so work done in a workspace is counted against its owner.
+  // `options.overage` is the part of `amount` billed as metered overage.
+  Usage.recordUsage = async function(userId, type, amount = 1, metadata = {}, options = {}) {
+    const workspaceId = options.workspaceId || null;
+    const { transaction, overage = 0 } = options;
+    const period = currentPeriod();
 
     // Check if usage record already exists for this period
     const existingUsage = await this.findOne({
-      where: { userId, type, period }
+      where: { userId, type, period, workspaceId },
+      transaction
     });
 
     if (existingUsage) {
       existingUsage.amount += amount;
+      existingUsage.overage += overage;
       existingUsage.metadata = { ...existingUsage.metadata, ...metadata };
-      await existingUsage.save();
+      await existingUsage.save({ transaction });
       return existingUsage;
     } else {
       return await this.create({
         userId,
+        workspaceId,
         type,
         amount,
+        overage,
         period,
         metadata
-      });
+      }, { transaction });
     }
   };
 
+  // Counts one generation and accumulates its token usage per model, so the
+  // monthly row carries both the request count and the tokens spent. Runs
+  // under the quota lock, like reservations, so concurrent generations
+  // neither lose each other's tokens nor create the row twice.
+  Usage.recordAiUsage = async function(userId, type, tokens = {}, model = 'unknown', options = {}) {
+    const workspaceId = options.workspaceId || null;
+    const period = currentPeriod();
+
+    return await sequelize.transaction(async (transaction) => {
+      await this.lockQuota(userId, type, { transaction });
+
+      const existing = await this.findOne({
+        where: { userId, type, period, workspaceId },
+        transaction
+      });
+
+      const metadata = existing ? { ...existing.metadata } : {};
+      const totals = metadata.tokens || { prompt: 0, completion: 0, total: 0 };
+      const byModel = metadata.tokensByModel || {};
+
+      metadata.tokens = {
+        prompt: totals.prompt + (tokens.promptTokens || 0),
+        completion: totals.completion + (tokens.completionTokens || 0),
+        total: totals.total + (tokens.totalTokens || 0)
+      };
+      metadata.tokensByModel = {
+        ...byModel,
+        [model]: (byModel[model] || 0) + (tokens.totalTokens || 0)
+      };
+
+      if (existing) {
+        existing.amount += 1;
+        existing.metadata = metadata;
+        await existing.save({ transaction });
+        return existing;
+      }
+
+      return await this.create({
+        userId,
+        workspaceId,
+        type,
+        amount: 1,
+        period,
+        metadata
+      }, { transaction });
+    });
+  };
+
+  // Gives back usage recorded in `period`, e.g. for a generation that failed.
+  // `options.overage` is the part of it that was billed as overage.
+  Usage.refundUsage = async function(userId, type, amount = 1, period = currentPeriod(), options = {}) {
+    const { transaction, overage = 0 } = options;
+    const existing = await this.findOne({
+      where: { userId, type, period, workspaceId: options.workspaceId || null },
+      transaction
+    });
+    if (!existing) return null;
+
+    existing.amount = Math.max(0, existing.amount - amount);
+    existing.overage = Math.max(0, existing.overage - overage);
+    await existing.save({ transaction });
+    return existing;
+  };
+
+  // Totals per type for the month, across the user's own library and every
+  // workspace they pay for
   Usage.getMonthlyUsage = async function(userId, year = null, month = null) {
     const now = new Date();
     const targetYear = year || now.getFullYear();
@@ -92,7 +194,24 @@ module.exports = (sequelize, DataTypes) => {
 
     return await this.findAll({
       where: { userId, period },
-      order: [['type', 'ASC']]
+      attributes: [
+        'type',
+        'period',
+        [sequelize.cast(sequelize.fn('SUM', sequelize.col('amount')), 'INTEGER'), 'amount']
+      ],
+      group: ['type', 'period'],
+      order: [['type', 'ASC']],
+      raw: true
+    });
+  };
+
+  // What a workspace has consumed from its owner's quota this month
+  Usage.getWorkspaceUsage = async function(workspaceId, period = currentPeriod()) {
+    return await this.findAll({
+      where: { workspaceId, period },
+      attributes: ['type', 'period', 'amount'],
+      order: [['type', 'ASC']],
+      raw: true
     });
   };
 
@@ -108,7 +227,7 @@ module.exports = (sequelize, DataTypes) => {
     const usage = await this.findAll({
       where: {
         userId,
-        period: { [sequelize.Op.in]: periods }
+        period: { [Op.in]: periods }
       },
       attributes: [
         'period',
@@ -122,21 +241,32 @@ module.exports = (sequelize, DataTypes) => {
     return usage;
   };
 
-  Usage.checkLimit = async function(userId, type, limit) {
-    const now = new Date();
-    const period = `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}`;
+  // Everything billed to the user in a period, whichever workspace it was
+  // recorded in, so workspace members draw on one pooled quota
+  Usage.getPeriodTotal = async function(userId, type, { period = currentPeriod(), transaction } = {}) {
+    const total = await this.sum('amount', {
+      where: { userId, type, period },
+      transaction
+    });
+    return total || 0;
+  };
 
-    const usage = await this.findOne({
-      where: { userId, type, period }
+  // Same, summed over every period (for storage, which doesn't reset)
+  Usage.getLifetimeTotal = async function(userId, type, { transaction } = {}) {
+    const total = await this.sum('amount', {
+      where: { userId, type },
+      transaction
     });
+    return total || 0;
+  };
 
-    const currentUsage = usage ? usage.amount : 0;
-    return {
-      current: currentUsage,
-      limit: limit,
-      remaining: Math.max(0, limit - currentUsage),
-      canUse: limit === -1 || currentUsage < limit
-    };
+  // Serializes quota changes for a user and usage type until `transaction`
+  // ends: reservations, releases and overage reports
+  Usage.lockQuota = async function(userId, type, { transaction }) {
+    await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+      replacements: { key: `quota:${userId}:${type}` },
+      transaction
+    });
   };
 
   Usage.getTotalUsage = async function(type = null, startDate = null, endDate = null) {
@@ -150,7 +280,7 @@ module.exports = (sequelize, DataTypes) => {
       const startPeriod = `${startDate.getFullYear()}-${(startDate.getMonth() + 1).toString().padStart(2, '0')}`;
       const endPeriod = `${endDate.getFullYear()}-${(endDate.getMonth() + 1).toString().padStart(2, '0')}`;
       whereClause.period = {
-        [sequelize.Op.between]: [startPeriod, endPeriod]
+        [Op.between]: [startPeriod, endPeriod]
       };
     }
 
@@ -185,16 +315,19 @@ module.exports = (sequelize, DataTypes) => {
         'userId',
         [sequelize.fn('SUM', sequelize.col('amount')), 'total']
       ],
-      group: ['userId'],
+      group: ['Usage.userId', 'user.id'],
       order: [[sequelize.fn('SUM', sequelize.col('amount')), 'DESC']],
       limit,
       include: [{
         model: sequelize.models.User,
         as: 'user',
-        attributes: ['firstName', 'lastName', 'email', 'plan']
+        attributes: ['id', 'firstName', 'lastName', 'email', 'plan']
       }]
     });
   };
 
+  Usage.currentPeriod = currentPeriod;
+  Usage.TYPES = ['video_generation', 'script_generation', 'storage', 'api_call'];
+
   return Usage;
 };
@@ -0,0 +1,131 @@
+const { Op } = require('sequelize');
+
+// Single-use tokens sent to users by email (verification links, password
+// resets). A token is consumed on first use and invalidated when a newer one
+// with the same purpose is issued.
+module.exports = (sequelize, DataTypes) => {
+  const UserToken = sequelize.define('UserToken', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    purpose: {
+      type: DataTypes.STRING,
+      allowNull: false // e.g., 'email_verification'
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      unique: true
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true // Address the token was sent to
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    consumedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    invalidatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    requestedIp: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    attempts: {
+      type: DataTypes.INTEGER, // codes tried against a two-factor challenge
+      allowNull: false,
+      defaultValue: 0
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'user_tokens',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['userId', 'purpose']
+      }
+    ]
+  });
+
+  // Instance methods
+  UserToken.prototype.isUsable = function() {
+    return !this.consumedAt && !this.invalidatedAt && this.expiresAt > new Date();
+  };
+
+  // Marks the token used. The conditional update makes concurrent uses of
+  // the same token race safely: only one of them gets `true`.
+  UserToken.prototype.consume = async function() {
+    const [count] = await UserToken.update({ consumedAt: new Date() }, {
+      where: {
+        id: this.id,
+        consumedAt: null,
+        invalidatedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    });
+    return count === 1;
+  };
+
+  // Counts one try at the token before it is checked, so parallel tries
+  // can't get past the limit. Returns false once maxAttempts are used up.
+  UserToken.prototype.claimAttempt = async function(maxAttempts) {
+    const [count] = await UserToken.update({ attempts: sequelize.literal('"attempts" + 1') }, {
+      where: {
+        id: this.id,
+        consumedAt: null,
+        invalidatedAt: null,
+        attempts: { [Op.lt]: maxAttempts }
+      }
+    });
+    if (count === 0) return false;
+
+    await this.reload({ attributes: ['id', 'attempts'] });
+    return true;
+  };
+
+  UserToken.prototype.invalidate = async function() {
+    await UserToken.update({ invalidatedAt: new Date() }, {
+      where: { id: this.id, invalidatedAt: null }
+    });
+    this.invalidatedAt = new Date();
+  };
+
+  // Class methods
+  // Tries at a user's tokens of a purpose since a time that didn't end in
+  // the token being used
+  UserToken.countFailedAttempts = async function(userId, purpose, since) {
+    const attempts = await this.sum('attempts', {
+      where: { userId, purpose, consumedAt: null, createdAt: { [Op.gt]: since } }
+    });
+    return attempts || 0;
+  };
+
+  UserToken.invalidateOutstanding = async function(userId, purpose) {
+    const [count] = await this.update({ invalidatedAt: new Date() }, {
+      where: { userId, purpose, consumedAt: null, invalidatedAt: null }
+    });
+    return count;
+  };
+
+  return UserToken;
+};
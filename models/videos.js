@@ -1,3 +1,14 @@
+// Allowed status changes. Retries and regenerations go back through 'queued';
+// 'processing' -> 'queued' is the worker rescheduling after a failed attempt.
+const STATUS_TRANSITIONS = {
+  pending: ['queued', 'processing', 'failed', 'canceled'],
+  queued: ['processing', 'failed', 'canceled'],
+  processing: ['queued', 'completed', 'failed', 'canceled'],
+  completed: ['queued'],
+  failed: ['queued'],
+  canceled: ['queued']
+};
+
 module.exports = (sequelize, DataTypes) => {
   const Video = sequelize.define('Video', {
     id: {
@@ -41,7 +52,7 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: 30
     },
     status: {
-      type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+      type: DataTypes.ENUM('pending', 'queued', 'processing', 'completed', 'failed', 'canceled'),
       defaultValue: 'pending'
     },
     processingProgress: {
@@ -93,6 +104,15 @@ module.exports = (sequelize, DataTypes) => {
       },
       onDelete: 'CASCADE'
     },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
     scriptId: {
       type: DataTypes.UUID,
       allowNull: true,
@@ -117,6 +137,9 @@ module.exports = (sequelize, DataTypes) => {
       {
         fields: ['userId']
       },
+      {
+        fields: ['workspaceId']
+      },
       {
         fields: ['status']
       },
@@ -133,27 +156,39 @@ module.exports = (sequelize, DataTypes) => {
   });
 
   // Instance methods
+  Video.prototype.canTransitionTo = function(status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+  };
+
+  Video.prototype.transitionTo = async function(status, changes = {}) {
+    if (!this.canTransitionTo(status)) {
+      throw new Error(`Invalid video status transition: ${this.status} -> ${status}`);
+    }
+
+    Object.assign(this, changes);
+    this.status = status;
+    await this.save();
+  };
+
   Video.prototype.updateProgress = async function(progress) {
     this.processingProgress = Math.min(100, Math.max(0, progress));
     await this.save();
   };
 
   Video.prototype.markAsCompleted = async function(videoUrl, thumbnailUrl = null) {
-    this.status = 'completed';
-    this.processingProgress = 100;
-    this.videoUrl = videoUrl;
+    const changes = { processingProgress: 100, videoUrl };
     if (thumbnailUrl) {
-      this.thumbnailUrl = thumbnailUrl;
+      changes.thumbnailUrl = thumbnailUrl;
     }
-    await this.save();
+    await this.transitionTo('completed', changes);
   };
 
   Video.prototype.markAsFailed = async function(error = null) {
-    this.status = 'failed';
+    const changes = {};
     if (error) {
-      this.metadata = { ...this.metadata, error: error.message || error };
+      changes.metadata = { ...this.metadata, error: error.message || error };
     }
-    await this.save();
+    await this.transitionTo('failed', changes);
   };
 
   Video.prototype.incrementView = async function() {
@@ -225,5 +260,8 @@ module.exports = (sequelize, DataTypes) => {
     };
   };
 
+  Video.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+  Video.STATUSES = Object.keys(STATUS_TRANSITIONS);
+
   return Video;
 };
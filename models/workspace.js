@@ -0,0 +1,45 @@
+// A shared library of videos and scripts. The owner's subscription pays for
+// everything created in the workspace, so members draw on one pooled quota.
+module.exports = (sequelize, DataTypes) => {
+  const Workspace = sequelize.define('Workspace', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        len: [1, 100]
+      }
+    },
+    ownerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'workspaces',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['ownerId']
+      }
+    ]
+  });
+
+  return Workspace;
+};
@@ -0,0 +1,123 @@
+const { Op } = require('sequelize');
+
+// Email invitations to a workspace. Only a hash of the emailed token is
+// stored; an invitation is accepted once, by a user with the invited email.
+module.exports = (sequelize, DataTypes) => {
+  const WorkspaceInvitation = sequelize.define('WorkspaceInvitation', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: true
+      }
+    },
+    role: {
+      type: DataTypes.ENUM('editor', 'viewer'),
+      allowNull: false,
+      defaultValue: 'viewer'
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    acceptedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    invitedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    acceptedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'workspace_invitations',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['workspaceId']
+      }
+    ]
+  });
+
+  // Instance methods
+  WorkspaceInvitation.prototype.isPending = function() {
+    return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+  };
+
+  // Marks the invitation accepted; only one concurrent accept gets `true`
+  WorkspaceInvitation.prototype.accept = async function(userId) {
+    const [count] = await WorkspaceInvitation.update({
+      acceptedAt: new Date(),
+      acceptedById: userId
+    }, {
+      where: {
+        id: this.id,
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    });
+    return count === 1;
+  };
+
+  WorkspaceInvitation.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.tokenHash;
+    return values;
+  };
+
+  // Class methods
+  WorkspaceInvitation.findPending = function(workspaceId) {
+    return this.findAll({
+      where: {
+        workspaceId,
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['createdAt', 'DESC']]
+    });
+  };
+
+  return WorkspaceInvitation;
+};
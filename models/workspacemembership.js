@@ -0,0 +1,74 @@
+const ROLES = ['owner', 'editor', 'viewer'];
+
+// A user's role in a workspace: owners manage members and billing, editors
+// create and change content, viewers only read
+module.exports = (sequelize, DataTypes) => {
+  const WorkspaceMembership = sequelize.define('WorkspaceMembership', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    role: {
+      type: DataTypes.ENUM(...ROLES),
+      allowNull: false,
+      defaultValue: 'viewer'
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'workspace_memberships',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['workspaceId', 'userId']
+      },
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  // Instance methods
+  WorkspaceMembership.prototype.canEdit = function() {
+    return this.role === 'owner' || this.role === 'editor';
+  };
+
+  WorkspaceMembership.prototype.isOwner = function() {
+    return this.role === 'owner';
+  };
+
+  // Class methods
+  WorkspaceMembership.findMembership = function(workspaceId, userId) {
+    return this.findOne({ where: { workspaceId, userId } });
+  };
+
+  WorkspaceMembership.ROLES = ROLES;
+
+  return WorkspaceMembership;
+};
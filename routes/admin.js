@@ -0,0 +1,653 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { models } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { jobQueue } = require('../services/queueservice');
+const { realtime } = require('../services/realtimeservice');
+const { recordAudit } = require('../services/auditservice');
+const { createImpersonationSession, revokeAllSessions } = require('../services/sessionservice');
+const {
+  getEntitlements,
+  getUsageSummary,
+  listEntitlementGrants,
+  grantEntitlement,
+  grantPlan,
+  revokeEntitlementGrant
+} = require('../services/entitlementservice');
+const { getCredits, adjustCredits } = require('../services/creditservice');
+const { CREDIT_PACKS } = require('../config/plans');
+
+const router = express.Router();
+
+// Support staff can look; only admins can change accounts
+router.use(authenticateToken, requireRole(['support', 'admin']));
+
+const validate = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const findTargetUser = async (req, res) => {
+  const user = await models.User.findByPk(req.params.id);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+  return user;
+};
+
+const userIdValidation = param('id').isUUID().withMessage('Invalid user id');
+
+// Usage types that credit packs are sold for
+const CREDIT_TYPES = [...new Set(Object.values(CREDIT_PACKS).map(pack => pack.type))];
+
+// @route   GET /api/admin/users
+// @desc    List and search users
+// @access  Support, Admin
+router.get('/users', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('search').optional().isString().trim(),
+  query('role').optional().isIn(models.User.ROLES),
+  query('plan').optional().isIn(models.User.PLANS),
+  query('isActive').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const { search, role, plan, isActive } = req.query;
+
+    const whereClause = {};
+    if (role) whereClause.role = role;
+    if (plan) whereClause.plan = plan;
+    if (isActive !== undefined) whereClause.isActive = isActive;
+    if (search) {
+      whereClause[Op.or] = ['email', 'firstName', 'lastName'].map(field => ({
+        [field]: { [Op.iLike]: `%${search}%` }
+      }));
+    }
+
+    const { count, rows: users } = await models.User.findAndCountAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset,
+      include: [{
+        model: models.Subscription,
+        as: 'subscription',
+        attributes: ['plan', 'status', 'currentPeriodEnd', 'cancelAtPeriodEnd']
+      }]
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user with subscription, usage and activity
+// @access  Support, Admin
+router.get('/users/:id', [userIdValidation], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const user = await models.User.findByPk(req.params.id, {
+      include: [{
+        model: models.Subscription,
+        as: 'subscription'
+      }, {
+        model: models.LinkedAccount,
+        as: 'linkedAccounts'
+      }]
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [usage, entitlements, stats, sessions, auditLog] = await Promise.all([
+      models.Usage.getUserStats(user.id),
+      getUsageSummary(user),
+      models.Video.getStatsByUser(user.id),
+      models.Session.findActiveByUser(user.id),
+      models.AuditLog.findByUser(user.id, { limit: 50 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user: user.toJSON(),
+        usage,
+        entitlements,
+        stats,
+        sessions,
+        auditLog
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/status
+// @desc    Suspend or reactivate a user
+// @access  Admin
+router.put('/users/:id/status', [
+  requireRole('admin'),
+  userIdValidation,
+  body('isActive').isBoolean().withMessage('isActive must be true or false').toBoolean(),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    if (req.params.id === req.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change the status of your own account'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { isActive, reason } = req.body;
+    await user.update({ isActive });
+
+    // A suspended user is logged out everywhere
+    if (!isActive) {
+      await revokeAllSessions(user.id, 'account_suspended');
+    }
+
+    await recordAudit(isActive ? 'admin.user_reactivated' : 'admin.user_suspended', {
+      userId: user.id,
+      actorId: req.userId,
+      req,
+      metadata: { reason: reason || null }
+    });
+    logger.info(`User ${user.id} ${isActive ? 'reactivated' : 'suspended'} by ${req.userId}`);
+
+    res.json({
+      success: true,
+      message: isActive ? 'User reactivated' : 'User suspended',
+      data: { user: user.toJSON() }
+    });
+
+  } catch (error) {
+    logger.error('Admin update status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/plan
+// @desc    Give a user a plan's features without going through Stripe, as a
+//          plan grant (optionally until expiresAt). Billing is untouched;
+//          revoking the grant returns the user to the plan they pay for.
+// @access  Admin
+router.put('/users/:id/plan', [
+  requireRole('admin'),
+  userIdValidation,
+  body('plan').isIn(models.User.PLANS).withMessage('Invalid plan'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().toDate(),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { plan, expiresAt, reason } = req.body;
+    const { plan: previousPlan } = await getEntitlements(user.id);
+
+    const grant = await grantPlan(user.id, plan, { expiresAt, reason }, req.user, req);
+
+    realtime.emitBillingUpdate(user.id, {
+      type: 'plan_changed',
+      plan
+    });
+
+    await recordAudit('admin.plan_changed', {
+      userId: user.id,
+      actorId: req.userId,
+      req,
+      metadata: { from: previousPlan, to: plan, grantId: grant.id, expiresAt: expiresAt || null, reason: reason || null }
+    });
+    logger.info(`User ${user.id} moved from ${previousPlan} to ${plan} by ${req.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Plan updated',
+      data: { user: user.toJSON(), grant }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+
+    logger.error('Admin update plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Admin
+router.put('/users/:id/role', [
+  requireRole('admin'),
+  userIdValidation,
+  body('role').isIn(models.User.ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    if (req.params.id === req.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const previousRole = user.role;
+    await user.update({ role: req.body.role });
+
+    await recordAudit('admin.role_changed', {
+      userId: user.id,
+      actorId: req.userId,
+      req,
+      metadata: { from: previousRole, to: user.role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: { user: user.toJSON() }
+    });
+
+  } catch (error) {
+    logger.error('Admin update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id/entitlements
+// @desc    Resolved entitlements, this period's quotas and every grant
+// @access  Support, Admin
+router.get('/users/:id/entitlements', [userIdValidation], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const [summary, grants] = await Promise.all([
+      getUsageSummary(user.id),
+      listEntitlementGrants(user.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...summary, grants }
+    });
+
+  } catch (error) {
+    logger.error('Admin get entitlements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch entitlements',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/entitlements
+// @desc    Override a plan feature or add to a limit (optionally for one period)
+// @access  Admin
+router.post('/users/:id/entitlements', [
+  requireRole('admin'),
+  userIdValidation,
+  body('feature').isString().notEmpty().withMessage('Feature is required'),
+  body('kind').isIn(models.EntitlementGrant.KINDS).withMessage('Kind must be override or addon'),
+  body('value').exists().withMessage('Value is required'),
+  body('period').optional({ nullable: true }).matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Period must be YYYY-MM'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().toDate(),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { feature, kind, value, period, expiresAt, reason } = req.body;
+    const grant = await grantEntitlement(user.id, { feature, kind, value, period, expiresAt, reason }, req.user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Entitlement granted',
+      data: { grant }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+
+    logger.error('Admin grant entitlement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grant entitlement',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/entitlements/:grantId
+// @desc    Revoke an entitlement grant
+// @access  Admin
+router.delete('/users/:id/entitlements/:grantId', [
+  requireRole('admin'),
+  userIdValidation,
+  param('grantId').isUUID().withMessage('Invalid grant id')
+], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const grant = await revokeEntitlementGrant(req.params.id, req.params.grantId, req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Entitlement revoked',
+      data: { grant }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+
+    logger.error('Admin revoke entitlement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke entitlement',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id/credits
+// @desc    Credit balances and credit activity
+// @access  Support, Admin
+router.get('/users/:id/credits', [userIdValidation], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { balances, transactions } = await getCredits(user.id, { limit: 200 });
+
+    res.json({
+      success: true,
+      data: { balances, transactions }
+    });
+
+  } catch (error) {
+    logger.error('Admin get credits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch credits',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/credits
+// @desc    Grant credits (positive amount) or take them back (negative)
+// @access  Admin
+router.post('/users/:id/credits', [
+  requireRole('admin'),
+  userIdValidation,
+  body('type').isIn(CREDIT_TYPES).withMessage(`Type must be one of: ${CREDIT_TYPES.join(', ')}`),
+  body('amount').isInt().withMessage('Amount must be a whole number').toInt()
+    .custom(value => value !== 0).withMessage('Amount cannot be zero'),
+  body('note').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { type, amount, note } = req.body;
+    const { credit, balance } = await adjustCredits(user.id, { type, amount, note }, req.user, req);
+
+    res.status(201).json({
+      success: true,
+      message: amount > 0 ? 'Credits granted' : 'Credits taken back',
+      data: { credit, balance }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+
+    logger.error('Admin adjust credits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust credits',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Get a short-lived, read-only access token for a user
+// @access  Support, Admin
+router.post('/users/:id/impersonate', [
+  userIdValidation,
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: 'Staff accounts cannot be impersonated'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Suspended accounts cannot be impersonated'
+      });
+    }
+
+    const tokens = await createImpersonationSession(user, req.user, req);
+
+    await recordAudit('admin.impersonation_started', {
+      userId: user.id,
+      actorId: req.userId,
+      req,
+      metadata: { sessionId: tokens.sessionId, reason: req.body.reason }
+    });
+    logger.warn(`User ${req.userId} is impersonating ${user.id} (session ${tokens.sessionId})`);
+
+    res.json({
+      success: true,
+      message: 'Read-only impersonation session created',
+      data: {
+        user: user.toJSON(),
+        readOnly: true,
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin impersonate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to impersonate user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/queue
+// @desc    Job queue status across all job types
+// @access  Support, Admin
+router.get('/queue', async (req, res) => {
+  try {
+    const queue = await jobQueue.getQueueStatus();
+
+    res.json({
+      success: true,
+      data: queue
+    });
+
+  } catch (error) {
+    logger.error('Admin queue status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch queue status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/usage
+// @desc    Platform usage totals, top users and subscriptions for a period
+// @access  Support, Admin
+router.get('/usage', [
+  query('period').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Period must be YYYY-MM'),
+  query('type').optional().isIn(models.Usage.TYPES).withMessage(`Type must be one of: ${models.Usage.TYPES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const period = req.query.period || models.Usage.currentPeriod();
+    const type = req.query.type || null;
+    const limit = parseInt(req.query.limit) || 10;
+    const [year, month] = period.split('-').map(Number);
+    const periodDate = new Date(year, month - 1, 1);
+
+    const [totals, topUsers, activeSubscriptions, usersByPlan] = await Promise.all([
+      models.Usage.getTotalUsage(type, periodDate, periodDate),
+      models.Usage.getTopUsers(type, period, limit),
+      models.Subscription.findActiveSubscriptions(),
+      models.User.count({ group: ['plan', 'isActive'] })
+    ]);
+
+    const subscriptions = activeSubscriptions.reduce((summary, subscription) => {
+      summary.total += 1;
+      summary.byPlan[subscription.plan] = (summary.byPlan[subscription.plan] || 0) + 1;
+      if (subscription.amount && subscription.interval) {
+        const amount = parseFloat(subscription.amount);
+        summary.monthlyRecurringRevenue += subscription.interval === 'year' ? amount / 12 : amount;
+      }
+      return summary;
+    }, { total: 0, byPlan: {}, monthlyRecurringRevenue: 0 });
+    subscriptions.monthlyRecurringRevenue = Math.round(subscriptions.monthlyRecurringRevenue * 100) / 100;
+
+    res.json({
+      success: true,
+      data: {
+        period,
+        totals: totals.map(row => ({
+          type: row.type,
+          total: parseInt(row.get('total'), 10),
+          uniqueUsers: parseInt(row.get('uniqueUsers'), 10)
+        })),
+        topUsers: topUsers.map(row => ({
+          userId: row.userId,
+          total: parseInt(row.get('total'), 10),
+          user: row.user
+        })),
+        subscriptions,
+        users: usersByPlan.map(row => ({
+          plan: row.plan,
+          isActive: row.isActive,
+          count: row.count
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch usage',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
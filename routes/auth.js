@@ -1,51 +1,78 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const { models } = require('../config/database');
+const { authenticateToken, resolveAccessToken } = require('../middleware/auth');
 const logger = require('../utils/logger');
-const { sendWelcomeEmail, sendPasswordResetEmail } = require('../utils/email');
+const { sendWelcomeEmail } = require('../utils/email');
+const { authLimiter, verificationEmailLimiter, passwordResetLimiter } = require('../middleware/ratelimiter');
+const { issueVerificationToken, sendVerification, verifyEmail } = require('../services/verificationservice');
+const {
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessionservice');
+const { requestPasswordReset, resetPassword } = require('../services/passwordresetservice');
+const {
+  getTwoFactorStatus,
+  beginTwoFactorEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  createTwoFactorChallenge,
+  completeTwoFactorChallenge
+} = require('../services/twofactorservice');
+const {
+  signInWithIdToken,
+  linkIdentity,
+  unlinkIdentity,
+  listLinkedAccounts,
+  getIdentityProviders
+} = require('../services/identityservice');
+const { findReferrer, recordReferral } = require('../services/referralservice');
 
 const router = express.Router();
 
-// Initialize Supabase client only if credentials are available
-let supabase = null;
-if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-  try {
-    const { createClient } = require('@supabase/supabase-js');
-    supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_ANON_KEY
-    );
-    logger.info('Supabase client initialized');
-  } catch (error) {
-    logger.warn('Failed to initialize Supabase client:', error.message);
-  }
-} else {
-  logger.warn('Supabase credentials not provided. Supabase integration disabled.');
-}
-
 // Validation middleware
 const registerValidation = [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
   body('firstName').trim().isLength({ min: 1 }).withMessage('First name is required'),
-  body('lastName').trim().isLength({ min: 1 }).withMessage('Last name is required')
+  body('lastName').trim().isLength({ min: 1 }).withMessage('Last name is required'),
+  body('referralCode').optional().isString().trim().isLength({ min: 1, max: 20 }).withMessage('Invalid referral code')
 ];
 
 const loginValidation = [
   body('email').isEmail().normalizeEmail(),
-  body('password').notEmpty().withMessage('Password is required')
+  body('password').notEmpty().withMessage('Password is required'),
+  body('deviceName').optional().trim().isLength({ max: 100 })
 ];
 
 const resetPasswordValidation = [
   body('email').isEmail().normalizeEmail()
 ];
 
-// Helper function to generate JWT
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+
+// Records the login and starts a session: short-lived access token plus
+// refresh token
+const completeLogin = async (user, req) => {
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  const tokens = await createSession(user, req, { deviceName: req.body.deviceName });
+
+  const subscription = await models.Subscription.findOne({
+    where: { userId: user.id }
   });
+
+  logger.info(`User logged in: ${user.email}`);
+
+  return {
+    user: user.toJSON(),
+    subscription: subscription?.toJSON(),
+    ...tokens
+  };
 };
 
 // @route   POST /api/auth/register
@@ -62,7 +89,7 @@ router.post('/register', registerValidation, async (req, res) => {
       });
     }
 
-    const { email, password, firstName, lastName } = req.body;
+    const { email, password, firstName, lastName, referralCode } = req.body;
 
     // Check if user already exists
     const existingUser = await models.User.findByEmail(email);
@@ -73,6 +100,14 @@ router.post('/register', registerValidation, async (req, res) => {
       });
     }
 
+    const referrer = referralCode ? await findReferrer(referralCode) : null;
+    if (referralCode && !referrer) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid referral code'
+      });
+    }
+
     // Create user in our database
     const user = await models.User.create({
       email,
@@ -81,30 +116,6 @@ router.post('/register', registerValidation, async (req, res) => {
       lastName
     });
 
-    // Create user in Supabase Auth (if available)
-    if (supabase) {
-      try {
-        const { data: supabaseUser, error: supabaseError } = await supabase.auth.admin.createUser({
-          email,
-          password,
-          email_confirm: true,
-          user_metadata: {
-            firstName,
-            lastName,
-            dbUserId: user.id
-          }
-        });
-
-        if (supabaseError) {
-          logger.warn('Supabase user creation failed:', supabaseError);
-        } else {
-          logger.info('User created in Supabase:', supabaseUser.user?.id);
-        }
-      } catch (supabaseError) {
-        logger.warn('Supabase integration error:', supabaseError);
-      }
-    }
-
     // Create default subscription
     await models.Subscription.create({
       userId: user.id,
@@ -112,12 +123,18 @@ router.post('/register', registerValidation, async (req, res) => {
       status: 'active'
     });
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // Both sides are rewarded on this user's first payment
+    if (referrer) {
+      await recordReferral(referrer, user, referralCode, req);
+    }
+
+    // Start a session: short-lived access token plus refresh token
+    const tokens = await createSession(user, req, { deviceName: req.body.deviceName });
 
-    // Send welcome email (if email service is configured)
+    // Send welcome email with a verification link (if email service is configured)
     try {
-      await sendWelcomeEmail(user.email, user.firstName);
+      const verificationToken = await issueVerificationToken(user, req);
+      await sendWelcomeEmail(user.email, user.firstName, verificationToken);
     } catch (emailError) {
       logger.warn('Welcome email failed:', emailError);
     }
@@ -129,7 +146,7 @@ router.post('/register', registerValidation, async (req, res) => {
       message: 'User registered successfully',
       data: {
         user: user.toJSON(),
-        token
+        ...tokens
       }
     });
 
@@ -185,32 +202,80 @@ router.post('/login', loginValidation, async (req, res) => {
       });
     }
 
-    // Update last login
-    user.lastLoginAt = new Date();
-    await user.save();
+    // Enrolled users get a challenge instead of a session
+    if (user.twoFactorEnabled) {
+      const challenge = await createTwoFactorChallenge(user, req);
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          ...challenge
+        }
+      });
+    }
 
-    // Get user subscription
-    const subscription = await models.Subscription.findOne({
-      where: { userId: user.id }
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: await completeLogin(user, req)
     });
 
-    logger.info(`User logged in: ${user.email}`);
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a two-factor login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', [
+  authLimiter,
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('recoveryCode').optional().isString().trim().isLength({ min: 1, max: 32 }),
+  body().custom(({ code, recoveryCode }) => Boolean(code || recoveryCode))
+    .withMessage('A code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    const { user, method } = await completeTwoFactorChallenge(challengeToken, { code, recoveryCode }, req);
+
+    const data = await completeLogin(user, req);
+    if (method === 'recovery_code') {
+      data.recoveryCodesRemaining = getTwoFactorStatus(user).recoveryCodesRemaining;
+    }
 
     res.json({
       success: true,
       message: 'Login successful',
-      data: {
-        user: user.toJSON(),
-        subscription: subscription?.toJSON(),
-        token
-      }
+      data
     });
 
   } catch (error) {
-    logger.error('Login error:', error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       message: 'Login failed',
@@ -219,10 +284,24 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/forgot-password
-// @desc    Send password reset email
+// @route   GET /api/auth/providers
+// @desc    List the external identity providers that are configured
 // @access  Public
-router.post('/forgot-password', resetPasswordValidation, async (req, res) => {
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: { providers: getIdentityProviders() }
+  });
+});
+
+// @route   POST /api/auth/oauth/:provider
+// @desc    Log in (or sign up) with a Supabase or OIDC ID token
+// @access  Public
+router.post('/oauth/:provider', [
+  authLimiter,
+  param('provider').isString().trim().notEmpty(),
+  body('idToken').isString().notEmpty().withMessage('ID token is required')
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -233,41 +312,65 @@ router.post('/forgot-password', resetPasswordValidation, async (req, res) => {
       });
     }
 
-    const { email } = req.body;
+    const { user, created } = await signInWithIdToken(req.params.provider, req.body.idToken, req);
+
+    if (user.twoFactorEnabled) {
+      const challenge = await createTwoFactorChallenge(user, req);
 
-    // Find user
-    const user = await models.User.findByEmail(email);
-    if (!user) {
-      // Don't reveal if email exists or not
       return res.json({
         success: true,
-        message: 'If an account with that email exists, we have sent a password reset link.'
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          ...challenge
+        }
       });
     }
 
-    // Generate reset token (valid for 1 hour)
-    const resetToken = jwt.sign(
-      { userId: user.id, type: 'password_reset' },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'User registered successfully' : 'Login successful',
+      data: await completeLogin(user, req)
+    });
 
-    // Send password reset email
-    try {
-      await sendPasswordResetEmail(user.email, user.firstName, resetToken);
-    } catch (emailError) {
-      logger.error('Password reset email failed:', emailError);
-      return res.status(500).json({
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Failed to send password reset email'
+        message: error.message
       });
     }
 
-    logger.info(`Password reset requested for: ${user.email}`);
+    logger.error('OAuth login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset email
+// @access  Public
+router.post('/forgot-password', [passwordResetLimiter, ...resetPasswordValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Sends a single-use reset link (valid for 1 hour) if the account exists.
+    // Don't reveal if email exists or not.
+    await requestPasswordReset(req.body.email, req);
 
     res.json({
       success: true,
-      message: 'Password reset email sent successfully'
+      message: 'If an account with that email exists, we have sent a password reset link.'
     });
 
   } catch (error) {
@@ -299,38 +402,8 @@ router.post('/reset-password', [
 
     const { token, password } = req.body;
 
-    // Verify reset token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (jwtError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired reset token'
-      });
-    }
-
-    if (decoded.type !== 'password_reset') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid token type'
-      });
-    }
-
-    // Find user
-    const user = await models.User.findByPk(decoded.userId);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    // Update password
-    user.password = password;
-    await user.save();
-
-    logger.info(`Password reset completed for: ${user.email}`);
+    // Consumes the token, sets the password and signs out every session
+    await resetPassword(token, password, req);
 
     res.json({
       success: true,
@@ -338,6 +411,13 @@ router.post('/reset-password', [
     });
 
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     logger.error('Reset password error:', error);
     res.status(500).json({
       success: false,
@@ -361,21 +441,13 @@ router.post('/verify-token', async (req, res) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Find user
-    const user = await models.User.findByPk(decoded.userId, {
-      include: [{
-        model: models.Subscription,
-        as: 'subscription'
-      }]
-    });
+    // Verify token and its session
+    const { user, error } = await resolveAccessToken(token);
 
-    if (!user || !user.isActive) {
+    if (error) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token or user not found'
+        message: error
       });
     }
 
@@ -405,4 +477,469 @@ router.post('/verify-token', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with the token from the verification email
+// @access  Public
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await verifyEmail(req.body.token);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { user: user.toJSON() }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Email verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email (older links stop working)
+// @access  Private
+router.post('/resend-verification', [authenticateToken, verificationEmailLimiter], async (req, res) => {
+  try {
+    await sendVerification(req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { user, ...tokens } = await refreshSession(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        user: user.toJSON(),
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Token refresh failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.userId, req.sessionId, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the user's active sessions
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session.id === req.sessionId
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the user's sessions
+// @access  Private
+router.delete('/sessions/:id', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid session id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await revokeSession(req.userId, req.params.id, 'revoked_by_user');
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.userId, 'revoked_by_user', { exceptId: req.sessionId });
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked',
+      data: { revoked: revoked.length }
+    });
+
+  } catch (error) {
+    logger.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Maps operational errors (bad code, wrong password, already enabled) to
+// their status codes and logs everything else
+const sendTwoFactorError = (res, error, message) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+const passwordConfirmation = [
+  body('password').notEmpty().withMessage('Password is required')
+];
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/2fa', authenticateToken, async (req, res) => {
+  res.json({
+    success: true,
+    data: getTwoFactorStatus(req.user)
+  });
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment and get the provisioning URI
+// @access  Private
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await beginTwoFactorEnrollment(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: { secret, otpauthUrl }
+    });
+
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to start two-factor setup');
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and get recovery codes
+// @access  Private
+router.post('/2fa/enable', [
+  authenticateToken,
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const recoveryCodes = await enableTwoFactor(req.user, req.body.code, req);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to enable two-factor authentication');
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/2fa/disable', [authenticateToken, ...passwordConfirmation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await disableTwoFactor(req.user, req.body.password, req);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to disable two-factor authentication');
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', [authenticateToken, ...passwordConfirmation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user, req.body.password, req);
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to regenerate recovery codes');
+  }
+});
+
+// @route   GET /api/auth/linked-accounts
+// @desc    List external sign-in methods linked to the account
+// @access  Private
+router.get('/linked-accounts', authenticateToken, async (req, res) => {
+  try {
+    const accounts = await listLinkedAccounts(req.userId);
+
+    res.json({
+      success: true,
+      data: { accounts }
+    });
+
+  } catch (error) {
+    logger.error('List linked accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch linked accounts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/linked-accounts
+// @desc    Link an external sign-in method with an ID token
+// @access  Private
+router.post('/linked-accounts', [
+  authenticateToken,
+  body('provider').isString().trim().notEmpty().withMessage('Provider is required'),
+  body('idToken').isString().notEmpty().withMessage('ID token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const account = await linkIdentity(req.user, req.body.provider, req.body.idToken, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account linked',
+      data: { account }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Link account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/linked-accounts/:id
+// @desc    Unlink an external sign-in method
+// @access  Private
+router.delete('/linked-accounts/:id', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid linked account id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await unlinkIdentity(req.user, req.params.id, req);
+
+    res.json({
+      success: true,
+      message: 'Account unlinked'
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Unlink account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlink account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
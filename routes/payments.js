@@ -1,62 +1,105 @@
 const express = require('express');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const { body, validationResult } = require('express-validator');
+const stripe = require('../config/stripe');
+const { body, query, param, validationResult } = require('express-validator');
 const { models } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { getEntitlements, getUsageSummary } = require('../services/entitlementservice');
+const { PLANS, PLAN_INTERVALS, CREDIT_PACKS, listPlans, findPlanByPriceId } = require('../config/plans');
+const { constructStripeEvent, processStripeEvent } = require('../services/stripewebhookservice');
+const {
+  previewPlanChange,
+  changePlan,
+  cancelScheduledChange,
+  cancelSubscription,
+  resumeSubscription,
+  setOverageBilling
+} = require('../services/subscriptionservice');
+const { getTrialOffer } = require('../services/trialservice');
+const { getCredits, createCreditCheckout } = require('../services/creditservice');
+const { resolvePromoCode, applyPromotion, promotionCheckoutParams } = require('../services/promotionservice');
+const { findReferrer, getReferralHistory } = require('../services/referralservice');
+const { listInvoices, getInvoice, getReceipt } = require('../services/invoiceservice');
 
 const router = express.Router();
 
-// Stripe webhook endpoint (before body parser middleware)
+// Missing subscriptions (404), invalid or conflicting changes (400/409) and
+// payment provider failures (502) from the billing services
+// go back as-is; anything else is a 500
+const sendSubscriptionError = (res, error, message) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+const invoiceResponse = (invoice) => ({
+  ...invoice.toJSON(),
+  receiptUrl: invoice.hasReceipt() ? `/api/payments/invoices/${invoice.id}/receipt` : null
+});
+
+const promoCodeValidation = (location) => location('promoCode')
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Promo code must be 1-100 characters');
+
+const planChangeValidation = [
+  body('plan').isIn(Object.keys(PLANS)).withMessage(`Plan must be one of: ${Object.keys(PLANS).join(', ')}`),
+  body('interval').optional().isIn(PLAN_INTERVALS).withMessage(`Interval must be one of: ${PLAN_INTERVALS.join(', ')}`)
+];
+
+// @route   POST /api/payments/webhook
+// @desc    Stripe webhook. Needs the raw body for the signature check, so
+//          server.js mounts express.raw for this path ahead of express.json.
+// @access  Public (signed by Stripe)
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
+  if (!Buffer.isBuffer(req.body)) {
+    logger.error('Webhook body was parsed before the signature check; mount express.raw for this route first');
+    return res.status(400).send('Webhook Error: raw request body required');
+  }
 
+  let event;
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+    event = constructStripeEvent(req.body, req.headers['stripe-signature']);
   } catch (err) {
     logger.error('Webhook signature verification failed:', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
   try {
-    switch (event.type) {
-      case 'customer.subscription.created':
-      case 'customer.subscription.updated':
-        await handleSubscriptionUpdate(event.data.object);
-        break;
-      
-      case 'customer.subscription.deleted':
-        await handleSubscriptionCancellation(event.data.object);
-        break;
-      
-      case 'invoice.payment_succeeded':
-        await handlePaymentSuccess(event.data.object);
-        break;
-      
-      case 'invoice.payment_failed':
-        await handlePaymentFailed(event.data.object);
-        break;
-      
-      default:
-        logger.info(`Unhandled event type: ${event.type}`);
-    }
-
-    res.json({ received: true });
+    const { duplicate } = await processStripeEvent(event);
+    res.json({ received: true, duplicate });
   } catch (error) {
+    if (error.isOperational) {
+      logger.warn(error.message);
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     logger.error('Webhook handler error:', error);
     res.status(500).json({ error: 'Webhook handler failed' });
   }
 });
 
 // @route   POST /api/payments/create-checkout-session
-// @desc    Create Stripe checkout session
+// @desc    Create Stripe checkout session. With promoCode the code is applied
+//          up front; without it, checkout offers a promo code field.
 // @access  Private
 router.post('/create-checkout-session', [
   authenticateToken,
   body('priceId').notEmpty().withMessage('Price ID is required'),
   body('successUrl').isURL().withMessage('Valid success URL required'),
-  body('cancelUrl').isURL().withMessage('Valid cancel URL required')
+  body('cancelUrl').isURL().withMessage('Valid cancel URL required'),
+  promoCodeValidation(body)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -68,9 +111,11 @@ router.post('/create-checkout-session', [
       });
     }
 
-    const { priceId, successUrl, cancelUrl } = req.body;
+    const { priceId, successUrl, cancelUrl, promoCode } = req.body;
     const user = req.user;
 
+    const promotion = promoCode ? await resolvePromoCode(promoCode) : null;
+
     // Create or get Stripe customer
     let customerId = user.stripeCustomerId;
     if (!customerId) {
@@ -87,6 +132,11 @@ router.post('/create-checkout-session', [
       await user.update({ stripeCustomerId: customerId });
     }
 
+    // First-time subscribers to a plan with a trial get it without a card;
+    // Stripe cancels the trial at its end if none was added by then
+    const subscription = await models.Subscription.findOne({ where: { userId: user.id } });
+    const trial = getTrialOffer(subscription, findPlanByPriceId(priceId)?.plan);
+
     // Create checkout session
     const session = await stripe.checkout.sessions.create({
       customer: customerId,
@@ -106,21 +156,36 @@ router.post('/create-checkout-session', [
       subscription_data: {
         metadata: {
           userId: user.id
-        }
-      }
+        },
+        ...(trial ? {
+          trial_period_days: trial.days,
+          trial_settings: { end_behavior: { missing_payment_method: 'cancel' } }
+        } : {})
+      },
+      ...(trial ? { payment_method_collection: 'if_required' } : {}),
+      ...promotionCheckoutParams(promotion)
     });
 
-    logger.info(`Checkout session created for user ${user.id}: ${session.id}`);
+    logger.info(`Checkout session created for user ${user.id}: ${session.id}${trial ? ` (${trial.days}-day trial)` : ''}${promotion ? ` with promo code ${promotion.code}` : ''}`);
 
     res.json({
       success: true,
       data: {
         sessionId: session.id,
-        url: session.url
+        url: session.url,
+        trialDays: trial ? trial.days : 0,
+        promotion
       }
     });
 
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     logger.error('Create checkout session error:', error);
     res.status(500).json({
       success: false,
@@ -206,11 +271,15 @@ router.get('/subscription', authenticateToken, async (req, res) => {
       }
     }
 
+    // Reload so entitlements reflect the subscription as just synced
+    const { features, trial } = await getEntitlements(req.userId);
+
     res.json({
       success: true,
       data: {
         subscription: subscription.toJSON(),
-        features: subscription.getFeatures(),
+        features,
+        trial,
         canUpgrade: subscription.canUpgrade()
       }
     });
@@ -224,38 +293,261 @@ router.get('/subscription', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/payments/subscription/preview
+// @desc    Preview a plan or billing interval change: whether it applies now
+//          or at period end, and what is charged now
+// @access  Private
+router.post('/subscription/preview', [authenticateToken, ...planChangeValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const preview = await previewPlanChange(req.userId, {
+      plan: req.body.plan,
+      interval: req.body.interval
+    });
+
+    res.json({
+      success: true,
+      data: { preview }
+    });
+
+  } catch (error) {
+    sendSubscriptionError(res, error, 'Failed to preview plan change');
+  }
+});
+
+// @route   POST /api/payments/subscription/change
+// @desc    Change plan or billing interval. Upgrades apply now and charge the
+//          prorated difference (send prorationDate from the preview to be
+//          charged what it showed); downgrades are scheduled for period end.
+// @access  Private
+router.post('/subscription/change', [
+  authenticateToken,
+  ...planChangeValidation,
+  body('prorationDate').optional().isInt({ min: 1 }).withMessage('prorationDate must be a Unix timestamp').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { subscription, change } = await changePlan(req.user, {
+      plan: req.body.plan,
+      interval: req.body.interval
+    }, { prorationDate: req.body.prorationDate }, req);
+
+    const planName = PLANS[change.plan].name;
+    let message;
+    if (!change.immediate) {
+      message = `Your plan changes to ${planName} (${change.interval}ly) on ${change.scheduledChangeAt.toISOString().slice(0, 10)}`;
+    } else if (change.pending) {
+      message = `Your plan changes to ${planName} once the prorated invoice is paid`;
+    } else {
+      message = `You are now on the ${planName} plan (${change.interval}ly)`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        subscription: subscription.toJSON(),
+        change
+      }
+    });
+
+  } catch (error) {
+    sendSubscriptionError(res, error, 'Failed to change plan');
+  }
+});
+
+// @route   DELETE /api/payments/subscription/scheduled-change
+// @desc    Drop a scheduled downgrade and stay on the current plan
+// @access  Private
+router.delete('/subscription/scheduled-change', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await cancelScheduledChange(req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Scheduled plan change canceled',
+      data: { subscription: subscription.toJSON() }
+    });
+
+  } catch (error) {
+    sendSubscriptionError(res, error, 'Failed to cancel scheduled plan change');
+  }
+});
+
+// @route   POST /api/payments/subscription/cancel
+// @desc    Cancel at the end of the paid period; the plan stays until then
+// @access  Private
+router.post('/subscription/cancel', [
+  authenticateToken,
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const subscription = await cancelSubscription(req.user, { reason: req.body.reason }, req);
+
+    res.json({
+      success: true,
+      message: `Your subscription ends on ${subscription.currentPeriodEnd.toISOString().slice(0, 10)}`,
+      data: { subscription: subscription.toJSON() }
+    });
+
+  } catch (error) {
+    sendSubscriptionError(res, error, 'Failed to cancel subscription');
+  }
+});
+
+// @route   POST /api/payments/subscription/resume
+// @desc    Undo a cancellation before the period ends
+// @access  Private
+router.post('/subscription/resume', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await resumeSubscription(req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Your subscription will renew',
+      data: { subscription: subscription.toJSON() }
+    });
+
+  } catch (error) {
+    sendSubscriptionError(res, error, 'Failed to resume subscription');
+  }
+});
+
+// @route   PUT /api/payments/subscription/overage
+// @desc    Turn metered overage on or off: usage past the monthly quota is
+//          billed per unit with the next invoice instead of being refused
+// @access  Private
+router.put('/subscription/overage', [
+  authenticateToken,
+  body('enabled').isBoolean().withMessage('enabled must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const subscription = await setOverageBilling(req.user, req.body.enabled, req);
+
+    res.json({
+      success: true,
+      message: subscription.overageEnabled ? 'Overage billing is on' : 'Overage billing is off',
+      data: { subscription: subscription.toJSON() }
+    });
+
+  } catch (error) {
+    sendSubscriptionError(res, error, 'Failed to update overage billing');
+  }
+});
+
+// @route   GET /api/payments/credits
+// @desc    Credit balances, the packs on sale and recent credit activity
+// @access  Private
+router.get('/credits', authenticateToken, async (req, res) => {
+  try {
+    const credits = await getCredits(req.userId);
+
+    res.json({
+      success: true,
+      data: credits
+    });
+
+  } catch (error) {
+    logger.error('Get credits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch credits'
+    });
+  }
+});
+
+// @route   POST /api/payments/credits/checkout
+// @desc    Create a Stripe checkout session for a credit pack; the credits are
+//          added once checkout.session.completed arrives
+// @access  Private
+router.post('/credits/checkout', [
+  authenticateToken,
+  body('pack').isIn(Object.keys(CREDIT_PACKS)).withMessage(`Pack must be one of: ${Object.keys(CREDIT_PACKS).join(', ')}`),
+  body('successUrl').isURL().withMessage('Valid success URL required'),
+  body('cancelUrl').isURL().withMessage('Valid cancel URL required'),
+  promoCodeValidation(body)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { pack, successUrl, cancelUrl, promoCode } = req.body;
+    const promotion = promoCode ? await resolvePromoCode(promoCode) : null;
+    const session = await createCreditCheckout(req.user, pack, { successUrl, cancelUrl, promotion });
+
+    res.json({
+      success: true,
+      data: {
+        sessionId: session.id,
+        url: session.url
+      }
+    });
+
+  } catch (error) {
+    sendSubscriptionError(res, error, 'Failed to create credit checkout session');
+  }
+});
+
 // @route   GET /api/payments/usage
 // @desc    Get user's usage statistics
 // @access  Private
 router.get('/usage', authenticateToken, async (req, res) => {
   try {
-    const currentUsage = await models.Usage.getMonthlyUsage(req.userId);
-    const subscription = await models.Subscription.findOne({
-      where: { userId: req.userId }
-    });
-
-    const features = subscription ? subscription.getFeatures() : { videosPerMonth: 3 };
-    
-    // Calculate usage limits
-    const usageLimits = {
-      video_generation: await models.Usage.checkLimit(
-        req.userId, 
-        'video_generation', 
-        features.videosPerMonth
-      ),
-      script_generation: await models.Usage.checkLimit(
-        req.userId, 
-        'script_generation', 
-        -1 // Usually unlimited
-      )
-    };
+    const [currentUsage, summary] = await Promise.all([
+      models.Usage.getMonthlyUsage(req.userId),
+      getUsageSummary(req.user)
+    ]);
 
     res.json({
       success: true,
       data: {
         currentUsage,
-        limits: usageLimits,
-        subscription: subscription?.plan || 'free'
+        limits: summary.usage,
+        features: summary.features,
+        subscription: summary.plan,
+        trial: summary.trial,
+        credits: summary.credits,
+        overage: summary.overage
       }
     });
 
@@ -268,170 +560,206 @@ router.get('/usage', authenticateToken, async (req, res) => {
   }
 });
 
-// @route   GET /api/payments/plans
-// @desc    Get available subscription plans
-// @access  Public
-router.get('/plans', async (req, res) => {
+// @route   GET /api/payments/invoices
+// @desc    Get user's invoices, newest first
+// @access  Private
+router.get('/invoices', [
+  authenticateToken,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(models.Invoice.STATUSES)
+], async (req, res) => {
   try {
-    const plans = [
-      {
-        id: 'free',
-        name: 'Free',
-        price: 0,
-        interval: 'forever',
-        stripePriceId: null,
-        features: {
-          videosPerMonth: 3,
-          maxDuration: 30,
-          aiScripts: false,
-          customBranding: false,
-          analytics: false,
-          priority: false,
-          storage: '100MB'
-        },
-        popular: false
-      },
-      {
-        id: 'starter',
-        name: 'Starter',
-        price: 29,
-        interval: 'month',
-        stripePriceId: process.env.STRIPE_STARTER_PRICE_ID,
-        features: {
-          videosPerMonth: 25,
-          maxDuration: 180,
-          aiScripts: true,
-          customBranding: false,
-          analytics: true,
-          priority: false,
-          storage: '1GB'
-        },
-        popular: true
-      },
-      {
-        id: 'pro',
-        name: 'Pro',
-        price: 99,
-        interval: 'month',
-        stripePriceId: process.env.STRIPE_PRO_PRICE_ID,
-        features: {
-          videosPerMonth: 100,
-          maxDuration: 600,
-          aiScripts: true,
-          customBranding: true,
-          analytics: true,
-          priority: true,
-          storage: '10GB'
-        },
-        popular: false
-      },
-      {
-        id: 'enterprise',
-        name: 'Enterprise',
-        price: 299,
-        interval: 'month',
-        stripePriceId: process.env.STRIPE_ENTERPRISE_PRICE_ID,
-        features: {
-          videosPerMonth: -1,
-          maxDuration: -1,
-          aiScripts: true,
-          customBranding: true,
-          analytics: true,
-          priority: true,
-          storage: 'unlimited'
-        },
-        popular: false
-      }
-    ];
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { count, rows: invoices } = await listInvoices(req.userId, { page, limit, status: req.query.status });
+
+    const totalPages = Math.ceil(count / limit);
 
     res.json({
       success: true,
-      data: { plans }
+      data: {
+        invoices: invoices.map(invoiceResponse),
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
     });
 
   } catch (error) {
-    logger.error('Get plans error:', error);
+    logger.error('Get invoices error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch subscription plans'
+      message: 'Failed to fetch invoices',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Webhook helper functions
-async function handleSubscriptionUpdate(subscription) {
+// @route   GET /api/payments/invoices/:id
+// @desc    Get a single invoice with its line items
+// @access  Private
+router.get('/invoices/:id', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid invoice id')
+], async (req, res) => {
   try {
-    const dbSubscription = await models.Subscription.findByStripeId(subscription.id);
-    
-    if (dbSubscription) {
-      await dbSubscription.updateFromStripe(subscription);
-      
-      // Update user plan
-      const user = await dbSubscription.getUser();
-      if (user) {
-        user.updatePlanLimits(dbSubscription.plan);
-        await user.save();
-      }
-      
-      logger.info(`Subscription updated: ${subscription.id}`);
-    } else {
-      logger.warn(`Subscription not found in database: ${subscription.id}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
+
+    const invoice = await getInvoice(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        invoice: invoiceResponse(invoice)
+      }
+    });
+
   } catch (error) {
-    logger.error('Handle subscription update error:', error);
+    sendSubscriptionError(res, error, 'Failed to fetch invoice');
   }
-}
+});
 
-async function handleSubscriptionCancellation(subscription) {
+// @route   GET /api/payments/invoices/:id/receipt
+// @desc    Download the receipt for a paid invoice as a PDF
+// @access  Private
+router.get('/invoices/:id/receipt', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid invoice id')
+], async (req, res) => {
   try {
-    const dbSubscription = await models.Subscription.findByStripeId(subscription.id);
-    
-    if (dbSubscription) {
-      await dbSubscription.update({
-        status: 'canceled',
-        cancelAtPeriodEnd: true
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
       });
-      
-      // Update user to free plan after period ends
-      const user = await dbSubscription.getUser();
-      if (user && new Date() > dbSubscription.currentPeriodEnd) {
-        user.updatePlanLimits('free');
-        await user.save();
-      }
-      
-      logger.info(`Subscription canceled: ${subscription.id}`);
     }
+
+    const { filename, pdf } = await getReceipt(req.userId, req.params.id);
+
+    res.set('Cache-Control', 'private, no-store');
+    res.attachment(filename);
+    res.type('application/pdf').send(pdf);
+
   } catch (error) {
-    logger.error('Handle subscription cancellation error:', error);
+    sendSubscriptionError(res, error, 'Failed to generate receipt');
   }
-}
+});
 
-async function handlePaymentSuccess(invoice) {
+// @route   GET /api/payments/referrals
+// @desc    The user's referral code and link, and who signed up with it
+// @access  Private
+router.get('/referrals', authenticateToken, async (req, res) => {
   try {
-    const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
-    await handleSubscriptionUpdate(subscription);
-    
-    logger.info(`Payment succeeded for subscription: ${invoice.subscription}`);
+    const referrals = await getReferralHistory(req.user);
+
+    res.json({
+      success: true,
+      data: referrals
+    });
+
   } catch (error) {
-    logger.error('Handle payment success error:', error);
+    logger.error('Get referrals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch referrals'
+    });
   }
-}
+});
 
-async function handlePaymentFailed(invoice) {
+// @route   GET /api/payments/referrals/:code
+// @desc    Check a referral code before signing up with it
+// @access  Public
+router.get('/referrals/:code', async (req, res) => {
   try {
-    const dbSubscription = await models.Subscription.findByStripeId(invoice.subscription);
-    
-    if (dbSubscription) {
-      await dbSubscription.update({ status: 'past_due' });
-      
-      // Send payment failed notification
-      // In a real implementation, you'd send an email here
-      
-      logger.warn(`Payment failed for subscription: ${invoice.subscription}`);
+    const referrer = await findReferrer(req.params.code);
+    if (!referrer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Referral code not found'
+      });
     }
+
+    res.json({
+      success: true,
+      data: { valid: true, referrerName: referrer.firstName }
+    });
+
+  } catch (error) {
+    logger.error('Check referral code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check referral code'
+    });
+  }
+});
+
+// @route   GET /api/payments/plans
+// @desc    Get available subscription plans; with ?promoCode= the prices
+//          after that code's discount as well
+// @access  Public
+router.get('/plans', [promoCodeValidation(query)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const promotion = req.query.promoCode ? await resolvePromoCode(req.query.promoCode) : null;
+
+    const plans = listPlans().map(plan => (promotion && plan.price > 0 ? {
+      ...plan,
+      discountedPrice: applyPromotion(plan.price, promotion),
+      discountedYearlyPrice: applyPromotion(plan.yearlyPrice, promotion)
+    } : plan));
+
+    res.json({
+      success: true,
+      data: { plans, promotion }
+    });
+
   } catch (error) {
-    logger.error('Handle payment failed error:', error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Get plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch subscription plans'
+    });
   }
-}
+});
 
 module.exports = router;
@@ -1,16 +1,20 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
 const { models } = require('../config/database');
-const { authenticateToken, requirePlan } = require('../middleware/auth');
+const { authenticateToken, requirePlan, checkUsageLimit, requireFeature } = require('../middleware/auth');
+const { workspaceContext, libraryScope } = require('../middleware/workspace');
 const logger = require('../utils/logger');
+const { realtime } = require('../services/realtimeservice');
 
 const router = express.Router();
 
 // Import with lowercase filename to match actual file
-let generateScript, getScriptSuggestions;
+let generateScript, streamScript, getScriptSuggestions;
 try {
   const scriptService = require('../services/scriptservice');
   generateScript = scriptService.generateScript;
+  streamScript = scriptService.streamScript;
   getScriptSuggestions = scriptService.getScriptSuggestions;
 } catch (error) {
   logger.warn('Script service not available:', error.message);
@@ -22,6 +26,13 @@ try {
     estimatedDuration: 30,
     metadata: { fallback: true }
   });
+  streamScript = async (prompt, options, { onEvent }) => {
+    const script = await generateScript(prompt, options);
+    onEvent('section', { section: 'body', index: 0 });
+    onEvent('delta', { section: 'body', text: script.content });
+    onEvent('section_complete', { section: 'body', content: script.content });
+    return { ...script, structure: { body: script.content }, aborted: false };
+  };
   getScriptSuggestions = async () => [
     'Create a marketing video script',
     'Write an educational content script',
@@ -29,14 +40,42 @@ try {
   ];
 }
 
+const generateValidation = [
+  body('prompt').trim().isLength({ min: 5, max: 500 }).withMessage('Prompt must be 5-500 characters'),
+  body('title').optional().trim().isLength({ min: 1, max: 200 }),
+  body('tone').optional().isIn(['professional', 'casual', 'humorous', 'dramatic']),
+  body('category').optional().isString(),
+  body('targetAudience').optional().isString(),
+  body('maxWords').optional().isInt({ min: 20, max: 1000 })
+];
+
+// Saves a streamed script; aborted streams keep their partial content
+const saveStreamedScript = async (generated, { prompt, title, tone, category, targetAudience, userId, workspaceId, streamId }) => {
+  return await models.Script.create({
+    title: title || generated.title,
+    content: generated.content,
+    prompt,
+    tone: tone || 'professional',
+    targetAudience,
+    category: category || 'general',
+    status: generated.aborted ? 'aborted' : 'completed',
+    userId,
+    workspaceId,
+    structure: generated.structure || {},
+    metadata: { ...(generated.metadata || {}), streamId }
+  });
+};
+
 // @route   GET /api/scripts
-// @desc    Get user's scripts
+// @desc    Get user's scripts, or a workspace's with X-Workspace-Id
 // @access  Private
 router.get('/', [
   authenticateToken,
+  workspaceContext,
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('category').optional().isString(),
+  query('status').optional().isIn(['completed', 'aborted']),
   query('search').optional().isString()
 ], async (req, res) => {
   try {
@@ -52,10 +91,11 @@ router.get('/', [
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
-    const { category, search } = req.query;
+    const { category, status, search } = req.query;
 
-    const whereClause = { userId: req.userId };
+    const whereClause = libraryScope(req);
     if (category) whereClause.category = category;
+    if (status) whereClause.status = status;
     
     // Handle search with proper Sequelize operators
     if (search) {
@@ -103,12 +143,12 @@ router.get('/', [
 // @route   GET /api/scripts/:id
 // @desc    Get single script
 // @access  Private
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', [authenticateToken, workspaceContext], async (req, res) => {
   try {
     const script = await models.Script.findOne({
-      where: { 
+      where: {
         id: req.params.id,
-        userId: req.userId 
+        ...libraryScope(req)
       }
     });
 
@@ -138,11 +178,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // @access  Private
 router.post('/generate', [
   authenticateToken,
-  body('prompt').trim().isLength({ min: 5, max: 500 }).withMessage('Prompt must be 5-500 characters'),
-  body('title').optional().trim().isLength({ min: 1, max: 200 }),
-  body('tone').optional().isIn(['professional', 'casual', 'humorous', 'dramatic']),
-  body('category').optional().isString(),
-  body('targetAudience').optional().isString()
+  workspaceContext,
+  checkUsageLimit('script_generation'),
+  requireFeature('aiScripts'),
+  ...generateValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -154,13 +193,17 @@ router.post('/generate', [
       });
     }
 
-    const { prompt, title, tone, category, targetAudience } = req.body;
+    const { prompt, title, tone, category, targetAudience, maxWords } = req.body;
 
     // Generate script using AI service
     const generatedScript = await generateScript(prompt, {
       tone,
       category,
-      targetAudience
+      targetAudience,
+      maxWords: maxWords ? parseInt(maxWords) : undefined,
+      userId: req.userId,
+      billedUserId: req.billedUser.id,
+      workspaceId: req.workspace?.id || null
     });
     
     // Save to database
@@ -174,6 +217,8 @@ router.post('/generate', [
       wordCount: generatedScript.wordCount,
       duration: generatedScript.estimatedDuration,
       userId: req.userId,
+      workspaceId: req.workspace?.id || null,
+      structure: generatedScript.structure || {},
       metadata: generatedScript.metadata || {}
     });
 
@@ -195,6 +240,124 @@ router.post('/generate', [
   }
 });
 
+// @route   POST /api/scripts/generate/stream
+// @desc    Generate new script, streamed section by section over SSE
+//          (or over Socket.IO 'script_stream' events with transport=socket).
+//          The 'done' event carries the script as saved; clients should
+//          replace the streamed text with it.
+// @access  Private
+router.post('/generate/stream', [
+  authenticateToken,
+  workspaceContext,
+  checkUsageLimit('script_generation'),
+  requireFeature('aiScripts'),
+  ...generateValidation,
+  body('transport').optional().isIn(['sse', 'socket'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { prompt, title, tone, category, targetAudience, maxWords, transport = 'sse' } = req.body;
+  const streamId = uuidv4();
+  const options = {
+    tone,
+    category,
+    targetAudience,
+    maxWords: maxWords ? parseInt(maxWords) : undefined,
+    userId: req.userId,
+    billedUserId: req.billedUser.id,
+    workspaceId: req.workspace?.id || null
+  };
+  const saveOptions = {
+    prompt, title, tone, category, targetAudience, streamId,
+    userId: req.userId,
+    workspaceId: options.workspaceId
+  };
+
+  if (transport === 'socket') {
+    const emit = (type, data) => {
+      realtime.emitScriptStream(req.userId, { streamId, type, data });
+    };
+
+    res.status(202).json({
+      success: true,
+      message: 'Script generation started',
+      data: { streamId, event: 'script_stream' }
+    });
+
+    streamScript(prompt, options, { onEvent: emit })
+      .then(generated => saveStreamedScript(generated, saveOptions))
+      .then(script => {
+        logger.info(`Streamed script generated for user ${req.userId}: ${script.id}`);
+        emit('done', { script });
+      })
+      .catch(error => {
+        logger.error('Stream script error:', error);
+        emit('error', { message: 'Script generation failed' });
+      });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // compression() buffers responses; flush so every event goes out immediately
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (res.flush) res.flush();
+  };
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const keepAlive = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    if (res.flush) res.flush();
+  }, 15000);
+
+  try {
+    send('start', { streamId });
+
+    const generated = await streamScript(prompt, options, {
+      onEvent: send,
+      signal: controller.signal
+    });
+    const script = await saveStreamedScript(generated, saveOptions);
+
+    if (generated.aborted) {
+      logger.info(`Script stream aborted by client for user ${req.userId}: ${script.id}`);
+    } else {
+      logger.info(`Streamed script generated for user ${req.userId}: ${script.id}`);
+      send('done', { script });
+      res.end();
+    }
+
+  } catch (error) {
+    logger.error('Stream script error:', error);
+    if (!res.writableEnded) {
+      send('error', {
+        message: 'Failed to generate script',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Script generation failed'
+      });
+      res.end();
+    }
+  } finally {
+    clearInterval(keepAlive);
+  }
+});
+
 // @route   GET /api/scripts/templates
 // @desc    Get script templates
 // @access  Public
@@ -1,16 +1,21 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const { param, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { models } = require('../config/database');
+const { authenticateToken, requireFeatureLimit } = require('../middleware/auth');
+const { checkQuota, reserveQuota, releaseQuota } = require('../services/entitlementservice');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
 // Import storage service with fallback - using lowercase filename
-let upload, uploadFile, generateFileKey, getUserStorageStats;
+let upload, uploadFile, deleteFile, generateFileKey, getUserStorageStats;
 
 try {
   const storageService = require('../services/storageservice');
   upload = storageService.upload;
   uploadFile = storageService.uploadFile;
+  deleteFile = storageService.deleteFile;
   generateFileKey = storageService.generateFileKey;
   getUserStorageStats = storageService.getUserStorageStats;
 } catch (error) {
@@ -24,6 +29,8 @@ try {
     // Mock upload - return a placeholder URL
     return `https://placeholder-storage.com/${key}`;
   };
+
+  deleteFile = async (key) => true;
   
   generateFileKey = (userId, type, originalName) => {
     const timestamp = Date.now();
@@ -38,12 +45,96 @@ try {
   });
 }
 
+// Storage is charged in kilobytes, rounded up per file
+const storageKilobytes = (files) => {
+  return files.reduce((total, file) => total + Math.ceil(file.size / 1024), 0);
+};
+
+const uploadedFiles = (req) => req.files || (req.file ? [req.file] : []);
+
+// Runs before multer reads the body: an upload can't be larger than its
+// Content-Length, so one that can't fit is refused without being buffered.
+// Requests without a length are left to checkStorage.
+const checkUploadSize = requireFeatureLimit('storage', async (req) => {
+  const length = parseInt(req.get('content-length'), 10);
+  if (!Number.isFinite(length)) return undefined;
+
+  const { usage } = await checkQuota(req.user, 'storage');
+  return usage.current * 1024 + length;
+});
+
+// Rejects uploads that would take the user past their plan's storage, with
+// the plan that has room for them. Reserving the storage is what enforces it.
+const checkStorage = requireFeatureLimit('storage', async (req) => {
+  const files = uploadedFiles(req);
+  if (files.length === 0) return undefined;
+
+  const { usage } = await checkQuota(req.user, 'storage');
+  return (usage.current + storageKilobytes(files)) * 1024;
+});
+
+const recordFile = (req, file, { kind, key, url, period }) => {
+  return models.UploadedFile.create({
+    userId: req.userId,
+    kind,
+    key,
+    url,
+    originalName: file.originalname,
+    contentType: file.mimetype,
+    size: file.size,
+    storageKilobytes: storageKilobytes([file]),
+    period
+  });
+};
+
+// Deletes the stored object of an upload that couldn't be recorded. The
+// caller gives its storage back.
+const discardUpload = async (key) => {
+  try {
+    await deleteFile(key);
+  } catch (deleteError) {
+    logger.warn(`Failed to delete ${key} after a failed upload:`, deleteError);
+  }
+};
+
+// Deletes a stored file and gives its storage back. The row is removed
+// first, so of two concurrent deletes only one releases the storage.
+const removeFile = async (file) => {
+  await deleteFile(file.key);
+
+  const count = await models.UploadedFile.destroy({ where: { id: file.id } });
+  if (count === 0) return false;
+
+  await releaseQuota(file.toReservation());
+  return true;
+};
+
+// Storage quota errors (403) go back as-is; anything else is a 500
+const sendUploadError = (res, error, message) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.usage && { usage: error.usage }),
+      ...(error.upgrade && { upgrade: true })
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Upload failed'
+  });
+};
+
 // @route   POST /api/upload/avatar
 // @desc    Upload user avatar
 // @access  Private
 router.post('/avatar', [
   authenticateToken,
-  upload.single('avatar')
+  checkUploadSize,
+  upload.single('avatar'),
+  checkStorage
 ], async (req, res) => {
   try {
     if (!req.file) {
@@ -65,15 +156,53 @@ router.post('/avatar', [
 
     // Generate file key
     const fileKey = generateFileKey(req.userId, 'avatars', originalname);
-    
-    // Upload to storage
-    const fileUrl = await uploadFile(buffer, fileKey, mimetype, {
-      userId: req.userId,
-      type: 'avatar'
+
+    const reservation = await reserveQuota(req.user, 'storage', {
+      amount: storageKilobytes([req.file])
     });
 
-    // Update user avatar
-    await req.user.update({ avatar: fileUrl });
+    // Upload to storage
+    let fileUrl;
+    try {
+      fileUrl = await uploadFile(buffer, fileKey, mimetype, {
+        userId: req.userId,
+        type: 'avatar'
+      });
+    } catch (uploadError) {
+      await releaseQuota(reservation);
+      throw uploadError;
+    }
+
+    // Record the file and update user avatar
+    let avatarFile = null;
+    try {
+      avatarFile = await recordFile(req, req.file, {
+        kind: 'avatar',
+        key: fileKey,
+        url: fileUrl,
+        period: reservation.period
+      });
+      await req.user.update({ avatar: fileUrl });
+    } catch (recordError) {
+      if (avatarFile) {
+        await models.UploadedFile.destroy({ where: { id: avatarFile.id } });
+      }
+      await discardUpload(fileKey);
+      await releaseQuota(reservation);
+      throw recordError;
+    }
+
+    // The replaced avatar no longer takes up storage
+    const previous = await models.UploadedFile.findAll({
+      where: { userId: req.userId, kind: 'avatar', id: { [Op.ne]: avatarFile.id } }
+    });
+    for (const file of previous) {
+      try {
+        await removeFile(file);
+      } catch (removeError) {
+        logger.warn(`Failed to remove replaced avatar ${file.key}:`, removeError);
+      }
+    }
 
     logger.info(`Avatar uploaded for user ${req.userId}: ${fileKey}`);
 
@@ -88,11 +217,7 @@ router.post('/avatar', [
 
   } catch (error) {
     logger.error('Avatar upload error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to upload avatar',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Upload failed'
-    });
+    sendUploadError(res, error, 'Failed to upload avatar');
   }
 });
 
@@ -101,7 +226,9 @@ router.post('/avatar', [
 // @access  Private
 router.post('/media', [
   authenticateToken,
-  upload.array('files', 5) // Max 5 files
+  checkUploadSize,
+  upload.array('files', 5), // Max 5 files
+  checkStorage
 ], async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
@@ -111,11 +238,16 @@ router.post('/media', [
       });
     }
 
+    const reservation = await reserveQuota(req.user, 'storage', {
+      amount: storageKilobytes(req.files)
+    });
+
     const uploadPromises = req.files.map(async (file) => {
       const { buffer, mimetype, originalname, size } = file;
       
       // Generate file key
       const fileKey = generateFileKey(req.userId, 'media', originalname);
+      let uploaded = false;
       
       try {
         // Upload to storage
@@ -125,9 +257,18 @@ router.post('/media', [
           originalName: originalname,
           size
         });
+        uploaded = true;
+
+        const record = await recordFile(req, file, {
+          kind: 'media',
+          key: fileKey,
+          url: fileUrl,
+          period: reservation.period
+        });
 
         return {
           success: true,
+          id: record.id,
           originalName: originalname,
           url: fileUrl,
           key: fileKey,
@@ -136,16 +277,27 @@ router.post('/media', [
         };
       } catch (uploadError) {
         logger.error(`Failed to upload ${originalname}:`, uploadError);
+        if (uploaded) {
+          await discardUpload(fileKey);
+        }
         return {
           success: false,
           originalName: originalname,
-          error: uploadError.message
+          error: uploadError.message,
+          file
         };
       }
     });
 
     const results = await Promise.all(uploadPromises);
 
+    // Give back the storage reserved for files that didn't make it
+    const failedFiles = results.filter(r => !r.success).map(r => r.file);
+    if (failedFiles.length > 0) {
+      await releaseQuota({ ...reservation, amount: storageKilobytes(failedFiles) });
+    }
+    results.forEach(r => delete r.file);
+
     // Log successful uploads
     const successful = results.filter(r => r.success).length;
     logger.info(`Media upload completed for user ${req.userId}: ${successful}/${results.length} files`);
@@ -158,24 +310,68 @@ router.post('/media', [
 
   } catch (error) {
     logger.error('Media upload error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to upload media files',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Upload failed'
+    sendUploadError(res, error, 'Failed to upload media files');
+  }
+});
+
+// @route   DELETE /api/upload/:id
+// @desc    Delete an uploaded file and give back its storage
+// @access  Private
+router.delete('/:id', [
+  authenticateToken,
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const file = await models.UploadedFile.findOne({
+      where: { id: req.params.id, userId: req.userId }
     });
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    await removeFile(file);
+    if (file.kind === 'avatar' && req.user.avatar === file.url) {
+      await req.user.update({ avatar: null });
+    }
+
+    logger.info(`File ${file.key} deleted for user ${req.userId}`);
+
+    res.json({
+      success: true,
+      message: 'File deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete file error:', error);
+    sendUploadError(res, error, 'Failed to delete file');
   }
 });
 
 // @route   GET /api/upload/storage-stats
-// @desc    Get user storage statistics
+// @desc    Get user storage statistics and the plan's storage quota (in KB)
 // @access  Private
 router.get('/storage-stats', authenticateToken, async (req, res) => {
   try {
-    const stats = await getUserStorageStats(req.userId);
+    const [stats, { usage }] = await Promise.all([
+      getUserStorageStats(req.userId),
+      checkQuota(req.user, 'storage')
+    ]);
 
     res.json({
       success: true,
-      data: { stats }
+      data: { stats, quota: usage }
     });
 
   } catch (error) {
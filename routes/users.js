@@ -1,8 +1,12 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const { models } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, denyApiKeys } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { createSession, revokeAllSessions } = require('../services/sessionservice');
+const { sendVerification } = require('../services/verificationservice');
+const { createApiKey, listApiKeys, updateApiKey, revokeApiKey } = require('../services/apikeyservice');
+const { getUsageSummary } = require('../services/entitlementservice');
 
 const router = express.Router();
 
@@ -87,10 +91,22 @@ router.put('/profile', [
     const updates = {};
     if (firstName !== undefined) updates.firstName = firstName;
     if (lastName !== undefined) updates.lastName = lastName;
-    if (email !== undefined) updates.email = email;
+    if (email !== undefined && email !== user.email) {
+      updates.email = email;
+      updates.emailVerified = false;
+    }
 
     await user.update(updates);
 
+    // A new address has to be verified again
+    if (updates.email) {
+      try {
+        await sendVerification(user, req);
+      } catch (emailError) {
+        logger.warn('Verification email failed:', emailError);
+      }
+    }
+
     logger.info(`User profile updated: ${user.id}`);
 
     res.json({
@@ -143,11 +159,16 @@ router.put('/password', [
     user.password = newPassword;
     await user.save();
 
+    // Sign out everywhere, then give this client a fresh session
+    await revokeAllSessions(user.id, 'password_change');
+    const tokens = await createSession(user, req);
+
     logger.info(`Password changed for user: ${user.id}`);
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: tokens
     });
 
   } catch (error) {
@@ -222,20 +243,17 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
     // Get video statistics
     const videoStats = await models.Video.getStatsByUser(req.userId);
 
-    // Get current month usage
-    const currentUsage = await models.Usage.getMonthlyUsage(req.userId);
-
     // Get subscription info
     const subscription = await models.Subscription.findOne({
       where: { userId: req.userId }
     });
 
-    // Calculate usage percentages
-    const features = subscription ? subscription.getFeatures() : { videosPerMonth: 3 };
-    const videoUsage = currentUsage.find(u => u.type === 'video_generation');
-    const videosUsed = videoUsage ? videoUsage.amount : 0;
-    const videoUsagePercent = features.videosPerMonth === -1 ? 0 : 
-      Math.round((videosUsed / features.videosPerMonth) * 100);
+    // Current month usage against the user's entitlements
+    const { usage } = await getUsageSummary(req.user);
+    const videoQuota = usage.video_generation;
+    const videosUsed = videoQuota.current;
+    const videoUsagePercent = videoQuota.limit === -1 ? 0 :
+      Math.round((videosUsed / Math.max(videoQuota.limit, 1)) * 100);
 
     const dashboardData = {
       user: user.toJSON(),
@@ -244,7 +262,7 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
         ...videoStats,
         videosThisMonth: videosUsed,
         videoUsagePercent,
-        planLimit: features.videosPerMonth
+        planLimit: videoQuota.limit
       },
       recentVideos,
       quickActions: [
@@ -253,7 +271,7 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
           description: 'Create a new AI-powered video',
           action: 'generate_video',
           icon: 'video',
-          available: user.canGenerateVideo()
+          available: videoQuota.canUse
         },
         {
           title: 'Write Script',
@@ -347,4 +365,149 @@ router.delete('/account', [
   }
 });
 
+const apiKeyScopesValidation = (required) => [
+  (required ? body('scopes') : body('scopes').optional())
+    .isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').custom(scope => models.ApiKey.SCOPES.includes(scope))
+    .withMessage((scope) => `Unknown scope: ${scope}`)
+];
+
+const sendApiKeyError = (res, error, message) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// @route   GET /api/users/api-keys
+// @desc    List active API keys
+// @access  Private
+router.get('/api-keys', [denyApiKeys, authenticateToken], async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys,
+        availableScopes: models.ApiKey.SCOPES
+      }
+    });
+
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to fetch API keys');
+  }
+});
+
+// @route   POST /api/users/api-keys
+// @desc    Create an API key (the key is only shown in this response)
+// @access  Private
+router.post('/api-keys', [
+  denyApiKeys,
+  authenticateToken,
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+  ...apiKeyScopesValidation(true),
+  body('expiresAt').optional({ nullable: true }).isISO8601().toDate()
+    .custom(date => date > new Date()).withMessage('Expiry must be in the future')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+    const { apiKey, key } = await createApiKey(req.user, { name, scopes, expiresAt }, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: {
+        apiKey,
+        key
+      }
+    });
+
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to create API key');
+  }
+});
+
+// @route   PUT /api/users/api-keys/:id
+// @desc    Rename an API key or change its scopes
+// @access  Private
+router.put('/api-keys/:id', [
+  denyApiKeys,
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid API key id'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  ...apiKeyScopesValidation(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes } = req.body;
+    const apiKey = await updateApiKey(req.userId, req.params.id, { name, scopes }, req);
+
+    res.json({
+      success: true,
+      message: 'API key updated',
+      data: { apiKey }
+    });
+
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to update API key');
+  }
+});
+
+// @route   DELETE /api/users/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/api-keys/:id', [
+  denyApiKeys,
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid API key id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await revokeApiKey(req.userId, req.params.id, req);
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to revoke API key');
+  }
+});
+
 module.exports = router;
@@ -1,40 +1,129 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const { models } = require('../config/database');
-const { authenticateToken, checkUsageLimit } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requireVerifiedEmail,
+  checkUsageLimit,
+  requireFeature,
+  requireFeatureLimit
+} = require('../middleware/auth');
+const { workspaceContext, libraryScope } = require('../middleware/workspace');
 const logger = require('../utils/logger');
+const { assertPublicUrl } = require('../utils/remotefetch');
+const { realtime } = require('../services/realtimeservice');
+const { getEntitlements, reserveQuota, assertFeature } = require('../services/entitlementservice');
 
 const router = express.Router();
 
+const DEFAULT_DURATION = 30;
+
 // Import with lowercase filename to match actual file
-let generateVideo = null;
+let enqueueVideoGeneration, chargeVideoQuota, refundVideoQuota, cancelVideo, retryVideo, regenerateVideo;
 try {
   const videoService = require('../services/videoservice');
-  generateVideo = videoService.generateVideo;
+  enqueueVideoGeneration = videoService.enqueueVideoGeneration;
+  chargeVideoQuota = videoService.chargeVideoQuota;
+  refundVideoQuota = videoService.refundVideoQuota;
+  cancelVideo = videoService.cancelVideo;
+  retryVideo = videoService.retryVideo;
+  regenerateVideo = videoService.regenerateVideo;
 } catch (error) {
   logger.warn('Video service not available:', error.message);
-  // Fallback function
-  generateVideo = async (videoId) => {
-    const video = await models.Video.findByPk(videoId);
-    if (video) {
-      await video.update({
-        status: 'completed',
-        processingProgress: 100,
-        videoUrl: 'https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_1mb.mp4'
-      });
-    }
-    return { id: videoId, status: 'completed' };
+  // Fallback functions
+  enqueueVideoGeneration = async (video) => {
+    await video.update({
+      status: 'completed',
+      processingProgress: 100,
+      videoUrl: 'https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_1mb.mp4'
+    });
+    return null;
+  };
+  chargeVideoQuota = async (video, user) => {
+    await reserveQuota(user, 'video_generation', {
+      workspaceId: video.workspaceId || null,
+      metadata: { videoId: video.id, prompt: video.prompt.substring(0, 100) }
+    });
+    await user.incrementVideoCount();
+  };
+  refundVideoQuota = async () => false;
+  cancelVideo = retryVideo = regenerateVideo = async () => {
+    throw new Error('Video service not available');
   };
 }
 
+// Sends invalid status transitions (409), quota and plan feature errors (403)
+// from the video service as client errors; anything else is a 500
+const sendVideoActionError = (res, error, message) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...error.details,
+      ...(error.usage && { usage: error.usage }),
+      ...(error.upgrade && { upgrade: true })
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+const brandingValidation = [
+  body('branding').optional({ values: 'null' }).isObject().withMessage('Branding must be an object'),
+  body('branding.color').optional().matches(/^#?[0-9a-fA-F]{6}$/).withMessage('Branding color must be a hex color')
+    .customSanitizer(color => color.replace('#', '').toUpperCase())
+];
+
+// Custom branding is only checked when the request asks for it
+const requireBrandingFeature = requireFeature('customBranding');
+const checkBranding = (req, res, next) => {
+  if (!req.body.branding) return next();
+  requireBrandingFeature(req, res, next);
+};
+
+// Re-checks a stored (or changed) video against the billed user's plan before
+// it is rendered again, in case the plan changed since it was created
+const assertVideoFeatures = (entitlements, { duration, branding }) => {
+  assertFeature(entitlements, 'maxDuration', duration);
+  if (branding) {
+    assertFeature(entitlements, 'customBranding');
+  }
+};
+
+// Finds a video in the library selected by workspaceContext
+const findUserVideo = (req) => {
+  return models.Video.findOne({
+    where: {
+      id: req.params.id,
+      ...libraryScope(req)
+    }
+  });
+};
+
+// Finds a script in the same library, so a video can only be made from a
+// script its creator could open
+const findLibraryScript = (req, scriptId) => {
+  return models.Script.findOne({
+    where: {
+      id: scriptId,
+      ...libraryScope(req)
+    }
+  });
+};
+
 // @route   GET /api/videos
-// @desc    Get user's videos
+// @desc    Get user's videos, or a workspace's with X-Workspace-Id
 // @access  Private
 router.get('/', [
   authenticateToken,
+  workspaceContext,
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('status').optional().isIn(['pending', 'processing', 'completed', 'failed']),
+  query('status').optional().isIn(models.Video.STATUSES),
   query('category').optional().isString()
 ], async (req, res) => {
   try {
@@ -52,7 +141,7 @@ router.get('/', [
     const offset = (page - 1) * limit;
     const { status, category } = req.query;
 
-    const whereClause = { userId: req.userId };
+    const whereClause = libraryScope(req);
     if (status) whereClause.status = status;
     if (category) whereClause.category = category;
 
@@ -98,12 +187,12 @@ router.get('/', [
 // @route   GET /api/videos/:id
 // @desc    Get single video
 // @access  Private
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', [authenticateToken, workspaceContext], async (req, res) => {
   try {
     const video = await models.Video.findOne({
-      where: { 
+      where: {
         id: req.params.id,
-        userId: req.userId 
+        ...libraryScope(req)
       },
       include: [{
         model: models.Script,
@@ -145,14 +234,24 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // @access  Private
 router.post('/generate', [
   authenticateToken,
+  requireVerifiedEmail,
+  workspaceContext,
+  checkUsageLimit('video_generation'),
   body('prompt').trim().isLength({ min: 10, max: 2000 }).withMessage('Prompt must be 10-2000 characters'),
   body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title is required'),
   body('style').optional().isString(),
   body('mood').optional().isString(),
   body('category').optional().isString(),
-  body('duration').optional().isInt({ min: 5, max: 600 }),
+  body('duration').optional().isInt({ min: 5, max: 600 }).toInt(),
   body('resolution').optional().isIn(['1280x720', '1920x1080', '3840x2160']),
-  body('scriptId').optional().isUUID()
+  body('scriptId').optional().isUUID(),
+  body('images').optional().isArray({ max: 20 }).withMessage('Images must be a list of up to 20 URLs'),
+  body('images.*').optional()
+    .isURL({ protocols: ['https'], require_protocol: true }).withMessage('Images must be https URLs').bail()
+    .custom((url) => assertPublicUrl(url) && true),
+  ...brandingValidation,
+  requireFeatureLimit('maxDuration', req => Number(req.body.duration ?? DEFAULT_DURATION)),
+  checkBranding
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -171,17 +270,17 @@ router.post('/generate', [
       style,
       mood,
       category,
-      duration = 30,
+      duration = DEFAULT_DURATION,
       resolution = '1920x1080',
-      scriptId
+      scriptId,
+      images,
+      branding
     } = req.body;
 
-    // Check if user can generate video
-    if (!req.user.canGenerateVideo()) {
-      return res.status(403).json({
+    if (scriptId && !(await findLibraryScript(req, scriptId))) {
+      return res.status(404).json({
         success: false,
-        message: 'Video generation limit exceeded for your plan',
-        upgrade: true
+        message: 'Script not found'
       });
     }
 
@@ -197,47 +296,190 @@ router.post('/generate', [
       resolution,
       status: 'pending',
       userId: req.userId,
-      scriptId
+      workspaceId: req.workspace?.id || null,
+      scriptId,
+      metadata: {
+        ...(images && { images }),
+        ...(branding && { branding })
+      }
     });
 
-    // Record usage
-    await models.Usage.recordUsage(req.userId, 'video_generation', 1, {
+    // Reserve quota (the workspace owner's inside a workspace); refunded if
+    // generation fails or is canceled before rendering. Another request may
+    // have taken the last unit since checkUsageLimit ran.
+    try {
+      await chargeVideoQuota(video, req.billedUser);
+    } catch (error) {
+      await video.destroy();
+      throw error;
+    }
+
+    // Queue video generation; a worker picks it up, even after a restart.
+    // A video that can't be queued is given up like one that can't be charged.
+    let job;
+    try {
+      job = await enqueueVideoGeneration(video, { priority: req.entitlements.features.priority });
+    } catch (error) {
+      await refundVideoQuota(video);
+      await video.destroy();
+      throw error;
+    }
+
+    // Emit real-time update
+    realtime.emitVideoGenerationStarted(req.userId, {
       videoId: video.id,
-      prompt: prompt.substring(0, 100)
+      status: video.status,
+      jobId: job?.id || null
     });
 
-    // Update user video count
-    await req.user.incrementVideoCount();
+    logger.info(`Video generation started for user ${req.userId}: ${video.id}`);
 
-    // Start video generation (async)
-    generateVideo(video.id).catch(error => {
-      logger.error('Video generation failed:', error);
+    res.status(201).json({
+      success: true,
+      message: 'Video generation started',
+      data: { video, jobId: job?.id || null }
     });
 
-    // Emit real-time update
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`user-${req.userId}`).emit('video_generation_started', {
-        videoId: video.id,
-        status: 'pending'
+  } catch (error) {
+    logger.error('Video generation error:', error);
+    sendVideoActionError(res, error, 'Failed to start video generation');
+  }
+});
+
+// @route   POST /api/videos/:id/cancel
+// @desc    Cancel a pending, queued or processing video
+// @access  Private
+router.post('/:id/cancel', [authenticateToken, workspaceContext], async (req, res) => {
+  try {
+    const video = await findUserVideo(req);
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
       });
     }
 
-    logger.info(`Video generation started for user ${req.userId}: ${video.id}`);
+    const { refunded } = await cancelVideo(video);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Video generation started',
-      data: { video }
+      message: 'Video generation canceled',
+      data: { video, refunded }
     });
 
   } catch (error) {
-    logger.error('Video generation error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to start video generation',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    logger.error('Cancel video error:', error);
+    sendVideoActionError(res, error, 'Failed to cancel video');
+  }
+});
+
+// @route   POST /api/videos/:id/retry
+// @desc    Retry a failed or canceled video with the same settings
+// @access  Private
+router.post('/:id/retry', [authenticateToken, requireVerifiedEmail, workspaceContext], async (req, res) => {
+  try {
+    const video = await findUserVideo(req);
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    const entitlements = await getEntitlements(req.billedUser);
+    assertVideoFeatures(entitlements, {
+      duration: video.duration,
+      branding: video.metadata?.branding
+    });
+
+    const { job, charged } = await retryVideo(video, req.billedUser, { priority: entitlements.features.priority });
+
+    logger.info(`Video generation retried for user ${req.userId}: ${video.id}`);
+
+    res.json({
+      success: true,
+      message: 'Video generation restarted',
+      data: { video, jobId: job?.id || null, charged }
+    });
+
+  } catch (error) {
+    logger.error('Retry video error:', error);
+    sendVideoActionError(res, error, 'Failed to retry video');
+  }
+});
+
+// @route   POST /api/videos/:id/regenerate
+// @desc    Render a finished video again, optionally with new settings
+// @access  Private
+router.post('/:id/regenerate', [
+  authenticateToken,
+  requireVerifiedEmail,
+  workspaceContext,
+  body('prompt').optional().trim().isLength({ min: 10, max: 2000 }).withMessage('Prompt must be 10-2000 characters'),
+  body('style').optional().isString(),
+  body('mood').optional().isString(),
+  body('duration').optional().isInt({ min: 5, max: 600 }).toInt(),
+  body('resolution').optional().isIn(['1280x720', '1920x1080', '3840x2160']),
+  body('scriptId').optional().isUUID(),
+  body('images').optional().isArray({ max: 20 }).withMessage('Images must be a list of up to 20 URLs'),
+  body('images.*').optional()
+    .isURL({ protocols: ['https'], require_protocol: true }).withMessage('Images must be https URLs').bail()
+    .custom((url) => assertPublicUrl(url) && true),
+  ...brandingValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const video = await findUserVideo(req);
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    if (req.body.scriptId && !(await findLibraryScript(req, req.body.scriptId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Script not found'
+      });
+    }
+
+    const allowedChanges = ['prompt', 'style', 'mood', 'duration', 'resolution', 'scriptId', 'images', 'branding'];
+    const changes = {};
+
+    allowedChanges.forEach(field => {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    });
+
+    const entitlements = await getEntitlements(req.billedUser);
+    assertVideoFeatures(entitlements, {
+      duration: changes.duration ?? video.duration,
+      branding: changes.branding !== undefined ? changes.branding : video.metadata?.branding
     });
+
+    const { job, charged } = await regenerateVideo(video, req.billedUser, changes, { priority: entitlements.features.priority });
+
+    logger.info(`Video regeneration started for user ${req.userId}: ${video.id}`);
+
+    res.json({
+      success: true,
+      message: 'Video regeneration started',
+      data: { video, jobId: job?.id || null, charged }
+    });
+
+  } catch (error) {
+    logger.error('Regenerate video error:', error);
+    sendVideoActionError(res, error, 'Failed to regenerate video');
   }
 });
 
@@ -246,6 +488,7 @@ router.post('/generate', [
 // @access  Private
 router.put('/:id', [
   authenticateToken,
+  workspaceContext,
   body('title').optional().trim().isLength({ min: 1, max: 200 }),
   body('description').optional().trim().isLength({ max: 1000 }),
   body('category').optional().isString(),
@@ -262,12 +505,7 @@ router.put('/:id', [
       });
     }
 
-    const video = await models.Video.findOne({
-      where: { 
-        id: req.params.id,
-        userId: req.userId 
-      }
-    });
+    const video = await findUserVideo(req);
 
     if (!video) {
       return res.status(404).json({
@@ -306,14 +544,9 @@ router.put('/:id', [
 // @route   DELETE /api/videos/:id
 // @desc    Delete video
 // @access  Private
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', [authenticateToken, workspaceContext], async (req, res) => {
   try {
-    const video = await models.Video.findOne({
-      where: { 
-        id: req.params.id,
-        userId: req.userId 
-      }
-    });
+    const video = await findUserVideo(req);
 
     if (!video) {
       return res.status(404).json({
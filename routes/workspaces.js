@@ -0,0 +1,285 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const {
+  createWorkspace,
+  listWorkspaces,
+  getWorkspace,
+  renameWorkspace,
+  deleteWorkspace,
+  inviteMember,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember
+} = require('../services/workspaceservice');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const validate = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Permission (403), missing workspace (404) and conflict (409) errors from
+// the workspace service go back as-is; anything else is a 500
+const sendWorkspaceError = (res, error, message) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+const workspaceIdValidation = param('id').isUUID().withMessage('Invalid workspace id');
+const nameValidation = body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters');
+
+// @route   GET /api/workspaces
+// @desc    List the workspaces the user belongs to, with their role
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const workspaces = await listWorkspaces(req.userId);
+
+    res.json({
+      success: true,
+      data: { workspaces }
+    });
+
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to fetch workspaces');
+  }
+});
+
+// @route   POST /api/workspaces
+// @desc    Create a workspace owned (and paid for) by the user
+// @access  Private
+router.post('/', [nameValidation], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const workspace = await createWorkspace(req.user, { name: req.body.name }, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Workspace created',
+      data: { workspace: { ...workspace.toJSON(), role: 'owner' } }
+    });
+
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to create workspace');
+  }
+});
+
+// @route   POST /api/workspaces/invitations/accept
+// @desc    Join a workspace with the token from an invitation email
+// @access  Private
+router.post('/invitations/accept', [
+  body('token').isString().trim().notEmpty().withMessage('Invitation token is required')
+], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const { workspace, membership } = await acceptInvitation(req.body.token, req.user, req);
+
+    res.json({
+      success: true,
+      message: `You joined ${workspace.name}`,
+      data: { workspace: { ...workspace.toJSON(), role: membership.role } }
+    });
+
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to accept invitation');
+  }
+});
+
+// @route   GET /api/workspaces/:id
+// @desc    Get a workspace with its members and this month's pooled usage
+// @access  Private (members)
+router.get('/:id', [workspaceIdValidation], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const data = await getWorkspace(req.params.id, req.userId);
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to fetch workspace');
+  }
+});
+
+// @route   PUT /api/workspaces/:id
+// @desc    Rename a workspace
+// @access  Private (owner)
+router.put('/:id', [workspaceIdValidation, nameValidation], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const workspace = await renameWorkspace(req.params.id, req.user, req.body.name, req);
+
+    res.json({
+      success: true,
+      message: 'Workspace updated',
+      data: { workspace }
+    });
+
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to update workspace');
+  }
+});
+
+// @route   DELETE /api/workspaces/:id
+// @desc    Delete a workspace; its videos and scripts return to their creators
+// @access  Private (owner)
+router.delete('/:id', [workspaceIdValidation], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    await deleteWorkspace(req.params.id, req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Workspace deleted'
+    });
+
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to delete workspace');
+  }
+});
+
+// @route   GET /api/workspaces/:id/invitations
+// @desc    List pending invitations
+// @access  Private (owner)
+router.get('/:id/invitations', [workspaceIdValidation], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const invitations = await listInvitations(req.params.id, req.userId);
+
+    res.json({
+      success: true,
+      data: { invitations }
+    });
+
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to fetch invitations');
+  }
+});
+
+// @route   POST /api/workspaces/:id/invitations
+// @desc    Invite someone by email as an editor or viewer
+// @access  Private (owner)
+router.post('/:id/invitations', [
+  workspaceIdValidation,
+  body('email').isEmail().normalizeEmail().withMessage('A valid email is required'),
+  body('role').optional().isIn(['editor', 'viewer']).withMessage('Role must be editor or viewer')
+], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const { email, role = 'viewer' } = req.body;
+    const { invitation } = await inviteMember(req.params.id, req.user, { email, role }, req);
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: { invitation }
+    });
+
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to send invitation');
+  }
+});
+
+// @route   DELETE /api/workspaces/:id/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (owner)
+router.delete('/:id/invitations/:invitationId', [
+  workspaceIdValidation,
+  param('invitationId').isUUID().withMessage('Invalid invitation id')
+], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    await revokeInvitation(req.params.id, req.params.invitationId, req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to revoke invitation');
+  }
+});
+
+// @route   PUT /api/workspaces/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private (owner)
+router.put('/:id/members/:userId', [
+  workspaceIdValidation,
+  param('userId').isUUID().withMessage('Invalid user id'),
+  body('role').isIn(['editor', 'viewer']).withMessage('Role must be editor or viewer')
+], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    const membership = await updateMemberRole(req.params.id, req.params.userId, req.body.role, req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Member role updated',
+      data: { membership }
+    });
+
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to update member');
+  }
+});
+
+// @route   DELETE /api/workspaces/:id/members/:userId
+// @desc    Remove a member, or leave the workspace with your own user id
+// @access  Private (owner, or the member themselves)
+router.delete('/:id/members/:userId', [
+  workspaceIdValidation,
+  param('userId').isUUID().withMessage('Invalid user id')
+], async (req, res) => {
+  try {
+    if (validate(req, res)) return;
+
+    await removeMember(req.params.id, req.params.userId, req.user, req);
+
+    res.json({
+      success: true,
+      message: req.params.userId === req.userId ? 'You left the workspace' : 'Member removed'
+    });
+
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to remove member');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// Usage:
+//   npm run migrate                  Apply all pending migrations (same as "up")
+//   npm run migrate -- status        List migrations and whether they ran
+//   npm run migrate -- up [--to 003-create-videos.js]
+//   npm run migrate -- down [--step 2 | --to 003-create-videos.js]
+//   npm run migrate -- create add-video-queue
+
+require('dotenv').config();
+
+const { Migrator } = require('../utils/migrator');
+
+const parseArgs = (argv) => {
+  const [command = 'up', ...rest] = argv;
+  const options = { positional: [] };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--to') {
+      options.to = rest[++i];
+    } else if (arg === '--step') {
+      options.step = parseInt(rest[++i], 10);
+    } else {
+      options.positional.push(arg);
+    }
+  }
+
+  return { command, options };
+};
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  // Creating a file needs no database connection
+  if (command === 'create') {
+    const name = new Migrator().create(options.positional.join(' '));
+    console.log(`✅ Created migrations/${name}`);
+    return;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is required to run migrations');
+  }
+
+  const { sequelize } = require('../config/database');
+  const migrator = new Migrator({ sequelize });
+
+  try {
+    await sequelize.authenticate();
+
+    switch (command) {
+      case 'status': {
+        const status = await migrator.status();
+        if (status.length === 0) {
+          console.log('No migrations found');
+        }
+        status.forEach(migration => {
+          const state = migration.missing ? 'missing file' : (migration.executed ? `batch ${migration.batch}` : 'pending');
+          console.log(`${migration.executed ? '✅' : '⏳'} ${migration.name} (${state})`);
+        });
+        break;
+      }
+
+      case 'up': {
+        const applied = await migrator.up({ to: options.to });
+        console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+        break;
+      }
+
+      case 'down': {
+        const reverted = await migrator.down({ step: options.step, to: options.to });
+        console.log(reverted.length ? `✅ Reverted ${reverted.length} migration(s)` : '✅ Nothing to revert');
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown command "${command}". Use status, up, down or create.`);
+    }
+  } finally {
+    await sequelize.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// Local stand-in for an OIDC identity provider, for developing and checking
+// the ID token login without Google or Supabase. It serves a JWKS and mints
+// RS256 ID tokens signed with a key generated at startup.
+//
+// Usage:
+//   node scripts/oidc-standin.js [port]        (default 4455)
+//
+// Point the API at it:
+//   OIDC_ISSUER=http://localhost:4455 OIDC_JWKS_URL=http://localhost:4455/.well-known/jwks.json OIDC_CLIENT_ID=influencore-dev
+//
+// Get a token (all query parameters optional):
+//   curl 'http://localhost:4455/token?sub=123&email=ada@example.com&email_verified=true&name=Ada%20Lovelace'
+
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+const port = parseInt(process.argv[2] || process.env.OIDC_STANDIN_PORT || 4455, 10);
+const issuer = `http://localhost:${port}`;
+const audience = process.env.OIDC_CLIENT_ID || 'influencore-dev';
+const kid = crypto.randomBytes(8).toString('hex');
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const jwks = {
+  keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }]
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, issuer);
+
+  if (url.pathname === '/.well-known/jwks.json') {
+    return send(res, 200, jwks);
+  }
+
+  if (url.pathname === '/.well-known/openid-configuration') {
+    return send(res, 200, { issuer, jwks_uri: `${issuer}/.well-known/jwks.json` });
+  }
+
+  if (url.pathname === '/token') {
+    const query = Object.fromEntries(url.searchParams);
+    const email = query.email || 'dev@example.com';
+    const claims = {
+      email,
+      email_verified: query.email_verified !== 'false',
+      name: query.name || 'Dev User',
+      picture: query.picture
+    };
+
+    const idToken = jwt.sign(claims, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: query.aud || audience,
+      subject: query.sub || crypto.createHash('sha256').update(email).digest('hex').slice(0, 16),
+      expiresIn: query.expires_in ? parseInt(query.expires_in, 10) : '10m'
+    });
+
+    return send(res, 200, { idToken });
+  }
+
+  send(res, 404, { error: 'not_found' });
+});
+
+server.listen(port, () => {
+  console.log(`OIDC stand-in listening on ${issuer} (audience ${audience})`);
+});
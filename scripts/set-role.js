@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// Usage:
+//   node scripts/set-role.js <email> <user|support|admin>
+//
+// Grants a role from the command line, e.g. to create the first admin.
+// After that, admins can change roles through PUT /api/admin/users/:id/role.
+
+require('dotenv').config();
+
+async function main() {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !role) {
+    throw new Error('Usage: node scripts/set-role.js <email> <user|support|admin>');
+  }
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is required');
+  }
+
+  const { sequelize, models } = require('../config/database');
+
+  try {
+    if (!models.User.ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}". Use ${models.User.ROLES.join(', ')}.`);
+    }
+
+    const user = await models.User.findByEmail(email);
+    if (!user) {
+      throw new Error(`No user with email ${email}`);
+    }
+
+    const previousRole = user.role;
+    await user.update({ role });
+    await models.AuditLog.create({
+      action: 'admin.role_changed',
+      userId: user.id,
+      metadata: { from: previousRole, to: role, via: 'cli' }
+    });
+
+    console.log(`✅ ${email} is now ${role} (was ${previousRole})`);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to set role:', error.message);
+  process.exit(1);
+});
@@ -50,8 +50,19 @@ try {
   validateEnv = () => {};
 }
 
+// Import database helpers with error handling
+let initDatabase, testConnection, isDatabaseConfigured;
+
+try {
+  ({ initDatabase, testConnection, isDatabaseConfigured } = require('./config/database'));
+  console.log('✅ Database config loaded');
+} catch (error) {
+  console.error('❌ Failed to load database config:', error.message);
+  process.exit(1);
+}
+
 // Import routes with error handling
-let authRoutes, userRoutes, videoRoutes, scriptRoutes, paymentRoutes, demoRoutes, uploadRoutes;
+let authRoutes, userRoutes, videoRoutes, scriptRoutes, paymentRoutes, demoRoutes, uploadRoutes, adminRoutes, workspaceRoutes, realtime, allowApiKeys;
 
 try {
   authRoutes = require('./routes/auth');
@@ -61,6 +72,10 @@ try {
   paymentRoutes = require('./routes/payments');
   demoRoutes = require('./routes/demo');
   uploadRoutes = require('./routes/upload');
+  adminRoutes = require('./routes/admin');
+  workspaceRoutes = require('./routes/workspaces');
+  ({ realtime } = require('./services/realtimeservice'));
+  ({ allowApiKeys } = require('./middleware/auth'));
   console.log('✅ All routes loaded');
 } catch (error) {
   console.error('❌ Failed to load routes:', error.message);
@@ -132,7 +147,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'X-Workspace-Id']
 }));
 
 // General middleware
@@ -142,6 +157,8 @@ app.use(morgan('combined', {
     write: msg => logger ? logger.info(msg.trim()) : console.log(msg.trim())
   } 
 }));
+// Stripe signs the exact request body, so the webhook gets it unparsed
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -154,47 +171,70 @@ const generalLimiter = rateLimit({
     message: 'Too many requests from this IP, please try again later.'
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Stripe retries webhooks it can't deliver; don't turn bursts into 429s
+  skip: (req) => req.originalUrl === '/api/payments/webhook'
 });
 
 app.use(generalLimiter);
 
+// Full API when a database is configured, demo endpoints only otherwise
+const databaseEnabled = isDatabaseConfigured();
+
 // Health check endpoint (before routes)
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
+app.get('/health', async (req, res) => {
+  const connected = databaseEnabled ? await testConnection() : false;
+  const database = databaseEnabled
+    ? (connected ? 'connected' : 'disconnected')
+    : 'not_configured';
+  const healthy = !databaseEnabled || connected;
+
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'OK' : 'DEGRADED',
     timestamp: new Date().toISOString(),
     service: 'Influencore Backend',
     version: '1.0.0',
     environment: process.env.NODE_ENV || 'unknown',
-    database: 'disabled_temporarily'
+    mode: databaseEnabled ? 'full' : 'demo',
+    database
   });
 });
 
-// Demo-only routes (no database required)
+// Demo routes (no database required)
 app.use('/api/demo', demoRoutes);
 
-// Temporary message for other routes
-app.use('/api/*', (req, res) => {
-  res.status(503).json({
-    success: false,
-    message: 'Backend is running! Database setup in progress. Demo endpoints are available at /api/demo/*',
-    availableEndpoints: [
-      'GET /health - Health check',
-      'POST /api/demo/generate-video - Generate demo video',
-      'POST /api/demo/generate-script - Generate demo script',
-      'GET /api/demo/showcase - View showcase videos',
-      'GET /api/demo/features - View available features'
-    ]
+if (databaseEnabled) {
+  app.use('/api/auth', authRoutes);
+  app.use('/api/users', allowApiKeys('profile'), userRoutes);
+  app.use('/api/videos', allowApiKeys('videos'), videoRoutes);
+  app.use('/api/scripts', allowApiKeys('scripts'), scriptRoutes);
+  app.use('/api/payments', allowApiKeys('billing'), paymentRoutes);
+  app.use('/api/upload', allowApiKeys('uploads'), uploadRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/workspaces', workspaceRoutes);
+} else {
+  // Demo mode: everything except /api/demo needs a database
+  app.use('/api/*', (req, res) => {
+    res.status(503).json({
+      success: false,
+      message: 'Backend is running in demo mode. Set DATABASE_URL to enable the full API. Demo endpoints are available at /api/demo/*',
+      availableEndpoints: [
+        'GET /health - Health check',
+        'POST /api/demo/generate-video - Generate demo video',
+        'POST /api/demo/generate-script - Generate demo script',
+        'GET /api/demo/showcase - View showcase videos',
+        'GET /api/demo/features - View available features'
+      ]
+    });
   });
-});
+}
 
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
     success: false,
     message: `Route ${req.originalUrl} not found`,
-    hint: 'Try /health or /api/demo/* endpoints'
+    hint: databaseEnabled ? 'Check the API documentation for available routes' : 'Try /health or /api/demo/* endpoints'
   });
 });
 
@@ -212,40 +252,48 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log(`Client connected: ${socket.id}`);
-  
-  socket.on('join-room', (userId) => {
-    socket.join(`user-${userId}`);
-    console.log(`User ${userId} joined room`);
-  });
-
-  socket.on('disconnect', () => {
-    console.log(`Client disconnected: ${socket.id}`);
-  });
-});
+// Socket.IO connection handling: JWT handshake, one room per user
+realtime.attach(io);
 
 // Make io available to routes
 app.set('io', io);
 
-// Start server WITHOUT database
-const PORT = process.env.PORT || 3000;
+// Start server
+const { PORT } = require('./config/server');
+let jobQueue = null;
 
 async function startServer() {
   try {
-    console.log('🚀 Starting server without database...');
-    console.log('⚠️ Database connection skipped - demo mode only');
+    if (databaseEnabled) {
+      console.log('🚀 Starting server with database...');
+      await initDatabase();
+      console.log('✅ Database initialized');
+
+      // Web-only instances can leave the queue to dedicated workers
+      if (process.env.QUEUE_WORKER_ENABLED !== 'false') {
+        ({ jobQueue } = require('./services/queueservice'));
+        jobQueue.start();
+        console.log('✅ Job queue worker started');
+      }
+    } else {
+      console.log('🚀 Starting server without database...');
+      console.log('⚠️ DATABASE_URL not set - demo mode only');
+    }
     
     // Start HTTP server
     httpServer.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`📡 Health check: http://localhost:${PORT}/health`);
-      console.log(`🎬 Demo video: POST http://localhost:${PORT}/api/demo/generate-video`);
-      console.log(`📝 Demo script: POST http://localhost:${PORT}/api/demo/generate-script`);
-      console.log('🎉 Server started successfully in DEMO MODE!');
-      console.log('💡 Set up DATABASE_URL environment variable to enable full functionality');
+
+      if (databaseEnabled) {
+        console.log('🎉 Server started successfully with the full API!');
+      } else {
+        console.log(`🎬 Demo video: POST http://localhost:${PORT}/api/demo/generate-video`);
+        console.log(`📝 Demo script: POST http://localhost:${PORT}/api/demo/generate-script`);
+        console.log('🎉 Server started successfully in DEMO MODE!');
+        console.log('💡 Set up DATABASE_URL environment variable to enable full functionality');
+      }
     });
     
   } catch (error) {
@@ -256,29 +304,29 @@ async function startServer() {
 }
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  httpServer.close(() => {
-    console.log('Process terminated');
-    process.exit(0);
-  });
-});
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down gracefully`);
+
+  if (jobQueue) {
+    await jobQueue.stop();
+  }
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
   httpServer.close(() => {
     console.log('Process terminated');
     process.exit(0);
   });
-});
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error('UNHANDLED PROMISE REJECTION! 💥');
   console.error('Error:', err.name, err.message);
   console.error('Stack:', err.stack);
-  // Don't exit in demo mode
-  console.log('Continuing in demo mode...');
+  // Keep serving; the request that caused it has already been answered or timed out
+  console.log('Continuing...');
 });
 
 // Start the server
@@ -0,0 +1,112 @@
+const logger = require('../utils/logger');
+const { models } = require('../config/database');
+const { recordAudit } = require('./auditservice');
+const { AppError, NotFoundError } = require('../middleware/errorHandler');
+
+const MAX_ACTIVE_KEYS = parseInt(process.env.API_KEYS_PER_USER || 20);
+
+// Creates and manages user API keys. The plain key is returned once, on
+// creation; afterwards only its prefix is known.
+class ApiKeyService {
+  async create(user, { name, scopes, expiresAt = null }, req) {
+    const active = await models.ApiKey.findActiveByUser(user.id);
+    if (active.length >= MAX_ACTIVE_KEYS) {
+      throw new AppError(`You can have at most ${MAX_ACTIVE_KEYS} active API keys`, 400);
+    }
+
+    const { key, prefix } = models.ApiKey.generateKey();
+    const apiKey = await models.ApiKey.create({
+      userId: user.id,
+      name,
+      prefix,
+      keyHash: models.ApiKey.hashKey(key),
+      scopes: Array.from(new Set(scopes)),
+      expiresAt
+    });
+
+    await recordAudit('api_key.created', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: { apiKeyId: apiKey.id, prefix, scopes: apiKey.scopes }
+    });
+    logger.info(`API key ${prefix} created for user ${user.id}`);
+
+    return { apiKey, key };
+  }
+
+  list(userId) {
+    return models.ApiKey.findActiveByUser(userId);
+  }
+
+  async findActive(userId, id) {
+    const apiKey = await models.ApiKey.findOne({ where: { id, userId } });
+    if (!apiKey || !apiKey.isActive()) {
+      throw new NotFoundError('API key not found');
+    }
+    return apiKey;
+  }
+
+  async update(userId, id, { name, scopes }, req) {
+    const apiKey = await this.findActive(userId, id);
+
+    const changes = {};
+    if (name !== undefined) changes.name = name;
+    if (scopes !== undefined) changes.scopes = Array.from(new Set(scopes));
+    await apiKey.update(changes);
+
+    if (changes.scopes) {
+      await recordAudit('api_key.scopes_changed', {
+        userId,
+        actorId: userId,
+        req,
+        metadata: { apiKeyId: apiKey.id, prefix: apiKey.prefix, scopes: apiKey.scopes }
+      });
+    }
+
+    return apiKey;
+  }
+
+  async revoke(userId, id, req) {
+    const apiKey = await this.findActive(userId, id);
+    await apiKey.update({ revokedAt: new Date() });
+
+    await recordAudit('api_key.revoked', {
+      userId,
+      actorId: userId,
+      req,
+      metadata: { apiKeyId: apiKey.id, prefix: apiKey.prefix }
+    });
+    logger.info(`API key ${apiKey.prefix} revoked for user ${userId}`);
+
+    return apiKey;
+  }
+}
+
+// Create singleton instance
+const apiKeyService = new ApiKeyService();
+
+// Export functions
+const createApiKey = async (user, options, req) => {
+  return await apiKeyService.create(user, options, req);
+};
+
+const listApiKeys = async (userId) => {
+  return await apiKeyService.list(userId);
+};
+
+const updateApiKey = async (userId, id, changes, req) => {
+  return await apiKeyService.update(userId, id, changes, req);
+};
+
+const revokeApiKey = async (userId, id, req) => {
+  return await apiKeyService.revoke(userId, id, req);
+};
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+  ApiKeyService
+};
@@ -0,0 +1,35 @@
+const logger = require('../utils/logger');
+const { models } = require('../config/database');
+
+// Writes audit log entries. A failed write is logged rather than thrown so
+// auditing never breaks the action being audited.
+class AuditService {
+  async record(action, { userId = null, actorId = null, req = null, metadata = {} } = {}) {
+    try {
+      return await models.AuditLog.create({
+        action,
+        userId,
+        actorId,
+        ipAddress: req?.ip || null,
+        userAgent: req?.get?.('user-agent') || null,
+        metadata
+      });
+    } catch (error) {
+      logger.error(`Failed to write audit entry ${action}:`, error);
+      return null;
+    }
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+// Export functions
+const recordAudit = async (action, options) => {
+  return await auditService.record(action, options);
+};
+
+module.exports = {
+  recordAudit,
+  AuditService
+};
@@ -0,0 +1,274 @@
+const { UniqueConstraintError } = require('sequelize');
+const stripe = require('../config/stripe');
+const logger = require('../utils/logger');
+const { sequelize, models } = require('../config/database');
+const { CREDIT_PACKS, listCreditPacks } = require('../config/plans');
+const { realtime } = require('./realtimeservice');
+const { recordAudit } = require('./auditservice');
+const { promotionCheckoutParams } = require('./promotionservice');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Prepaid credit packs. A pack is bought through a one-off checkout session;
+// checkout.session.completed credits it to the ledger (CreditTransaction),
+// once per session. The entitlement service spends credits on usage past a
+// quota.
+class CreditService {
+  constructor(stripeClient = stripe) {
+    this.stripe = stripeClient;
+  }
+
+  async getCredits(userId, { limit = 50 } = {}) {
+    const [balances, transactions] = await Promise.all([
+      models.CreditTransaction.getBalances(userId),
+      models.CreditTransaction.findAll({
+        where: { userId },
+        order: [['createdAt', 'DESC']],
+        limit
+      })
+    ]);
+
+    return { balances, packs: listCreditPacks(), transactions };
+  }
+
+  async ensureCustomer(user) {
+    if (user.stripeCustomerId) return user.stripeCustomerId;
+
+    const customer = await this.stripe.customers.create({
+      email: user.email,
+      name: user.getFullName(),
+      metadata: {
+        userId: user.id
+      }
+    });
+    await user.update({ stripeCustomerId: customer.id });
+    return customer.id;
+  }
+
+  // `promotion` is a promo code resolved by the promotion service
+  async createCheckout(user, packId, { successUrl, cancelUrl, promotion = null }) {
+    const pack = CREDIT_PACKS[packId];
+    if (!pack?.stripePriceId) {
+      throw new ValidationError('This credit pack is not available');
+    }
+
+    const customerId = await this.ensureCustomer(user);
+    const metadata = { userId: user.id, creditPack: packId };
+
+    const session = await this.stripe.checkout.sessions.create({
+      customer: customerId,
+      payment_method_types: ['card'],
+      line_items: [
+        {
+          price: pack.stripePriceId,
+          quantity: 1
+        }
+      ],
+      mode: 'payment',
+      success_url: `${successUrl}?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: cancelUrl,
+      metadata,
+      payment_intent_data: { metadata },
+      // An invoice for the purchase, so it's in the invoice history with a receipt
+      invoice_creation: { enabled: true, invoice_data: { metadata } },
+      ...promotionCheckoutParams(promotion)
+    });
+
+    logger.info(`Credit pack checkout session created for user ${user.id}: ${session.id} (${packId})`);
+    return session;
+  }
+
+  // Called for paid checkout sessions of a credit pack. Redelivered or
+  // repeated events for the same session find its purchase already there.
+  async grantPurchase(session, user) {
+    const packId = session.metadata?.creditPack;
+    const pack = CREDIT_PACKS[packId];
+    if (!pack) {
+      logger.warn(`Checkout session ${session.id} names unknown credit pack ${packId}`);
+      return null;
+    }
+
+    if (session.payment_status !== 'paid') {
+      logger.info(`Checkout session ${session.id} for ${packId} is not paid yet (${session.payment_status})`);
+      return null;
+    }
+
+    let credit;
+    try {
+      credit = await models.CreditTransaction.create({
+        userId: user.id,
+        type: pack.type,
+        amount: pack.credits,
+        reason: 'purchase',
+        reference: session.id,
+        metadata: { pack: packId, amountTotal: session.amount_total, currency: session.currency }
+      });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        logger.info(`Credits for checkout session ${session.id} were already granted`);
+        return null;
+      }
+      throw error;
+    }
+
+    const balance = await models.CreditTransaction.getBalance(user.id, pack.type);
+
+    await recordAudit('billing.credits_purchased', {
+      userId: user.id,
+      metadata: { sessionId: session.id, pack: packId, type: pack.type, credits: pack.credits, balance }
+    });
+
+    realtime.emitBillingUpdate(user.id, {
+      type: 'credits_added',
+      usageType: pack.type,
+      credits: pack.credits,
+      balance
+    });
+
+    logger.info(`Granted ${pack.credits} ${pack.type} credits to user ${user.id} (session ${session.id})`);
+    return credit;
+  }
+
+  // A refunded charge of a credit pack takes back the refunded share of
+  // its credits, as far as they haven't been spent. Each refund (the
+  // charge's running refund total) takes credits back once.
+  async revokeRefundedPurchase(charge, refunded, user) {
+    if (!charge.payment_intent || refunded <= 0) return null;
+
+    const { data: [session] } = await this.stripe.checkout.sessions.list({
+      payment_intent: charge.payment_intent,
+      limit: 1
+    });
+    const purchase = session && await models.CreditTransaction.findOne({
+      where: { reason: 'purchase', reference: session.id }
+    });
+    if (!purchase) return null;
+
+    const { type } = purchase;
+    const paid = purchase.metadata?.amountTotal || charge.amount;
+    const refundedCredits = Math.min(purchase.amount, Math.round(purchase.amount * refunded / paid));
+    const reference = `${charge.id}:${charge.amount_refunded}`;
+
+    let result;
+    try {
+      // Under the quota lock, like a staff correction
+      result = await sequelize.transaction(async (transaction) => {
+        await models.Usage.lockQuota(user.id, type, { transaction });
+
+        const balance = await models.CreditTransaction.getBalance(user.id, type, { transaction });
+        const amount = Math.min(refundedCredits, Math.max(balance, 0));
+        if (amount === 0) return { credit: null, balance };
+
+        const credit = await models.CreditTransaction.create({
+          userId: user.id,
+          type,
+          amount: -amount,
+          reason: 'refund',
+          reference,
+          metadata: { chargeId: charge.id, sessionId: session.id, refunded, refundedCredits, currency: charge.currency }
+        }, { transaction });
+
+        return { credit, balance: balance - amount };
+      });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        logger.info(`Credits for refund ${reference} were already taken back`);
+        return null;
+      }
+      throw error;
+    }
+
+    const { credit, balance } = result;
+    if (!credit) {
+      logger.info(`Refund ${reference} of session ${session.id}: the ${type} credits were already spent`);
+      return null;
+    }
+
+    await recordAudit('billing.credits_refunded', {
+      userId: user.id,
+      metadata: { chargeId: charge.id, sessionId: session.id, type, credits: credit.amount, refundedCredits, balance }
+    });
+
+    realtime.emitBillingUpdate(user.id, {
+      type: 'credits_refunded',
+      usageType: type,
+      credits: credit.amount,
+      balance
+    });
+
+    logger.info(`Took back ${-credit.amount} ${type} credits from user ${user.id} for refund ${reference}`);
+    return credit;
+  }
+
+  // Staff corrections: a positive amount grants credits, a negative one
+  // takes back no more than the balance
+  async adjust(userId, { type, amount, note = null }, actor, req) {
+    // Under the quota lock, so a reservation can't spend what's taken back
+    const { credit, balance } = await sequelize.transaction(async (transaction) => {
+      await models.Usage.lockQuota(userId, type, { transaction });
+
+      const current = await models.CreditTransaction.getBalance(userId, type, { transaction });
+      if (amount < 0 && current + amount < 0) {
+        throw new ValidationError(`Only ${current} ${type} credits are left to take back`);
+      }
+
+      const created = await models.CreditTransaction.create({
+        userId,
+        type,
+        amount,
+        reason: amount > 0 ? 'grant' : 'revoke',
+        metadata: { note, actorId: actor?.id || null }
+      }, { transaction });
+
+      return { credit: created, balance: current };
+    });
+
+    await recordAudit(amount > 0 ? 'billing.credits_granted' : 'billing.credits_revoked', {
+      userId,
+      actorId: actor?.id || null,
+      req,
+      metadata: { creditId: credit.id, type, amount, balance: balance + amount, note }
+    });
+
+    realtime.emitBillingUpdate(userId, {
+      type: 'credits_adjusted',
+      usageType: type,
+      credits: amount,
+      balance: balance + amount
+    });
+
+    return { credit, balance: balance + amount };
+  }
+}
+
+// Create singleton instance
+const creditService = new CreditService();
+
+// Export functions
+const getCredits = async (userId, options) => {
+  return await creditService.getCredits(userId, options);
+};
+
+const createCreditCheckout = async (user, packId, urls) => {
+  return await creditService.createCheckout(user, packId, urls);
+};
+
+const grantPurchasedCredits = async (session, user) => {
+  return await creditService.grantPurchase(session, user);
+};
+
+const revokeRefundedCredits = async (charge, refunded, user) => {
+  return await creditService.revokeRefundedPurchase(charge, refunded, user);
+};
+
+const adjustCredits = async (userId, adjustment, actor, req) => {
+  return await creditService.adjust(userId, adjustment, actor, req);
+};
+
+module.exports = {
+  getCredits,
+  createCreditCheckout,
+  grantPurchasedCredits,
+  revokeRefundedCredits,
+  adjustCredits,
+  CreditService
+};
@@ -0,0 +1,261 @@
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { models } = require('../config/database');
+const { PLANS } = require('../config/plans');
+const { jobQueue } = require('./queueservice');
+const { realtime } = require('./realtimeservice');
+const { recordAudit } = require('./auditservice');
+const {
+  sendPaymentFailedEmail,
+  sendDunningReminderEmail,
+  sendDunningDowngradedEmail,
+  sendPaymentRecoveredEmail
+} = require('../utils/email');
+
+const DUNNING_JOB_TYPE = 'dunning_step';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GRACE_DAYS = parseFloat(process.env.DUNNING_GRACE_DAYS || 7);
+// Days after the first failed payment on which reminders go out
+const REMINDER_DAYS = (process.env.DUNNING_REMINDER_DAYS || '2,5')
+  .split(',')
+  .map(Number)
+  .filter(days => days > 0 && days < GRACE_DAYS);
+
+// Dunning for subscriptions whose payment failed. The first failure opens a
+// case: the user is emailed and keeps their plan for a grace period, with
+// reminders along the way (delayed jobs on the job queue). If it's still
+// unpaid when the grace period ends, the user drops to the free plan.
+// Paying closes the case and restores the plan. Each step is audited.
+class DunningService {
+  constructor(queue = jobQueue) {
+    this.queue = queue;
+
+    this.queue.registerHandler(DUNNING_JOB_TYPE, (job) => this.runStep(job.payload));
+  }
+
+  planName(subscription) {
+    return (PLANS[subscription.plan] || PLANS.free).name;
+  }
+
+  async loadUser(subscription) {
+    return subscription.user || await models.User.findByPk(subscription.userId);
+  }
+
+  async audit(action, subscription, metadata = {}) {
+    await recordAudit(`billing.dunning_${action}`, {
+      userId: subscription.userId,
+      metadata: { subscriptionId: subscription.id, plan: subscription.plan, ...metadata }
+    });
+    logger.info(`Dunning ${action} for subscription ${subscription.id} (user ${subscription.userId})`);
+  }
+
+  // Opens a case on the first failed payment. Stripe's own retries fail
+  // again while the case is open; those don't restart it.
+  async start(subscription, invoice) {
+    if (subscription.isInDunning()) {
+      logger.info(`Subscription ${subscription.id} is already in dunning since ${subscription.pastDueSince.toISOString()}`);
+      return false;
+    }
+
+    const pastDueSince = new Date();
+    const graceEndsAt = new Date(pastDueSince.getTime() + GRACE_DAYS * DAY_MS);
+
+    await subscription.update({
+      status: 'past_due',
+      pastDueSince,
+      graceEndsAt,
+      dunningStage: 0,
+      dunningDowngradedAt: null,
+      dunningInvoiceUrl: invoice.hosted_invoice_url || null
+    });
+
+    await this.schedule(subscription);
+
+    const user = await this.loadUser(subscription);
+    if (user) {
+      await sendPaymentFailedEmail(
+        user.email,
+        user.firstName,
+        invoice.amount_due,
+        invoice.currency,
+        invoice.hosted_invoice_url,
+        invoice.next_payment_attempt ? new Date(invoice.next_payment_attempt * 1000) : null,
+        graceEndsAt
+      );
+    }
+
+    await this.audit('started', subscription, { invoiceId: invoice.id, graceEndsAt });
+    return true;
+  }
+
+  async schedule(subscription) {
+    const since = subscription.pastDueSince.toISOString();
+    const steps = REMINDER_DAYS.map((days, index) => ({
+      step: 'reminder',
+      stage: index + 1,
+      runAt: new Date(subscription.pastDueSince.getTime() + days * DAY_MS)
+    }));
+    steps.push({ step: 'downgrade', runAt: subscription.graceEndsAt });
+
+    for (const { runAt, ...step } of steps) {
+      await this.queue.enqueue(DUNNING_JOB_TYPE, {
+        subscriptionId: subscription.id,
+        since,
+        ...step
+      }, { runAt, userId: subscription.userId });
+    }
+  }
+
+  // Job handler. Steps belong to the case that scheduled them (`since`), so
+  // they do nothing once it's resolved or another case has started.
+  async runStep({ subscriptionId, since, step, stage }) {
+    const subscription = await models.Subscription.findByPk(subscriptionId, {
+      include: [{ model: models.User, as: 'user' }]
+    });
+
+    if (!subscription?.pastDueSince || subscription.pastDueSince.toISOString() !== since) {
+      return { skipped: true };
+    }
+
+    if (step === 'reminder') {
+      return await this.remind(subscription, stage);
+    }
+    return await this.downgrade(subscription);
+  }
+
+  // Moves the case on with a conditional update, so a step runs once even
+  // when workers pick up several steps of the same case at the same time
+  async advance(subscription, changes, where = {}) {
+    const [updated] = await models.Subscription.update(changes, {
+      where: {
+        id: subscription.id,
+        pastDueSince: subscription.pastDueSince,
+        dunningDowngradedAt: null,
+        ...where
+      }
+    });
+    if (updated === 0) return false;
+
+    subscription.set(changes, { raw: true });
+    return true;
+  }
+
+  async remind(subscription, stage) {
+    if (!await this.advance(subscription, { dunningStage: stage }, { dunningStage: { [Op.lt]: stage } })) {
+      return { skipped: true };
+    }
+
+    const user = await this.loadUser(subscription);
+    if (user) {
+      await sendDunningReminderEmail(
+        user.email,
+        user.firstName,
+        this.planName(subscription),
+        subscription.graceEndsAt,
+        subscription.dunningInvoiceUrl
+      );
+    }
+
+    await this.audit('reminder_sent', subscription, { stage, graceEndsAt: subscription.graceEndsAt });
+    return { reminded: stage };
+  }
+
+  // Grace period over. The downgrade is a state of the subscription
+  // (dunningDowngradedAt): entitlements fall back to free through
+  // Subscription#getEffectivePlan, and Stripe keeps the paid plan for the
+  // restore. Nothing is changed in Stripe or written to users.plan apart
+  // from the synced copy.
+  async downgrade(subscription) {
+    if (!await this.advance(subscription, { dunningDowngradedAt: new Date() })) {
+      return { skipped: true };
+    }
+
+    await subscription.syncUserPlan();
+
+    realtime.emitBillingUpdate(subscription.userId, {
+      type: 'plan_downgraded',
+      plan: 'free',
+      previousPlan: subscription.plan,
+      status: subscription.status
+    });
+
+    const user = await this.loadUser(subscription);
+    if (user) {
+      await sendDunningDowngradedEmail(user.email, user.firstName, this.planName(subscription), subscription.dunningInvoiceUrl);
+    }
+
+    await this.audit('downgraded', subscription, { pastDueSince: subscription.pastDueSince });
+    return { downgraded: true };
+  }
+
+  // Payment received: closes the case and gives the plan back
+  async resolve(subscription, invoice = null) {
+    if (!subscription.isInDunning()) return false;
+
+    const { pastDueSince } = subscription;
+    const wasDowngraded = !!subscription.dunningDowngradedAt;
+
+    await this.clear(subscription);
+    await subscription.syncUserPlan();
+
+    realtime.emitBillingUpdate(subscription.userId, {
+      type: 'plan_restored',
+      plan: subscription.getEffectivePlan(),
+      status: subscription.status
+    });
+
+    const user = await this.loadUser(subscription);
+    if (user) {
+      await sendPaymentRecoveredEmail(user.email, user.firstName, this.planName(subscription));
+    }
+
+    await this.audit('resolved', subscription, { invoiceId: invoice?.id || null, pastDueSince, wasDowngraded });
+    return true;
+  }
+
+  // The subscription ended while in dunning (Stripe stopped retrying and
+  // canceled it); from here the cancellation rules decide the plan
+  async close(subscription, reason) {
+    if (!subscription.isInDunning()) return false;
+
+    const { pastDueSince } = subscription;
+    await this.clear(subscription);
+
+    await this.audit('closed', subscription, { reason, pastDueSince });
+    return true;
+  }
+
+  async clear(subscription) {
+    await subscription.update({
+      pastDueSince: null,
+      graceEndsAt: null,
+      dunningStage: 0,
+      dunningDowngradedAt: null,
+      dunningInvoiceUrl: null
+    });
+  }
+}
+
+// Create singleton instance
+const dunningService = new DunningService();
+
+// Export functions
+const startDunning = async (subscription, invoice) => {
+  return await dunningService.start(subscription, invoice);
+};
+
+const resolveDunning = async (subscription, invoice) => {
+  return await dunningService.resolve(subscription, invoice);
+};
+
+const closeDunning = async (subscription, reason) => {
+  return await dunningService.close(subscription, reason);
+};
+
+module.exports = {
+  startDunning,
+  resolveDunning,
+  closeDunning,
+  DunningService
+};
@@ -0,0 +1,523 @@
+const logger = require('../utils/logger');
+const { sequelize, models } = require('../config/database');
+const {
+  PLANS,
+  USAGE_LIMITS,
+  getPlanFeatures,
+  parseStorage,
+  formatStorage,
+  featureAllows,
+  findRequiredPlan,
+  getOveragePrice,
+  CREDIT_PACKS
+} = require('../config/plans');
+const { recordAudit } = require('./auditservice');
+const { scheduleOverageReport } = require('./overageservice');
+const {
+  FeatureNotAvailableError,
+  NotFoundError,
+  QuotaExceededError,
+  ValidationError
+} = require('../middleware/errorHandler');
+
+const USAGE_TYPES = ['video_generation', 'script_generation', 'storage'];
+
+const FEATURE_NAMES = {
+  videosPerMonth: 'Monthly videos',
+  maxDuration: 'Video duration',
+  aiScripts: 'AI script generation',
+  customBranding: 'Custom branding',
+  analytics: 'Analytics',
+  priority: 'Priority processing',
+  storage: 'Storage'
+};
+
+const describeLimit = (feature, value) => {
+  if (feature === 'storage') return formatStorage(value);
+  if (feature === 'maxDuration') return `${value} seconds`;
+  return String(value);
+};
+
+// Every plan has the same feature keys; the free plan doubles as the schema
+const FEATURE_SCHEMA = PLANS.free.features;
+
+// An override of this pseudo-feature gives a user another plan's features
+// without touching their billing (admin plan changes)
+const PLAN_FEATURE = 'plan';
+
+// What a user may do and how much of it is left: plan features from the
+// catalog, per-user grants (overrides and add-ons) and this period's usage.
+// Quota is taken with reserve(), which holds a per-user lock while it checks
+// and records usage, so concurrent requests can't overshoot the limit.
+// Usage past a quota is paid with prepaid credits first, then as metered
+// overage if the subscription has it on; otherwise it's refused.
+class EntitlementService {
+  async loadUser(userOrId, transaction = null) {
+    if (typeof userOrId !== 'string') return userOrId;
+
+    const user = await models.User.findByPk(userOrId, {
+      include: [{
+        model: models.Subscription,
+        as: 'subscription'
+      }],
+      transaction
+    });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    return user;
+  }
+
+  effectivePlan(user, subscription) {
+    if (!subscription) return user.plan || 'free';
+    return subscription.getEffectivePlan();
+  }
+
+  describeTrial(subscription) {
+    return {
+      endsAt: subscription.trialEnd,
+      daysLeft: Math.max(0, Math.ceil((subscription.trialEnd - new Date()) / (24 * 60 * 60 * 1000)))
+    };
+  }
+
+  // Overrides apply in the order they were granted, then add-ons are added
+  // on top. Add-ons don't change unlimited (-1) values.
+  applyGrants(features, grants) {
+    const resolved = { ...features };
+    grants = grants.filter(grant => grant.feature !== PLAN_FEATURE);
+
+    grants.filter(grant => grant.kind === 'override').forEach(grant => {
+      resolved[grant.feature] = grant.value;
+    });
+
+    grants.filter(grant => grant.kind === 'addon').forEach(grant => {
+      if (typeof resolved[grant.feature] === 'number' && resolved[grant.feature] !== -1) {
+        resolved[grant.feature] += grant.value;
+      }
+    });
+
+    return resolved;
+  }
+
+  async resolve(userOrId, { transaction = null } = {}) {
+    const user = await this.loadUser(userOrId, transaction);
+    const subscription = user.subscription !== undefined
+      ? user.subscription
+      : await models.Subscription.findOne({ where: { userId: user.id }, transaction });
+
+    const grants = await models.EntitlementGrant.findActiveByUser(user.id, { transaction });
+    const planGrant = this.findPlanGrant(grants);
+    const plan = planGrant ? planGrant.value : this.effectivePlan(user, subscription);
+
+    // A trial gives the plan's features with its trial limits
+    const trialing = !!subscription?.isTrialing() && plan === subscription.plan;
+
+    return {
+      userId: user.id,
+      plan,
+      trial: trialing ? this.describeTrial(subscription) : null,
+      features: this.applyGrants(getPlanFeatures(plan, { trial: trialing }), grants),
+      overage: this.overageTypes(subscription, plan),
+      grants
+    };
+  }
+
+  // The latest plan grant; grants come oldest first
+  findPlanGrant(grants) {
+    return grants.filter(grant => grant.feature === PLAN_FEATURE).pop() || null;
+  }
+
+  // Usage types whose excess is billed as metered overage right now
+  overageTypes(subscription, plan) {
+    if (!subscription?.canBillOverage() || plan !== subscription.plan) return [];
+    return Object.keys(USAGE_LIMITS).filter(type => getOveragePrice(plan, type));
+  }
+
+  limitFor(features, type) {
+    const quota = USAGE_LIMITS[type];
+    if (!quota) return -1;
+
+    const value = features[quota.feature];
+    return quota.toLimit ? quota.toLimit(value) : value;
+  }
+
+  // This period's usage for monthly quotas, all-time usage otherwise
+  usedFor(userId, type, { period, transaction = null } = {}) {
+    if (USAGE_LIMITS[type] && !USAGE_LIMITS[type].monthly) {
+      return models.Usage.getLifetimeTotal(userId, type, { transaction });
+    }
+    return models.Usage.getPeriodTotal(userId, type, { period, transaction });
+  }
+
+  exceededMessage(type, { current, limit }, inWorkspace = false) {
+    if (type === 'storage') {
+      return `Storage limit exceeded. You have used ${current}/${limit} KB.`;
+    }
+
+    const message = inWorkspace
+      ? `Workspace usage limit exceeded. ${current}/${limit} used this month.`
+      : `Usage limit exceeded. You have used ${current}/${limit} for this month.`;
+    const hasPacks = Object.values(CREDIT_PACKS).some(pack => pack.type === type);
+    return hasPacks ? `${message} Buy a credit pack or upgrade to continue.` : message;
+  }
+
+  // The part of `amount` that goes past the limit
+  excessOf(limit, current, amount) {
+    if (limit === -1) return 0;
+    return Math.max(0, Math.min(amount, current + amount - limit));
+  }
+
+  // How an excess is paid for: credits first, the rest as overage. Null if
+  // that leaves units unpaid.
+  coverExcess(excess, balance, overage) {
+    const credits = Math.min(excess, balance);
+    if (excess - credits > 0 && !overage) return null;
+    return { credits, overage: excess - credits };
+  }
+
+  // `credits` is the credit balance for the type and `overage` whether its
+  // excess can be billed as overage; either lets usage go past the limit
+  quota(limit, current, amount = 1, { credits = 0, overage = false } = {}) {
+    return {
+      current,
+      limit,
+      remaining: limit === -1 ? -1 : Math.max(0, limit - current),
+      credits,
+      overage,
+      canUse: !!this.coverExcess(this.excessOf(limit, current, amount), credits, overage)
+    };
+  }
+
+  // Non-binding check for early rejection; reserve() is what enforces the limit
+  async check(userOrId, type, amount = 1) {
+    const entitlements = await this.resolve(userOrId);
+    const [current, credits] = await Promise.all([
+      this.usedFor(entitlements.userId, type),
+      models.CreditTransaction.getBalance(entitlements.userId, type)
+    ]);
+
+    return {
+      entitlements,
+      usage: this.quota(this.limitFor(entitlements.features, type), current, amount, {
+        credits,
+        overage: entitlements.overage.includes(type)
+      })
+    };
+  }
+
+  async summary(userOrId) {
+    const entitlements = await this.resolve(userOrId);
+    const credits = await models.CreditTransaction.getBalances(entitlements.userId);
+
+    const usage = {};
+    for (const type of USAGE_TYPES) {
+      const current = await this.usedFor(entitlements.userId, type);
+      usage[type] = this.quota(this.limitFor(entitlements.features, type), current, 1, {
+        credits: credits[type] || 0,
+        overage: entitlements.overage.includes(type)
+      });
+    }
+
+    return {
+      plan: entitlements.plan,
+      trial: entitlements.trial,
+      period: models.Usage.currentPeriod(),
+      features: entitlements.features,
+      grants: entitlements.grants,
+      credits,
+      overage: entitlements.overage,
+      usage
+    };
+  }
+
+  // Records `amount` of usage against the billed user if it fits the quota,
+  // spending credits or billing overage for any excess. The advisory lock
+  // serializes reservations for the same user and type until the transaction
+  // commits. Returns the reservation to pass to release() if the work is
+  // given back.
+  async reserve(userOrId, type, { amount = 1, workspaceId = null, metadata = {} } = {}) {
+    const user = await this.loadUser(userOrId);
+    const period = models.Usage.currentPeriod();
+
+    const reservation = await sequelize.transaction(async (transaction) => {
+      await models.Usage.lockQuota(user.id, type, { transaction });
+
+      const entitlements = await this.resolve(user, { transaction });
+      const limit = this.limitFor(entitlements.features, type);
+      const current = await this.usedFor(user.id, type, { period, transaction });
+      const excess = this.excessOf(limit, current, amount);
+      const options = { credits: 0, overage: entitlements.overage.includes(type) };
+
+      let cover = { credits: 0, overage: 0 };
+      if (excess > 0) {
+        options.credits = await models.CreditTransaction.getBalance(user.id, type, { transaction });
+        cover = this.coverExcess(excess, options.credits, options.overage);
+      }
+
+      if (!cover) {
+        throw new QuotaExceededError(
+          this.exceededMessage(type, { current, limit }, !!workspaceId),
+          this.quota(limit, current, amount, options)
+        );
+      }
+
+      if (cover.credits > 0) {
+        await models.CreditTransaction.create({
+          userId: user.id,
+          type,
+          amount: -cover.credits,
+          reason: 'usage',
+          metadata: { period, workspaceId, ...metadata }
+        }, { transaction });
+        options.credits -= cover.credits;
+      }
+
+      const usage = await models.Usage.recordUsage(user.id, type, amount, metadata, {
+        workspaceId,
+        overage: cover.overage,
+        transaction
+      });
+
+      return {
+        userId: user.id,
+        type,
+        amount,
+        period,
+        workspaceId,
+        credits: cover.credits,
+        overage: cover.overage,
+        usageId: usage.id,
+        usage: this.quota(limit, current + amount, 1, options)
+      };
+    });
+
+    if (reservation.overage > 0) {
+      await scheduleOverageReport({ id: reservation.usageId, userId: user.id });
+    }
+
+    return reservation;
+  }
+
+  // Gives back `amount` of a reservation. Units past the quota come back
+  // first: overage not yet reported is dropped, and spent credits or
+  // overage Stripe already billed return as credits.
+  async release({ userId, type, amount = 1, period, workspaceId = null, credits = 0, overage = 0 }) {
+    overage = Math.min(overage, amount);
+    credits = Math.min(credits, amount - overage);
+
+    return await sequelize.transaction(async (transaction) => {
+      await models.Usage.lockQuota(userId, type, { transaction });
+
+      const usage = await models.Usage.refundUsage(userId, type, amount, period, { workspaceId, overage, transaction });
+
+      let billed = 0;
+      if (usage && usage.overageReported > usage.overage) {
+        billed = usage.overageReported - usage.overage;
+        await usage.update({ overageReported: usage.overage }, { transaction });
+      }
+
+      if (credits + billed > 0) {
+        await models.CreditTransaction.create({
+          userId,
+          type,
+          amount: credits + billed,
+          reason: 'refund',
+          metadata: { period, workspaceId, billedOverage: billed }
+        }, { transaction });
+      }
+
+      return usage;
+    });
+  }
+
+  // Feature gates. Throws FeatureNotAvailableError, naming the cheapest plan
+  // that would allow the request, unless `entitlements` (from resolve())
+  // include the feature. For limits, `requested` is the amount asked for:
+  // seconds for maxDuration, bytes for storage.
+  assertFeature(entitlements, feature, requested) {
+    const value = entitlements.features[feature];
+    if (featureAllows(feature, value, requested)) return;
+
+    const name = FEATURE_NAMES[feature] || feature;
+    const planName = (PLANS[entitlements.plan] || PLANS.free).name;
+    const requiredPlan = findRequiredPlan(feature, requested, entitlements.plan);
+    const limited = typeof value !== 'boolean';
+    const limit = feature === 'storage' ? parseStorage(value) : value;
+
+    let message = limited
+      ? `${name} of ${describeLimit(feature, requested)} exceeds the ${planName} plan limit of ${describeLimit(feature, limit)}.`
+      : `${name} is not included in the ${planName} plan.`;
+    message += requiredPlan
+      ? ` Upgrade to ${PLANS[requiredPlan].name} to use it.`
+      : ' No higher plan allows this request.';
+
+    throw new FeatureNotAvailableError(message, {
+      feature,
+      currentPlan: entitlements.plan,
+      requiredPlan,
+      ...(limited && { limit, requested })
+    });
+  }
+
+  // Grants
+  validateGrant({ feature, kind, value }) {
+    if (feature === PLAN_FEATURE) {
+      if (kind !== 'override' || !Object.prototype.hasOwnProperty.call(PLANS, value)) {
+        throw new ValidationError(`A plan grant is an override naming one of: ${Object.keys(PLANS).join(', ')}`);
+      }
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(FEATURE_SCHEMA, feature)) {
+      throw new ValidationError(`Unknown feature: ${feature}`);
+    }
+
+    const expected = typeof FEATURE_SCHEMA[feature];
+
+    if (kind === 'addon') {
+      if (expected !== 'number' || !Number.isInteger(value) || value <= 0) {
+        throw new ValidationError('Add-ons need a numeric feature and a positive whole number');
+      }
+      return;
+    }
+
+    if (typeof value !== expected || (expected === 'number' && (!Number.isInteger(value) || value < -1))) {
+      throw new ValidationError(`${feature} must be a ${expected === 'number' ? 'whole number (-1 for unlimited)' : expected}`);
+    }
+
+    if (feature === 'storage') {
+      try {
+        parseStorage(value);
+      } catch (error) {
+        throw new ValidationError('storage must be a size such as 500MB or 5GB, or unlimited');
+      }
+    }
+  }
+
+  listGrants(userId) {
+    return models.EntitlementGrant.findAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  async grant(userId, { feature, kind, value, period = null, expiresAt = null, reason = null }, actor, req) {
+    this.validateGrant({ feature, kind, value });
+
+    const grant = await models.EntitlementGrant.create({
+      userId,
+      feature,
+      kind,
+      value,
+      period,
+      expiresAt,
+      reason,
+      grantedById: actor?.id || null
+    });
+
+    await recordAudit('entitlement.granted', {
+      userId,
+      actorId: actor?.id || null,
+      req,
+      metadata: { grantId: grant.id, feature, kind, value, period, expiresAt, reason }
+    });
+    logger.info(`Entitlement ${kind} ${feature}=${JSON.stringify(value)} granted to user ${userId}`);
+
+    return grant;
+  }
+
+  // Moves a user onto `plan` with a plan grant, replacing any earlier one.
+  // Billing is left alone: once the grant expires or is revoked, the plan
+  // the user pays for applies again.
+  async grantPlan(userId, plan, { expiresAt = null, reason = null } = {}, actor, req) {
+    const previous = await models.EntitlementGrant.findAll({
+      where: { userId, feature: PLAN_FEATURE, revokedAt: null }
+    });
+    for (const grant of previous) {
+      await this.revokeGrant(userId, grant.id, actor, req);
+    }
+
+    return await this.grant(userId, { feature: PLAN_FEATURE, kind: 'override', value: plan, expiresAt, reason }, actor, req);
+  }
+
+  async revokeGrant(userId, grantId, actor, req) {
+    const grant = await models.EntitlementGrant.findOne({ where: { id: grantId, userId } });
+    if (!grant || grant.revokedAt) {
+      throw new NotFoundError('Grant not found');
+    }
+
+    await grant.update({ revokedAt: new Date() });
+
+    await recordAudit('entitlement.revoked', {
+      userId,
+      actorId: actor?.id || null,
+      req,
+      metadata: { grantId, feature: grant.feature, kind: grant.kind, value: grant.value }
+    });
+
+    return grant;
+  }
+}
+
+// Create singleton instance
+const entitlementService = new EntitlementService();
+
+// Export functions
+const getEntitlements = async (userOrId) => {
+  return await entitlementService.resolve(userOrId);
+};
+
+const checkQuota = async (userOrId, type, amount) => {
+  return await entitlementService.check(userOrId, type, amount);
+};
+
+const getUsageSummary = async (userOrId) => {
+  return await entitlementService.summary(userOrId);
+};
+
+const reserveQuota = async (userOrId, type, options) => {
+  return await entitlementService.reserve(userOrId, type, options);
+};
+
+const releaseQuota = async (reservation) => {
+  return await entitlementService.release(reservation);
+};
+
+const quotaExceededMessage = (type, usage, inWorkspace) => {
+  return entitlementService.exceededMessage(type, usage, inWorkspace);
+};
+
+const assertFeature = (entitlements, feature, requested) => {
+  return entitlementService.assertFeature(entitlements, feature, requested);
+};
+
+const listEntitlementGrants = async (userId) => {
+  return await entitlementService.listGrants(userId);
+};
+
+const grantEntitlement = async (userId, grant, actor, req) => {
+  return await entitlementService.grant(userId, grant, actor, req);
+};
+
+const grantPlan = async (userId, plan, options, actor, req) => {
+  return await entitlementService.grantPlan(userId, plan, options, actor, req);
+};
+
+const revokeEntitlementGrant = async (userId, grantId, actor, req) => {
+  return await entitlementService.revokeGrant(userId, grantId, actor, req);
+};
+
+module.exports = {
+  getEntitlements,
+  checkQuota,
+  getUsageSummary,
+  reserveQuota,
+  releaseQuota,
+  quotaExceededMessage,
+  assertFeature,
+  listEntitlementGrants,
+  grantEntitlement,
+  grantPlan,
+  revokeEntitlementGrant,
+  EntitlementService
+};
@@ -0,0 +1,393 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const { sequelize, models } = require('../config/database');
+const { sendWelcomeEmail } = require('../utils/email');
+const { recordAudit } = require('./auditservice');
+const {
+  AppError,
+  AuthenticationError,
+  ConflictError,
+  NotFoundError
+} = require('../middleware/errorHandler');
+
+const JWKS_CACHE_TTL_MS = parseInt(process.env.JWKS_CACHE_TTL_MS || 10 * 60 * 1000);
+const JWKS_MIN_REFRESH_MS = 30 * 1000;
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'];
+
+const splitName = (name) => {
+  const [firstName, ...rest] = (name || '').trim().split(/\s+/);
+  return { firstName, lastName: rest.join(' ') };
+};
+
+// Supabase access tokens: HS256 with the project's JWT secret, or an
+// asymmetric key from the project's JWKS. GitHub and other OAuth logins
+// brokered by Supabase arrive this way, with the upstream provider in
+// app_metadata.
+const supabaseProvider = () => {
+  const baseUrl = `${(process.env.SUPABASE_URL || '').replace(/\/$/, '')}/auth/v1`;
+
+  return {
+    issuer: process.env.SUPABASE_JWT_ISSUER || baseUrl,
+    audience: 'authenticated',
+    secret: process.env.SUPABASE_JWT_SECRET || null,
+    jwksUri: process.env.SUPABASE_JWKS_URL || `${baseUrl}/.well-known/jwks.json`,
+    profile: (claims) => {
+      const metadata = claims.user_metadata || {};
+      return {
+        email: claims.email,
+        emailVerified: metadata.email_verified === true,
+        name: metadata.full_name || metadata.name,
+        avatarUrl: metadata.avatar_url || metadata.picture,
+        signInMethod: claims.app_metadata?.provider || null
+      };
+    }
+  };
+};
+
+// Standard OIDC ID token claims (Google and any generic issuer)
+const oidcProfile = (claims) => ({
+  email: claims.email,
+  emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+  name: claims.name,
+  firstName: claims.given_name,
+  lastName: claims.family_name,
+  avatarUrl: claims.picture,
+  signInMethod: null
+});
+
+const defaultProviders = () => {
+  const providers = new Map();
+
+  if (process.env.SUPABASE_URL || process.env.SUPABASE_JWKS_URL) {
+    providers.set('supabase', supabaseProvider());
+  }
+
+  if (process.env.GOOGLE_CLIENT_ID) {
+    providers.set('google', {
+      issuer: ['https://accounts.google.com', 'accounts.google.com'],
+      audience: process.env.GOOGLE_CLIENT_ID.split(','),
+      jwksUri: process.env.GOOGLE_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs',
+      profile: oidcProfile
+    });
+  }
+
+  // Any other OIDC issuer (or a local JWKS stand-in during development).
+  // Like Google it needs the client id: without an audience to check, tokens
+  // the issuer minted for other clients would log in here.
+  if (process.env.OIDC_ISSUER && process.env.OIDC_JWKS_URL) {
+    if (process.env.OIDC_CLIENT_ID) {
+      providers.set(process.env.OIDC_PROVIDER_NAME || 'oidc', {
+        issuer: process.env.OIDC_ISSUER,
+        audience: process.env.OIDC_CLIENT_ID.split(','),
+        jwksUri: process.env.OIDC_JWKS_URL,
+        profile: oidcProfile
+      });
+    } else {
+      logger.warn('OIDC_ISSUER is set without OIDC_CLIENT_ID; OIDC login is disabled');
+    }
+  }
+
+  return providers;
+};
+
+// Verifies external ID tokens and maps them to local users through
+// linked_accounts. An unknown identity is linked to the user with the same
+// email only when the provider vouches for that email and the local account
+// has verified it too; otherwise whoever registered the address first could
+// take over the provider's account (or the other way round).
+class IdentityService {
+  constructor() {
+    this.providers = defaultProviders();
+    this.jwks = new Map(); // jwksUri -> { keys, fetchedAt }
+  }
+
+  registerProvider(name, config) {
+    if (!config.audience) {
+      throw new Error(`Identity provider ${name} needs an audience (its client id)`);
+    }
+    this.providers.set(name, { profile: oidcProfile, ...config });
+  }
+
+  getProviderNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  async fetchJwks(uri) {
+    const response = await axios.get(uri, { timeout: 5000 });
+    const keys = new Map();
+
+    (response.data?.keys || []).forEach(jwk => {
+      if (jwk.use && jwk.use !== 'sig') return;
+      try {
+        keys.set(jwk.kid || null, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        logger.warn(`Skipping unusable JWK ${jwk.kid} from ${uri}:`, error.message);
+      }
+    });
+
+    const entry = { keys, fetchedAt: Date.now() };
+    this.jwks.set(uri, entry);
+    return entry;
+  }
+
+  // Keys are cached; an unknown kid (key rotation) triggers a refetch, but
+  // not more often than JWKS_MIN_REFRESH_MS
+  async getSigningKey(uri, kid) {
+    let entry = this.jwks.get(uri);
+    const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+    if (!entry || age > JWKS_CACHE_TTL_MS || (!entry.keys.has(kid || null) && age > JWKS_MIN_REFRESH_MS)) {
+      try {
+        entry = await this.fetchJwks(uri);
+      } catch (error) {
+        logger.error(`Failed to fetch JWKS from ${uri}:`, error.message);
+        if (!entry) {
+          throw new AppError('Identity provider keys are unavailable, please try again', 503);
+        }
+      }
+    }
+
+    const key = entry.keys.get(kid || null) || (!kid && entry.keys.size === 1 ? entry.keys.values().next().value : null);
+    if (!key) {
+      throw new AuthenticationError('ID token was signed with an unknown key');
+    }
+
+    return key;
+  }
+
+  async verifyIdToken(providerName, idToken) {
+    const provider = this.providers.get(providerName);
+    if (!provider) {
+      throw new AppError(`Unsupported identity provider: ${providerName}`, 400);
+    }
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header) {
+      throw new AuthenticationError('Malformed ID token');
+    }
+
+    const symmetric = decoded.header.alg === 'HS256' && provider.secret;
+    const key = symmetric
+      ? provider.secret
+      : await this.getSigningKey(provider.jwksUri, decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: symmetric ? ['HS256'] : ASYMMETRIC_ALGORITHMS,
+        issuer: provider.issuer,
+        audience: provider.audience
+      });
+    } catch (jwtError) {
+      throw new AuthenticationError(`Invalid ID token: ${jwtError.message}`);
+    }
+
+    if (!claims.sub) {
+      throw new AuthenticationError('ID token has no subject');
+    }
+
+    const profile = provider.profile(claims);
+    return {
+      ...profile,
+      email: profile.email ? profile.email.toLowerCase() : null,
+      provider: providerName,
+      providerUserId: String(claims.sub)
+    };
+  }
+
+  accountFields(identity) {
+    return {
+      signInMethod: identity.signInMethod,
+      email: identity.email,
+      emailVerified: identity.emailVerified,
+      displayName: identity.name || null,
+      avatarUrl: identity.avatarUrl || null,
+      lastLoginAt: new Date()
+    };
+  }
+
+  async createUser(identity) {
+    const fallback = splitName(identity.name);
+    const firstName = (identity.firstName || fallback.firstName || identity.email.split('@')[0]).slice(0, 50);
+    const lastName = (identity.lastName || fallback.lastName || '-').slice(0, 50);
+
+    return await sequelize.transaction(async (transaction) => {
+      // Nobody knows this password; the user can set one with forgot-password
+      const user = await models.User.create({
+        email: identity.email,
+        password: crypto.randomBytes(32).toString('base64url'),
+        firstName,
+        lastName,
+        avatar: identity.avatarUrl || null,
+        emailVerified: true
+      }, { transaction });
+
+      await models.Subscription.create({
+        userId: user.id,
+        plan: 'free',
+        status: 'active'
+      }, { transaction });
+
+      const account = await models.LinkedAccount.create({
+        userId: user.id,
+        provider: identity.provider,
+        providerUserId: identity.providerUserId,
+        ...this.accountFields(identity)
+      }, { transaction });
+
+      return { user, account };
+    });
+  }
+
+  // Returns { user, account, created } for a verified ID token, creating or
+  // linking the local user as needed
+  async signIn(providerName, idToken, req) {
+    const identity = await this.verifyIdToken(providerName, idToken);
+
+    const account = await models.LinkedAccount.findByIdentity(identity.provider, identity.providerUserId);
+    if (account) {
+      const user = await models.User.findByPk(account.userId);
+      if (!user || !user.isActive) {
+        throw new AuthenticationError('Account is disabled. Please contact support.');
+      }
+
+      await account.update(this.accountFields(identity));
+      return { user, account, created: false };
+    }
+
+    if (!identity.email || !identity.emailVerified) {
+      throw new AuthenticationError('The identity provider did not confirm an email address for this account');
+    }
+
+    const existing = await models.User.findByEmail(identity.email);
+    if (existing) {
+      if (!existing.isActive) {
+        throw new AuthenticationError('Account is disabled. Please contact support.');
+      }
+
+      if (!existing.emailVerified) {
+        throw new ConflictError('An account with this email already exists. Log in with your password and verify your email to link this sign-in method.');
+      }
+
+      const linked = await models.LinkedAccount.create({
+        userId: existing.id,
+        provider: identity.provider,
+        providerUserId: identity.providerUserId,
+        ...this.accountFields(identity)
+      });
+
+      await recordAudit('identity.linked', {
+        userId: existing.id,
+        req,
+        metadata: { provider: identity.provider, signInMethod: identity.signInMethod, via: 'email_match' }
+      });
+
+      return { user: existing, account: linked, created: false };
+    }
+
+    const { user, account: created } = await this.createUser(identity);
+
+    await recordAudit('identity.registered', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: { provider: identity.provider, signInMethod: identity.signInMethod }
+    });
+    logger.info(`New user registered via ${identity.provider}: ${user.email}`);
+
+    try {
+      await sendWelcomeEmail(user.email, user.firstName);
+    } catch (emailError) {
+      logger.warn('Welcome email failed:', emailError);
+    }
+
+    return { user, account: created, created: true };
+  }
+
+  // Links an identity to an already authenticated user
+  async link(user, providerName, idToken, req) {
+    const identity = await this.verifyIdToken(providerName, idToken);
+
+    const account = await models.LinkedAccount.findByIdentity(identity.provider, identity.providerUserId);
+    if (account) {
+      if (account.userId !== user.id) {
+        throw new ConflictError('This sign-in method is already linked to another account');
+      }
+      return account;
+    }
+
+    const linked = await models.LinkedAccount.create({
+      userId: user.id,
+      provider: identity.provider,
+      providerUserId: identity.providerUserId,
+      ...this.accountFields(identity)
+    });
+
+    await recordAudit('identity.linked', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: { provider: identity.provider, signInMethod: identity.signInMethod, via: 'user' }
+    });
+
+    return linked;
+  }
+
+  async unlink(user, accountId, req) {
+    const account = await models.LinkedAccount.findOne({
+      where: { id: accountId, userId: user.id }
+    });
+    if (!account) {
+      throw new NotFoundError('Linked account not found');
+    }
+
+    await account.destroy();
+
+    await recordAudit('identity.unlinked', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: { provider: account.provider, signInMethod: account.signInMethod }
+    });
+  }
+}
+
+// Create singleton instance
+const identityService = new IdentityService();
+
+// Export functions
+const signInWithIdToken = async (provider, idToken, req) => {
+  return await identityService.signIn(provider, idToken, req);
+};
+
+const linkIdentity = async (user, provider, idToken, req) => {
+  return await identityService.link(user, provider, idToken, req);
+};
+
+const unlinkIdentity = async (user, accountId, req) => {
+  return await identityService.unlink(user, accountId, req);
+};
+
+const listLinkedAccounts = async (userId) => {
+  return await models.LinkedAccount.findByUser(userId);
+};
+
+const getIdentityProviders = () => {
+  return identityService.getProviderNames();
+};
+
+const registerIdentityProvider = (name, config) => {
+  identityService.registerProvider(name, config);
+};
+
+module.exports = {
+  signInWithIdToken,
+  linkIdentity,
+  unlinkIdentity,
+  listLinkedAccounts,
+  getIdentityProviders,
+  registerIdentityProvider,
+  IdentityService
+};
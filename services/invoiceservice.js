@@ -0,0 +1,229 @@
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { sequelize, models } = require('../config/database');
+const { PdfDocument, wrapText } = require('../utils/pdf');
+const { formatAmount, formatDate } = require('../utils/email');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
+
+// What receipts carry at the top and bottom. The address may span lines,
+// separated by "\n".
+const BRANDING = {
+  name: process.env.RECEIPT_COMPANY_NAME || 'Influencore',
+  address: (process.env.RECEIPT_COMPANY_ADDRESS || '').split(/\\n|\n/).map(line => line.trim()).filter(Boolean),
+  email: process.env.RECEIPT_SUPPORT_EMAIL || process.env.EMAIL_USER || null,
+  taxId: process.env.RECEIPT_TAX_ID || null,
+  color: process.env.RECEIPT_BRAND_COLOR || '#4F46E5'
+};
+
+// Receipt layout, in points
+const MARGIN = 50;
+const RIGHT = 562;
+const QUANTITY_RIGHT = 440;
+const DESCRIPTION_WIDTH = 320;
+const PAGE_BOTTOM = 680;
+
+const MUTED = '#6B7280';
+
+// Invoice history. Invoice webhooks keep a copy of each of the user's Stripe
+// invoices (subscription invoices, and credit pack purchases, which are
+// checked out with invoice creation on); paid ones get a receipt PDF that's
+// generated here, with our branding, on each download.
+class InvoiceService {
+  async findUserId(stripeInvoice) {
+    if (stripeInvoice.customer) {
+      const user = await models.User.findOne({ where: { stripeCustomerId: stripeInvoice.customer } });
+      if (user) return user.id;
+    }
+    if (stripeInvoice.subscription) {
+      const subscription = await models.Subscription.findByStripeId(stripeInvoice.subscription);
+      if (subscription) return subscription.userId;
+    }
+    return null;
+  }
+
+  async record(stripeInvoice) {
+    const userId = await this.findUserId(stripeInvoice);
+    if (!userId) {
+      logger.warn(`No user found for invoice ${stripeInvoice.id}`);
+      return null;
+    }
+
+    const invoice = await models.Invoice.syncFromStripe(userId, stripeInvoice);
+    logger.info(`Invoice ${stripeInvoice.id} recorded for user ${userId} (${invoice.status})`);
+    return invoice;
+  }
+
+  // charge.amount_refunded is a running total; events may arrive out of
+  // order, so the larger total wins
+  async recordRefund(charge) {
+    if (!charge.invoice) return;
+
+    await models.Invoice.update({
+      amountRefunded: sequelize.fn('GREATEST', sequelize.col('amountRefunded'), charge.amount_refunded)
+    }, {
+      where: { stripeInvoiceId: charge.invoice }
+    });
+  }
+
+  // Newest first. Drafts aren't bills yet and aren't listed.
+  async list(userId, { page = 1, limit = 20, status = null } = {}) {
+    const where = { userId, status: status || { [Op.ne]: 'draft' } };
+
+    return await models.Invoice.findAndCountAll({
+      where,
+      order: [['issuedAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+  }
+
+  async get(userId, id) {
+    const invoice = await models.Invoice.findOne({ where: { id, userId } });
+    if (!invoice) {
+      throw new NotFoundError('Invoice not found');
+    }
+    return invoice;
+  }
+
+  async receipt(userId, id) {
+    const invoice = await this.get(userId, id);
+    if (!invoice.hasReceipt()) {
+      throw new ConflictError('Receipts are only available for paid invoices');
+    }
+
+    return {
+      filename: `receipt-${invoice.number || invoice.stripeInvoiceId}.pdf`,
+      pdf: this.renderReceipt(invoice)
+    };
+  }
+
+  renderReceipt(invoice) {
+    const money = (amount) => formatAmount(amount, invoice.currency);
+    const doc = new PdfDocument({ title: `${BRANDING.name} receipt ${invoice.number || ''}`.trim() });
+
+    // Header band
+    doc.rect(0, 0, doc.width, 90, { color: BRANDING.color });
+    doc.text(BRANDING.name, MARGIN, 55, { size: 22, font: 'bold', color: '#FFFFFF' });
+    doc.text('RECEIPT', RIGHT, 55, { size: 12, font: 'bold', color: '#FFFFFF', align: 'right' });
+
+    // Receipt details on the left, the customer on the right
+    let y = 130;
+    const details = [
+      ['Invoice number', invoice.number || invoice.stripeInvoiceId],
+      ['Date paid', formatDate(invoice.paidAt || invoice.issuedAt)]
+    ];
+    if (invoice.stripeSubscriptionId && invoice.periodStart && invoice.periodEnd) {
+      // A subscription invoice's own period is the one before what it bills
+      // for; the plan's line item has the period paid for
+      const period = invoice.lines.find(line => !line.proration && line.periodStart) || invoice;
+      details.push(['Billing period', `${formatDate(period.periodStart)} - ${formatDate(period.periodEnd)}`]);
+    }
+    details.forEach(([label, value], index) => {
+      doc.text(label, MARGIN, y + index * 16, { size: 9, color: MUTED });
+      doc.text(value, MARGIN + 90, y + index * 16, { size: 9 });
+    });
+
+    const customer = [invoice.customerName, invoice.customerEmail].filter(Boolean);
+    doc.text('Billed to', 380, y, { size: 9, color: MUTED });
+    customer.forEach((value, index) => {
+      doc.text(value, 380, y + (index + 1) * 16, { size: 9 });
+    });
+
+    y += Math.max(details.length, customer.length + 1) * 16 + 30;
+    doc.text(`${money(invoice.amountPaid)} paid on ${formatDate(invoice.paidAt || invoice.issuedAt)}`, MARGIN, y, {
+      size: 16,
+      font: 'bold'
+    });
+
+    // Line items
+    const tableHeader = () => {
+      doc.text('Description', MARGIN, y, { size: 9, font: 'bold', color: MUTED });
+      doc.text('Qty', QUANTITY_RIGHT, y, { size: 9, font: 'bold', color: MUTED, align: 'right' });
+      doc.text('Amount', RIGHT, y, { size: 9, font: 'bold', color: MUTED, align: 'right' });
+      doc.line(MARGIN, y + 8, RIGHT, y + 8);
+      y += 24;
+    };
+
+    y += 40;
+    tableHeader();
+    for (const line of invoice.lines) {
+      const description = wrapText(line.description || 'Item', DESCRIPTION_WIDTH, 10);
+      if (y + description.length * 13 > PAGE_BOTTOM) {
+        doc.addPage();
+        y = 60;
+        tableHeader();
+      }
+
+      description.forEach((text, index) => doc.text(text, MARGIN, y + index * 13));
+      doc.text(String(line.quantity ?? ''), QUANTITY_RIGHT, y, { align: 'right' });
+      doc.text(money(line.amount), RIGHT, y, { align: 'right' });
+      y += description.length * 13 + 8;
+    }
+
+    // Totals
+    const totals = [['Subtotal', money(invoice.subtotal)]];
+    if (invoice.discount) totals.push(['Discount', `-${money(invoice.discount)}`]);
+    if (invoice.tax) totals.push(['Tax', money(invoice.tax)]);
+    totals.push(['Total', money(invoice.total)]);
+    totals.push(['Amount paid', money(invoice.amountPaid), 'bold']);
+    if (invoice.amountRefunded) totals.push(['Refunded', `-${money(invoice.amountRefunded)}`]);
+
+    if (y + totals.length * 18 + 10 > PAGE_BOTTOM) {
+      doc.addPage();
+      y = 60;
+    }
+    doc.line(QUANTITY_RIGHT - 80, y, RIGHT, y);
+    y += 18;
+    for (const [label, value, font = 'regular'] of totals) {
+      doc.text(label, QUANTITY_RIGHT - 80, y, { font });
+      doc.text(value, RIGHT, y, { font, align: 'right' });
+      y += 18;
+    }
+
+    // Footer, on the last page
+    let footerY = 712;
+    doc.line(MARGIN, footerY - 14, RIGHT, footerY - 14);
+    const footer = [BRANDING.name, ...BRANDING.address];
+    if (BRANDING.taxId) footer.push(`Tax ID: ${BRANDING.taxId}`);
+    if (BRANDING.email) footer.push(`Questions? Contact ${BRANDING.email}`);
+    for (const text of footer.slice(0, 5)) {
+      doc.text(text, MARGIN, footerY, { size: 8, color: MUTED });
+      footerY += 11;
+    }
+
+    return doc.toBuffer();
+  }
+}
+
+// Create singleton instance
+const invoiceService = new InvoiceService();
+
+// Export functions
+const recordInvoice = async (stripeInvoice) => {
+  return await invoiceService.record(stripeInvoice);
+};
+
+const recordInvoiceRefund = async (charge) => {
+  return await invoiceService.recordRefund(charge);
+};
+
+const listInvoices = async (userId, options) => {
+  return await invoiceService.list(userId, options);
+};
+
+const getInvoice = async (userId, id) => {
+  return await invoiceService.get(userId, id);
+};
+
+const getReceipt = async (userId, id) => {
+  return await invoiceService.receipt(userId, id);
+};
+
+module.exports = {
+  recordInvoice,
+  recordInvoiceRefund,
+  listInvoices,
+  getInvoice,
+  getReceipt,
+  InvoiceService
+};
@@ -0,0 +1,77 @@
+const stripe = require('../config/stripe');
+const logger = require('../utils/logger');
+const { sequelize, models } = require('../config/database');
+const { jobQueue } = require('./queueservice');
+
+const OVERAGE_JOB_TYPE = 'overage_report';
+
+// Reports are delayed so a burst of overage goes to Stripe as one usage record
+const REPORT_DELAY_MS = parseInt(process.env.OVERAGE_REPORT_DELAY_MS || 5 * 60 * 1000);
+
+// Metered overage. Usage past the quota that a subscriber has chosen to pay
+// for is counted on its Usage row (overage); a delayed job reports what
+// hasn't been reported yet to Stripe as a usage record on the subscription's
+// metered item, and Stripe bills it with the next invoice. Reports take the
+// same lock as reservations, so usage given back meanwhile is never billed.
+class OverageService {
+  constructor(stripeClient = stripe, queue = jobQueue) {
+    this.stripe = stripeClient;
+    this.queue = queue;
+
+    this.queue.registerHandler(OVERAGE_JOB_TYPE, (job) => this.report(job.payload));
+  }
+
+  async schedule(usage) {
+    await this.queue.enqueue(OVERAGE_JOB_TYPE, { usageId: usage.id }, {
+      runAt: new Date(Date.now() + REPORT_DELAY_MS),
+      userId: usage.userId
+    });
+  }
+
+  // Job handler. Reports the row's unreported overage, if any; the
+  // idempotency key makes a retried report count once at Stripe.
+  async report({ usageId }) {
+    const usage = await models.Usage.findByPk(usageId);
+    if (!usage) return { skipped: true };
+
+    return await sequelize.transaction(async (transaction) => {
+      await models.Usage.lockQuota(usage.userId, usage.type, { transaction });
+      await usage.reload({ transaction });
+
+      const quantity = usage.overage - usage.overageReported;
+      if (quantity <= 0) return { skipped: true };
+
+      const subscription = await models.Subscription.findOne({ where: { userId: usage.userId }, transaction });
+      if (!subscription?.stripeOverageItemId) {
+        logger.warn(`No metered item to report ${quantity} ${usage.type} overage for user ${usage.userId}`);
+        return { skipped: true };
+      }
+
+      await this.stripe.subscriptionItems.createUsageRecord(subscription.stripeOverageItemId, {
+        quantity,
+        timestamp: Math.floor(Date.now() / 1000),
+        action: 'increment'
+      }, {
+        idempotencyKey: `overage-${usage.id}-${usage.overageReported}-${usage.overage}`
+      });
+
+      await usage.update({ overageReported: usage.overage }, { transaction });
+
+      logger.info(`Reported ${quantity} ${usage.type} overage for user ${usage.userId} (${usage.period})`);
+      return { reported: quantity };
+    });
+  }
+}
+
+// Create singleton instance
+const overageService = new OverageService();
+
+// Export functions
+const scheduleOverageReport = async (usage) => {
+  return await overageService.schedule(usage);
+};
+
+module.exports = {
+  scheduleOverageReport,
+  OverageService
+};
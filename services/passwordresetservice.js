@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { models } = require('../config/database');
+const { sendPasswordResetEmail } = require('../utils/email');
+const { revokeAllSessions } = require('./sessionservice');
+const { recordAudit } = require('./auditservice');
+const { AppError } = require('../middleware/errorHandler');
+
+const PURPOSE = 'password_reset';
+const TOKEN_TTL_MS = 60 * 60 * 1000; // The reset email promises 1 hour
+
+// Password resets. The emailed token is random and only its SHA-256 hash is
+// stored; it works once, and requesting a new one invalidates older ones.
+class PasswordResetService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Returns false when no account matches, so the caller can answer the
+  // same way either way
+  async requestReset(email, req) {
+    const user = await models.User.findByEmail(email);
+
+    await recordAudit('password_reset.requested', {
+      userId: user?.id || null,
+      req,
+      metadata: user ? {} : { email, unknownAccount: true }
+    });
+
+    if (!user) return false;
+
+    await models.UserToken.invalidateOutstanding(user.id, PURPOSE);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await models.UserToken.create({
+      userId: user.id,
+      purpose: PURPOSE,
+      tokenHash: this.hashToken(token),
+      email: user.email,
+      expiresAt: new Date(Date.now() + TOKEN_TTL_MS),
+      requestedIp: req?.ip || null
+    });
+
+    await sendPasswordResetEmail(user.email, user.firstName, token);
+
+    logger.info(`Password reset requested for: ${user.email}`);
+    return true;
+  }
+
+  async resetPassword(token, password, req) {
+    const record = await models.UserToken.findOne({
+      where: { tokenHash: this.hashToken(token), purpose: PURPOSE }
+    });
+
+    if (!record || !(await record.consume())) {
+      await recordAudit('password_reset.rejected', {
+        userId: record?.userId || null,
+        req,
+        metadata: { reason: record ? 'used_expired_or_replaced' : 'unknown_token' }
+      });
+      throw new AppError('Invalid or expired reset token', 400);
+    }
+
+    const user = await models.User.findByPk(record.userId);
+    if (!user) {
+      throw new AppError('Invalid or expired reset token', 400);
+    }
+
+    user.password = password;
+    await user.save();
+
+    // Whoever held the old password may still be signed in
+    await revokeAllSessions(user.id, 'password_reset');
+
+    await recordAudit('password_reset.completed', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: { tokenId: record.id, requestedIp: record.requestedIp }
+    });
+
+    logger.info(`Password reset completed for: ${user.email}`);
+    return user;
+  }
+}
+
+// Create singleton instance
+const passwordResetService = new PasswordResetService();
+
+// Export functions
+const requestPasswordReset = async (email, req) => {
+  return await passwordResetService.requestReset(email, req);
+};
+
+const resetPassword = async (token, password, req) => {
+  return await passwordResetService.resetPassword(token, password, req);
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+  PasswordResetService
+};
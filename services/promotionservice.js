@@ -0,0 +1,86 @@
+const stripe = require('../config/stripe');
+const logger = require('../utils/logger');
+const { ValidationError, ExternalServiceError } = require('../middleware/errorHandler');
+
+// Promo codes. Marketing creates coupons and their customer-facing promotion
+// codes in Stripe; this looks a code up so checkout can apply it and the
+// plan list can show discounted prices. Stripe enforces the code's own
+// limits (first-time customers, redemptions, expiry) when checkout completes.
+class PromotionService {
+  constructor(stripeClient = stripe) {
+    this.stripe = stripeClient;
+  }
+
+  // The active promotion code `code`, or a ValidationError
+  async resolve(code) {
+    let promotionCode;
+    try {
+      const { data } = await this.stripe.promotionCodes.list({ code: code.trim(), active: true, limit: 1 });
+      promotionCode = data[0];
+    } catch (error) {
+      logger.error('Promotion code lookup failed:', error);
+      throw new ExternalServiceError('Promo codes cannot be checked right now. Please try again.');
+    }
+
+    if (!promotionCode || !promotionCode.coupon?.valid) {
+      throw new ValidationError('This promo code is not valid');
+    }
+
+    return {
+      id: promotionCode.id,
+      code: promotionCode.code,
+      ...this.describe(promotionCode.coupon)
+    };
+  }
+
+  describe(coupon) {
+    return {
+      name: coupon.name || null,
+      percentOff: coupon.percent_off || null,
+      amountOff: coupon.amount_off || null, // in the smallest currency unit
+      currency: coupon.currency || null,
+      duration: coupon.duration,
+      durationInMonths: coupon.duration_in_months || null
+    };
+  }
+
+  // A price in dollars after the discount (a single payment's worth)
+  applyTo(price, promotion) {
+    if (!price) return price;
+    if (promotion.percentOff) {
+      return Math.round(price * (100 - promotion.percentOff)) / 100;
+    }
+    return Math.max(0, Math.round(price * 100 - (promotion.amountOff || 0)) / 100);
+  }
+
+  // Checkout session parameters: the code given, or a promo code field on
+  // Stripe's checkout page (Stripe accepts one or the other)
+  checkoutParams(promotion) {
+    return promotion
+      ? { discounts: [{ promotion_code: promotion.id }] }
+      : { allow_promotion_codes: true };
+  }
+}
+
+// Create singleton instance
+const promotionService = new PromotionService();
+
+// Export functions
+const resolvePromoCode = async (code) => {
+  return await promotionService.resolve(code);
+};
+
+const applyPromotion = (price, promotion) => {
+  return promotionService.applyTo(price, promotion);
+};
+
+const promotionCheckoutParams = (promotion) => {
+  return promotionService.checkoutParams(promotion);
+};
+
+module.exports = {
+  resolvePromoCode,
+  applyPromotion,
+  promotionCheckoutParams,
+  PromotionService
+};
@@ -0,0 +1,35 @@
+// Interface every video rendering provider implements. A render is started
+// with submit(), then polled with getStatus() until it completes or fails.
+//
+//   submit(request)        -> { externalId }
+//   getStatus(externalId)  -> { status: 'processing' | 'completed' | 'failed', progress, message, error }
+//   getResult(externalId)  -> { videoUrl, thumbnailUrl, duration, metadata }
+//   cancel(externalId)     -> void
+//
+// `request` carries everything a provider may need, so none of them has to
+// touch the database: { videoId, userId, title, prompt, script, images,
+// duration, resolution, fps, style, mood, branding }. `branding` is null or
+// { color } (hex, without '#') on plans with customBranding.
+class VideoProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async submit(request) {
+    throw new Error(`${this.name} provider does not implement submit()`);
+  }
+
+  async getStatus(externalId) {
+    throw new Error(`${this.name} provider does not implement getStatus()`);
+  }
+
+  async getResult(externalId) {
+    throw new Error(`${this.name} provider does not implement getResult()`);
+  }
+
+  async cancel(externalId) {
+    throw new Error(`${this.name} provider does not implement cancel()`);
+  }
+}
+
+module.exports = VideoProvider;
@@ -0,0 +1,47 @@
+const MockVideoProvider = require('./mock');
+const SlideshowVideoProvider = require('./slideshow');
+
+// Provider factories by name. Vendors are added with registerProvider() and
+// selected through configuration, so routes never know which one runs.
+const factories = new Map([
+  ['mock', () => new MockVideoProvider()],
+  ['slideshow', () => new SlideshowVideoProvider()]
+]);
+
+const instances = new Map();
+
+const registerProvider = (name, factory) => {
+  factories.set(name, factory);
+  instances.delete(name);
+};
+
+const getProvider = (name) => {
+  if (!factories.has(name)) {
+    throw new Error(`Unknown video provider: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factories.get(name)());
+  }
+
+  return instances.get(name);
+};
+
+// VIDEO_PROVIDER_<PLAN> (e.g. VIDEO_PROVIDER_PRO=slideshow) overrides the
+// deployment-wide VIDEO_PROVIDER for that plan
+const resolveProviderName = (plan = 'free') => {
+  return process.env[`VIDEO_PROVIDER_${plan.toUpperCase()}`] ||
+    process.env.VIDEO_PROVIDER ||
+    'mock';
+};
+
+const resolveProvider = (plan) => {
+  return getProvider(resolveProviderName(plan));
+};
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  resolveProvider,
+  resolveProviderName
+};
@@ -0,0 +1,93 @@
+const VideoProvider = require('./base');
+
+const STEPS = [
+  { progress: 25, message: 'Analyzing prompt' },
+  { progress: 50, message: 'Generating scenes' },
+  { progress: 75, message: 'Rendering video' },
+  { progress: 90, message: 'Adding effects' },
+  { progress: 100, message: 'Finalizing' }
+];
+
+// Deterministic provider for development and tests: each status poll
+// advances one step, and the result URLs depend only on the video id.
+class MockVideoProvider extends VideoProvider {
+  constructor() {
+    super('mock');
+    this.renders = new Map();
+  }
+
+  async submit(request) {
+    const externalId = `mock_${request.videoId}`;
+    this.renders.set(externalId, {
+      request,
+      step: -1,
+      canceled: false
+    });
+    return { externalId };
+  }
+
+  async getStatus(externalId) {
+    const render = this.renders.get(externalId);
+    if (!render) {
+      return { status: 'failed', progress: 0, error: `Unknown render ${externalId}` };
+    }
+    if (render.canceled) {
+      return { status: 'failed', progress: 0, error: 'Render canceled' };
+    }
+
+    render.step = Math.min(render.step + 1, STEPS.length - 1);
+    const { progress, message } = STEPS[render.step];
+
+    return {
+      status: progress === 100 ? 'completed' : 'processing',
+      progress,
+      message
+    };
+  }
+
+  async getResult(externalId) {
+    const render = this.renders.get(externalId);
+    if (!render) {
+      throw new Error(`Unknown render ${externalId}`);
+    }
+
+    const { videoId, duration } = render.request;
+    this.renders.delete(externalId);
+
+    return {
+      videoUrl: this.generateMockVideoUrl(videoId),
+      thumbnailUrl: this.generateMockThumbnailUrl(videoId),
+      duration: duration || null,
+      metadata: { mock: true }
+    };
+  }
+
+  async cancel(externalId) {
+    const render = this.renders.get(externalId);
+    if (render) {
+      render.canceled = true;
+    }
+  }
+
+  generateMockVideoUrl(videoId) {
+    const baseUrls = [
+      'https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_1mb.mp4',
+      'https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_2mb.mp4',
+      'https://sample-videos.com/zip/10/mp4/SampleVideo_1920x1080_1mb.mp4',
+      'https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_5mb.mp4'
+    ];
+    
+    const index = videoId.charCodeAt(0) % baseUrls.length;
+    return baseUrls[index];
+  }
+
+  generateMockThumbnailUrl(videoId) {
+    const colors = ['4F46E5', '7C3AED', '059669', 'DC2626', 'F59E0B'];
+    const index = videoId.charCodeAt(0) % colors.length;
+    const color = colors[index];
+    
+    return `https://via.placeholder.com/1280x720/${color}/FFFFFF?text=AI+Generated+Video`;
+  }
+}
+
+module.exports = MockVideoProvider;
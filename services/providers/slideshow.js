@@ -0,0 +1,277 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VideoProvider = require('./base');
+const logger = require('../../utils/logger');
+const { fetchImage } = require('../../utils/remotefetch');
+const { uploadFile, generateFileKey } = require('../storageservice');
+
+const BACKGROUND_COLORS = ['4F46E5', '7C3AED', '059669', 'DC2626', 'F59E0B'];
+const MIN_SLIDE_SECONDS = 2;
+const MAX_IMAGE_BYTES = parseInt(process.env.SLIDESHOW_IMAGE_MAX_BYTES || 10 * 1024 * 1024);
+
+// Local renderer that turns the script text and any uploaded images into an
+// MP4 slideshow with ffmpeg: one slide per group of sentences, captioned,
+// over the matching image (or a solid brand color), concatenated and uploaded.
+class SlideshowVideoProvider extends VideoProvider {
+  constructor(options = {}) {
+    super('slideshow');
+    this.ffmpegPath = options.ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg';
+    this.fontFile = options.fontFile || process.env.FFMPEG_FONT_FILE || null;
+    this.workDir = options.workDir || process.env.VIDEO_WORK_DIR || os.tmpdir();
+    this.renders = new Map();
+  }
+
+  async submit(request) {
+    const externalId = `slideshow_${request.videoId}_${Date.now()}`;
+    const render = {
+      request,
+      status: 'processing',
+      progress: 0,
+      message: 'Preparing slides',
+      child: null,
+      canceled: false,
+      result: null,
+      error: null
+    };
+
+    this.renders.set(externalId, render);
+
+    this.render(render).catch((error) => {
+      render.status = 'failed';
+      render.error = render.canceled ? 'Render canceled' : error.message;
+      logger.error(`Slideshow render ${externalId} failed:`, error.message);
+    });
+
+    return { externalId };
+  }
+
+  async getStatus(externalId) {
+    const render = this.renders.get(externalId);
+    if (!render) {
+      return { status: 'failed', progress: 0, error: `Unknown render ${externalId}` };
+    }
+
+    return {
+      status: render.status,
+      progress: render.progress,
+      message: render.message,
+      error: render.error
+    };
+  }
+
+  async getResult(externalId) {
+    const render = this.renders.get(externalId);
+    if (!render || render.status !== 'completed') {
+      throw new Error(`Render ${externalId} has no result`);
+    }
+
+    this.renders.delete(externalId);
+    return render.result;
+  }
+
+  async cancel(externalId) {
+    const render = this.renders.get(externalId);
+    if (!render) return;
+
+    render.canceled = true;
+    if (render.child) {
+      render.child.kill('SIGKILL');
+    }
+  }
+
+  async render(render) {
+    const { request } = render;
+    const dir = await fs.promises.mkdtemp(path.join(this.workDir, 'slideshow-'));
+
+    try {
+      const [width, height] = (request.resolution || '1920x1080').split('x').map(Number);
+      const fps = request.fps || 30;
+      const duration = request.duration || 30;
+      const images = await this.downloadImages(request.images || [], dir);
+      const slides = this.buildSlides(request.script || request.prompt, images, duration);
+      const steps = slides.length + 2; // segments, concat, upload
+
+      const segments = [];
+      for (let i = 0; i < slides.length; i++) {
+        this.assertNotCanceled(render);
+        render.message = `Rendering slide ${i + 1} of ${slides.length}`;
+
+        const segment = path.join(dir, `segment_${i}.mp4`);
+        await this.renderSlide(render, slides[i], i, { width, height, fps, dir, output: segment });
+        segments.push(segment);
+        render.progress = Math.round(((i + 1) / steps) * 100);
+      }
+
+      this.assertNotCanceled(render);
+      render.message = 'Assembling video';
+
+      const listFile = path.join(dir, 'segments.txt');
+      await fs.promises.writeFile(listFile, segments.map(file => `file '${file}'`).join('\n'));
+
+      const output = path.join(dir, 'output.mp4');
+      const thumbnail = path.join(dir, 'thumbnail.jpg');
+      await this.runFfmpeg(render, ['-f', 'concat', '-safe', '0', '-i', listFile, '-c', 'copy', '-movflags', '+faststart', '-y', output]);
+      await this.runFfmpeg(render, ['-i', output, '-frames:v', '1', '-q:v', '3', '-y', thumbnail]);
+      render.progress = Math.round(((slides.length + 1) / steps) * 100);
+
+      this.assertNotCanceled(render);
+      render.message = 'Uploading video';
+
+      const videoUrl = await uploadFile(
+        await fs.promises.readFile(output),
+        generateFileKey(request.userId, 'videos', `${request.videoId}.mp4`),
+        'video/mp4',
+        { userId: request.userId, videoId: request.videoId }
+      );
+      const thumbnailUrl = await uploadFile(
+        await fs.promises.readFile(thumbnail),
+        generateFileKey(request.userId, 'thumbnails', `${request.videoId}.jpg`),
+        'image/jpeg',
+        { userId: request.userId, videoId: request.videoId }
+      );
+
+      render.result = {
+        videoUrl,
+        thumbnailUrl,
+        duration: slides.reduce((total, slide) => total + slide.duration, 0),
+        metadata: { slides: slides.length, images: images.length }
+      };
+      render.status = 'completed';
+      render.progress = 100;
+      render.message = 'Finalizing';
+    } finally {
+      render.child = null;
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  async renderSlide(render, slide, index, { width, height, fps, dir, output }) {
+    const fontSize = Math.round(height / 18);
+    const textFile = path.join(dir, `caption_${index}.txt`);
+    await fs.promises.writeFile(textFile, this.wrapText(slide.text, Math.floor(width / (fontSize * 0.6))));
+
+    const drawtext = [
+      `drawtext=textfile='${textFile}'`,
+      this.fontFile ? `fontfile='${this.fontFile}'` : null,
+      'fontcolor=white',
+      `fontsize=${fontSize}`,
+      'line_spacing=12',
+      'box=1',
+      'boxcolor=black@0.45',
+      'boxborderw=24',
+      'x=(w-text_w)/2',
+      'y=(h-text_h)/2'
+    ].filter(Boolean).join(':');
+
+    let input;
+    let filter;
+    if (slide.image) {
+      input = ['-loop', '1', '-t', String(slide.duration), '-i', slide.image];
+      filter = `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,${drawtext}`;
+    } else {
+      const color = render.request.branding?.color || BACKGROUND_COLORS[index % BACKGROUND_COLORS.length];
+      input = ['-f', 'lavfi', '-i', `color=c=0x${color}:s=${width}x${height}:d=${slide.duration}:r=${fps}`];
+      filter = drawtext;
+    }
+
+    await this.runFfmpeg(render, [
+      ...input,
+      '-vf', filter,
+      '-r', String(fps),
+      '-t', String(slide.duration),
+      '-c:v', 'libx264',
+      '-pix_fmt', 'yuv420p',
+      '-y', output
+    ]);
+  }
+
+  // Splits the text into sentence groups, one per slide, and spreads the
+  // requested duration over them. There are at least as many slides as
+  // images, as long as every slide still gets MIN_SLIDE_SECONDS.
+  buildSlides(text, images, duration) {
+    const sentences = (text || '')
+      .split(/(?<=[.!?])\s+/)
+      .map(sentence => sentence.trim())
+      .filter(Boolean);
+
+    const maxSlides = Math.max(1, Math.floor(duration / MIN_SLIDE_SECONDS));
+    const count = Math.min(maxSlides, Math.max(sentences.length, images.length, 1));
+    const perSlide = Math.ceil(sentences.length / count) || 1;
+    const slideDuration = Math.round((duration / count) * 100) / 100;
+
+    return Array.from({ length: count }, (_, i) => ({
+      text: sentences.slice(i * perSlide, (i + 1) * perSlide).join(' '),
+      image: images.length ? images[i % images.length] : null,
+      duration: slideDuration
+    }));
+  }
+
+  wrapText(text, maxChars) {
+    const lines = [];
+    let line = '';
+
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+      if (line && (line.length + word.length + 1) > maxChars) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+
+    if (line) lines.push(line);
+    return lines.join('\n');
+  }
+
+  // Image URLs come from users, so they're fetched with fetchImage: public
+  // https hosts only, no redirects, capped in size, and images only
+  async downloadImages(urls, dir) {
+    const files = [];
+
+    for (let i = 0; i < urls.length; i++) {
+      try {
+        const data = await fetchImage(urls[i], { maxBytes: MAX_IMAGE_BYTES });
+        const file = path.join(dir, `image_${i}`);
+        await fs.promises.writeFile(file, data);
+        files.push(file);
+      } catch (error) {
+        logger.warn(`Skipping slideshow image ${urls[i]}:`, error.message);
+      }
+    }
+
+    return files;
+  }
+
+  assertNotCanceled(render) {
+    if (render.canceled) {
+      throw new Error('Render canceled');
+    }
+  }
+
+  runFfmpeg(render, args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.ffmpegPath, ['-hide_banner', '-loglevel', 'error', ...args]);
+      let stderr = '';
+
+      render.child = child;
+      child.stderr.on('data', (chunk) => {
+        stderr += chunk.toString();
+      });
+      child.on('error', (error) => {
+        reject(new Error(`Failed to start ffmpeg (${this.ffmpegPath}): ${error.message}`));
+      });
+      child.on('close', (code) => {
+        render.child = null;
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+        }
+      });
+    });
+  }
+}
+
+module.exports = SlideshowVideoProvider;
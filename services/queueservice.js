@@ -0,0 +1,195 @@
+const os = require('os');
+const logger = require('../utils/logger');
+const { models } = require('../config/database');
+
+// Database-backed job queue. Jobs live in the jobs table, so they survive
+// restarts; workers lease them, heartbeat while running, and either complete
+// them or fail them into a backoff retry / dead-letter.
+class JobQueueService {
+  constructor(options = {}) {
+    this.workerId = options.workerId || `${os.hostname()}-${process.pid}`;
+    this.concurrency = options.concurrency || parseInt(process.env.QUEUE_CONCURRENCY || 2);
+    this.pollInterval = options.pollInterval || parseInt(process.env.QUEUE_POLL_INTERVAL_MS || 2000);
+    this.leaseMs = options.leaseMs || parseInt(process.env.QUEUE_LEASE_MS || 60000);
+    this.retryBaseMs = options.retryBaseMs || parseInt(process.env.QUEUE_RETRY_BASE_MS || 30000);
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.QUEUE_MAX_ATTEMPTS || 3);
+
+    this.handlers = new Map();
+    this.running = new Map(); // jobId -> promise
+    this.timer = null;
+    this.polling = false;
+    this.started = false;
+  }
+
+  // handler(job, { signal }) does the work; onDeadLetter(job, error) runs once
+  // retries are exhausted. The signal aborts when the worker loses the job's
+  // lease (another worker may be running it by then), so long handlers should
+  // stop on it.
+  registerHandler(type, handler, { onDeadLetter } = {}) {
+    this.handlers.set(type, { handler, onDeadLetter });
+  }
+
+  async enqueue(type, payload = {}, options = {}) {
+    const job = await models.Job.enqueue(type, payload, {
+      maxAttempts: this.maxAttempts,
+      ...options
+    });
+
+    logger.info(`Job enqueued: ${type} ${job.id}`);
+
+    // Don't wait for the next poll if we have a free slot
+    if (this.started) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  start() {
+    if (this.started) return;
+
+    this.started = true;
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    logger.info(`Job queue worker ${this.workerId} started (concurrency ${this.concurrency})`);
+    this.poll();
+  }
+
+  // Stops leasing new jobs and waits (up to timeoutMs) for running ones.
+  // Anything still running keeps its lease and is recovered after it expires.
+  async stop(timeoutMs = 10000) {
+    if (!this.started) return;
+
+    this.started = false;
+    clearInterval(this.timer);
+    this.timer = null;
+
+    await Promise.race([
+      Promise.allSettled(Array.from(this.running.values())),
+      new Promise(resolve => setTimeout(resolve, timeoutMs).unref())
+    ]);
+
+    logger.info(`Job queue worker ${this.workerId} stopped`);
+  }
+
+  async poll() {
+    if (!this.started || this.polling) return;
+    this.polling = true;
+
+    try {
+      const { dead, requeued } = await models.Job.recoverStalled();
+      if (requeued.length > 0) {
+        logger.warn(`Re-queued ${requeued.length} stalled job(s)`);
+      }
+      for (const job of dead) {
+        await this.deadLetter(job, new Error(job.lastError));
+      }
+
+      const free = this.concurrency - this.running.size;
+      const jobs = await models.Job.lease(
+        this.workerId,
+        free,
+        this.leaseMs,
+        Array.from(this.handlers.keys())
+      );
+
+      jobs.forEach(job => {
+        const promise = this.run(job).finally(() => this.running.delete(job.id));
+        this.running.set(job.id, promise);
+      });
+    } catch (error) {
+      logger.error('Job queue poll error:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async run(job) {
+    const { handler } = this.handlers.get(job.type);
+    const controller = new AbortController();
+    const heartbeat = setInterval(() => {
+      job.heartbeat(this.leaseMs).then(held => {
+        if (!held && !controller.signal.aborted) {
+          logger.warn(`Job ${job.id} (${job.type}) lost its lease; stopping it`);
+          controller.abort(new Error(`Lease on job ${job.id} was lost`));
+        }
+      }).catch(error => {
+        logger.warn(`Heartbeat failed for job ${job.id}:`, error.message);
+      });
+    }, Math.floor(this.leaseMs / 3));
+
+    try {
+      logger.info(`Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.maxAttempts}`);
+      const result = await handler(job, { signal: controller.signal });
+      if (!(await job.complete(result || null))) {
+        logger.warn(`Job ${job.id} (${job.type}) finished after its lease was lost; result not recorded`);
+      }
+    } catch (error) {
+      if (controller.signal.aborted) {
+        logger.warn(`Job ${job.id} (${job.type}) stopped after its lease was lost`);
+        return;
+      }
+
+      logger.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+
+      try {
+        const status = await job.fail(error, this.retryBaseMs);
+        if (status === null) {
+          logger.warn(`Job ${job.id} (${job.type}) failed after its lease was lost; failure not recorded`);
+        } else if (status === 'dead') {
+          await this.deadLetter(job, error);
+        }
+      } catch (updateError) {
+        logger.error(`Failed to record failure for job ${job.id}:`, updateError);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async deadLetter(job, error) {
+    logger.error(`Job ${job.id} (${job.type}) moved to dead-letter after ${job.attempts} attempt(s)`);
+
+    const { onDeadLetter } = this.handlers.get(job.type) || {};
+    if (!onDeadLetter) return;
+
+    try {
+      await onDeadLetter(job, error);
+    } catch (handlerError) {
+      logger.error(`Dead-letter handler failed for job ${job.id}:`, handlerError);
+    }
+  }
+
+  async getQueueStatus(type = null) {
+    const [stats, jobs] = await Promise.all([
+      models.Job.getQueueStats(type),
+      models.Job.findActive(type)
+    ]);
+
+    return {
+      stats,
+      concurrency: this.concurrency,
+      jobs: jobs.map(job => ({
+        id: job.id,
+        type: job.type,
+        videoId: job.videoId,
+        userId: job.userId,
+        status: job.status,
+        priority: job.priority,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        runAt: job.runAt,
+        leasedBy: job.leasedBy,
+        heartbeatAt: job.heartbeatAt,
+        lastError: job.lastError
+      }))
+    };
+  }
+}
+
+// Create singleton instance
+const jobQueue = new JobQueueService();
+
+module.exports = {
+  jobQueue,
+  JobQueueService
+};
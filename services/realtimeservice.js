@@ -0,0 +1,114 @@
+const logger = require('../utils/logger');
+const { authenticateSocket } = require('../middleware/auth');
+
+// Event names clients can subscribe to. Every payload carries a timestamp.
+const EVENTS = {
+  VIDEO_GENERATION_STARTED: 'video_generation_started',
+  VIDEO_PROGRESS: 'video_progress',
+  VIDEO_STATUS: 'video_status',
+  SCRIPT_STREAM: 'script_stream',
+  BILLING_UPDATE: 'billing_update',
+  SESSION_EXPIRED: 'session_expired'
+};
+
+// setTimeout can't wait longer than ~24.8 days
+const MAX_TIMER_MS = 2147483647;
+
+const userRoom = (userId) => `user-${userId}`;
+const sessionRoom = (sessionId) => `session-${sessionId}`;
+
+// Socket.IO gateway. Connections authenticate with the API's JWT during the
+// handshake and are put in their own user room; nothing the client sends can
+// change which room it is in. Emits from processes without a Socket.IO server
+// (e.g. a dedicated queue worker) are dropped.
+class RealtimeService {
+  constructor() {
+    this.io = null;
+  }
+
+  attach(io) {
+    this.io = io;
+
+    io.use(authenticateSocket);
+    io.on('connection', (socket) => this.handleConnection(socket));
+  }
+
+  handleConnection(socket) {
+    const { userId, sessionId } = socket;
+    socket.join([userRoom(userId), sessionRoom(sessionId)]);
+    logger.info(`Socket ${socket.id} connected for user ${userId}`);
+
+    // Drop the connection when its token expires; the client reconnects
+    // with a fresh one
+    let expiryTimer = null;
+    if (socket.tokenExpiresAt) {
+      const delay = Math.min(Math.max(0, socket.tokenExpiresAt - Date.now()), MAX_TIMER_MS);
+      expiryTimer = setTimeout(() => {
+        socket.emit(EVENTS.SESSION_EXPIRED, { reason: 'token_expired', timestamp: new Date().toISOString() });
+        socket.disconnect(true);
+      }, delay);
+      expiryTimer.unref();
+    }
+
+    socket.on('disconnect', (reason) => {
+      clearTimeout(expiryTimer);
+      logger.info(`Socket ${socket.id} disconnected for user ${userId}: ${reason}`);
+    });
+  }
+
+  // Disconnects the sockets opened with revoked sessions
+  endSessions(sessionIds, reason = 'revoked') {
+    if (!this.io || sessionIds.length === 0) return;
+
+    const rooms = sessionIds.map(sessionRoom);
+    this.io.to(rooms).emit(EVENTS.SESSION_EXPIRED, { reason, timestamp: new Date().toISOString() });
+    this.io.in(rooms).disconnectSockets(true);
+  }
+
+  emitToUser(userId, event, payload = {}) {
+    if (!this.io || !userId) return false;
+
+    try {
+      this.io.to(userRoom(userId)).emit(event, {
+        ...payload,
+        timestamp: new Date().toISOString()
+      });
+      return true;
+    } catch (error) {
+      logger.warn(`Failed to emit ${event} to user ${userId}:`, error.message);
+      return false;
+    }
+  }
+
+  // Video events
+  emitVideoGenerationStarted(userId, { videoId, status, jobId = null }) {
+    return this.emitToUser(userId, EVENTS.VIDEO_GENERATION_STARTED, { videoId, status, jobId });
+  }
+
+  emitVideoProgress(userId, { videoId, progress, message }) {
+    return this.emitToUser(userId, EVENTS.VIDEO_PROGRESS, { videoId, progress, message });
+  }
+
+  emitVideoStatus(userId, { videoId, status, previousStatus = null, error = null }) {
+    return this.emitToUser(userId, EVENTS.VIDEO_STATUS, { videoId, status, previousStatus, error });
+  }
+
+  // Script events; `type` is one of start, section, delta, section_complete, done, error
+  emitScriptStream(userId, { streamId, type, data }) {
+    return this.emitToUser(userId, EVENTS.SCRIPT_STREAM, { streamId, type, data });
+  }
+
+  // Billing events; `type` names what changed, e.g. subscription_updated
+  emitBillingUpdate(userId, { type, ...data }) {
+    return this.emitToUser(userId, EVENTS.BILLING_UPDATE, { type, ...data });
+  }
+}
+
+// Create singleton instance
+const realtime = new RealtimeService();
+
+module.exports = {
+  realtime,
+  RealtimeService,
+  EVENTS
+};
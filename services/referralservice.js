@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+const logger = require('../utils/logger');
+const { sequelize, models } = require('../config/database');
+const { realtime } = require('./realtimeservice');
+const { recordAudit } = require('./auditservice');
+
+// No 0/O or 1/I, so codes survive being read out or typed; 32 symbols map
+// evenly onto a random byte
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const BONUS_CREDITS = parseInt(process.env.REFERRAL_BONUS_CREDITS || 5);
+const BONUS_TYPE = 'video_generation';
+
+// Referral program. Every user has a referral code (made the first time they
+// ask for it); someone who registers with it is recorded as a Referral. On
+// the referred user's first payment both sides get BONUS_CREDITS video
+// credits, once: the referral moves from pending to rewarded with a
+// conditional update, and the credits reference the referral.
+class ReferralService {
+  generateCode() {
+    return Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  }
+
+  normalizeCode(code) {
+    return String(code).trim().toUpperCase();
+  }
+
+  shareLink(code) {
+    const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').split(',')[0];
+    return `${frontendUrl}/register?ref=${code}`;
+  }
+
+  async getCode(user) {
+    if (user.referralCode) return user.referralCode;
+
+    // A clash with another user's code just means trying another one
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        await user.update({ referralCode: this.generateCode() });
+        return user.referralCode;
+      } catch (error) {
+        if (!(error instanceof UniqueConstraintError)) throw error;
+      }
+    }
+    throw new Error('Could not generate a unique referral code');
+  }
+
+  findReferrer(code) {
+    return models.User.findOne({ where: { referralCode: this.normalizeCode(code), isActive: true } });
+  }
+
+  async record(referrer, user, code, req = null) {
+    const referral = await models.Referral.create({
+      referrerId: referrer.id,
+      referredUserId: user.id,
+      code: this.normalizeCode(code)
+    });
+
+    await recordAudit('referral.signed_up', {
+      userId: referrer.id,
+      actorId: user.id,
+      req,
+      metadata: { referralId: referral.id, referredUserId: user.id }
+    });
+    logger.info(`User ${user.id} signed up with referral code of user ${referrer.id}`);
+
+    return referral;
+  }
+
+  // Called on every successful payment; only the first one of a referred
+  // user finds the referral pending. `reference` is the invoice or checkout
+  // session that paid.
+  async reward(userId, reference) {
+    if (BONUS_CREDITS <= 0) return null;
+
+    const referral = await models.Referral.findOne({ where: { referredUserId: userId, status: 'pending' } });
+    if (!referral) return null;
+
+    const rewarded = await sequelize.transaction(async (transaction) => {
+      const [updated] = await models.Referral.update({
+        status: 'rewarded',
+        rewardCredits: BONUS_CREDITS,
+        rewardReference: reference,
+        rewardedAt: new Date()
+      }, {
+        where: { id: referral.id, status: 'pending' },
+        transaction
+      });
+      if (updated === 0) return false;
+
+      const bonus = (creditedUserId, side) => ({
+        userId: creditedUserId,
+        type: BONUS_TYPE,
+        amount: BONUS_CREDITS,
+        reason: 'referral',
+        reference: `${referral.id}:${side}`,
+        metadata: { referralId: referral.id, side, paymentReference: reference }
+      });
+
+      await models.CreditTransaction.bulkCreate([
+        bonus(referral.referrerId, 'referrer'),
+        bonus(referral.referredUserId, 'referred')
+      ], { transaction });
+
+      return true;
+    });
+    if (!rewarded) return null;
+
+    await recordAudit('billing.referral_rewarded', {
+      userId: referral.referrerId,
+      metadata: { referralId: referral.id, referredUserId: userId, credits: BONUS_CREDITS, reference }
+    });
+
+    for (const creditedUserId of [referral.referrerId, referral.referredUserId]) {
+      realtime.emitBillingUpdate(creditedUserId, {
+        type: 'credits_added',
+        usageType: BONUS_TYPE,
+        credits: BONUS_CREDITS,
+        balance: await models.CreditTransaction.getBalance(creditedUserId, BONUS_TYPE),
+        reason: 'referral'
+      });
+    }
+
+    logger.info(`Referral ${referral.id} rewarded: ${BONUS_CREDITS} credits each to users ${referral.referrerId} and ${userId}`);
+    return referral.reload();
+  }
+
+  // The user's code and the people who signed up with it. Referred users
+  // are shown by first name and last initial only.
+  async history(user) {
+    const code = await this.getCode(user);
+
+    const referrals = await models.Referral.findAll({
+      where: { referrerId: user.id },
+      include: [{
+        model: models.User,
+        as: 'referredUser',
+        attributes: ['firstName', 'lastName']
+      }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    const rewarded = referrals.filter(referral => referral.status === 'rewarded');
+
+    return {
+      code,
+      link: this.shareLink(code),
+      bonusCredits: BONUS_CREDITS,
+      totals: {
+        referred: referrals.length,
+        rewarded: rewarded.length,
+        creditsEarned: rewarded.reduce((sum, referral) => sum + (referral.rewardCredits || 0), 0)
+      },
+      referrals: referrals.map(referral => ({
+        id: referral.id,
+        name: referral.referredUser
+          ? `${referral.referredUser.firstName} ${referral.referredUser.lastName.charAt(0)}.`
+          : null,
+        status: referral.status,
+        rewardCredits: referral.rewardCredits,
+        createdAt: referral.createdAt,
+        rewardedAt: referral.rewardedAt
+      }))
+    };
+  }
+}
+
+// Create singleton instance
+const referralService = new ReferralService();
+
+// Export functions
+const findReferrer = async (code) => {
+  return await referralService.findReferrer(code);
+};
+
+const recordReferral = async (referrer, user, code, req) => {
+  return await referralService.record(referrer, user, code, req);
+};
+
+const rewardReferral = async (userId, reference) => {
+  return await referralService.reward(userId, reference);
+};
+
+const getReferralHistory = async (user) => {
+  return await referralService.history(user);
+};
+
+module.exports = {
+  findReferrer,
+  recordReferral,
+  rewardReferral,
+  getReferralHistory,
+  ReferralService
+};
@@ -1,8 +1,142 @@
+const OpenAI = require('openai');
 const logger = require('../utils/logger');
+const { models } = require('../config/database');
+
+const PLACEHOLDER_API_KEY = 'sk-your-openai-api-key';
+const FALLBACK_STREAM_DELAY_MS = 30;
+
+// Incremental parser for "# title" / "## section" marked-up text. Text that
+// can't be a marker is forwarded as soon as it arrives; lines starting with
+// "#" are held until complete so a marker is never split across deltas.
+// Text past the first maxWords words is dropped, so clients are never sent
+// more than the saved script keeps.
+class SectionStreamParser {
+  constructor(sections, onEvent, maxWords = Infinity) {
+    this.sections = sections;
+    this.onEvent = onEvent;
+    this.maxWords = maxWords;
+    this.values = {};
+    this.title = null;
+    this.current = null;
+    this.buffer = '';
+    this.words = 0;
+    this.inWord = false;
+    this.full = false;
+  }
+
+  push(text) {
+    this.buffer += text;
+
+    while (this.buffer) {
+      const newline = this.buffer.indexOf('\n');
+
+      if (this.buffer.startsWith('#')) {
+        if (newline === -1) return; // wait for the rest of the marker line
+        this.handleMarker(this.buffer.slice(0, newline).trim());
+        this.buffer = this.buffer.slice(newline + 1);
+        continue;
+      }
+
+      const chunk = newline === -1 ? this.buffer : this.buffer.slice(0, newline + 1);
+      this.buffer = this.buffer.slice(chunk.length);
+      this.append(chunk);
+    }
+  }
+
+  handleMarker(line) {
+    const section = line.match(/^##\s*(.+)$/);
+    if (section) {
+      const name = section[1].trim().toLowerCase();
+      if (this.sections.includes(name)) {
+        this.startSection(name);
+        return;
+      }
+    }
+
+    const title = line.match(/^#\s+(.+)$/);
+    if (title && !this.title) {
+      this.title = title[1].trim();
+      return;
+    }
+
+    this.append(`${line}\n`);
+  }
+
+  startSection(name) {
+    if (this.full) return;
+    this.completeSection();
+    this.current = name;
+    this.inWord = false;
+    this.values[name] = this.values[name] || '';
+    this.onEvent('section', { section: name, index: this.sections.indexOf(name) });
+  }
+
+  append(text) {
+    if (this.full) return;
+    if (!this.current) {
+      if (!text.trim()) return;
+      this.startSection(this.sections[0]);
+    }
+
+    const kept = this.withinBudget(text);
+    if (kept) {
+      this.values[this.current] += kept;
+      this.onEvent('delta', { section: this.current, text: kept });
+    }
+  }
+
+  // The part of `text` that fits in the word budget. A word split across
+  // deltas counts once.
+  withinBudget(text) {
+    for (let i = 0; i < text.length; i++) {
+      const space = /\s/.test(text[i]);
+      if (!space && !this.inWord) {
+        if (this.words === this.maxWords) {
+          this.full = true;
+          return text.slice(0, i).trimEnd();
+        }
+        this.words++;
+      }
+      this.inWord = !space;
+    }
+    return text;
+  }
+
+  completeSection() {
+    if (!this.current) return;
+    this.values[this.current] = this.values[this.current].trim();
+    this.onEvent('section_complete', { section: this.current, content: this.values[this.current] });
+  }
+
+  end() {
+    if (this.buffer) {
+      const rest = this.buffer;
+      this.buffer = '';
+      if (rest.startsWith('#')) {
+        this.handleMarker(rest.trim());
+      } else {
+        this.append(rest);
+      }
+    }
+    this.completeSection();
+    this.current = null;
+  }
+
+  hasOutput() {
+    return Object.values(this.values).some(value => value.trim());
+  }
+}
 
 // Script generation service with fallback for when OpenAI is not configured
 class ScriptGenerationService {
-  constructor() {
+  // `client` can be any object with chat.completions.create(), e.g. an OpenAI
+  // client pointed at a local fake server (OPENAI_BASE_URL works too)
+  constructor({ client = null } = {}) {
+    this.client = client;
+    this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.timeout = parseInt(process.env.OPENAI_TIMEOUT_MS || 30000);
+    this.maxRetries = parseInt(process.env.OPENAI_MAX_RETRIES || 2);
+
     this.templates = {
       marketing: {
         structure: ['hook', 'problem', 'solution', 'benefits', 'cta'],
@@ -39,17 +173,21 @@ class ScriptGenerationService {
 
     try {
       // Try OpenAI first if available
-      if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'sk-your-openai-api-key') {
+      if (this.isOpenAIConfigured()) {
         try {
           const aiScript = await this.generateWithOpenAI(prompt, options);
-          if (aiScript) return aiScript;
+          if (aiScript) {
+            await this.recordUsage(options, aiScript.metadata);
+            return aiScript;
+          }
         } catch (aiError) {
           logger.warn('OpenAI generation failed, using fallback:', aiError.message);
         }
       }
 
       // Fallback to template-based generation
-      const script = this.generateFallbackScript(prompt, tone, targetAudience, maxWords);
+      const script = this.generateFallbackScript(prompt, tone, targetAudience, maxWords, category);
+      await this.recordUsage(options, { model: 'fallback' });
       
       return {
         title: this.generateTitle(prompt),
@@ -72,13 +210,305 @@ class ScriptGenerationService {
     }
   }
 
-  async generateWithOpenAI(prompt, options) {
-    // Placeholder for OpenAI integration
-    // This would use the OpenAI API if properly configured
-    return null;
+  isOpenAIConfigured() {
+    return Boolean(this.client) ||
+      Boolean(process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== PLACEHOLDER_API_KEY);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: process.env.OPENAI_BASE_URL || undefined,
+        timeout: this.timeout,
+        maxRetries: 0 // retries are handled in withRetries()
+      });
+    }
+    return this.client;
+  }
+
+  // Asks for one JSON field per section of the category template, then
+  // assembles them in template order within the word budget
+  async generateWithOpenAI(prompt, options = {}) {
+    const {
+      tone = 'professional',
+      targetAudience = 'general',
+      category = 'marketing'
+    } = options;
+
+    const template = this.templates[category] || this.templates.general;
+    const maxWords = options.maxWords || template.maxWords;
+    const sections = template.structure;
+
+    const { completion, parsed, attempts } = await this.withRetries(async () => {
+      const completion = await this.getClient().chat.completions.create({
+        model: this.model,
+        messages: this.buildMessages(prompt, { tone, targetAudience, category, sections, maxWords }),
+        response_format: { type: 'json_object' },
+        temperature: 0.8,
+        max_tokens: Math.ceil(maxWords * 2.5) + 200
+      }, { timeout: this.timeout });
+
+      return { completion, parsed: this.parseCompletion(completion, sections) };
+    });
+
+    const structure = this.fitToWordLimit(parsed.sections, sections, maxWords);
+    const content = sections.map(section => structure[section]).filter(Boolean).join('\n\n');
+
+    return {
+      title: (parsed.title || '').trim().substring(0, 200) || this.generateTitle(prompt),
+      content,
+      structure,
+      wordCount: this.countWords(content),
+      estimatedDuration: this.estimateDuration(content),
+      tone,
+      targetAudience,
+      category,
+      metadata: {
+        prompt,
+        generatedAt: new Date().toISOString(),
+        model: completion.model || this.model,
+        attempts,
+        usage: {
+          promptTokens: completion.usage?.prompt_tokens || 0,
+          completionTokens: completion.usage?.completion_tokens || 0,
+          totalTokens: completion.usage?.total_tokens || 0
+        }
+      }
+    };
+  }
+
+  buildMessages(prompt, { tone, targetAudience, category, sections, maxWords }) {
+    const system = [
+      'You write scripts for short AI-generated videos.',
+      `Write in a ${tone} tone for an audience of ${targetAudience}.`,
+      `The script is ${category} content and must not exceed ${maxWords} words in total.`,
+      `Respond with JSON only: {"title": string, "sections": {${sections.map(section => `"${section}": string`).join(', ')}}}.`,
+      'Each section is spoken narration only - no stage directions, headings or markdown.'
+    ].join(' ');
+
+    return [
+      { role: 'system', content: system },
+      { role: 'user', content: prompt }
+    ];
+  }
+
+  parseCompletion(completion, sections) {
+    const raw = completion.choices?.[0]?.message?.content;
+    let parsed;
+
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      throw Object.assign(new Error('OpenAI returned invalid JSON'), { retriable: true });
+    }
+
+    const values = parsed?.sections || {};
+    if (!sections.some(section => typeof values[section] === 'string' && values[section].trim())) {
+      throw Object.assign(new Error('OpenAI response is missing script sections'), { retriable: true });
+    }
+
+    return parsed;
   }
 
-  generateFallbackScript(prompt, tone, audience, maxWords) {
+  // Trims sections in order so the whole script stays within maxWords
+  fitToWordLimit(values, sections, maxWords) {
+    let remaining = maxWords;
+
+    return sections.reduce((structure, section) => {
+      const words = String(values[section] || '').trim().split(/\s+/).filter(Boolean);
+      const kept = words.slice(0, Math.max(0, remaining));
+      remaining -= kept.length;
+
+      structure[section] = kept.join(' ') + (kept.length < words.length && kept.length > 0 ? '...' : '');
+      return structure;
+    }, {});
+  }
+
+  isRetriable(error) {
+    if (error.retriable) return true;
+    if (error instanceof OpenAI.APIConnectionError) return true; // includes timeouts
+    return error.status === 429 || error.status >= 500;
+  }
+
+  async withRetries(fn) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.maxRetries + 1; attempt++) {
+      try {
+        return { ...(await fn()), attempts: attempt };
+      } catch (error) {
+        lastError = error;
+        if (attempt > this.maxRetries || !this.isRetriable(error)) break;
+
+        const delay = 500 * Math.pow(2, attempt - 1);
+        logger.warn(`OpenAI attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Streams a script section by section. onEvent receives:
+  //   ('section', { section, index })     a new section starts
+  //   ('delta', { section, text })        more text for the current section
+  //   ('section_complete', { section, content })
+  // Resolves with the assembled script; if `signal` aborts, resolves with
+  // whatever was produced so far and `aborted: true` instead of throwing.
+  async streamScript(prompt, options = {}, { onEvent = () => {}, signal = null } = {}) {
+    const {
+      tone = 'professional',
+      targetAudience = 'general',
+      category = 'marketing'
+    } = options;
+
+    const template = this.templates[category] || this.templates.general;
+    const maxWords = options.maxWords || template.maxWords;
+    const sections = template.structure;
+    const parser = new SectionStreamParser(sections, onEvent, maxWords);
+
+    let metadata = null;
+    let aborted = false;
+
+    logger.info(`Streaming script for prompt: ${prompt.substring(0, 50)}...`);
+
+    try {
+      if (this.isOpenAIConfigured()) {
+        try {
+          metadata = await this.streamWithOpenAI(prompt, {
+            tone, targetAudience, category, sections, maxWords
+          }, parser, signal);
+        } catch (aiError) {
+          // Once text has reached the client, switching to the fallback would mix two scripts
+          if (signal?.aborted || parser.hasOutput()) throw aiError;
+          logger.warn('OpenAI streaming failed, using fallback:', aiError.message);
+        }
+      }
+
+      if (!metadata) {
+        metadata = await this.streamFallback(prompt, { tone, targetAudience, category, sections, maxWords }, parser, signal);
+      }
+    } catch (error) {
+      if (!signal?.aborted) throw error;
+      aborted = true;
+    }
+
+    parser.end();
+
+    const structure = this.fitToWordLimit(parser.values, sections, maxWords);
+    const content = sections.map(section => structure[section]).filter(Boolean).join('\n\n');
+
+    await this.recordUsage(options, metadata || { model: 'unknown' });
+
+    return {
+      title: parser.title || this.generateTitle(prompt),
+      content,
+      structure,
+      wordCount: this.countWords(content),
+      estimatedDuration: this.estimateDuration(content),
+      tone,
+      targetAudience,
+      category,
+      aborted,
+      metadata: {
+        prompt,
+        generatedAt: new Date().toISOString(),
+        streamed: true,
+        ...(metadata || {})
+      }
+    };
+  }
+
+  async streamWithOpenAI(prompt, { tone, targetAudience, category, sections, maxWords }, parser, signal) {
+    const system = [
+      'You write scripts for short AI-generated videos.',
+      `Write in a ${tone} tone for an audience of ${targetAudience}.`,
+      `The script is ${category} content and must not exceed ${maxWords} words in total.`,
+      'Start with a line "# <title>".',
+      `Then write these sections in order, each introduced by its own line "## <name>": ${sections.join(', ')}.`,
+      'Sections contain spoken narration only - no stage directions or other markdown.'
+    ].join(' ');
+
+    const stream = await this.getClient().chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.8,
+      max_tokens: Math.ceil(maxWords * 2.5) + 200,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { timeout: this.timeout, signal });
+
+    let usage = null;
+    let model = this.model;
+
+    for await (const chunk of stream) {
+      if (chunk.model) model = chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        parser.push(delta);
+      }
+
+      // Past the word budget the rest is dropped anyway
+      if (parser.full) break;
+    }
+
+    return {
+      model,
+      usage: {
+        promptTokens: usage?.prompt_tokens || 0,
+        completionTokens: usage?.completion_tokens || 0,
+        totalTokens: usage?.total_tokens || 0
+      }
+    };
+  }
+
+  // Streams the template script word by word, spread over the sections
+  async streamFallback(prompt, { tone, targetAudience, category, sections, maxWords }, parser, signal) {
+    const script = this.generateFallbackScript(prompt, tone, targetAudience, maxWords, category);
+    const sentences = script.split(/(?<=[.!?])\s+/).filter(Boolean);
+    const perSection = Math.ceil(sentences.length / sections.length) || 1;
+
+    parser.title = this.generateTitle(prompt);
+
+    for (let i = 0; i < sections.length; i++) {
+      const text = sentences.slice(i * perSection, (i + 1) * perSection).join(' ');
+      if (!text) continue;
+
+      parser.push(`${i === 0 ? '' : '\n'}## ${sections[i]}\n`);
+      for (const word of text.split(' ')) {
+        if (signal?.aborted) {
+          throw new Error('Stream aborted');
+        }
+        parser.push(`${word} `);
+        await new Promise(resolve => setTimeout(resolve, FALLBACK_STREAM_DELAY_MS));
+      }
+    }
+
+    return { model: 'fallback' };
+  }
+
+  // Usage is informational here; a failure to record it never fails the script.
+  // Scripts written in a workspace are billed to its owner (options.billedUserId).
+  async recordUsage(options = {}, metadata = {}) {
+    const userId = options.billedUserId || options.userId;
+    if (!userId) return;
+
+    try {
+      await models.Usage.recordAiUsage(userId, 'script_generation', metadata.usage, metadata.model, {
+        workspaceId: options.workspaceId
+      });
+    } catch (error) {
+      logger.warn('Failed to record script usage:', error.message);
+    }
+  }
+
+  generateFallbackScript(prompt, tone, audience, maxWords, category = 'marketing') {
     const scripts = {
       professional: {
         marketing: `Introducing our innovative solution for ${prompt}. In today's competitive market, businesses need reliable tools that deliver measurable results. Our platform addresses these challenges with cutting-edge technology and user-friendly design. Join thousands of satisfied customers who have transformed their operations. Experience the difference today and unlock your potential for success.`,
@@ -101,7 +531,7 @@ class ScriptGenerationService {
     };
 
     const categoryScripts = scripts[tone] || scripts.professional;
-    let script = categoryScripts[options.category] || categoryScripts.marketing || scripts.professional.marketing;
+    let script = categoryScripts[category] || categoryScripts.marketing || scripts.professional.marketing;
     
     // Trim to max words if needed
     const words = script.split(' ');
@@ -182,6 +612,10 @@ const generateDemoScript = async (prompt, options) => {
   return await scriptService.generateDemoScript(prompt, options);
 };
 
+const streamScript = async (prompt, options, handlers) => {
+  return await scriptService.streamScript(prompt, options, handlers);
+};
+
 const getScriptSuggestions = async (category, tone, targetAudience) => {
   return await scriptService.getScriptSuggestions(category, tone, targetAudience);
 };
@@ -189,6 +623,7 @@ const getScriptSuggestions = async (category, tone, targetAudience) => {
 module.exports = {
   generateScript,
   generateDemoScript,
+  streamScript,
   getScriptSuggestions,
   ScriptGenerationService
 };
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const { models } = require('../config/database');
+const { realtime } = require('./realtimeservice');
+const { AuthenticationError } = require('../middleware/errorHandler');
+
+// Sessions back the short-lived access tokens: every access token names its
+// session (sid), and authenticateToken rejects it once the session is revoked.
+// Refresh tokens are opaque, single use and rotated on every refresh.
+class SessionService {
+  constructor() {
+    this.accessTokenTtl = process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+    this.impersonationTtlMinutes = parseInt(process.env.IMPERSONATION_TTL_MINUTES || 30);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  generateAccessToken(userId, sessionId) {
+    return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+      expiresIn: this.accessTokenTtl
+    });
+  }
+
+  refreshExpiry() {
+    return new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+  }
+
+  describeClient(req) {
+    return {
+      userAgent: req.get('user-agent') || null,
+      ipAddress: req.ip || null
+    };
+  }
+
+  issueTokens(session, refreshToken) {
+    const token = this.generateAccessToken(session.userId, session.id);
+    const { exp } = jwt.decode(token);
+
+    return {
+      token,
+      refreshToken,
+      expiresIn: exp - Math.floor(Date.now() / 1000),
+      sessionId: session.id
+    };
+  }
+
+  async createSession(user, req, { deviceName = null } = {}) {
+    const refreshToken = this.generateRefreshToken();
+
+    const session = await models.Session.create({
+      userId: user.id,
+      refreshTokenHash: this.hashToken(refreshToken),
+      deviceName,
+      expiresAt: this.refreshExpiry(),
+      ...this.describeClient(req)
+    });
+
+    return this.issueTokens(session, refreshToken);
+  }
+
+  // A read-only session on `user` for a staff member. No refresh token is
+  // handed out, so it ends when its access token expires.
+  async createImpersonationSession(user, impersonator, req) {
+    const session = await models.Session.create({
+      userId: user.id,
+      impersonatorId: impersonator.id,
+      refreshTokenHash: this.hashToken(this.generateRefreshToken()),
+      deviceName: `Impersonation by ${impersonator.email}`,
+      expiresAt: new Date(Date.now() + this.impersonationTtlMinutes * 60 * 1000),
+      ...this.describeClient(req)
+    });
+
+    const { refreshToken, ...tokens } = this.issueTokens(session, null);
+    return tokens;
+  }
+
+  // Exchanges a refresh token for a new access/refresh pair. Presenting a
+  // refresh token that was already rotated out means it leaked, so the
+  // whole session is revoked.
+  async refreshSession(refreshToken, req) {
+    const hash = this.hashToken(refreshToken);
+    const session = await models.Session.findOne({ where: { refreshTokenHash: hash } });
+
+    if (!session) {
+      const reused = await models.Session.findOne({ where: { previousRefreshTokenHash: hash } });
+      if (reused && !reused.revokedAt) {
+        await this.revokeForReuse(reused);
+      }
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    if (!session.isActive()) {
+      throw new AuthenticationError('Session expired or revoked');
+    }
+
+    const user = await models.User.findByPk(session.userId);
+    if (!user || !user.isActive) {
+      await session.revoke('account_disabled');
+      throw new AuthenticationError('Account is disabled');
+    }
+
+    // Rotates only if the token is still the current one, so of two requests
+    // presenting the same token exactly one wins
+    const nextRefreshToken = this.generateRefreshToken();
+    const [rotated] = await models.Session.update({
+      previousRefreshTokenHash: hash,
+      refreshTokenHash: this.hashToken(nextRefreshToken),
+      lastUsedAt: new Date(),
+      expiresAt: this.refreshExpiry(),
+      ...this.describeClient(req)
+    }, {
+      where: { id: session.id, refreshTokenHash: hash, revokedAt: null }
+    });
+
+    if (rotated === 0) {
+      await this.revokeForReuse(session);
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    return { user, ...this.issueTokens(session, nextRefreshToken) };
+  }
+
+  async revokeForReuse(session) {
+    await session.revoke('refresh_token_reuse');
+    realtime.endSessions([session.id], 'refresh_token_reuse');
+    logger.warn(`Refresh token reuse detected, session ${session.id} revoked for user ${session.userId}`);
+  }
+
+  async listSessions(userId) {
+    return await models.Session.findActiveByUser(userId);
+  }
+
+  async revokeSession(userId, sessionId, reason = 'logout') {
+    const session = await models.Session.findOne({ where: { id: sessionId, userId } });
+    if (!session) return null;
+
+    await session.revoke(reason);
+    realtime.endSessions([session.id], reason);
+
+    logger.info(`Session ${session.id} revoked for user ${userId} (${reason})`);
+    return session;
+  }
+
+  async revokeAllSessions(userId, reason, { exceptId = null } = {}) {
+    const revoked = await models.Session.revokeAllForUser(userId, reason, { exceptId });
+    realtime.endSessions(revoked, reason);
+
+    logger.info(`Revoked ${revoked.length} session(s) for user ${userId} (${reason})`);
+    return revoked;
+  }
+}
+
+// Create singleton instance
+const sessionService = new SessionService();
+
+// Export functions
+const createSession = async (user, req, options) => {
+  return await sessionService.createSession(user, req, options);
+};
+
+const createImpersonationSession = async (user, impersonator, req) => {
+  return await sessionService.createImpersonationSession(user, impersonator, req);
+};
+
+const refreshSession = async (refreshToken, req) => {
+  return await sessionService.refreshSession(refreshToken, req);
+};
+
+const listSessions = async (userId) => {
+  return await sessionService.listSessions(userId);
+};
+
+const revokeSession = async (userId, sessionId, reason) => {
+  return await sessionService.revokeSession(userId, sessionId, reason);
+};
+
+const revokeAllSessions = async (userId, reason, options) => {
+  return await sessionService.revokeAllSessions(userId, reason, options);
+};
+
+module.exports = {
+  createSession,
+  createImpersonationSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  SessionService
+};
@@ -22,6 +22,12 @@ class StorageService {
     }
   }
 
+  // Mock delete function
+  async deleteFile(key) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    return true;
+  }
+
   // Mock S3 upload (for backward compatibility)
   async uploadToS3(buffer, key, contentType, metadata = {}) {
     return await this.uploadFile(buffer, key, contentType, metadata);
@@ -87,6 +93,10 @@ const uploadToS3 = async (buffer, key, contentType, metadata) => {
   return await storageService.uploadToS3(buffer, key, contentType, metadata);
 };
 
+const deleteFile = async (key) => {
+  return await storageService.deleteFile(key);
+};
+
 const generateFileKey = (userId, type, originalName) => {
   return storageService.generateFileKey(userId, type, originalName);
 };
@@ -99,6 +109,7 @@ module.exports = {
   upload,
   uploadFile,
   uploadToS3,
+  deleteFile,
   generateFileKey,
   getUserStorageStats,
   StorageService
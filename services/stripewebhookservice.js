@@ -0,0 +1,361 @@
+const stripe = require('../config/stripe');
+const logger = require('../utils/logger');
+const { models } = require('../config/database');
+const { PLANS } = require('../config/plans');
+const { realtime } = require('./realtimeservice');
+const { recordAudit } = require('./auditservice');
+const { startDunning, resolveDunning, closeDunning } = require('./dunningservice');
+const { hasPaymentMethod, scheduleTrialExpiryCheck, expireTrial } = require('./trialservice');
+const { grantPurchasedCredits, revokeRefundedCredits } = require('./creditservice');
+const { rewardReferral } = require('./referralservice');
+const { recordInvoice, recordInvoiceRefund } = require('./invoiceservice');
+const { ConflictError } = require('../middleware/errorHandler');
+const {
+  sendTrialEndingEmail,
+  sendChargeRefundedEmail
+} = require('../utils/email');
+
+// Handles Stripe webhook events. Each event is claimed in the stripe_events
+// log before its handler runs, so redeliveries of a handled event are
+// skipped. A handler that throws marks the event failed and the webhook
+// answers 500, which makes Stripe deliver it again later. A redelivery that
+// arrives while another one is still handling the event gets a 409, so
+// Stripe retries it too in case that one dies.
+class StripeWebhookService {
+  constructor() {
+    this.handlers = {
+      'checkout.session.completed': this.handleCheckoutCompleted,
+      // Delayed payment methods pay after the session completes
+      'checkout.session.async_payment_succeeded': this.handleCheckoutCompleted,
+      'customer.subscription.created': this.handleSubscriptionUpdated,
+      'customer.subscription.updated': this.handleSubscriptionUpdated,
+      'customer.subscription.deleted': this.handleSubscriptionDeleted,
+      'customer.subscription.trial_will_end': this.handleTrialWillEnd,
+      'invoice.paid': this.handleInvoicePaid,
+      // Older endpoints were set up with this one; it fires alongside invoice.paid
+      'invoice.payment_succeeded': this.handleInvoicePaid,
+      'invoice.payment_failed': this.handlePaymentFailed,
+      // Only kept in the invoice history
+      'invoice.finalized': this.handleInvoiceUpdated,
+      'invoice.voided': this.handleInvoiceUpdated,
+      'invoice.marked_uncollectible': this.handleInvoiceUpdated,
+      'charge.refunded': this.handleChargeRefunded
+    };
+  }
+
+  // Verifies the Stripe-Signature header against the raw request body.
+  // Throws if it doesn't match.
+  constructEvent(payload, signature) {
+    return stripe.webhooks.constructEvent(payload, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  }
+
+  async process(event) {
+    const { record, inFlight } = await models.StripeEvent.claim(event);
+    if (inFlight) {
+      throw new ConflictError(`Stripe event ${event.id} is being handled by another delivery`);
+    }
+    if (!record) {
+      logger.info(`Stripe event ${event.id} (${event.type}) already handled, skipping`);
+      return { duplicate: true };
+    }
+
+    const handler = this.handlers[event.type];
+
+    try {
+      if (handler) {
+        await handler.call(this, event.data.object, event);
+      } else {
+        logger.info(`Unhandled event type: ${event.type}`);
+      }
+
+      await record.markProcessed();
+      return { duplicate: false, handled: !!handler };
+    } catch (error) {
+      logger.error(`Stripe event ${event.id} (${event.type}) failed:`, error);
+      await record.markFailed(error);
+      throw error;
+    }
+  }
+
+  findUserByCustomer(customerId) {
+    if (!customerId) return null;
+    return models.User.findOne({ where: { stripeCustomerId: customerId } });
+  }
+
+  // Checkout sessions and subscriptions carry the user id in their metadata
+  // (see create-checkout-session); the Stripe customer is the fallback
+  async findUserFor(stripeObject) {
+    const userId = stripeObject.metadata?.userId || stripeObject.client_reference_id;
+    if (userId) {
+      const user = await models.User.findByPk(userId);
+      if (user) return user;
+    }
+    return await this.findUserByCustomer(stripeObject.customer);
+  }
+
+  // Copies a Stripe subscription onto the user's subscription row (creating
+  // it if needed) and moves the user to its plan
+  async syncSubscription(userId, stripeSubscription) {
+    const subscription = await models.Subscription.findByStripeId(stripeSubscription.id) ||
+      await models.Subscription.findOne({ where: { userId } }) ||
+      models.Subscription.build({ userId });
+
+    const previousTrialEnd = subscription.trialEnd?.getTime();
+    await subscription.updateFromStripe(stripeSubscription);
+    await subscription.syncUserPlan();
+
+    // A new or extended trial gets its own expiry check
+    if (subscription.status === 'trialing' && subscription.trialEnd?.getTime() !== previousTrialEnd) {
+      await scheduleTrialExpiryCheck(subscription);
+    }
+
+    realtime.emitBillingUpdate(subscription.userId, {
+      type: 'subscription_updated',
+      plan: subscription.plan,
+      status: subscription.status
+    });
+
+    return subscription;
+  }
+
+  async handleCheckoutCompleted(session) {
+    if (session.mode === 'payment' && session.metadata?.creditPack) {
+      const user = await this.findUserFor(session);
+      if (!user) {
+        logger.warn(`No user found for credit pack checkout session ${session.id}`);
+        return;
+      }
+      const credit = await grantPurchasedCredits(session, user);
+      if (credit && session.amount_total > 0) {
+        await rewardReferral(user.id, session.id);
+      }
+      return;
+    }
+
+    if (session.mode !== 'subscription' || !session.subscription) {
+      logger.info(`Checkout session ${session.id} (${session.mode}) has no subscription to sync`);
+      return;
+    }
+
+    const user = await this.findUserFor(session);
+    if (!user) {
+      logger.warn(`No user found for checkout session ${session.id}`);
+      return;
+    }
+
+    if (session.customer && user.stripeCustomerId !== session.customer) {
+      await user.update({ stripeCustomerId: session.customer });
+    }
+
+    // The session only has the id; fetch the subscription as it is now
+    const stripeSubscription = await stripe.subscriptions.retrieve(session.subscription);
+    const subscription = await this.syncSubscription(user.id, stripeSubscription);
+
+    await recordAudit('billing.checkout_completed', {
+      userId: user.id,
+      metadata: { sessionId: session.id, subscriptionId: stripeSubscription.id, plan: subscription.plan }
+    });
+    logger.info(`Checkout completed for user ${user.id}: ${subscription.plan}`);
+  }
+
+  async handleSubscriptionUpdated(stripeSubscription) {
+    const existing = await models.Subscription.findByStripeId(stripeSubscription.id);
+    const user = existing ? existing.user : await this.findUserFor(stripeSubscription);
+
+    if (!user) {
+      logger.warn(`Subscription not found in database: ${stripeSubscription.id}`);
+      return;
+    }
+
+    await this.syncSubscription(user.id, stripeSubscription);
+    logger.info(`Subscription updated: ${stripeSubscription.id}`);
+  }
+
+  async handleSubscriptionDeleted(stripeSubscription) {
+    const subscription = await models.Subscription.findByStripeId(stripeSubscription.id);
+    if (!subscription) {
+      logger.warn(`Subscription not found in database: ${stripeSubscription.id}`);
+      return;
+    }
+
+    // Trials that end without a payment method are canceled by Stripe
+    // (trial_settings set at checkout)
+    if (subscription.status === 'trialing') {
+      await expireTrial(subscription, 'stripe');
+      return;
+    }
+
+    // The subscription as it ended: canceled, with the paid time over at
+    // ended_at (see Subscription#updateFromStripe). Done before closing
+    // dunning, which clears the dunning downgrade.
+    await subscription.updateFromStripe(stripeSubscription);
+    await closeDunning(subscription, 'subscription_deleted');
+    await subscription.syncUserPlan();
+
+    realtime.emitBillingUpdate(subscription.userId, {
+      type: 'subscription_canceled',
+      plan: subscription.plan,
+      status: subscription.status,
+      currentPeriodEnd: subscription.currentPeriodEnd
+    });
+
+    logger.info(`Subscription canceled: ${stripeSubscription.id}`);
+  }
+
+  async handleTrialWillEnd(stripeSubscription) {
+    const subscription = await models.Subscription.findByStripeId(stripeSubscription.id);
+    if (!subscription || !subscription.user) {
+      logger.warn(`Subscription not found in database: ${stripeSubscription.id}`);
+      return;
+    }
+
+    const trialEnd = new Date(stripeSubscription.trial_end * 1000);
+    const planName = (PLANS[subscription.plan] || PLANS.free).name;
+
+    const canBeCharged = await hasPaymentMethod(stripeSubscription);
+
+    await sendTrialEndingEmail(subscription.user.email, subscription.user.firstName, planName, trialEnd, canBeCharged);
+
+    realtime.emitBillingUpdate(subscription.userId, {
+      type: 'trial_will_end',
+      plan: subscription.plan,
+      trialEnd,
+      hasPaymentMethod: canBeCharged
+    });
+
+    logger.info(`Trial ending on ${trialEnd.toISOString()} for subscription: ${stripeSubscription.id}`);
+  }
+
+  async handleInvoiceUpdated(invoice) {
+    await recordInvoice(invoice);
+  }
+
+  async handleInvoicePaid(invoice) {
+    // Credit pack invoices have no subscription; their credits come with
+    // checkout.session.completed
+    await recordInvoice(invoice);
+    if (!invoice.subscription) return;
+
+    const subscription = await models.Subscription.findByStripeId(invoice.subscription);
+    if (!subscription) {
+      logger.warn(`Subscription not found in database: ${invoice.subscription}`);
+      return;
+    }
+
+    // Paying clears past_due; take the status and period from Stripe
+    const stripeSubscription = await stripe.subscriptions.retrieve(invoice.subscription);
+    const synced = await this.syncSubscription(subscription.userId, stripeSubscription);
+    await resolveDunning(synced, invoice);
+
+    // A referred user's first real payment rewards the referral; $0
+    // invoices (trials, fully discounted periods) don't count
+    if (invoice.amount_paid > 0) {
+      await rewardReferral(subscription.userId, invoice.id);
+    }
+
+    realtime.emitBillingUpdate(subscription.userId, {
+      type: 'payment_succeeded',
+      amount: invoice.amount_paid,
+      currency: invoice.currency
+    });
+
+    logger.info(`Payment succeeded for subscription: ${invoice.subscription}`);
+  }
+
+  async handlePaymentFailed(invoice) {
+    await recordInvoice(invoice);
+    if (!invoice.subscription) return;
+
+    const subscription = await models.Subscription.findByStripeId(invoice.subscription);
+    if (!subscription) {
+      logger.warn(`Subscription not found in database: ${invoice.subscription}`);
+      return;
+    }
+
+    // The first failure opens a dunning case (emails the user, starts the
+    // grace period); Stripe's later retries fall into the same case
+    await startDunning(subscription, invoice);
+
+    realtime.emitBillingUpdate(subscription.userId, {
+      type: 'payment_failed',
+      plan: subscription.plan,
+      status: subscription.status,
+      graceEndsAt: subscription.graceEndsAt
+    });
+
+    const nextAttempt = invoice.next_payment_attempt ? new Date(invoice.next_payment_attempt * 1000) : null;
+
+    await recordAudit('billing.payment_failed', {
+      userId: subscription.userId,
+      metadata: {
+        invoiceId: invoice.id,
+        subscriptionId: invoice.subscription,
+        amountDue: invoice.amount_due,
+        currency: invoice.currency,
+        attemptCount: invoice.attempt_count,
+        nextAttempt
+      }
+    });
+
+    logger.warn(`Payment failed for subscription: ${invoice.subscription}`);
+  }
+
+  // A charge can be refunded in parts; amount_refunded is the running total,
+  // so this refund is the difference from the previous total
+  async handleChargeRefunded(charge, event) {
+    await recordInvoiceRefund(charge);
+
+    const user = await this.findUserByCustomer(charge.customer);
+    if (!user) {
+      logger.warn(`No user found for refunded charge ${charge.id}`);
+      return;
+    }
+
+    const previouslyRefunded = event.data.previous_attributes?.amount_refunded || 0;
+    const refunded = charge.amount_refunded - previouslyRefunded;
+
+    // A credit pack's refund takes back its unspent credits
+    await revokeRefundedCredits(charge, refunded, user);
+
+    await sendChargeRefundedEmail(user.email, user.firstName, refunded, charge.currency);
+
+    await recordAudit('billing.charge_refunded', {
+      userId: user.id,
+      metadata: {
+        chargeId: charge.id,
+        invoiceId: charge.invoice || null,
+        amount: charge.amount,
+        refunded,
+        amountRefunded: charge.amount_refunded,
+        currency: charge.currency,
+        fullyRefunded: charge.refunded
+      }
+    });
+
+    realtime.emitBillingUpdate(user.id, {
+      type: 'charge_refunded',
+      amount: refunded,
+      currency: charge.currency
+    });
+
+    logger.info(`Charge ${charge.id} refunded ${refunded} ${charge.currency} for user ${user.id}`);
+  }
+}
+
+// Create singleton instance
+const stripeWebhookService = new StripeWebhookService();
+
+// Export functions
+const constructStripeEvent = (payload, signature) => {
+  return stripeWebhookService.constructEvent(payload, signature);
+};
+
+const processStripeEvent = async (event) => {
+  return await stripeWebhookService.process(event);
+};
+
+module.exports = {
+  constructStripeEvent,
+  processStripeEvent,
+  StripeWebhookService
+};
@@ -0,0 +1,493 @@
+const stripe = require('../config/stripe');
+const logger = require('../utils/logger');
+const { models } = require('../config/database');
+const { PLANS, getStripePriceId, getOveragePrice, planRank } = require('../config/plans');
+const { realtime } = require('./realtimeservice');
+const { recordAudit } = require('./auditservice');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  ExternalServiceError
+} = require('../middleware/errorHandler');
+
+// In-app changes to a paid subscription: plan and billing interval changes,
+// metered overage on/off, cancel at period end and resume. Upgrades (and monthly -> yearly) apply
+// now and charge the prorated difference; downgrades (and yearly -> monthly)
+// are scheduled for the end of the paid period through a Stripe subscription
+// schedule. The local row is synced from Stripe's response; the webhooks
+// that follow sync it again.
+class SubscriptionService {
+  constructor(stripeClient = stripe) {
+    this.stripe = stripeClient;
+  }
+
+  // Card declines are the user's to fix; any other Stripe failure is ours
+  toServiceError(error) {
+    if (error.type === 'StripeCardError') {
+      return new ValidationError(error.message);
+    }
+    if (error.type?.startsWith('Stripe')) {
+      logger.error('Stripe request failed:', error);
+      return new ExternalServiceError('The payment provider could not process the request. Please try again.');
+    }
+    return error;
+  }
+
+  async callStripe(request) {
+    try {
+      return await request;
+    } catch (error) {
+      throw this.toServiceError(error);
+    }
+  }
+
+  async loadSubscription(userId) {
+    const subscription = await models.Subscription.findOne({ where: { userId } });
+
+    if (!subscription?.stripeSubscriptionId || subscription.status === 'canceled') {
+      throw new NotFoundError('No paid subscription found. Start one through checkout.');
+    }
+
+    return subscription;
+  }
+
+  async retrieveStripeSubscription(subscription) {
+    return await this.callStripe(this.stripe.subscriptions.retrieve(subscription.stripeSubscriptionId));
+  }
+
+  // Works out what moving to plan/interval means for this subscription
+  resolveChange(subscription, { plan, interval }) {
+    interval = interval || subscription.interval || 'month';
+
+    if (plan === 'free') {
+      throw new ValidationError('To move to the Free plan, cancel the subscription');
+    }
+
+    const priceId = getStripePriceId(plan, interval);
+    if (!priceId) {
+      throw new ValidationError(`The ${PLANS[plan].name} plan is not available with ${interval}ly billing`);
+    }
+
+    if (plan === subscription.plan && interval === subscription.interval) {
+      throw new ConflictError(`You are already on the ${PLANS[plan].name} plan with ${interval}ly billing`);
+    }
+
+    const rankChange = planRank(plan) - planRank(subscription.plan);
+    const type = rankChange > 0 ? 'upgrade' : rankChange < 0 ? 'downgrade' : 'interval_change';
+    const immediate = rankChange > 0 || (rankChange === 0 && interval === 'year');
+
+    return { plan, interval, priceId, type, immediate };
+  }
+
+  // Subscription items for a move to `plan` at `priceId`. The metered
+  // overage item, if any, moves to the new plan's overage price, or is
+  // dropped when the plan has none (usage already reported is still billed).
+  changeItems(stripeSubscription, plan, priceId) {
+    const items = [{ id: models.Subscription.findPlanItem(stripeSubscription).id, price: priceId }];
+
+    const overageItem = models.Subscription.findOverageItem(stripeSubscription);
+    if (overageItem) {
+      const overage = getOveragePrice(plan, 'video_generation');
+      items.push(overage ? { id: overageItem.id, price: overage.stripePriceId } : { id: overageItem.id, deleted: true });
+    }
+
+    return items;
+  }
+
+  // The same, as schedule phase items
+  phaseItems(stripeSubscription, plan, priceId) {
+    const items = [{ price: priceId, quantity: 1 }];
+
+    const overage = models.Subscription.findOverageItem(stripeSubscription) && getOveragePrice(plan, 'video_generation');
+    if (overage) {
+      items.push({ price: overage.stripePriceId });
+    }
+
+    return items;
+  }
+
+  assertChangeable(subscription) {
+    if (subscription.isInDunning()) {
+      throw new ConflictError('Pay the outstanding invoice before changing plans');
+    }
+    if (subscription.cancelAtPeriodEnd) {
+      throw new ConflictError('The subscription is set to cancel. Resume it before changing plans.');
+    }
+  }
+
+  // What a change would cost. Immediate changes are priced by Stripe's
+  // upcoming invoice at `prorationDate`; pass the same date to changePlan so
+  // the charge matches the preview. Scheduled changes cost nothing now.
+  async preview(userId, target) {
+    const subscription = await this.loadSubscription(userId);
+    const change = this.resolveChange(subscription, target);
+    const config = PLANS[change.plan];
+    const price = change.interval === 'year' ? config.yearlyPrice : config.price;
+
+    const result = {
+      plan: change.plan,
+      interval: change.interval,
+      type: change.type,
+      immediate: change.immediate,
+      effectiveAt: change.immediate ? new Date() : subscription.currentPeriodEnd,
+      recurringAmount: Math.round(price * 100),
+      currency: subscription.currency
+    };
+
+    if (!change.immediate) {
+      return { ...result, amountDue: 0, lines: [] };
+    }
+
+    const stripeSubscription = await this.retrieveStripeSubscription(subscription);
+    const prorationDate = Math.floor(Date.now() / 1000);
+
+    const invoice = await this.callStripe(this.stripe.invoices.retrieveUpcoming({
+      customer: stripeSubscription.customer,
+      subscription: stripeSubscription.id,
+      subscription_items: this.changeItems(stripeSubscription, change.plan, change.priceId),
+      subscription_proration_date: prorationDate,
+      subscription_proration_behavior: 'always_invoice'
+    }));
+
+    // Same interval: only the prorations are charged now. A new interval
+    // restarts the billing period, so the new period is charged now as well.
+    const intervalChanged = change.interval !== subscription.interval;
+    const lines = invoice.lines.data.filter(line => intervalChanged || line.proration);
+
+    return {
+      ...result,
+      prorationDate,
+      amountDue: lines.reduce((sum, line) => sum + line.amount, 0),
+      currency: invoice.currency,
+      lines: lines.map(line => ({
+        description: line.description,
+        amount: line.amount,
+        proration: line.proration,
+        periodStart: line.period ? new Date(line.period.start * 1000) : null,
+        periodEnd: line.period ? new Date(line.period.end * 1000) : null
+      }))
+    };
+  }
+
+  async changePlan(user, target, { prorationDate } = {}, req = null) {
+    const subscription = await this.loadSubscription(user.id);
+    const change = this.resolveChange(subscription, target);
+    this.assertChangeable(subscription);
+
+    const previous = { plan: subscription.plan, interval: subscription.interval };
+
+    // A new change replaces whatever was scheduled before
+    if (subscription.stripeScheduleId) {
+      await this.releaseSchedule(subscription);
+    }
+
+    const stripeSubscription = await this.retrieveStripeSubscription(subscription);
+
+    if (change.immediate) {
+      return await this.applyNow(user, subscription, stripeSubscription, change, previous, prorationDate, req);
+    }
+    return await this.schedule(user, subscription, stripeSubscription, change, previous, req);
+  }
+
+  // pending_if_incomplete keeps the current price until the prorated invoice
+  // is paid, so a declined card never leaves a half-applied upgrade
+  async applyNow(user, subscription, stripeSubscription, change, previous, prorationDate, req) {
+    const updated = await this.callStripe(this.stripe.subscriptions.update(stripeSubscription.id, {
+      items: this.changeItems(stripeSubscription, change.plan, change.priceId),
+      proration_behavior: 'always_invoice',
+      payment_behavior: 'pending_if_incomplete',
+      ...(prorationDate ? { proration_date: prorationDate } : {})
+    }));
+
+    await subscription.updateFromStripe(updated);
+    await subscription.syncUserPlan();
+
+    const pending = !!updated.pending_update;
+
+    await recordAudit('billing.plan_changed', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: {
+        subscriptionId: subscription.id,
+        from: previous,
+        to: { plan: change.plan, interval: change.interval },
+        type: change.type,
+        pending
+      }
+    });
+
+    realtime.emitBillingUpdate(user.id, {
+      type: 'plan_changed',
+      plan: subscription.plan,
+      interval: subscription.interval,
+      status: subscription.status,
+      pending
+    });
+
+    logger.info(`Subscription ${subscription.id} changed ${previous.plan}/${previous.interval} -> ${change.plan}/${change.interval}${pending ? ' (pending payment)' : ''}`);
+
+    return { subscription, change: { ...change, pending } };
+  }
+
+  // Two phases: the current price until the period ends, then the new one.
+  // Released afterwards, the subscription simply stays on the new price.
+  async schedule(user, subscription, stripeSubscription, change, previous, req) {
+    const schedule = await this.callStripe(this.stripe.subscriptionSchedules.create({
+      from_subscription: stripeSubscription.id
+    }));
+
+    const currentPhase = schedule.current_phase || schedule.phases[0];
+
+    await this.callStripe(this.stripe.subscriptionSchedules.update(schedule.id, {
+      end_behavior: 'release',
+      phases: [
+        {
+          items: this.phaseItems(stripeSubscription, subscription.plan, subscription.stripePriceId),
+          start_date: currentPhase.start_date,
+          end_date: currentPhase.end_date
+        },
+        {
+          items: this.phaseItems(stripeSubscription, change.plan, change.priceId),
+          proration_behavior: 'none',
+          iterations: 1
+        }
+      ]
+    }));
+
+    const scheduledChangeAt = new Date(currentPhase.end_date * 1000);
+
+    await subscription.update({
+      stripeScheduleId: schedule.id,
+      scheduledPlan: change.plan,
+      scheduledInterval: change.interval,
+      scheduledChangeAt
+    });
+
+    await recordAudit('billing.plan_change_scheduled', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: {
+        subscriptionId: subscription.id,
+        scheduleId: schedule.id,
+        from: previous,
+        to: { plan: change.plan, interval: change.interval },
+        type: change.type,
+        scheduledChangeAt
+      }
+    });
+
+    realtime.emitBillingUpdate(user.id, {
+      type: 'plan_change_scheduled',
+      plan: subscription.plan,
+      scheduledPlan: change.plan,
+      scheduledInterval: change.interval,
+      scheduledChangeAt
+    });
+
+    logger.info(`Subscription ${subscription.id} scheduled ${change.plan}/${change.interval} for ${scheduledChangeAt.toISOString()}`);
+
+    return { subscription, change: { ...change, scheduledChangeAt } };
+  }
+
+  // Detaches the schedule; the subscription carries on at its current price.
+  // Stripe refuses schedules that already completed or were released (a
+  // missed webhook); those only need clearing here.
+  async releaseSchedule(subscription) {
+    try {
+      await this.stripe.subscriptionSchedules.release(subscription.stripeScheduleId);
+    } catch (error) {
+      if (error.type !== 'StripeInvalidRequestError') {
+        throw this.toServiceError(error);
+      }
+      logger.warn(`Subscription schedule ${subscription.stripeScheduleId} could not be released: ${error.message}`);
+    }
+
+    subscription.clearScheduledChange();
+    subscription.stripeScheduleId = null;
+    await subscription.save();
+  }
+
+  async cancelScheduledChange(user, req = null) {
+    const subscription = await this.loadSubscription(user.id);
+
+    if (!subscription.hasScheduledChange()) {
+      throw new NotFoundError('No plan change is scheduled');
+    }
+
+    const scheduled = { plan: subscription.scheduledPlan, interval: subscription.scheduledInterval };
+    const scheduleId = subscription.stripeScheduleId;
+    await this.releaseSchedule(subscription);
+
+    await recordAudit('billing.scheduled_change_canceled', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: { subscriptionId: subscription.id, scheduleId, scheduled }
+    });
+
+    realtime.emitBillingUpdate(user.id, {
+      type: 'scheduled_change_canceled',
+      plan: subscription.plan,
+      interval: subscription.interval
+    });
+
+    return subscription;
+  }
+
+  // Turning overage on adds the plan's metered price to the subscription;
+  // turning it off keeps the item, so overage already used is still billed
+  // with the next invoice
+  async setOverage(user, enabled, req = null) {
+    const subscription = await this.loadSubscription(user.id);
+
+    if (subscription.overageEnabled === enabled) {
+      throw new ConflictError(`Overage billing is already ${enabled ? 'on' : 'off'}`);
+    }
+
+    if (enabled) {
+      const overage = getOveragePrice(subscription.plan, 'video_generation');
+      if (!overage) {
+        throw new ValidationError(`The ${PLANS[subscription.plan].name} plan has no overage billing`);
+      }
+
+      const stripeSubscription = await this.retrieveStripeSubscription(subscription);
+      let overageItem = models.Subscription.findOverageItem(stripeSubscription);
+      if (!overageItem) {
+        overageItem = await this.callStripe(this.stripe.subscriptionItems.create({
+          subscription: stripeSubscription.id,
+          price: overage.stripePriceId
+        }));
+      }
+      subscription.stripeOverageItemId = overageItem.id;
+    }
+
+    subscription.overageEnabled = enabled;
+    await subscription.save();
+
+    await recordAudit(enabled ? 'billing.overage_enabled' : 'billing.overage_disabled', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: { subscriptionId: subscription.id, plan: subscription.plan, itemId: subscription.stripeOverageItemId }
+    });
+
+    realtime.emitBillingUpdate(user.id, {
+      type: 'overage_updated',
+      plan: subscription.plan,
+      overageEnabled: enabled
+    });
+
+    logger.info(`Overage billing turned ${enabled ? 'on' : 'off'} for subscription ${subscription.id}`);
+
+    return subscription;
+  }
+
+  // The plan stays until the period ends; Stripe then deletes the
+  // subscription (customer.subscription.deleted)
+  async cancel(user, { reason } = {}, req = null) {
+    const subscription = await this.loadSubscription(user.id);
+
+    if (subscription.cancelAtPeriodEnd) {
+      throw new ConflictError('The subscription is already set to cancel');
+    }
+
+    // A schedule would move the subscription on at period end; drop it
+    if (subscription.stripeScheduleId) {
+      await this.releaseSchedule(subscription);
+    }
+
+    const updated = await this.callStripe(this.stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+      cancel_at_period_end: true,
+      ...(reason ? { cancellation_details: { comment: reason } } : {})
+    }));
+    await subscription.updateFromStripe(updated);
+
+    await recordAudit('billing.subscription_canceled', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: { subscriptionId: subscription.id, plan: subscription.plan, endsAt: subscription.currentPeriodEnd, reason: reason || null }
+    });
+
+    realtime.emitBillingUpdate(user.id, {
+      type: 'subscription_cancel_scheduled',
+      plan: subscription.plan,
+      currentPeriodEnd: subscription.currentPeriodEnd
+    });
+
+    logger.info(`Subscription ${subscription.id} set to cancel at ${subscription.currentPeriodEnd?.toISOString()}`);
+
+    return subscription;
+  }
+
+  async resume(user, req = null) {
+    const subscription = await this.loadSubscription(user.id);
+
+    if (!subscription.cancelAtPeriodEnd) {
+      throw new ConflictError('The subscription is not set to cancel');
+    }
+
+    const updated = await this.callStripe(this.stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+      cancel_at_period_end: false
+    }));
+    await subscription.updateFromStripe(updated);
+
+    await recordAudit('billing.subscription_resumed', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: { subscriptionId: subscription.id, plan: subscription.plan }
+    });
+
+    realtime.emitBillingUpdate(user.id, {
+      type: 'subscription_resumed',
+      plan: subscription.plan,
+      currentPeriodEnd: subscription.currentPeriodEnd
+    });
+
+    logger.info(`Subscription ${subscription.id} resumed`);
+
+    return subscription;
+  }
+}
+
+// Create singleton instance
+const subscriptionService = new SubscriptionService();
+
+// Export functions
+const previewPlanChange = async (userId, target) => {
+  return await subscriptionService.preview(userId, target);
+};
+
+const changePlan = async (user, target, options, req) => {
+  return await subscriptionService.changePlan(user, target, options, req);
+};
+
+const cancelScheduledChange = async (user, req) => {
+  return await subscriptionService.cancelScheduledChange(user, req);
+};
+
+const cancelSubscription = async (user, options, req) => {
+  return await subscriptionService.cancel(user, options, req);
+};
+
+const resumeSubscription = async (user, req) => {
+  return await subscriptionService.resume(user, req);
+};
+
+const setOverageBilling = async (user, enabled, req) => {
+  return await subscriptionService.setOverage(user, enabled, req);
+};
+
+module.exports = {
+  previewPlanChange,
+  changePlan,
+  cancelScheduledChange,
+  cancelSubscription,
+  resumeSubscription,
+  setOverageBilling,
+  SubscriptionService
+};
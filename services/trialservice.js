@@ -0,0 +1,145 @@
+const stripe = require('../config/stripe');
+const logger = require('../utils/logger');
+const { models } = require('../config/database');
+const { PLANS, getTrialDays } = require('../config/plans');
+const { jobQueue } = require('./queueservice');
+const { realtime } = require('./realtimeservice');
+const { recordAudit } = require('./auditservice');
+const { sendTrialExpiredEmail } = require('../utils/email');
+
+const TRIAL_JOB_TYPE = 'trial_expiry';
+
+// Stripe ends the trial itself; the expiry check runs this long after
+// trialEnd so Stripe's own handling (and its webhooks) come first
+const EXPIRY_CHECK_DELAY_MS = parseInt(process.env.TRIAL_EXPIRY_CHECK_DELAY_MS || 60 * 60 * 1000);
+
+// Free trials. Checkout starts one on a user's first subscription to a plan
+// with trial days, without asking for a card. Stripe cancels trials that end
+// without a payment method (trial_settings); this service turns that into a
+// move to the free plan, and a delayed job does the same if Stripe's
+// cancellation never arrives.
+class TrialService {
+  constructor(queue = jobQueue, stripeClient = stripe) {
+    this.queue = queue;
+    this.stripe = stripeClient;
+
+    this.queue.registerHandler(TRIAL_JOB_TYPE, (job) => this.checkExpiry(job.payload));
+  }
+
+  // One trial per user: never for someone who has subscribed before
+  getOffer(subscription, plan) {
+    const days = getTrialDays(plan);
+    if (days <= 0 || subscription?.stripeSubscriptionId || subscription?.trialStart) {
+      return null;
+    }
+    return { plan, days };
+  }
+
+  // Stripe charges the subscription's default payment method, falling back
+  // to the customer's
+  async hasPaymentMethod(stripeSubscription) {
+    if (stripeSubscription.default_payment_method) return true;
+
+    const customer = typeof stripeSubscription.customer === 'string'
+      ? await this.stripe.customers.retrieve(stripeSubscription.customer)
+      : stripeSubscription.customer;
+
+    return !!(customer?.invoice_settings?.default_payment_method || customer?.default_source);
+  }
+
+  async schedule(subscription) {
+    const runAt = new Date(subscription.trialEnd.getTime() + EXPIRY_CHECK_DELAY_MS);
+
+    await this.queue.enqueue(TRIAL_JOB_TYPE, {
+      subscriptionId: subscription.id,
+      trialEnd: subscription.trialEnd.toISOString()
+    }, { runAt, userId: subscription.userId });
+  }
+
+  // Job handler. Only acts on the trial that scheduled it (`trialEnd`) and
+  // only if no webhook has moved the subscription on since.
+  async checkExpiry({ subscriptionId, trialEnd }) {
+    const subscription = await models.Subscription.findByPk(subscriptionId, {
+      include: [{ model: models.User, as: 'user' }]
+    });
+
+    if (subscription?.status !== 'trialing' || subscription.trialEnd?.toISOString() !== trialEnd) {
+      return { skipped: true };
+    }
+
+    const stripeSubscription = await this.stripe.subscriptions.retrieve(subscription.stripeSubscriptionId);
+
+    // Extended in the meantime: check again at the new end
+    if (stripeSubscription.status === 'trialing' && stripeSubscription.trial_end * 1000 > Date.now()) {
+      await subscription.updateFromStripe(stripeSubscription);
+      await this.schedule(subscription);
+      return { extended: true };
+    }
+
+    if (stripeSubscription.status !== 'canceled' && await this.hasPaymentMethod(stripeSubscription)) {
+      await subscription.updateFromStripe(stripeSubscription);
+      await subscription.syncUserPlan();
+      return { converted: true };
+    }
+
+    if (stripeSubscription.status !== 'canceled') {
+      await this.stripe.subscriptions.cancel(stripeSubscription.id);
+    }
+
+    await this.expire(subscription, 'expiry_check');
+    return { expired: true };
+  }
+
+  // The trial ended unpaid: the subscription is over and the user is on free
+  async expire(subscription, source) {
+    const planName = (PLANS[subscription.plan] || PLANS.free).name;
+
+    await subscription.update({ status: 'canceled', cancelAtPeriodEnd: false });
+    await subscription.syncUserPlan();
+
+    realtime.emitBillingUpdate(subscription.userId, {
+      type: 'trial_expired',
+      plan: subscription.getEffectivePlan(),
+      trialPlan: subscription.plan
+    });
+
+    const user = subscription.user || await models.User.findByPk(subscription.userId);
+    if (user) {
+      await sendTrialExpiredEmail(user.email, user.firstName, planName);
+    }
+
+    await recordAudit('billing.trial_expired', {
+      userId: subscription.userId,
+      metadata: { subscriptionId: subscription.id, plan: subscription.plan, trialEnd: subscription.trialEnd, source }
+    });
+    logger.info(`Trial of ${subscription.plan} ended without payment for user ${subscription.userId} (${source})`);
+  }
+}
+
+// Create singleton instance
+const trialService = new TrialService();
+
+// Export functions
+const getTrialOffer = (subscription, plan) => {
+  return trialService.getOffer(subscription, plan);
+};
+
+const hasPaymentMethod = async (stripeSubscription) => {
+  return await trialService.hasPaymentMethod(stripeSubscription);
+};
+
+const scheduleTrialExpiryCheck = async (subscription) => {
+  return await trialService.schedule(subscription);
+};
+
+const expireTrial = async (subscription, source) => {
+  return await trialService.expire(subscription, source);
+};
+
+module.exports = {
+  getTrialOffer,
+  hasPaymentMethod,
+  scheduleTrialExpiryCheck,
+  expireTrial,
+  TrialService
+};
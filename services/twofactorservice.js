@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { sequelize, models } = require('../config/database');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+const { recordAudit } = require('./auditservice');
+const { AppError, ConflictError, AuthenticationError, RateLimitError } = require('../middleware/errorHandler');
+
+const CHALLENGE_PURPOSE = 'two_factor_challenge';
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+// Wrong codes allowed per challenge, and per user across the challenges of
+// the last USER_ATTEMPT_WINDOW_MS (each password login mints a new one)
+const CHALLENGE_MAX_ATTEMPTS = 5;
+const USER_MAX_ATTEMPTS = 10;
+const USER_ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+const RECOVERY_CODE_COUNT = 10;
+
+// TOTP two-factor authentication. Secrets are stored AES-256-GCM encrypted;
+// recovery codes only as hashes. Login for enrolled users is two steps: the
+// password step returns a short-lived, single-use challenge token, which is
+// exchanged for a session together with a TOTP or recovery code.
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'Influencore';
+  }
+
+  encryptionKey() {
+    const key = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(key).digest();
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(code => this.hashRecoveryCode(code)) };
+  }
+
+  getStatus(user) {
+    return {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0
+    };
+  }
+
+  // Step 1 of enrollment: a new secret, not active until confirmed with a code
+  async beginEnrollment(user) {
+    if (user.twoFactorEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    await user.update({ twoFactorSecret: this.encryptSecret(secret) });
+
+    return {
+      secret,
+      otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email, issuer: this.issuer })
+    };
+  }
+
+  // Step 2: the first valid code turns 2FA on and returns the recovery codes
+  // (the only time they are shown)
+  async enable(user, code, req) {
+    if (user.twoFactorEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactorSecret) {
+      throw new AppError('Start two-factor setup first', 400);
+    }
+
+    const step = verifyCode(this.decryptSecret(user.twoFactorSecret), code);
+    if (step === null) {
+      throw new AppError('Invalid verification code', 400);
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await user.update({
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: new Date(),
+      twoFactorRecoveryCodes: hashes,
+      twoFactorLastUsedStep: step
+    });
+
+    await recordAudit('two_factor.enabled', { userId: user.id, actorId: user.id, req });
+    logger.info(`Two-factor authentication enabled for user ${user.id}`);
+
+    return codes;
+  }
+
+  async disable(user, password, req) {
+    if (!user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+
+    if (!(await user.comparePassword(password))) {
+      throw new AppError('Incorrect password', 400);
+    }
+
+    await user.update({
+      twoFactorEnabled: false,
+      twoFactorEnabledAt: null,
+      twoFactorSecret: null,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastUsedStep: null
+    });
+
+    await recordAudit('two_factor.disabled', { userId: user.id, actorId: user.id, req });
+    logger.info(`Two-factor authentication disabled for user ${user.id}`);
+  }
+
+  async regenerateRecoveryCodes(user, password, req) {
+    if (!user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+
+    if (!(await user.comparePassword(password))) {
+      throw new AppError('Incorrect password', 400);
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await user.update({ twoFactorRecoveryCodes: hashes });
+
+    await recordAudit('two_factor.recovery_codes_regenerated', { userId: user.id, actorId: user.id, req });
+    return codes;
+  }
+
+  // Checks (and uses up) a TOTP or recovery code. Returns the method that
+  // matched, or null. Either code is accepted once, even under concurrency:
+  // the conditional updates reject a TOTP code from an already used time
+  // step, and a recovery code that's no longer in the stored list.
+  async verifySecondFactor(user, { code, recoveryCode }) {
+    if (code) {
+      const step = verifyCode(this.decryptSecret(user.twoFactorSecret), code);
+      if (step === null) return null;
+
+      const [count] = await models.User.update({ twoFactorLastUsedStep: step }, {
+        where: {
+          id: user.id,
+          [Op.or]: [
+            { twoFactorLastUsedStep: null },
+            { twoFactorLastUsedStep: { [Op.lt]: step } }
+          ]
+        }
+      });
+      return count === 1 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      const codes = sequelize.cast(sequelize.col('twoFactorRecoveryCodes'), 'jsonb');
+
+      const [count] = await models.User.update({
+        twoFactorRecoveryCodes: sequelize.literal(`("twoFactorRecoveryCodes"::jsonb - ${sequelize.escape(hash)})::json`)
+      }, {
+        where: {
+          id: user.id,
+          [Op.and]: sequelize.where(codes, Op.contains, sequelize.cast(JSON.stringify([hash]), 'jsonb'))
+        }
+      });
+      if (count === 0) return null;
+
+      // The caller reports how many codes are left
+      await user.reload({ attributes: ['twoFactorRecoveryCodes'] });
+      return 'recovery_code';
+    }
+
+    return null;
+  }
+
+  async createChallenge(user, req) {
+    await models.UserToken.invalidateOutstanding(user.id, CHALLENGE_PURPOSE);
+
+    const record = await models.UserToken.create({
+      userId: user.id,
+      purpose: CHALLENGE_PURPOSE,
+      expiresAt: new Date(Date.now() + CHALLENGE_TTL_SECONDS * 1000),
+      requestedIp: req?.ip || null
+    });
+
+    const challengeToken = jwt.sign(
+      { userId: user.id, type: CHALLENGE_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_TTL_SECONDS, jwtid: record.id }
+    );
+
+    return { challengeToken, expiresIn: CHALLENGE_TTL_SECONDS };
+  }
+
+  async completeChallenge(challengeToken, { code, recoveryCode }, req) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (jwtError) {
+      throw new AuthenticationError('Two-factor challenge expired, please log in again');
+    }
+
+    if (decoded.type !== CHALLENGE_PURPOSE || !decoded.jti) {
+      throw new AuthenticationError('Invalid two-factor challenge');
+    }
+
+    const record = await models.UserToken.findOne({
+      where: { id: decoded.jti, userId: decoded.userId, purpose: CHALLENGE_PURPOSE }
+    });
+    if (!record || !record.isUsable()) {
+      throw new AuthenticationError('Two-factor challenge expired, please log in again');
+    }
+
+    const user = await models.User.findByPk(decoded.userId);
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      throw new AuthenticationError('Invalid two-factor challenge');
+    }
+
+    const since = new Date(Date.now() - USER_ATTEMPT_WINDOW_MS);
+    if (await models.UserToken.countFailedAttempts(user.id, CHALLENGE_PURPOSE, since) >= USER_MAX_ATTEMPTS) {
+      throw new RateLimitError('Too many invalid two-factor codes, please try again later');
+    }
+    if (!(await record.claimAttempt(CHALLENGE_MAX_ATTEMPTS))) {
+      throw new AuthenticationError('Two-factor challenge expired, please log in again');
+    }
+
+    const method = await this.verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      await recordAudit('two_factor.failed', { userId: user.id, req, metadata: { attempts: record.attempts } });
+      if (record.attempts >= CHALLENGE_MAX_ATTEMPTS) {
+        await record.invalidate();
+        throw new AuthenticationError('Too many invalid two-factor codes, please log in again');
+      }
+      throw new AuthenticationError('Invalid two-factor code');
+    }
+
+    if (!(await record.consume())) {
+      throw new AuthenticationError('Two-factor challenge expired, please log in again');
+    }
+
+    await recordAudit('two_factor.verified', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: { method }
+    });
+
+    return { user, method };
+  }
+}
+
+// Create singleton instance
+const twoFactorService = new TwoFactorService();
+
+// Export functions
+const getTwoFactorStatus = (user) => {
+  return twoFactorService.getStatus(user);
+};
+
+const beginTwoFactorEnrollment = async (user) => {
+  return await twoFactorService.beginEnrollment(user);
+};
+
+const enableTwoFactor = async (user, code, req) => {
+  return await twoFactorService.enable(user, code, req);
+};
+
+const disableTwoFactor = async (user, password, req) => {
+  return await twoFactorService.disable(user, password, req);
+};
+
+const regenerateRecoveryCodes = async (user, password, req) => {
+  return await twoFactorService.regenerateRecoveryCodes(user, password, req);
+};
+
+const createTwoFactorChallenge = async (user, req) => {
+  return await twoFactorService.createChallenge(user, req);
+};
+
+const completeTwoFactorChallenge = async (challengeToken, factors, req) => {
+  return await twoFactorService.completeChallenge(challengeToken, factors, req);
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  beginTwoFactorEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  createTwoFactorChallenge,
+  completeTwoFactorChallenge,
+  TwoFactorService
+};
@@ -0,0 +1,105 @@
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const { models } = require('../config/database');
+const { sendVerificationEmail } = require('../utils/email');
+const { AppError, NotFoundError } = require('../middleware/errorHandler');
+
+const PURPOSE = 'email_verification';
+
+// Email verification. Links carry a signed JWT naming the address it was
+// sent to and (as jti) its user_tokens row, which makes the link single use
+// and lets a newer link invalidate older ones.
+class EmailVerificationService {
+  constructor() {
+    this.ttlHours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48);
+  }
+
+  async issueToken(user, req = null) {
+    await models.UserToken.invalidateOutstanding(user.id, PURPOSE);
+
+    const record = await models.UserToken.create({
+      userId: user.id,
+      purpose: PURPOSE,
+      email: user.email,
+      expiresAt: new Date(Date.now() + this.ttlHours * 60 * 60 * 1000),
+      requestedIp: req?.ip || null
+    });
+
+    return jwt.sign(
+      { userId: user.id, email: user.email, type: PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: `${this.ttlHours}h`, jwtid: record.id }
+    );
+  }
+
+  async sendVerification(user, req = null) {
+    if (user.emailVerified) {
+      throw new AppError('Email is already verified', 400);
+    }
+
+    const token = await this.issueToken(user, req);
+    await sendVerificationEmail(user.email, user.firstName, token);
+
+    logger.info(`Verification email sent to user ${user.id}`);
+    return token;
+  }
+
+  async verifyEmail(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (jwtError) {
+      throw new AppError('Invalid or expired verification token', 400);
+    }
+
+    if (decoded.type !== PURPOSE || !decoded.jti) {
+      throw new AppError('Invalid token type', 400);
+    }
+
+    const user = await models.User.findByPk(decoded.userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.email !== decoded.email) {
+      throw new AppError('This link was sent to a previous email address', 400);
+    }
+
+    const record = await models.UserToken.findOne({
+      where: { id: decoded.jti, userId: user.id, purpose: PURPOSE }
+    });
+    if (!record || !(await record.consume())) {
+      throw new AppError('This verification link has already been used or replaced by a newer one', 400);
+    }
+
+    if (!user.emailVerified) {
+      await user.update({ emailVerified: true });
+    }
+
+    logger.info(`Email verified for user ${user.id}`);
+    return user;
+  }
+}
+
+// Create singleton instance
+const verificationService = new EmailVerificationService();
+
+// Export functions
+const issueVerificationToken = async (user, req) => {
+  return await verificationService.issueToken(user, req);
+};
+
+const sendVerification = async (user, req) => {
+  return await verificationService.sendVerification(user, req);
+};
+
+const verifyEmail = async (token) => {
+  return await verificationService.verifyEmail(token);
+};
+
+module.exports = {
+  issueVerificationToken,
+  sendVerification,
+  verifyEmail,
+  EmailVerificationService
+};
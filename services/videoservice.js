@@ -1,74 +1,174 @@
+const { setTimeout: sleep } = require('timers/promises');
 const logger = require('../utils/logger');
-const { models } = require('../config/database');
+const { Op } = require('sequelize');
+const { sequelize, models } = require('../config/database');
+const { jobQueue } = require('./queueservice');
+const { resolveProvider } = require('./providers');
+const { realtime } = require('./realtimeservice');
+const { reserveQuota, releaseQuota } = require('./entitlementservice');
+const { ConflictError } = require('../middleware/errorHandler');
 
-// Mock video generation service for demo purposes
+const VIDEO_JOB_TYPE = 'video_generation';
+
+// Video generation service: renders through the configured provider
 class VideoGenerationService {
-  constructor() {
-    this.processingQueue = new Map();
+  constructor(queue = jobQueue) {
+    this.queue = queue;
+    this.pollInterval = parseInt(process.env.VIDEO_PROVIDER_POLL_MS || 2000);
+    this.renderTimeout = parseInt(process.env.VIDEO_RENDER_TIMEOUT_MS || 15 * 60 * 1000);
+
+    this.queue.registerHandler(VIDEO_JOB_TYPE, (job, { signal }) => {
+      return this.generateVideo(job.payload.videoId, { isFinalAttempt: job.isFinalAttempt(), signal });
+    }, {
+      onDeadLetter: (job, error) => this.handleDeadLetter(job, error)
+    });
   }
 
-  async generateVideo(videoId) {
+  // Called by the job queue worker; a failure on an earlier attempt is retried
+  // with backoff, so the video is only marked failed on the final attempt.
+  // `signal` aborts when the worker loses the job to another worker: the
+  // render stops and the video is left to the new one.
+  async generateVideo(videoId, { isFinalAttempt = true, signal = null } = {}) {
+    let claimed = false;
+    let renderId = null;
+
     try {
       logger.info(`Starting video generation for ${videoId}`);
       
       // Get video from database
-      const video = await models.Video.findByPk(videoId);
+      const video = await models.Video.findByPk(videoId, {
+        include: [{
+          model: models.Script,
+          as: 'script',
+          attributes: ['id', 'content']
+        }, {
+          model: models.User,
+          as: 'user',
+          attributes: ['id', 'plan']
+        }, {
+          model: models.Workspace,
+          as: 'workspace',
+          attributes: ['id'],
+          include: [{
+            model: models.User,
+            as: 'owner',
+            attributes: ['id', 'plan']
+          }]
+        }]
+      });
       if (!video) {
         throw new Error(`Video ${videoId} not found`);
       }
 
+      // Canceled (or already handled) while the job waited in the queue.
+      // A video still 'processing' belongs to a worker that died mid-render.
+      const recovered = video.status === 'processing';
+      if (!recovered && !video.canTransitionTo('processing')) {
+        logger.info(`Skipping video generation for ${videoId}: video is ${video.status}`);
+        return { id: videoId, status: video.status, skipped: true };
+      }
+
+      // Workspace videos render on the plan that pays for them
+      const provider = resolveProvider(video.workspace?.owner?.plan || video.user?.plan);
+
       // Update status to processing
-      await video.update({ 
-        status: 'processing',
-        processingProgress: 10
-      });
+      const previousStatus = video.status;
+      const processing = {
+        processingProgress: 10,
+        metadata: { ...video.metadata, provider: provider.name }
+      };
+      if (recovered) {
+        await video.update(processing);
+      } else {
+        await video.transitionTo('processing', processing);
+      }
+      claimed = true;
 
       // Emit progress update
+      this.emitStatus(video, previousStatus);
       this.emitProgress(video.userId, videoId, 10, 'Processing started');
 
-      // Simulate AI processing steps
-      const steps = [
-        { progress: 25, message: 'Analyzing prompt' },
-        { progress: 50, message: 'Generating scenes' },
-        { progress: 75, message: 'Rendering video' },
-        { progress: 90, message: 'Adding effects' },
-        { progress: 100, message: 'Finalizing' }
-      ];
+      signal?.throwIfAborted();
+      const { externalId } = await provider.submit({
+        videoId: video.id,
+        userId: video.userId,
+        title: video.title,
+        prompt: video.prompt,
+        script: video.script?.content || null,
+        images: video.metadata?.images || [],
+        branding: video.metadata?.branding || null,
+        duration: video.duration,
+        resolution: video.resolution,
+        fps: video.fps,
+        style: video.style,
+        mood: video.mood
+      });
 
-      for (const step of steps) {
-        await new Promise(resolve => setTimeout(resolve, 2000)); // 2 second delay
-        await video.update({ processingProgress: step.progress });
-        this.emitProgress(video.userId, videoId, step.progress, step.message);
-      }
+      // Keep the render id so the render can be looked up or canceled later
+      renderId = externalId;
+      await video.update({
+        metadata: { ...video.metadata, renderId: externalId }
+      });
 
-      // Generate mock video URL
-      const videoUrl = this.generateMockVideoUrl(videoId);
-      const thumbnailUrl = this.generateMockThumbnailUrl(videoId);
+      const result = await this.waitForRender(provider, externalId, video, signal);
+      if (!result) {
+        logger.info(`Video generation for ${videoId} stopped: video is ${video.status}`);
+        return { id: videoId, status: video.status, provider: provider.name };
+      }
+      signal?.throwIfAborted();
 
       // Mark as completed
-      await video.markAsCompleted(videoUrl, thumbnailUrl);
+      if (result.duration) {
+        video.duration = Math.round(result.duration);
+      }
+      video.metadata = { ...video.metadata, render: result.metadata || {} };
+      await video.markAsCompleted(result.videoUrl, result.thumbnailUrl);
 
       // Emit completion
+      this.emitStatus(video, 'processing');
       this.emitProgress(video.userId, videoId, 100, 'Video completed successfully');
 
-      logger.info(`Video generation completed for ${videoId}`);
+      logger.info(`Video generation completed for ${videoId} via ${provider.name}`);
       
       return {
         id: videoId,
         status: 'completed',
-        videoUrl,
-        thumbnailUrl
+        provider: provider.name,
+        videoUrl: result.videoUrl,
+        thumbnailUrl: result.thumbnailUrl
       };
 
     } catch (error) {
+      if (signal?.aborted) {
+        logger.warn(`Video generation for ${videoId} stopped: the job's lease was lost`);
+        throw error;
+      }
+
       logger.error(`Video generation failed for ${videoId}:`, error);
       
-      // Mark as failed
       try {
         const video = await models.Video.findByPk(videoId);
-        if (video) {
+        const superseded = video && claimed &&
+          (video.status !== 'processing' || (renderId && video.metadata?.renderId !== renderId));
+        if (superseded) {
+          // Canceled (or canceled and retried) through the API mid-render;
+          // the failure is just the render being torn down
+          return { id: videoId, status: video.status };
+        }
+
+        if (video && isFinalAttempt) {
+          const previousStatus = video.status;
           await video.markAsFailed(error);
+          await this.refundQuota(video);
+          this.emitStatus(video, previousStatus, error);
           this.emitProgress(video.userId, videoId, 0, 'Video generation failed');
+        } else if (video && video.canTransitionTo('queued')) {
+          await video.transitionTo('queued', {
+            processingProgress: 0,
+            metadata: { ...video.metadata, lastError: error.message }
+          });
+          this.emitStatus(video, 'processing', error);
+          this.emitProgress(video.userId, videoId, 0, 'Video generation failed, retrying shortly');
         }
       } catch (updateError) {
         logger.error('Failed to update video status:', updateError);
@@ -78,6 +178,54 @@ class VideoGenerationService {
     }
   }
 
+  // Polls the provider until the render finishes, mirroring its progress
+  // onto the video. Renders that exceed the timeout are canceled, as are
+  // renders whose video left 'processing' through the API (returns null).
+  // An aborted `signal` cancels the render and throws.
+  async waitForRender(provider, externalId, video, signal = null) {
+    const startedAt = Date.now();
+    let lastProgress = video.processingProgress;
+
+    while (true) {
+      try {
+        await sleep(this.pollInterval, undefined, { signal: signal || undefined });
+      } catch (error) {
+        await provider.cancel(externalId).catch(() => {});
+        throw error;
+      }
+
+      // A retry after a mid-render cancel gets a new render id, so an old
+      // worker that is still polling stops here too
+      await video.reload({ attributes: ['id', 'status', 'metadata'] });
+      if (video.status !== 'processing' || video.metadata?.renderId !== externalId) {
+        await provider.cancel(externalId).catch(() => {});
+        return null;
+      }
+
+      if (Date.now() - startedAt > this.renderTimeout) {
+        await provider.cancel(externalId).catch(() => {});
+        throw new Error(`Render timed out after ${Math.round(this.renderTimeout / 1000)}s`);
+      }
+
+      const status = await provider.getStatus(externalId);
+
+      if (status.status === 'failed') {
+        throw new Error(status.error || 'Render failed');
+      }
+
+      const progress = Math.max(10, Math.min(100, Math.round(status.progress || 0)));
+      if (progress !== lastProgress) {
+        lastProgress = progress;
+        await video.updateProgress(progress);
+        this.emitProgress(video.userId, video.id, progress, status.message || 'Rendering video');
+      }
+
+      if (status.status === 'completed') {
+        return await provider.getResult(externalId);
+      }
+    }
+  }
+
   async generateDemoVideo(prompt, options = {}) {
     const demoVideos = [
       {
@@ -120,60 +268,234 @@ class VideoGenerationService {
     };
   }
 
-  generateMockVideoUrl(videoId) {
-    const baseUrls = [
-      'https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_1mb.mp4',
-      'https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_2mb.mp4',
-      'https://sample-videos.com/zip/10/mp4/SampleVideo_1920x1080_1mb.mp4',
-      'https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_5mb.mp4'
-    ];
-    
-    const index = videoId.charCodeAt(0) % baseUrls.length;
-    return baseUrls[index];
+  emitProgress(userId, videoId, progress, message) {
+    realtime.emitVideoProgress(userId, { videoId, progress, message });
   }
 
-  generateMockThumbnailUrl(videoId) {
-    const colors = ['4F46E5', '7C3AED', '059669', 'DC2626', 'F59E0B'];
-    const index = videoId.charCodeAt(0) % colors.length;
-    const color = colors[index];
-    
-    return `https://via.placeholder.com/1280x720/${color}/FFFFFF?text=AI+Generated+Video`;
+  emitStatus(video, previousStatus, error = null) {
+    realtime.emitVideoStatus(video.userId, {
+      videoId: video.id,
+      status: video.status,
+      previousStatus,
+      error: error ? (error.message || String(error)) : null
+    });
   }
 
-  emitProgress(userId, videoId, progress, message) {
+  async handleDeadLetter(job, error) {
+    const video = await models.Video.findByPk(job.payload.videoId);
+    if (!video || !video.canTransitionTo('failed')) return;
+
+    const previousStatus = video.status;
+    await video.markAsFailed(error);
+    await this.refundQuota(video);
+    this.emitStatus(video, previousStatus, error);
+    this.emitProgress(video.userId, video.id, 0, 'Video generation failed');
+  }
+
+  // Quota. The charge is recorded on the video (metadata.quota) so a refund
+  // goes back to the right period and happens at most once per charge: the
+  // refund first flips metadata.quota.charged with a conditional update, and
+  // only the caller that flipped it gives the quota back.
+  // `user` is the billed user: the workspace owner for workspace videos.
+  // Throws QuotaExceededError when the quota is used up and neither credits
+  // nor overage cover the video. Spent credits and overage are recorded too.
+  async reserveVideoQuota(video, user) {
+    const reservation = await reserveQuota(user, 'video_generation', {
+      workspaceId: video.workspaceId || null,
+      metadata: { videoId: video.id, prompt: video.prompt.substring(0, 100) }
+    });
+    await user.incrementVideoCount();
+
+    return {
+      charged: true,
+      period: reservation.period,
+      billedUserId: user.id,
+      workspaceId: video.workspaceId || null,
+      credits: reservation.credits,
+      overage: reservation.overage
+    };
+  }
+
+  async chargeQuota(video, user) {
+    const quota = await this.reserveVideoQuota(video, user);
+    await video.update({
+      metadata: { ...video.metadata, quota }
+    });
+  }
+
+  async refundQuota(video) {
+    const quota = video.metadata?.quota;
+    if (!quota?.charged) return false;
+
+    const [claimed] = await models.Video.update({
+      metadata: sequelize.literal(
+        `jsonb_set(jsonb_set("metadata"::jsonb, '{quota,charged}', 'false'), '{quota,refundedAt}', to_jsonb(NOW()))::json`
+      )
+    }, {
+      where: {
+        id: video.id,
+        [Op.and]: sequelize.where(sequelize.literal(`"metadata"::jsonb #>> '{quota,charged}'`), 'true')
+      }
+    });
+    await video.reload({ attributes: ['id', 'metadata'] });
+    if (claimed === 0) return false;
+
+    await this.releaseVideoQuota(video, quota);
+    return true;
+  }
+
+  // Gives back a charge made by reserveVideoQuota. Callers make sure it
+  // happens once (refundQuota's claim, or a charge never saved on the video).
+  async releaseVideoQuota(video, quota) {
+    const billedUserId = quota.billedUserId || video.userId;
+    await releaseQuota({
+      userId: billedUserId,
+      type: 'video_generation',
+      period: quota.period,
+      workspaceId: quota.workspaceId || null,
+      credits: quota.credits || 0,
+      overage: quota.overage || 0
+    });
+
+    const user = await models.User.findByPk(billedUserId);
+    if (user) {
+      await user.decrementVideoCount();
+    }
+
+    logger.info(`Refunded video quota for ${video.id} (period ${quota.period})`);
+  }
+
+  // A completed render has used up its charge; failed and canceled-before-
+  // rendering videos were refunded. Either way the next render costs one.
+  needsQuotaCharge(video) {
+    return video.status === 'completed' || !video.metadata?.quota?.charged;
+  }
+
+  // Cancels a video that hasn't finished. Queued jobs are dropped right away;
+  // a render in progress is stopped by its worker on the next poll. Only
+  // videos canceled before rendering started get their quota back.
+  async cancelVideo(video) {
+    if (!video.canTransitionTo('canceled')) {
+      throw new ConflictError(`Cannot cancel a video that is ${video.status}`);
+    }
+
+    const previousStatus = video.status;
+    const wasRendering = previousStatus === 'processing';
+
+    await models.Job.cancelQueuedForVideo(video.id);
+    await video.transitionTo('canceled', {
+      metadata: { ...video.metadata, canceledAt: new Date() }
+    });
+
+    const refunded = wasRendering ? false : await this.refundQuota(video);
+
+    this.emitStatus(video, previousStatus);
+    logger.info(`Video ${video.id} canceled${refunded ? ' (quota refunded)' : ''}`);
+
+    return { video, refunded };
+  }
+
+  // Runs a failed or canceled video again with the same settings
+  async retryVideo(video, user, options = {}) {
+    if (!['failed', 'canceled'].includes(video.status)) {
+      throw new ConflictError(`Only failed or canceled videos can be retried (video is ${video.status})`);
+    }
+
+    return await this.requeueVideo(video, user, {}, options);
+  }
+
+  // Renders a finished video again, optionally with new settings. The previous
+  // output is kept in metadata.previousRenders.
+  async regenerateVideo(video, user, changes = {}, options = {}) {
+    if (!['completed', 'failed', 'canceled'].includes(video.status)) {
+      throw new ConflictError(`Cannot regenerate a video that is ${video.status}`);
+    }
+
+    return await this.requeueVideo(video, user, changes, options);
+  }
+
+  async requeueVideo(video, user, changes, { priority = false } = {}) {
+    const previousStatus = video.status;
+    const charge = this.needsQuotaCharge(video);
+
+    // Reserve before touching the video, so a used-up quota leaves it as it was
+    const previous = video.metadata || {};
+    const metadata = { ...previous };
+    if (charge) {
+      metadata.quota = await this.reserveVideoQuota(video, user);
+    }
+    ['error', 'lastError', 'renderId', 'render', 'canceledAt'].forEach(key => delete metadata[key]);
+
+    if (video.videoUrl) {
+      metadata.previousRenders = [
+        ...(previous.previousRenders || []),
+        { videoUrl: video.videoUrl, thumbnailUrl: video.thumbnailUrl, renderId: previous.renderId, render: previous.render }
+      ];
+    }
+
+    const { images, branding, ...fields } = changes;
+    if (images !== undefined) {
+      metadata.images = images;
+    }
+    if (branding !== undefined) {
+      metadata.branding = branding;
+    }
+
+    Object.assign(video, fields, {
+      videoUrl: null,
+      thumbnailUrl: null,
+      processingProgress: 0,
+      metadata
+    });
+
+    let saved = false;
+    let job;
     try {
-      // Get Socket.io instance from global app if available
-      const io = global.io || require('../server').io;
-      if (io) {
-        io.to(`user-${userId}`).emit('video_progress', {
-          videoId,
-          progress,
-          message,
-          timestamp: new Date().toISOString()
-        });
+      await video.save();
+      saved = true;
+      job = await this.enqueueVideoGeneration(video, { priority });
+    } catch (error) {
+      await this.abandonRequeue(video, charge && metadata.quota, saved);
+      throw error;
+    }
+    this.emitStatus(video, previousStatus);
+
+    return { video, job, charged: charge };
+  }
+
+  // Nothing will render after a failed requeue: the new charge goes back
+  // (claimed through the video once it was saved on it), and a video left
+  // queued without a job is failed so it can be retried
+  async abandonRequeue(video, quota, saved) {
+    try {
+      if (quota && saved) {
+        await this.refundQuota(video);
+      } else if (quota) {
+        await this.releaseVideoQuota(video, quota);
+      }
+      if (video.status === 'queued') {
+        await video.markAsFailed('Could not be queued');
       }
     } catch (error) {
-      logger.warn('Failed to emit progress update:', error.message);
+      logger.error(`Failed to undo the requeue of video ${video.id}:`, error);
     }
   }
 
   // Queue management
-  addToQueue(videoId) {
-    this.processingQueue.set(videoId, {
-      status: 'queued',
-      startTime: Date.now()
-    });
-  }
+  async enqueueVideoGeneration(video, { priority = false } = {}) {
+    // Move to 'queued' first so a worker that leases the job right away
+    // finds the video ready to process
+    await video.transitionTo('queued');
 
-  removeFromQueue(videoId) {
-    this.processingQueue.delete(videoId);
+    return await this.queue.enqueue(VIDEO_JOB_TYPE, { videoId: video.id }, {
+      videoId: video.id,
+      userId: video.userId,
+      priority: priority ? 10 : 0
+    });
   }
 
-  getQueueStatus() {
-    return Array.from(this.processingQueue.entries()).map(([id, data]) => ({
-      videoId: id,
-      ...data
-    }));
+  async getQueueStatus() {
+    return await this.queue.getQueueStatus(VIDEO_JOB_TYPE);
   }
 }
 
@@ -181,20 +503,50 @@ class VideoGenerationService {
 const videoService = new VideoGenerationService();
 
 // Export functions
-const generateVideo = async (videoId) => {
-  return await videoService.generateVideo(videoId);
+const generateVideo = async (videoId, options) => {
+  return await videoService.generateVideo(videoId, options);
+};
+
+const enqueueVideoGeneration = async (video, options) => {
+  return await videoService.enqueueVideoGeneration(video, options);
 };
 
 const generateDemoVideo = async (prompt, options) => {
   return await videoService.generateDemoVideo(prompt, options);
 };
 
-const getQueueStatus = () => {
-  return videoService.getQueueStatus();
+const getQueueStatus = async () => {
+  return await videoService.getQueueStatus();
+};
+
+const chargeVideoQuota = async (video, user) => {
+  return await videoService.chargeQuota(video, user);
+};
+
+const refundVideoQuota = async (video) => {
+  return await videoService.refundQuota(video);
+};
+
+const cancelVideo = async (video) => {
+  return await videoService.cancelVideo(video);
+};
+
+const retryVideo = async (video, user, options) => {
+  return await videoService.retryVideo(video, user, options);
+};
+
+const regenerateVideo = async (video, user, changes, options) => {
+  return await videoService.regenerateVideo(video, user, changes, options);
 };
 
 module.exports = {
   generateVideo,
+  enqueueVideoGeneration,
+  chargeVideoQuota,
+  refundVideoQuota,
+  cancelVideo,
+  retryVideo,
+  regenerateVideo,
   generateDemoVideo,
   getQueueStatus,
   VideoGenerationService
@@ -0,0 +1,380 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { sequelize, models } = require('../config/database');
+const { sendWorkspaceInvitationEmail } = require('../utils/email');
+const { recordAudit } = require('./auditservice');
+const {
+  AuthorizationError,
+  ConflictError,
+  NotFoundError
+} = require('../middleware/errorHandler');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.WORKSPACE_INVITATION_TTL_DAYS || 7);
+
+const MEMBER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'email', 'avatar'];
+
+const hashInvitationToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Workspaces, their members and invitations. Every workspace has exactly one
+// owner, whose subscription pays for what members create in it.
+class WorkspaceService {
+  async create(user, { name }, req) {
+    const workspace = await sequelize.transaction(async (transaction) => {
+      const created = await models.Workspace.create({
+        name,
+        ownerId: user.id
+      }, { transaction });
+
+      await models.WorkspaceMembership.create({
+        workspaceId: created.id,
+        userId: user.id,
+        role: 'owner'
+      }, { transaction });
+
+      return created;
+    });
+
+    await recordAudit('workspace.created', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: { workspaceId: workspace.id, name }
+    });
+
+    return workspace;
+  }
+
+  async list(userId) {
+    const memberships = await models.WorkspaceMembership.findAll({
+      where: { userId },
+      include: [{
+        model: models.Workspace,
+        as: 'workspace'
+      }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    return memberships.map(membership => ({
+      ...membership.workspace.toJSON(),
+      role: membership.role
+    }));
+  }
+
+  // Non-members get a 404, so workspace ids can't be probed
+  async findMembership(workspaceId, userId) {
+    const membership = await models.WorkspaceMembership.findOne({
+      where: { workspaceId, userId },
+      include: [{
+        model: models.Workspace,
+        as: 'workspace'
+      }]
+    });
+
+    if (!membership) {
+      throw new NotFoundError('Workspace not found');
+    }
+
+    return membership;
+  }
+
+  async findOwnedMembership(workspaceId, userId) {
+    const membership = await this.findMembership(workspaceId, userId);
+    if (!membership.isOwner()) {
+      throw new AuthorizationError('Only the workspace owner can do this');
+    }
+    return membership;
+  }
+
+  async get(workspaceId, userId) {
+    const membership = await this.findMembership(workspaceId, userId);
+
+    const [members, usage] = await Promise.all([
+      models.WorkspaceMembership.findAll({
+        where: { workspaceId },
+        include: [{
+          model: models.User,
+          as: 'user',
+          attributes: MEMBER_ATTRIBUTES
+        }],
+        order: [['createdAt', 'ASC']]
+      }),
+      models.Usage.getWorkspaceUsage(workspaceId)
+    ]);
+
+    return {
+      workspace: membership.workspace,
+      role: membership.role,
+      members,
+      usage
+    };
+  }
+
+  async rename(workspaceId, user, name, req) {
+    const { workspace } = await this.findOwnedMembership(workspaceId, user.id);
+    const previousName = workspace.name;
+    await workspace.update({ name });
+
+    await recordAudit('workspace.renamed', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: { workspaceId, name, previousName }
+    });
+
+    return workspace;
+  }
+
+  // Videos and scripts aren't deleted: they go back to the personal library
+  // of whoever created them (the workspaceId columns are SET NULL)
+  async delete(workspaceId, user, req) {
+    const { workspace } = await this.findOwnedMembership(workspaceId, user.id);
+    await workspace.destroy();
+
+    await recordAudit('workspace.deleted', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: { workspaceId, name: workspace.name }
+    });
+    logger.info(`Workspace ${workspaceId} deleted by user ${user.id}`);
+  }
+
+  // Emails a single-use invitation. Inviting an address again replaces its
+  // pending invitation, so only the newest link works.
+  async invite(workspaceId, inviter, { email, role }, req) {
+    const { workspace } = await this.findOwnedMembership(workspaceId, inviter.id);
+    const normalizedEmail = email.toLowerCase();
+
+    const existingMember = await models.WorkspaceMembership.findOne({
+      where: { workspaceId },
+      include: [{
+        model: models.User,
+        as: 'user',
+        attributes: ['id'],
+        where: { email: normalizedEmail }
+      }]
+    });
+    if (existingMember) {
+      throw new ConflictError('This user is already a member of the workspace');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const invitation = await sequelize.transaction(async (transaction) => {
+      await models.WorkspaceInvitation.update({ revokedAt: new Date() }, {
+        where: { workspaceId, email: normalizedEmail, acceptedAt: null, revokedAt: null },
+        transaction
+      });
+
+      return await models.WorkspaceInvitation.create({
+        workspaceId,
+        email: normalizedEmail,
+        role,
+        tokenHash: hashInvitationToken(token),
+        expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+        invitedById: inviter.id
+      }, { transaction });
+    });
+
+    await sendWorkspaceInvitationEmail(normalizedEmail, inviter.getFullName(), workspace.name, role, token);
+
+    await recordAudit('workspace.member_invited', {
+      userId: inviter.id,
+      actorId: inviter.id,
+      req,
+      metadata: { workspaceId, invitationId: invitation.id, email: normalizedEmail, role }
+    });
+
+    return { invitation, token };
+  }
+
+  async listInvitations(workspaceId, userId) {
+    await this.findOwnedMembership(workspaceId, userId);
+    return await models.WorkspaceInvitation.findPending(workspaceId);
+  }
+
+  async revokeInvitation(workspaceId, invitationId, user, req) {
+    await this.findOwnedMembership(workspaceId, user.id);
+
+    const invitation = await models.WorkspaceInvitation.findOne({
+      where: { id: invitationId, workspaceId }
+    });
+    if (!invitation || !invitation.isPending()) {
+      throw new NotFoundError('Invitation not found');
+    }
+
+    await invitation.update({ revokedAt: new Date() });
+
+    await recordAudit('workspace.invitation_revoked', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: { workspaceId, invitationId, email: invitation.email }
+    });
+
+    return invitation;
+  }
+
+  // The token proves the invitee received the email; the signed-in account
+  // must also own the invited address
+  async acceptInvitation(token, user, req) {
+    const invitation = await models.WorkspaceInvitation.findOne({
+      where: { tokenHash: hashInvitationToken(token) },
+      include: [{
+        model: models.Workspace,
+        as: 'workspace'
+      }]
+    });
+
+    if (!invitation || !invitation.isPending()) {
+      throw new NotFoundError('Invitation is invalid or has expired');
+    }
+
+    if (invitation.email !== user.email.toLowerCase()) {
+      throw new AuthorizationError('This invitation was sent to a different email address');
+    }
+
+    const existing = await models.WorkspaceMembership.findMembership(invitation.workspaceId, user.id);
+    if (existing) {
+      throw new ConflictError('You are already a member of this workspace');
+    }
+
+    if (!await invitation.accept(user.id)) {
+      throw new NotFoundError('Invitation is invalid or has expired');
+    }
+
+    const [membership] = await models.WorkspaceMembership.findOrCreate({
+      where: { workspaceId: invitation.workspaceId, userId: user.id },
+      defaults: { role: invitation.role }
+    });
+
+    await recordAudit('workspace.member_joined', {
+      userId: user.id,
+      actorId: user.id,
+      req,
+      metadata: { workspaceId: invitation.workspaceId, invitationId: invitation.id, role: membership.role }
+    });
+    logger.info(`User ${user.id} joined workspace ${invitation.workspaceId} as ${membership.role}`);
+
+    return { workspace: invitation.workspace, membership };
+  }
+
+  // Ownership can't be handed over here; only editor and viewer are assignable
+  async updateMemberRole(workspaceId, memberUserId, role, actor, req) {
+    await this.findOwnedMembership(workspaceId, actor.id);
+
+    const membership = await models.WorkspaceMembership.findMembership(workspaceId, memberUserId);
+    if (!membership) {
+      throw new NotFoundError('Member not found');
+    }
+    if (membership.isOwner()) {
+      throw new ConflictError('The owner\'s role cannot be changed');
+    }
+
+    const previousRole = membership.role;
+    await membership.update({ role });
+
+    await recordAudit('workspace.member_role_changed', {
+      userId: memberUserId,
+      actorId: actor.id,
+      req,
+      metadata: { workspaceId, role, previousRole }
+    });
+
+    return membership;
+  }
+
+  // Owners remove members; any member except the owner can leave
+  async removeMember(workspaceId, memberUserId, actor, req) {
+    const actorMembership = await this.findMembership(workspaceId, actor.id);
+    const leaving = memberUserId === actor.id;
+
+    if (!leaving && !actorMembership.isOwner()) {
+      throw new AuthorizationError('Only the workspace owner can remove members');
+    }
+
+    const membership = leaving
+      ? actorMembership
+      : await models.WorkspaceMembership.findMembership(workspaceId, memberUserId);
+    if (!membership) {
+      throw new NotFoundError('Member not found');
+    }
+    if (membership.isOwner()) {
+      throw new ConflictError('The owner cannot leave the workspace; delete it instead');
+    }
+
+    await membership.destroy();
+
+    await recordAudit(leaving ? 'workspace.member_left' : 'workspace.member_removed', {
+      userId: memberUserId,
+      actorId: actor.id,
+      req,
+      metadata: { workspaceId, role: membership.role }
+    });
+  }
+}
+
+// Create singleton instance
+const workspaceService = new WorkspaceService();
+
+// Export functions
+const createWorkspace = async (user, options, req) => {
+  return await workspaceService.create(user, options, req);
+};
+
+const listWorkspaces = async (userId) => {
+  return await workspaceService.list(userId);
+};
+
+const getWorkspace = async (workspaceId, userId) => {
+  return await workspaceService.get(workspaceId, userId);
+};
+
+const renameWorkspace = async (workspaceId, user, name, req) => {
+  return await workspaceService.rename(workspaceId, user, name, req);
+};
+
+const deleteWorkspace = async (workspaceId, user, req) => {
+  return await workspaceService.delete(workspaceId, user, req);
+};
+
+const inviteMember = async (workspaceId, inviter, options, req) => {
+  return await workspaceService.invite(workspaceId, inviter, options, req);
+};
+
+const listInvitations = async (workspaceId, userId) => {
+  return await workspaceService.listInvitations(workspaceId, userId);
+};
+
+const revokeInvitation = async (workspaceId, invitationId, user, req) => {
+  return await workspaceService.revokeInvitation(workspaceId, invitationId, user, req);
+};
+
+const acceptInvitation = async (token, user, req) => {
+  return await workspaceService.acceptInvitation(token, user, req);
+};
+
+const updateMemberRole = async (workspaceId, memberUserId, role, actor, req) => {
+  return await workspaceService.updateMemberRole(workspaceId, memberUserId, role, actor, req);
+};
+
+const removeMember = async (workspaceId, memberUserId, actor, req) => {
+  return await workspaceService.removeMember(workspaceId, memberUserId, actor, req);
+};
+
+module.exports = {
+  createWorkspace,
+  listWorkspaces,
+  getWorkspace,
+  renameWorkspace,
+  deleteWorkspace,
+  inviteMember,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  WorkspaceService
+};
@@ -19,9 +19,18 @@ const createTransporter = () => {
 
 const transporter = createTransporter();
 
+// Stripe amounts are in the currency's smallest unit (cents)
+const formatAmount = (amount, currency = 'usd') => {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(amount / 100);
+};
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+};
+
 // Email templates
 const emailTemplates = {
-  welcome: (firstName) => ({
+  welcome: (firstName, verificationToken = null) => ({
     subject: 'Welcome to Influencore! 🎬',
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
@@ -46,6 +55,13 @@ const emailTemplates = {
           </ul>
         </div>
         
+        ${verificationToken ? `
+        <div style="background: #EEF2FF; border-left: 4px solid #4F46E5; padding: 15px; margin-bottom: 30px;">
+          <p style="color: #3730A3; margin: 0; font-size: 14px;">
+            Please <a href="${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}" style="color: #4F46E5; font-weight: bold;">verify your email address</a> to start generating videos.
+          </p>
+        </div>
+        ` : ''}
         <div style="text-align: center; margin-bottom: 30px;">
           <a href="${process.env.FRONTEND_URL}/dashboard" 
              style="background: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
@@ -109,6 +125,46 @@ const emailTemplates = {
     `
   }),
 
+  emailVerification: (firstName, verificationToken) => ({
+    subject: 'Verify your Influencore email address',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #4F46E5; margin: 0;">Verify Your Email</h1>
+        </div>
+        
+        <div style="background: #F9FAFB; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+          <h2 style="color: #111827; margin-top: 0;">Hi ${firstName}!</h2>
+          <p style="color: #374151; line-height: 1.6;">
+            Please confirm that this is your email address. The link can be used once and expires in ${process.env.EMAIL_VERIFICATION_TTL_HOURS || 48} hours.
+          </p>
+        </div>
+        
+        <div style="text-align: center; margin-bottom: 30px;">
+          <a href="${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}" 
+             style="background: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
+            Verify Email
+          </a>
+        </div>
+        
+        <div style="background: #FEF2F2; border-left: 4px solid #DC2626; padding: 15px; margin-bottom: 20px;">
+          <p style="color: #991B1B; margin: 0; font-size: 14px;">
+            <strong>Security Note:</strong> If you didn't create an Influencore account or change your email, you can ignore this email.
+          </p>
+        </div>
+        
+        <div style="border-top: 1px solid #E5E7EB; padding-top: 20px; text-align: center;">
+          <p style="color: #6B7280; font-size: 14px;">
+            If the button doesn't work, copy and paste this link into your browser:
+          </p>
+          <p style="color: #4F46E5; font-size: 12px; word-break: break-all;">
+            ${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}
+          </p>
+        </div>
+      </div>
+    `
+  }),
+
   videoCompleted: (firstName, videoTitle, videoUrl) => ({
     subject: `Your video "${videoTitle}" is ready! 🎬`,
     html: `
@@ -148,6 +204,211 @@ const emailTemplates = {
         </div>
       </div>
     `
+  }),
+
+  workspaceInvitation: (inviterName, workspaceName, role, invitationToken) => ({
+    subject: `${inviterName} invited you to ${workspaceName} on Influencore`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #4F46E5; margin: 0;">You're Invited!</h1>
+        </div>
+        
+        <div style="background: #F9FAFB; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+          <p style="color: #374151; line-height: 1.6;">
+            ${inviterName} invited you to join the <strong>${workspaceName}</strong> workspace as ${role === 'editor' ? 'an editor' : 'a viewer'}.
+            Sign in or create an account with this email address to accept. The invitation expires in ${process.env.WORKSPACE_INVITATION_TTL_DAYS || 7} days.
+          </p>
+        </div>
+        
+        <div style="text-align: center; margin-bottom: 30px;">
+          <a href="${process.env.FRONTEND_URL}/workspaces/join?token=${invitationToken}" 
+             style="background: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
+            Join Workspace
+          </a>
+        </div>
+        
+        <div style="border-top: 1px solid #E5E7EB; padding-top: 20px; text-align: center;">
+          <p style="color: #6B7280; font-size: 14px;">
+            If the button doesn't work, copy and paste this link into your browser:
+          </p>
+          <p style="color: #4F46E5; font-size: 12px; word-break: break-all;">
+            ${process.env.FRONTEND_URL}/workspaces/join?token=${invitationToken}
+          </p>
+        </div>
+      </div>
+    `
+  }),
+
+  paymentFailed: (firstName, amount, currency, invoiceUrl, nextAttempt, graceEndsAt = null) => ({
+    subject: 'Your Influencore payment failed',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #DC2626; margin: 0;">Payment Failed</h1>
+        </div>
+        
+        <div style="background: #F9FAFB; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+          <h2 style="color: #111827; margin-top: 0;">Hi ${firstName},</h2>
+          <p style="color: #374151; line-height: 1.6;">
+            We couldn't charge ${formatAmount(amount, currency)} for your Influencore subscription.
+            ${nextAttempt ? `We'll try again on ${formatDate(nextAttempt)}.` : ''}
+            Please update your payment method to keep your plan${graceEndsAt ? `; it stays active until ${formatDate(graceEndsAt)}` : ''}.
+          </p>
+        </div>
+        
+        <div style="text-align: center; margin-bottom: 30px;">
+          <a href="${invoiceUrl || `${process.env.FRONTEND_URL}/billing`}" 
+             style="background: #DC2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
+            Update Payment Method
+          </a>
+        </div>
+      </div>
+    `
+  }),
+
+  dunningReminder: (firstName, planName, graceEndsAt, invoiceUrl) => ({
+    subject: 'Reminder: your Influencore payment is overdue',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #F59E0B; margin: 0;">Payment Overdue</h1>
+        </div>
+        
+        <div style="background: #F9FAFB; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+          <h2 style="color: #111827; margin-top: 0;">Hi ${firstName},</h2>
+          <p style="color: #374151; line-height: 1.6;">
+            We still haven't been able to collect your ${planName} subscription payment.
+            Your plan stays active until ${formatDate(graceEndsAt)}; after that your account moves to the Free plan until the payment goes through.
+          </p>
+        </div>
+        
+        <div style="text-align: center; margin-bottom: 30px;">
+          <a href="${invoiceUrl || `${process.env.FRONTEND_URL}/billing`}" 
+             style="background: #F59E0B; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
+            Pay Now
+          </a>
+        </div>
+      </div>
+    `
+  }),
+
+  dunningDowngraded: (firstName, planName, invoiceUrl) => ({
+    subject: 'Your Influencore account moved to the Free plan',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #DC2626; margin: 0;">Plan Paused</h1>
+        </div>
+        
+        <div style="background: #F9FAFB; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+          <h2 style="color: #111827; margin-top: 0;">Hi ${firstName},</h2>
+          <p style="color: #374151; line-height: 1.6;">
+            Your ${planName} subscription payment is still outstanding, so your account now has the Free plan's limits.
+            Your videos and scripts are safe. Pay the open invoice and your ${planName} plan comes back right away.
+          </p>
+        </div>
+        
+        <div style="text-align: center; margin-bottom: 30px;">
+          <a href="${invoiceUrl || `${process.env.FRONTEND_URL}/billing`}" 
+             style="background: #DC2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
+            Restore My Plan
+          </a>
+        </div>
+      </div>
+    `
+  }),
+
+  paymentRecovered: (firstName, planName) => ({
+    subject: 'Payment received - thank you!',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #059669; margin: 0;">You're All Set</h1>
+        </div>
+        
+        <div style="background: #F9FAFB; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+          <h2 style="color: #111827; margin-top: 0;">Hi ${firstName}!</h2>
+          <p style="color: #374151; line-height: 1.6;">
+            We received your payment. Your ${planName} plan is active again.
+          </p>
+        </div>
+      </div>
+    `
+  }),
+
+  trialEnding: (firstName, planName, trialEnd, hasPaymentMethod = true) => ({
+    subject: 'Your Influencore trial ends soon',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #4F46E5; margin: 0;">Your Trial Ends Soon</h1>
+        </div>
+        
+        <div style="background: #F9FAFB; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+          <h2 style="color: #111827; margin-top: 0;">Hi ${firstName}!</h2>
+          <p style="color: #374151; line-height: 1.6;">
+            ${hasPaymentMethod
+              ? `Your ${planName} trial ends on ${formatDate(trialEnd)}. After that your subscription starts and your payment method is charged.
+            You can change or cancel your plan at any time before then.`
+              : `Your ${planName} trial ends on ${formatDate(trialEnd)}. Add a payment method before then to keep your ${planName} plan;
+            otherwise your account moves to the Free plan.`}
+          </p>
+        </div>
+        
+        <div style="text-align: center; margin-bottom: 30px;">
+          <a href="${process.env.FRONTEND_URL}/billing" 
+             style="background: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
+            ${hasPaymentMethod ? 'Manage Subscription' : 'Add Payment Method'}
+          </a>
+        </div>
+      </div>
+    `
+  }),
+
+  trialExpired: (firstName, planName) => ({
+    subject: 'Your Influencore trial has ended',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #4F46E5; margin: 0;">Your Trial Has Ended</h1>
+        </div>
+        
+        <div style="background: #F9FAFB; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+          <h2 style="color: #111827; margin-top: 0;">Hi ${firstName},</h2>
+          <p style="color: #374151; line-height: 1.6;">
+            Your ${planName} trial is over and no payment method was added, so your account is now on the Free plan.
+            Your videos and scripts are safe. Subscribe any time to get ${planName} back.
+          </p>
+        </div>
+        
+        <div style="text-align: center; margin-bottom: 30px;">
+          <a href="${process.env.FRONTEND_URL}/billing" 
+             style="background: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
+            View Plans
+          </a>
+        </div>
+      </div>
+    `
+  }),
+
+  chargeRefunded: (firstName, amount, currency) => ({
+    subject: 'Your Influencore refund is on its way',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #059669; margin: 0;">Refund Issued</h1>
+        </div>
+        
+        <div style="background: #F9FAFB; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
+          <h2 style="color: #111827; margin-top: 0;">Hi ${firstName},</h2>
+          <p style="color: #374151; line-height: 1.6;">
+            We've refunded ${formatAmount(amount, currency)} to your original payment method.
+            It can take 5-10 business days to appear on your statement.
+          </p>
+        </div>
+      </div>
+    `
   })
 };
 
@@ -178,8 +439,12 @@ const sendEmail = async (to, template, ...args) => {
 };
 
 // Specific email functions
-const sendWelcomeEmail = async (email, firstName) => {
-  return await sendEmail(email, 'welcome', firstName);
+const sendWelcomeEmail = async (email, firstName, verificationToken = null) => {
+  return await sendEmail(email, 'welcome', firstName, verificationToken);
+};
+
+const sendVerificationEmail = async (email, firstName, verificationToken) => {
+  return await sendEmail(email, 'emailVerification', firstName, verificationToken);
 };
 
 const sendPasswordResetEmail = async (email, firstName, resetToken) => {
@@ -190,6 +455,38 @@ const sendVideoCompletedEmail = async (email, firstName, videoTitle, videoUrl) =
   return await sendEmail(email, 'videoCompleted', firstName, videoTitle, videoUrl);
 };
 
+const sendWorkspaceInvitationEmail = async (email, inviterName, workspaceName, role, invitationToken) => {
+  return await sendEmail(email, 'workspaceInvitation', inviterName, workspaceName, role, invitationToken);
+};
+
+const sendPaymentFailedEmail = async (email, firstName, amount, currency, invoiceUrl, nextAttempt, graceEndsAt) => {
+  return await sendEmail(email, 'paymentFailed', firstName, amount, currency, invoiceUrl, nextAttempt, graceEndsAt);
+};
+
+const sendDunningReminderEmail = async (email, firstName, planName, graceEndsAt, invoiceUrl) => {
+  return await sendEmail(email, 'dunningReminder', firstName, planName, graceEndsAt, invoiceUrl);
+};
+
+const sendDunningDowngradedEmail = async (email, firstName, planName, invoiceUrl) => {
+  return await sendEmail(email, 'dunningDowngraded', firstName, planName, invoiceUrl);
+};
+
+const sendPaymentRecoveredEmail = async (email, firstName, planName) => {
+  return await sendEmail(email, 'paymentRecovered', firstName, planName);
+};
+
+const sendTrialEndingEmail = async (email, firstName, planName, trialEnd, hasPaymentMethod) => {
+  return await sendEmail(email, 'trialEnding', firstName, planName, trialEnd, hasPaymentMethod);
+};
+
+const sendTrialExpiredEmail = async (email, firstName, planName) => {
+  return await sendEmail(email, 'trialExpired', firstName, planName);
+};
+
+const sendChargeRefundedEmail = async (email, firstName, amount, currency) => {
+  return await sendEmail(email, 'chargeRefunded', firstName, amount, currency);
+};
+
 // Send bulk emails (for marketing, etc.)
 const sendBulkEmail = async (recipients, template, ...args) => {
   if (!transporter) {
@@ -233,8 +530,19 @@ const testEmailConfig = async () => {
 
 module.exports = {
   sendWelcomeEmail,
+  sendVerificationEmail,
   sendPasswordResetEmail,
   sendVideoCompletedEmail,
+  sendWorkspaceInvitationEmail,
+  sendPaymentFailedEmail,
+  sendDunningReminderEmail,
+  sendDunningDowngradedEmail,
+  sendPaymentRecoveredEmail,
+  sendTrialEndingEmail,
+  sendTrialExpiredEmail,
+  sendChargeRefundedEmail,
   sendBulkEmail,
-  testEmailConfig
+  testEmailConfig,
+  formatAmount,
+  formatDate
 };
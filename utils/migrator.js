@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const LEDGER_TABLE = 'schema_migrations';
+const MIGRATION_PATTERN = /^(\d{3})-[a-z0-9-]+\.js$/;
+
+const MIGRATION_TEMPLATE = `module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    // Pass { transaction } to every queryInterface call
+  },
+
+  async down({ queryInterface, Sequelize, transaction }) {
+  }
+};
+`;
+
+// Versioned schema migrations with a ledger table. Each migration runs in its
+// own transaction together with its ledger row, so a failure leaves nothing
+// half-applied.
+class Migrator {
+  constructor({ sequelize, directory = MIGRATIONS_DIR, logger = console } = {}) {
+    this.sequelize = sequelize;
+    this.directory = directory;
+    this.logger = logger;
+    this.queryInterface = sequelize ? sequelize.getQueryInterface() : null;
+  }
+
+  async ensureLedger() {
+    await this.queryInterface.createTable(LEDGER_TABLE, {
+      name: {
+        type: Sequelize.STRING,
+        primaryKey: true
+      },
+      batch: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      executedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+  }
+
+  listFiles() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    return fs.readdirSync(this.directory)
+      .filter(file => MIGRATION_PATTERN.test(file))
+      .sort();
+  }
+
+  load(name) {
+    const migration = require(path.join(this.directory, name));
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${name} must export up() and down()`);
+    }
+    return migration;
+  }
+
+  async executed() {
+    await this.ensureLedger();
+    const [rows] = await this.sequelize.query(
+      `SELECT "name", "batch", "executedAt" FROM "${LEDGER_TABLE}" ORDER BY "name" ASC`
+    );
+    return rows;
+  }
+
+  async status() {
+    const executed = await this.executed();
+    const byName = new Map(executed.map(row => [row.name, row]));
+    const files = this.listFiles();
+
+    const status = files.map(name => ({
+      name,
+      executed: byName.has(name),
+      batch: byName.get(name)?.batch || null,
+      executedAt: byName.get(name)?.executedAt || null
+    }));
+
+    // Ledger rows whose file is gone can't be rolled back; surface them
+    executed
+      .filter(row => !files.includes(row.name))
+      .forEach(row => status.push({ ...row, executed: true, missing: true }));
+
+    return status;
+  }
+
+  async pending() {
+    const status = await this.status();
+    return status.filter(migration => !migration.executed).map(migration => migration.name);
+  }
+
+  async up({ to = null } = {}) {
+    const pending = await this.pending();
+    if (to && !pending.includes(to)) {
+      throw new Error(`Migration ${to} is not pending`);
+    }
+
+    const targets = to ? pending.slice(0, pending.indexOf(to) + 1) : pending;
+    if (targets.length === 0) return [];
+
+    const executed = await this.executed();
+    const batch = executed.reduce((max, row) => Math.max(max, row.batch), 0) + 1;
+
+    for (const name of targets) {
+      const migration = this.load(name);
+      this.logger.log(`⬆️  Migrating ${name}`);
+
+      await this.sequelize.transaction(async (transaction) => {
+        await migration.up({ queryInterface: this.queryInterface, Sequelize, transaction });
+        await this.queryInterface.bulkInsert(LEDGER_TABLE, [{
+          name,
+          batch,
+          executedAt: new Date()
+        }], { transaction });
+      });
+    }
+
+    return targets;
+  }
+
+  // Rolls back the last batch by default, or the last `step` migrations
+  async down({ step = null, to = null } = {}) {
+    const executed = (await this.executed()).reverse();
+    if (executed.length === 0) return [];
+
+    let targets;
+    if (to) {
+      const index = executed.findIndex(row => row.name === to);
+      if (index === -1) throw new Error(`Migration ${to} has not been executed`);
+      targets = executed.slice(0, index + 1);
+    } else if (step) {
+      targets = executed.slice(0, step);
+    } else {
+      targets = executed.filter(row => row.batch === executed[0].batch);
+    }
+
+    for (const { name } of targets) {
+      const migration = this.load(name);
+      this.logger.log(`⬇️  Reverting ${name}`);
+
+      await this.sequelize.transaction(async (transaction) => {
+        await migration.down({ queryInterface: this.queryInterface, Sequelize, transaction });
+        await this.queryInterface.bulkDelete(LEDGER_TABLE, { name }, { transaction });
+      });
+    }
+
+    return targets.map(row => row.name);
+  }
+
+  create(description) {
+    const slug = String(description || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+
+    if (!slug) {
+      throw new Error('Migration name is required');
+    }
+
+    const files = this.listFiles();
+    const last = files.length ? parseInt(files[files.length - 1].match(MIGRATION_PATTERN)[1], 10) : 0;
+    const name = `${(last + 1).toString().padStart(3, '0')}-${slug}.js`;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(path.join(this.directory, name), MIGRATION_TEMPLATE);
+
+    return name;
+  }
+}
+
+// Databases created by the old sync({ alter: true }) already have the tables
+// (createTable is IF NOT EXISTS) and indexes, so index creation must be idempotent.
+const addIndexIfMissing = async (queryInterface, table, fields, options = {}) => {
+  const name = options.name || `${table}_${fields.map(field => field.replace(/([A-Z])/g, '_$1').toLowerCase()).join('_')}`;
+  const indexes = await queryInterface.showIndex(table, { transaction: options.transaction });
+
+  if (indexes.some(index => index.name === name)) return;
+
+  await queryInterface.addIndex(table, fields, { ...options, name });
+};
+
+// Postgres can't drop values from an enum type, and a value added with
+// ALTER TYPE ... ADD VALUE can't be used in the same transaction, so swap in
+// a new type instead. Rows must already hold values that exist in `values`.
+const replaceEnum = async (queryInterface, table, column, values, options = {}) => {
+  const { transaction, defaultValue } = options;
+  const type = options.enumName || `enum_${table}_${column}`;
+  const list = values.map(value => queryInterface.sequelize.escape(value)).join(', ');
+
+  const statements = [
+    `ALTER TYPE "${type}" RENAME TO "${type}_old"`,
+    `CREATE TYPE "${type}" AS ENUM(${list})`,
+    `ALTER TABLE "${table}" ALTER COLUMN "${column}" DROP DEFAULT`,
+    `ALTER TABLE "${table}" ALTER COLUMN "${column}" TYPE "${type}" USING "${column}"::text::"${type}"`,
+    defaultValue ? `ALTER TABLE "${table}" ALTER COLUMN "${column}" SET DEFAULT ${queryInterface.sequelize.escape(defaultValue)}` : null,
+    `DROP TYPE "${type}_old"`
+  ].filter(Boolean);
+
+  for (const sql of statements) {
+    await queryInterface.sequelize.query(sql, { transaction });
+  }
+};
+
+module.exports = {
+  Migrator,
+  addIndexIfMissing,
+  replaceEnum,
+  LEDGER_TABLE,
+  MIGRATIONS_DIR
+};
@@ -0,0 +1,187 @@
+// Minimal PDF 1.4 writer for the documents we generate (receipts): text in
+// the standard Helvetica fonts, lines and filled rectangles. The standard
+// fonts are built into every PDF viewer, so nothing is embedded. Text is
+// WinAnsi-encoded; characters outside it print as '?'.
+
+const PAGE_WIDTH = 612; // US Letter, in points
+const PAGE_HEIGHT = 792;
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Glyph widths (per 1000 units of font size) of the printable ASCII
+// characters, from the Adobe font metrics
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const DEFAULT_WIDTH = 556;
+
+// WinAnsi has a few characters Latin-1 doesn't, in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, // euro sign
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95, // bullet
+  '–': 0x96, // en dash
+  '—': 0x97 // em dash
+};
+
+const encodeText = (text) => {
+  return Array.from(String(text), (char) => {
+    if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    const code = char.charCodeAt(0);
+    return code < 256 && (code < 0x80 || code > 0x9F) ? char : '?';
+  }).join('');
+};
+
+const escapeText = (text) => encodeText(text).replace(/[\\()]/g, '\\$&');
+
+// Width of `text` in points
+const textWidth = (text, size, font = 'regular') => {
+  let units = 0;
+  for (const char of encodeText(text)) {
+    const code = char.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? WIDTHS[font][code - 32] : DEFAULT_WIDTH;
+  }
+  return (units * size) / 1000;
+};
+
+// Splits `text` into lines no wider than `maxWidth`
+const wrapText = (text, maxWidth, size, font = 'regular') => {
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && textWidth(candidate, size, font) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+
+  return lines.length ? lines : [''];
+};
+
+// '#4F46E5' -> '0.31 0.275 0.898'
+const rgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [16, 8, 0].map(shift => +(((value >> shift) & 255) / 255).toFixed(3)).join(' ');
+};
+
+const pdfDate = (date) => {
+  const iso = date.toISOString();
+  return `D:${iso.slice(0, 19).replace(/[-T:]/g, '')}Z`;
+};
+
+// Coordinates are in points from the top-left corner of the page
+class PdfDocument {
+  constructor({ title = null } = {}) {
+    this.title = title;
+    this.width = PAGE_WIDTH;
+    this.height = PAGE_HEIGHT;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  // `align` is relative to x: 'left' starts the text there, 'right' ends it there
+  text(value, x, y, { size = 10, font = 'regular', color = '#111827', align = 'left' } = {}) {
+    const left = align === 'right' ? x - textWidth(value, size, font) : x;
+    this.current.push(
+      'BT',
+      `${rgb(color)} rg`,
+      `/${FONTS[font].resource} ${size} Tf`,
+      `${left.toFixed(2)} ${(this.height - y).toFixed(2)} Td`,
+      `(${escapeText(value)}) Tj`,
+      'ET'
+    );
+    return this;
+  }
+
+  rect(x, y, width, height, { color = '#F9FAFB' } = {}) {
+    this.current.push(
+      `${rgb(color)} rg`,
+      `${x} ${this.height - y - height} ${width} ${height} re f`
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { color = '#E5E7EB', width = 1 } = {}) {
+    this.current.push(
+      `${rgb(color)} RG`,
+      `${width} w`,
+      `${x1} ${this.height - y1} m ${x2} ${this.height - y2} l S`
+    );
+    return this;
+  }
+
+  // The finished file. Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info,
+  // then a page and its content stream for each page.
+  toBuffer() {
+    const objects = [];
+    const pageIds = this.pages.map((_, index) => 6 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    objects[3] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular.baseFont} /Encoding /WinAnsiEncoding >>`;
+    objects[4] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold.baseFont} /Encoding /WinAnsiEncoding >>`;
+    objects[5] = `<< ${this.title ? `/Title (${escapeText(this.title)}) ` : ''}/CreationDate (${pdfDate(new Date())}) >>`;
+
+    this.pages.forEach((operations, index) => {
+      const content = operations.join('\n');
+      objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+      objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    // Everything is Latin-1, so string length is byte length
+    let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = output.length;
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  textWidth,
+  wrapText
+};
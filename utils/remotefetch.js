@@ -0,0 +1,109 @@
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+// Fetches user-supplied URLs without letting them reach our own network:
+// https only, no redirects, a size cap, and every address the host resolves
+// to must be public. The check runs in the socket's DNS lookup, so the
+// address that's checked is the one that's connected to (a second lookup
+// can't rebind the name to an internal address).
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, incl. cloud metadata endpoints
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const agent = new https.Agent({ lookup: publicLookup });
+
+// Throws unless `url` is an https URL whose host isn't a private IP literal
+// (hostnames are checked when they're resolved)
+const assertPublicUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('Invalid URL');
+  }
+
+  if (parsed.protocol !== 'https:') {
+    throw new Error('Only https URLs can be fetched');
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new Error(`${host} is a private address`);
+  }
+
+  return parsed;
+};
+
+// The body of an image at a public https URL, as a Buffer
+const fetchImage = async (url, { maxBytes = DEFAULT_MAX_BYTES, timeout = 15000 } = {}) => {
+  assertPublicUrl(url);
+
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout,
+    httpsAgent: agent,
+    proxy: false,
+    maxRedirects: 0,
+    maxContentLength: maxBytes
+  });
+
+  const contentType = String(response.headers['content-type'] || '');
+  if (!contentType.startsWith('image/')) {
+    throw new Error(`Not an image (${contentType || 'no content type'})`);
+  }
+
+  return Buffer.from(response.data);
+};
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  fetchImage
+};